@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+
+import { GraphDatabase } from '../src/database.js';
+import { CYCLE_RELATIONSHIP_TYPES } from '../src/graph-analysis.js';
+
+function printUsage() {
+  console.log('Usage: node scripts/check-cycles.js [options]');
+  console.log('');
+  console.log('Exits with status 1 when the graph contains dependency cycles, so it can fail a build.');
+  console.log('');
+  console.log('Options:');
+  console.log('  --codebase <name>        Only check this codebase (default: all)');
+  console.log(`  --types <list>           Comma-separated relationship types (default: ${CYCLE_RELATIONSHIP_TYPES.join(',')})`);
+  console.log('  --mode <cycles|scc>      Report elementary cycles or strongly connected components (default: cycles)');
+  console.log('  --max-cycles <n>         Stop after this many cycles (default: 100)');
+  console.log('  --json                   Print the full result as JSON');
+}
+
+function parseArgs(argv) {
+  const args = { json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '--codebase':
+        args.codebase = argv[++i];
+        break;
+      case '--types':
+        args.relationshipTypes = argv[++i].split(',').map(type => type.trim()).filter(Boolean);
+        break;
+      case '--mode':
+        args.mode = argv[++i];
+        break;
+      case '--max-cycles':
+        args.maxCycles = parseInt(argv[++i]);
+        break;
+      case '--json':
+        args.json = true;
+        break;
+      case '--help':
+      case '-h':
+        args.help = true;
+        break;
+      default:
+        console.error(`Unknown option: ${arg}`);
+        args.help = true;
+        args.invalid = true;
+    }
+  }
+  return args;
+}
+
+function describeEdge(edge, components) {
+  const name = id => components.find(component => component.id === id)?.name || id;
+  return `${name(edge.sourceId)} -[${edge.type}]-> ${name(edge.targetId)}`;
+}
+
+async function checkCycles() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    printUsage();
+    process.exit(args.invalid ? 2 : 0);
+  }
+
+  const db = new GraphDatabase();
+  try {
+    const connected = await db.verifyConnection();
+    if (!connected) {
+      console.error('❌ Failed to connect to Neo4j database.');
+      process.exit(2);
+    }
+
+    const result = await db.analysis.findCycles(args);
+    const found = args.mode === 'scc' ? result.components : result.cycles;
+
+    if (args.json) {
+      console.log(JSON.stringify(result, null, 2));
+    } else if (found.length === 0) {
+      console.log(`✅ No cycles over ${result.relationshipTypes.join(', ')}${result.codebase ? ` in ${result.codebase}` : ''}`);
+    } else {
+      console.log(`❌ Found ${found.length} ${args.mode === 'scc' ? 'strongly connected components' : 'cycles'}${result.truncated ? ' (truncated)' : ''}:`);
+      found.forEach((entry, index) => {
+        console.log(`\n${index + 1}. ${entry.components.map(component => `${component.name} (${component.path || component.type})`).join(' → ')}`);
+        console.log(`   Suggested cut: ${describeEdge(entry.suggestedCut, entry.components)}`);
+      });
+    }
+
+    process.exitCode = found.length > 0 ? 1 : 0;
+  } catch (error) {
+    console.error('❌ Cycle check failed:', error.message);
+    process.exitCode = 2;
+  } finally {
+    await db.close();
+  }
+}
+
+checkCycles();
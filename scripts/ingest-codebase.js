@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+
+import path from 'path';
+import { GraphDatabase } from '../src/database.js';
+import { CodebaseIngester, DEFAULT_EXTENSIONS, DEFAULT_EXCLUDES } from '../src/ingest.js';
+
+function printUsage() {
+  console.log('Usage: node scripts/ingest-codebase.js <directory> [options]');
+  console.log('');
+  console.log('Options:');
+  console.log('  --codebase <name>        Codebase tag (default: directory name)');
+  console.log(`  --extensions <list>      Comma-separated extensions (default: ${DEFAULT_EXTENSIONS.join(',')})`);
+  console.log(`  --exclude <list>         Comma-separated directory names to skip (default: ${DEFAULT_EXCLUDES.join(',')})`);
+  console.log('  --incremental            Only sync files added, changed, removed or renamed since the last ingestion');
+  console.log('  --dry-run                Parse and report without writing to the database');
+}
+
+function parseArgs(argv) {
+  const args = { dryRun: false, incremental: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '--codebase':
+        args.codebase = argv[++i];
+        break;
+      case '--extensions':
+        args.extensions = argv[++i].split(',').map(ext => ext.trim()).filter(Boolean);
+        break;
+      case '--exclude':
+        args.exclude = argv[++i].split(',').map(name => name.trim()).filter(Boolean);
+        break;
+      case '--incremental':
+        args.incremental = true;
+        break;
+      case '--dry-run':
+        args.dryRun = true;
+        break;
+      case '--help':
+      case '-h':
+        args.help = true;
+        break;
+      default:
+        args.rootDir = arg;
+    }
+  }
+  return args;
+}
+
+async function ingestCodebase() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help || !args.rootDir) {
+    printUsage();
+    process.exit(args.help ? 0 : 1);
+  }
+
+  const codebase = args.codebase || path.basename(path.resolve(args.rootDir));
+  const db = new GraphDatabase();
+
+  try {
+    if (!args.dryRun || args.incremental) {
+      console.log('Connecting to Neo4j database...');
+      const connected = await db.verifyConnection();
+      if (!connected) {
+        console.error('❌ Failed to connect to Neo4j database.');
+        console.error('Please ensure Neo4j is running on bolt://localhost:7687');
+        process.exit(1);
+      }
+      await db.initializeSchema();
+      console.log('✅ Connected to Neo4j database');
+    }
+
+    const ingester = new CodebaseIngester(db, {
+      ...(args.extensions && { extensions: args.extensions }),
+      ...(args.exclude && { exclude: args.exclude })
+    });
+
+    const action = args.incremental ? 'Syncing' : 'Ingesting';
+    console.log(`${action} ${path.resolve(args.rootDir)} as codebase '${codebase}'${args.dryRun ? ' (dry run)' : ''}...`);
+    const options = {
+      codebase,
+      dryRun: args.dryRun,
+      metadata: { source: 'ingest-cli' }
+    };
+    const summary = args.incremental
+      ? await ingester.sync(args.rootDir, options)
+      : await ingester.ingest(args.rootDir, options);
+
+    if (args.incremental) {
+      console.log('\nFiles:', summary.files);
+      summary.changes.forEach(change => {
+        console.log(`- ${change.status}: ${change.previousPath ? `${change.previousPath} -> ` : ''}${change.path}`);
+      });
+    } else {
+      console.log(`\nFiles parsed: ${summary.files}`);
+    }
+    console.log('Components:', summary.components);
+    console.log('Relationships:', summary.relationships);
+    if (summary.parseErrors.length > 0) {
+      console.warn(`\n⚠️  ${summary.parseErrors.length} files could not be parsed:`);
+      summary.parseErrors.forEach(entry => console.warn(`- ${entry.path}: ${entry.error}`));
+    }
+
+    console.log(args.dryRun ? '\nDry run complete, nothing was written.' : '\n🎉 Ingestion completed successfully!');
+  } catch (error) {
+    console.error('❌ Ingestion failed:', error.message);
+    process.exit(1);
+  } finally {
+    await db.close();
+  }
+}
+
+ingestCodebase();
@@ -0,0 +1,141 @@
+/**
+ * Architecture Rules
+ * Declarative forbidden-dependency rules evaluated against the graph and, optionally,
+ * against relationships as they are written.
+ *
+ * Rules file (JSON, see ARCHITECTURE_RULES_FILE):
+ * {
+ *   "rules": [
+ *     {
+ *       "id": "ui-not-db",
+ *       "description": "UI code must not depend on the database layer",
+ *       "from": { "codebase": "web", "path": "src/ui/**" },
+ *       "to": { "path": "src/db/**" },
+ *       "relationshipTypes": ["DEPENDS_ON", "IMPORTS"]
+ *     },
+ *     { "id": "module-not-system", "from": { "type": "MODULE" }, "to": { "type": "SYSTEM" }, "relationshipTypes": ["IMPORTS"] }
+ *   ]
+ * }
+ */
+
+import { readFileSync } from 'fs';
+import { z } from 'zod';
+import { ComponentType, RelationshipType } from './models.js';
+import { globToRegex } from './component-filters.js';
+
+export const ENFORCEMENT_MODES = ['off', 'warn', 'reject'];
+
+const oneOrMany = schema => z.union([schema, z.array(schema).min(1)]).optional();
+
+export const SelectorSchema = z.object({
+  codebase: oneOrMany(z.string()),
+  type: oneOrMany(z.nativeEnum(ComponentType)),
+  path: oneOrMany(z.string()),
+  name: oneOrMany(z.string())
+}).strict();
+
+export const RuleSchema = z.object({
+  id: z.string().min(1),
+  description: z.string().optional(),
+  severity: z.enum(['error', 'warning']).default('error'),
+  from: SelectorSchema.default({}),
+  to: SelectorSchema.default({}),
+  relationshipTypes: z.array(z.nativeEnum(RelationshipType)).min(1).optional()
+}).strict();
+
+const RulesFileSchema = z.object({
+  rules: z.array(RuleSchema)
+});
+
+const asList = value => (value === undefined ? [] : [].concat(value));
+
+/**
+ * Check whether a component matches a rule selector; an empty selector matches everything
+ * @param {Object} component - Component properties
+ * @param {Object} selector - { codebase, type, path, name }, each a value or list of alternatives
+ */
+export function matchesSelector(component, selector = {}) {
+  const checks = [
+    [selector.codebase, value => component.codebase === value],
+    [selector.type, value => component.type === value],
+    [selector.path, glob => typeof component.path === 'string' && new RegExp(globToRegex(glob)).test(component.path)],
+    [selector.name, glob => typeof component.name === 'string' && new RegExp(globToRegex(glob)).test(component.name)]
+  ];
+  return checks.every(([values, test]) => values === undefined || asList(values).some(test));
+}
+
+/**
+ * Validate rules, accepting either { rules: [...] } or a bare array
+ * @returns {Object[]} Rules with defaults applied
+ */
+export function parseRules(definition) {
+  const parsed = RulesFileSchema.safeParse(Array.isArray(definition) ? { rules: definition } : definition);
+  if (!parsed.success) {
+    const issue = parsed.error.issues[0];
+    throw new Error(`Invalid architecture rules at ${issue.path.join('.') || 'root'}: ${issue.message}`);
+  }
+  return parsed.data.rules;
+}
+
+/**
+ * Read and validate a rules file
+ */
+export function loadRulesFile(filePath) {
+  let definition;
+  try {
+    definition = JSON.parse(readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read architecture rules from ${filePath}: ${error.message}`);
+  }
+  return parseRules(definition);
+}
+
+export class ArchitectureRules {
+  /**
+   * @param {Object[]} rules - Validated rules
+   * @param {string} mode - Write-time enforcement: 'off', 'warn' or 'reject'
+   */
+  constructor(rules = [], mode = 'off') {
+    if (!ENFORCEMENT_MODES.includes(mode)) {
+      throw new Error(`Invalid architecture rules mode: ${mode}. Use ${ENFORCEMENT_MODES.join(', ')}`);
+    }
+    this.rules = rules;
+    this.mode = mode;
+  }
+
+  /**
+   * Load rules from ARCHITECTURE_RULES_FILE with ARCHITECTURE_RULES_MODE enforcement (default: warn when a file is set)
+   */
+  static fromEnvironment(env = process.env) {
+    if (!env.ARCHITECTURE_RULES_FILE) {
+      return new ArchitectureRules([], 'off');
+    }
+    return new ArchitectureRules(loadRulesFile(env.ARCHITECTURE_RULES_FILE), env.ARCHITECTURE_RULES_MODE || 'warn');
+  }
+
+  get enforced() {
+    return this.mode !== 'off' && this.rules.length > 0;
+  }
+
+  /**
+   * List the rules a single edge breaks
+   * @param {Object} source - Source component properties
+   * @param {Object} target - Target component properties
+   * @param {string} relationshipType - Relationship type
+   * @returns {Object[]} Violations as { ruleId, description, severity }
+   */
+  checkEdge(source, target, relationshipType, rules = this.rules) {
+    return rules
+      .filter(rule => !rule.relationshipTypes || rule.relationshipTypes.includes(relationshipType))
+      .filter(rule => matchesSelector(source, rule.from) && matchesSelector(target, rule.to))
+      .map(rule => ({ ruleId: rule.id, description: rule.description || null, severity: rule.severity }));
+  }
+}
+
+/**
+ * Describe violations in one line for warnings and errors
+ */
+export function formatViolations(violations, relationshipType, source, target) {
+  const rules = violations.map(violation => violation.description ? `${violation.ruleId} (${violation.description})` : violation.ruleId);
+  return `${source.name} -[${relationshipType}]-> ${target.name} violates architecture rule ${rules.join(', ')}`;
+}
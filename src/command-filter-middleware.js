@@ -1,6 +1,6 @@
 /**
  * Command Filter Middleware
- * Intercepts and filters MCP tool calls based on environment configuration and presets.
+ * Intercepts and filters MCP tool calls and REST routes based on environment configuration and presets.
  */
 
 import { commandFilter } from './command-filter.js';
@@ -9,36 +9,61 @@ import { commandFilter } from './command-filter.js';
  * MCP command handler for middleware integration
  * @param {string} commandName - Name of the command to execute
  * @param {Object} args - Command arguments
+ * @param {Function} execute - Executes the command once the filter has allowed it
+ * @param {CommandFilterSystem} filter - Filter to validate against (defaults to the shared instance)
  * @returns {Object} Result or throws an error if command not allowed
  */
-export async function handleMcpCommand(commandName, args) {
+export async function handleMcpCommand(commandName, args, execute, filter = commandFilter) {
   try {
-    commandFilter.validateCommand(commandName, args);
-
-    // Forward the command to actual execution
-    const result = await executeMcpCommand(commandName, args); // This should be the MCP actual execution method
-
-    return result;
+    filter.validateCommand(commandName, args);
   } catch (error) {
-    // Different handling for filtered commands, depending on application logic
     if (error.code === 'COMMAND_FILTERED') {
-      console.error(`[MCP Filter] Command filtered: ${error.message}`, error.filterResult);
-      throw error;
+      console.error(`[MCP Filter] Command filtered: ${error.message}`);
     }
-
     throw error;
   }
+
+  return await execute(commandName, args);
 }
 
 /**
- * Placeholder for actual MCP command execution function
- * Ideally, this would be replaced with the actual implementation that integrates with MCP execution logic
- * @param {string} commandName - Name of command
- * @param {Object} args - Command arguments
- * @returns {Object} Result of the actual MCP command execution
+ * Remove tool definitions the filter does not allow
+ * @param {Object[]} tools - MCP tool definitions
+ * @param {CommandFilterSystem} filter - Filter to check against (defaults to the shared instance)
+ * @returns {Object[]} Tool definitions that are allowed
+ */
+export function filterToolList(tools, filter = commandFilter) {
+  return tools.filter(tool => filter.isCommandAllowed(tool.name));
+}
+
+/**
+ * Create Express middleware that guards a REST route with the MCP command it mirrors
+ * @param {string} commandName - Name of the equivalent MCP command
+ * @param {CommandFilterSystem} filter - Filter to validate against (defaults to the shared instance)
+ * @returns {Function} Express middleware responding 403 with the filter result when denied
  */
-async function executeMcpCommand(commandName, args) {
-  // Placeholder logic - to be replaced with real command execution
-  console.log(`[MCP Execution] Executing command: ${commandName}`, args);
-  return { success: true, commandName, ...args };
+export function createRouteFilter(commandName, filter = commandFilter) {
+  return (req, res, next) => {
+    const args = {
+      ...req.params,
+      ...req.query,
+      ...(req.body && typeof req.body === 'object' ? req.body : {})
+    };
+
+    try {
+      filter.validateCommand(commandName, args);
+    } catch (error) {
+      if (error.code !== 'COMMAND_FILTERED') {
+        return next(error);
+      }
+      console.error(`[HTTP Filter] ${req.method} ${req.path} filtered: ${error.message}`);
+      return res.status(403).json({
+        success: false,
+        error: error.message,
+        filterResult: error.filterResult
+      });
+    }
+
+    next();
+  };
 }
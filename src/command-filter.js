@@ -148,6 +148,10 @@ export class CommandFilterSystem {
       this.allowedCommands.delete(cmd);
       this.deniedCommands.add(cmd);
     });
+
+    if (!this.hasWhitelist()) {
+      console.warn('[Command Filter] Whitelist mode without MCP_ALLOWED_COMMANDS or MCP_ALLOWED_GROUPS denies every command. Configure a whitelist, choose a preset, or set MCP_FILTER_MODE=none to allow everything.');
+    }
   }
 
   /**
@@ -217,6 +221,17 @@ export class CommandFilterSystem {
     }
   }
 
+  /**
+   * Check whether whitelist mode has any allowed commands or groups configured.
+   * An empty whitelist denies every command; allowing everything takes MCP_FILTER_MODE=none.
+   * @returns {boolean} True if allowed commands or groups are configured
+   */
+  hasWhitelist() {
+    const allowedGroups = this.config.allowedGroups || [];
+    const allowedCommands = this.config.allowedCommands || [];
+    return allowedGroups.length > 0 || allowedCommands.length > 0;
+  }
+
   /**
    * Filter a command and return result with details
    * @param {string} commandName - Name of the command to filter
@@ -281,6 +296,8 @@ export class CommandFilterSystem {
     } else {
       if (this.deniedCommands.has(commandName)) {
         return 'Command explicitly denied';
+      } else if (this.config.filterMode === 'whitelist' && !this.hasWhitelist()) {
+        return 'No whitelist configured; every command is denied';
       } else if (this.config.filterMode === 'whitelist' || this.config.filterMode === 'preset') {
         return 'Command not in whitelist';
       } else {
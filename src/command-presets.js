@@ -11,15 +11,28 @@ export const COMMAND_GROUPS = {
   read: [
     'get_component',
     'search_components',
+    'search',
+    'query_pattern',
     'get_component_relationships',
+    'get_relationship',
     'get_dependency_tree',
+    'traverse_graph',
+    'get_impact_analysis',
+    'find_cycles',
+    'find_paths',
+    'check_architecture_rules',
+    'suggest_modules',
     'get_task',
     'get_tasks',
+    'get_context_subgraph',
     'get_node_comments',
     'get_comment',
     'get_codebase_overview',
+    'get_codebase_dependency_map',
     'get_change_history',
     'list_snapshots',
+    'diff_snapshots',
+    'list_namespaces',
     'get_history_stats',
     'get_waiting_agents',
     'get_pending_commands',
@@ -33,7 +46,10 @@ export const COMMAND_GROUPS = {
     'update_component',
     'delete_component',
     'get_component',
-    'search_components'
+    'search_components',
+    'search',
+    'upsert_component',
+    'upsert_components_bulk'
   ],
 
   // Task management operations
@@ -42,6 +58,7 @@ export const COMMAND_GROUPS = {
     'create_tasks_bulk',
     'get_task',
     'get_tasks',
+    'get_context_subgraph',
     'update_task_status'
   ],
 
@@ -58,6 +75,11 @@ export const COMMAND_GROUPS = {
   relationships: [
     'create_relationship',
     'create_relationships_bulk',
+    'upsert_relationship',
+    'upsert_relationships_bulk',
+    'get_relationship',
+    'update_relationship',
+    'delete_relationship',
     'get_component_relationships',
     'get_dependency_tree'
   ],
@@ -70,34 +92,63 @@ export const COMMAND_GROUPS = {
     'delete_component',
     'create_relationship',
     'create_relationships_bulk',
+    'update_relationship',
+    'delete_relationship',
     'create_task',
     'create_tasks_bulk',
     'update_task_status',
+    'revert_change',
     'create_node_comment',
     'update_comment',
-    'delete_comment'
+    'delete_comment',
+    'upsert_component',
+    'upsert_components_bulk',
+    'upsert_relationship',
+    'upsert_relationships_bulk',
+    'ingest_codebase',
+    'write_component_metrics',
+    'clean_orphans'
   ],
 
   // Analysis and reporting operations
   analysis: [
     'get_codebase_overview',
+    'get_codebase_dependency_map',
     'get_dependency_tree',
+    'traverse_graph',
+    'get_impact_analysis',
+    'find_cycles',
+    'find_paths',
+    'check_architecture_rules',
+    'get_component_metrics',
+    'find_orphans',
+    'suggest_modules',
+    'get_context_subgraph',
     'get_component_relationships',
     'search_components',
+    'search',
+    'query_pattern',
     'get_change_history',
+    'diff_snapshots',
     'get_history_stats'
   ],
 
-  // History and snapshot operations
+  // History and snapshot reads; snapshots can be taken, but restores, replays and reverts
+  // change the graph and live in write and admin
   history: [
     'get_change_history',
     'create_snapshot',
     'list_snapshots',
-    'restore_snapshot',
-    'replay_to_timestamp',
+    'diff_snapshots',
+    'list_namespaces',
     'get_history_stats'
   ],
 
+  // Arbitrary read-only Cypher; kept apart from read so presets opt in explicitly
+  query: [
+    'run_graph_query'
+  ],
+
   // Command queue operations
   queue: [
     'wait_for_command',
@@ -114,6 +165,10 @@ export const COMMAND_GROUPS = {
     'delete_component',
     'restore_snapshot',
     'replay_to_timestamp',
+    'promote_namespace',
+    'drop_namespace',
+    'revert_session',
+    'clean_orphans',
     'cancel_command',
     'cancel_wait'
   ],
@@ -130,7 +185,20 @@ export const COMMAND_GROUPS = {
   bulk: [
     'create_components_bulk',
     'create_relationships_bulk',
-    'create_tasks_bulk'
+    'create_tasks_bulk',
+    'upsert_components_bulk',
+    'upsert_relationships_bulk',
+    'ingest_codebase'
+  ],
+
+  // Type proposal and voting operations; the tools only exist with ENABLE_VOTING=true
+  voting: [
+    'propose_type',
+    'vote_on_type',
+    'get_proposed_types',
+    'get_proposed_type',
+    'apply_approved_type',
+    'get_voting_stats'
   ],
 
   // Linear integration operations
@@ -178,7 +246,7 @@ export const PRESETS = {
   // Development environment with full access
   development: {
     description: 'Full access for development environment',
-    allowedGroups: ['read', 'write', 'components', 'tasks', 'relationships', 'comments', 'analysis', 'history', 'queue', 'docs', 'bulk'],
+    allowedGroups: ['read', 'write', 'components', 'tasks', 'relationships', 'comments', 'analysis', 'history', 'queue', 'docs', 'bulk', 'query', 'admin', 'voting'],
     blockedGroups: [],
     allowedCommands: [],
     blockedCommands: []
@@ -190,7 +258,7 @@ export const PRESETS = {
     allowedGroups: ['read', 'analysis', 'comments', 'docs'],
     blockedGroups: ['admin', 'bulk'],
     allowedCommands: ['create_task', 'update_task_status', 'create_node_comment'],
-    blockedCommands: ['delete_component', 'restore_snapshot', 'replay_to_timestamp']
+    blockedCommands: ['delete_component', 'restore_snapshot', 'replay_to_timestamp', 'promote_namespace']
   },
 
   // Analysis and reporting focused
@@ -0,0 +1,193 @@
+/**
+ * Component Filters
+ * Compiles structured predicates on built-in properties and metadata keys into a Cypher
+ * WHERE clause. Property names are checked against a whitelist or a key pattern and values
+ * are always passed as parameters, so nothing from a filter is interpolated into the query.
+ */
+
+// Built-in properties that can be filtered on, with the expression each one reads
+const BUILT_IN_FIELDS = {
+  id: alias => `${alias}.id`,
+  type: alias => `${alias}.type`,
+  name: alias => `${alias}.name`,
+  description: alias => `${alias}.description`,
+  path: alias => `${alias}.path`,
+  codebase: alias => `${alias}.codebase`,
+  created: alias => `${alias}.created`,
+  updated: alias => `coalesce(${alias}.updated, ${alias}.created)`
+};
+
+const TIMESTAMP_FIELDS = ['created', 'updated'];
+
+// Properties derived or maintained by the server, never addressable as metadata
+const RESERVED_METADATA_KEYS = [...Object.keys(BUILT_IN_FIELDS), 'metadataText', 'naturalKey', 'shadowNamespace'];
+
+const METADATA_KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+export const FILTER_OPERATORS = ['eq', 'prefix', 'in', 'range', 'glob', 'exists'];
+const RANGE_BOUNDS = { gt: '>', gte: '>=', lt: '<', lte: '<=' };
+
+const MAX_PREDICATES = 100;
+const MAX_DEPTH = 8;
+
+// Messages of the errors a malformed filter raises, so callers can report them as bad requests
+export const FILTER_ERROR_PATTERN = /^(Filter field must be|Invalid (metadata key|filter field|filter operator)|\w+ is not a metadata key|Filters may contain|(eq|prefix|in|range|glob) on \S+ needs|\w+ bounds must be|Each filter must be|Filter groups may be|A filter is either|(and|or) needs a non-empty array)/;
+
+/**
+ * Translate a path glob into an anchored regular expression
+ * `**` matches across directories, `*` and `?` stay within one path segment. Returns the
+ * pattern source, which Cypher's =~ and the architecture rule selectors both use.
+ */
+export function globToRegex(glob) {
+  let pattern = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      // `**/` also matches no directory at all, so src/**/a.js matches src/a.js
+      if (glob[i + 2] === '/') {
+        pattern += '(?:.*/)?';
+        i += 2;
+      } else {
+        pattern += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      pattern += '[^/]*';
+    } else if (char === '?') {
+      pattern += '[^/]';
+    } else {
+      pattern += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return `^${pattern}$`;
+}
+
+/**
+ * Cypher expression reading a filterable field of a component
+ * Metadata keys are passed through param, which returns the parameter reference for a value.
+ * @param {string} field - Built-in property or metadata.<key>
+ * @param {string} alias - Variable bound to the component node
+ * @param {Function} param - Registers a parameter value and returns its $reference
+ */
+export function componentFieldExpression(field, alias, param) {
+  if (typeof field !== 'string') {
+    throw new Error('Filter field must be a string');
+  }
+  if (BUILT_IN_FIELDS[field]) {
+    return BUILT_IN_FIELDS[field](alias);
+  }
+  if (field.startsWith('metadata.')) {
+    const key = field.slice('metadata.'.length);
+    if (!METADATA_KEY_PATTERN.test(key)) {
+      throw new Error(`Invalid metadata key: ${key}. Keys may contain letters, digits and underscores`);
+    }
+    if (RESERVED_METADATA_KEYS.includes(key)) {
+      throw new Error(`${key} is not a metadata key; filter on ${BUILT_IN_FIELDS[key] ? key : 'another field'} instead`);
+    }
+    return `${alias}[${param(key)}]`;
+  }
+  throw new Error(`Invalid filter field: ${field}. Use ${Object.keys(BUILT_IN_FIELDS).join(', ')} or metadata.<key>`);
+}
+
+/**
+ * Compile a filter tree into a WHERE condition
+ * A filter is a predicate { field, op, value } or a group { and: [...] } / { or: [...] }.
+ * Fields are built-in properties (id, type, name, description, path, codebase, created,
+ * updated) or metadata keys written as metadata.<key>.
+ * @param {Object} where - Filter tree
+ * @param {string} alias - Variable bound to the component node
+ * @param {string} prefix - Parameter name prefix, for combining several filters in one query
+ * @returns {{clause: string, params: Object}} Condition (without WHERE) and its parameters
+ */
+export function compileComponentFilter(where, alias = 'c', prefix = 'where') {
+  const params = {};
+  let predicates = 0;
+
+  const param = value => {
+    const name = `${prefix}${Object.keys(params).length}`;
+    params[name] = value;
+    return `$${name}`;
+  };
+
+  // Timestamps are stored as datetimes; bounds may be ISO strings or epoch milliseconds
+  const comparable = (field, value) => {
+    if (!TIMESTAMP_FIELDS.includes(field)) {
+      return param(value);
+    }
+    if (typeof value === 'number') {
+      return `datetime({epochMillis: ${param(Math.trunc(value))}})`;
+    }
+    if (typeof value === 'string') {
+      return `datetime(${param(value)})`;
+    }
+    throw new Error(`${field} bounds must be ISO date strings or epoch milliseconds`);
+  };
+
+  const compilePredicate = ({ field, op = 'eq', value }) => {
+    if (++predicates > MAX_PREDICATES) {
+      throw new Error(`Filters may contain at most ${MAX_PREDICATES} predicates`);
+    }
+    const expression = componentFieldExpression(field, alias, param);
+
+    switch (op) {
+      case 'eq':
+        if (value === undefined || value === null) {
+          throw new Error(`eq on ${field} needs a value; use exists to match missing properties`);
+        }
+        return `${expression} = ${comparable(field, value)}`;
+      case 'prefix':
+        if (typeof value !== 'string') {
+          throw new Error(`prefix on ${field} needs a string value`);
+        }
+        return `${expression} STARTS WITH ${param(value)}`;
+      case 'in':
+        if (!Array.isArray(value) || value.length === 0) {
+          throw new Error(`in on ${field} needs a non-empty array`);
+        }
+        return TIMESTAMP_FIELDS.includes(field)
+          ? `(${value.map(item => `${expression} = ${comparable(field, item)}`).join(' OR ')})`
+          : `${expression} IN ${param(value)}`;
+      case 'range': {
+        const bounds = Object.entries(value || {});
+        if (bounds.length === 0 || bounds.some(([bound, limit]) => !RANGE_BOUNDS[bound] || limit === undefined || limit === null)) {
+          throw new Error(`range on ${field} needs at least one of ${Object.keys(RANGE_BOUNDS).join(', ')}`);
+        }
+        return `(${bounds.map(([bound, limit]) => `${expression} ${RANGE_BOUNDS[bound]} ${comparable(field, limit)}`).join(' AND ')})`;
+      }
+      case 'glob':
+        if (typeof value !== 'string') {
+          throw new Error(`glob on ${field} needs a string pattern`);
+        }
+        return `${expression} =~ ${param(globToRegex(value))}`;
+      case 'exists':
+        return value === false ? `${expression} IS NULL` : `${expression} IS NOT NULL`;
+      default:
+        throw new Error(`Invalid filter operator: ${op}. Use ${FILTER_OPERATORS.join(', ')}`);
+    }
+  };
+
+  const compile = (node, depth) => {
+    if (!node || typeof node !== 'object' || Array.isArray(node)) {
+      throw new Error('Each filter must be an object');
+    }
+    if (depth > MAX_DEPTH) {
+      throw new Error(`Filter groups may be nested at most ${MAX_DEPTH} levels deep`);
+    }
+    const groups = ['and', 'or'].filter(key => key in node);
+    if (groups.length > 1 || (groups.length === 1 && 'field' in node)) {
+      throw new Error('A filter is either a predicate or a single and/or group');
+    }
+    if (groups.length === 0) {
+      return compilePredicate(node);
+    }
+
+    const operator = groups[0];
+    const children = node[operator];
+    if (!Array.isArray(children) || children.length === 0) {
+      throw new Error(`${operator} needs a non-empty array of filters`);
+    }
+    return `(${children.map(child => compile(child, depth + 1)).join(` ${operator.toUpperCase()} `)})`;
+  };
+
+  return { clause: compile(where, 1), params };
+}
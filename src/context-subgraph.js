@@ -0,0 +1,99 @@
+/**
+ * Context Subgraph
+ * Ranking, pruning and rendering of the neighbourhood of a task or components, sized to fit
+ * an agent's context window.
+ */
+
+/**
+ * Score components by closeness to the seeds and how connected they are within the neighbourhood
+ * Seeds always score highest; a component one hop away scores 1/2, two hops 1/3, and each
+ * relationship to another reached component adds a little.
+ * @param {Object[]} nodes - Reached components with depth (0 for seeds)
+ * @param {Object[]} edges - Edges between reached components
+ * @returns {Map<string, number>} Score per component id
+ */
+export function scoreContextComponents(nodes, edges) {
+  const degree = new Map(nodes.map(node => [node.id, 0]));
+  for (const edge of edges) {
+    if (degree.has(edge.sourceId) && degree.has(edge.targetId) && edge.sourceId !== edge.targetId) {
+      degree.set(edge.sourceId, degree.get(edge.sourceId) + 1);
+      degree.set(edge.targetId, degree.get(edge.targetId) + 1);
+    }
+  }
+  return new Map(nodes.map(node => [
+    node.id,
+    node.depth === 0 ? Infinity : 1 / (node.depth + 1) + 0.05 * Math.log2(1 + degree.get(node.id))
+  ]));
+}
+
+/**
+ * Keep the best scoring components that fit the budget
+ * A component is only kept once something it is related to is kept, so the result stays
+ * connected to the seeds. Seeds are always kept, even beyond the budget.
+ * @returns {{nodes: Object[], edges: Object[]}} Kept components (highest score first) and the edges between them
+ */
+export function pruneContext(nodes, edges, budget) {
+  const scores = scoreContextComponents(nodes, edges);
+  const ranked = [...nodes].sort((a, b) => scores.get(b.id) - scores.get(a.id) || a.depth - b.depth || String(a.name).localeCompare(String(b.name)));
+  const neighbours = new Map(nodes.map(node => [node.id, new Set()]));
+  for (const edge of edges) {
+    neighbours.get(edge.sourceId)?.add(edge.targetId);
+    neighbours.get(edge.targetId)?.add(edge.sourceId);
+  }
+
+  const kept = new Set(ranked.filter(node => node.depth === 0).map(node => node.id));
+  let added = true;
+  while (added && kept.size < budget) {
+    added = false;
+    for (const node of ranked) {
+      if (!kept.has(node.id) && [...neighbours.get(node.id)].some(id => kept.has(id))) {
+        kept.add(node.id);
+        added = true;
+        break;
+      }
+    }
+  }
+
+  return {
+    nodes: ranked.filter(node => kept.has(node.id)).map(node => ({ ...node, score: Number.isFinite(scores.get(node.id)) ? scores.get(node.id) : null })),
+    edges: edges.filter(edge => kept.has(edge.sourceId) && kept.has(edge.targetId))
+  };
+}
+
+const truncate = (text, length) => (text && text.length > length ? `${text.slice(0, length - 1)}…` : text || '');
+
+/**
+ * Render a context subgraph as compact text, one line per item
+ */
+export function renderContextText(context) {
+  const names = new Map(context.components.map(component => [component.id, component.name]));
+  const lines = [];
+
+  if (context.task) {
+    const { name, status, description } = context.task;
+    lines.push(`Task: ${name} [${status}]${description ? ` - ${truncate(description, 200)}` : ''}`);
+  }
+  lines.push(`Components (${context.components.length} of ${context.reached} within ${context.maxDepth} hops${context.truncated ? ', pruned' : ''}):`);
+  for (const component of context.components) {
+    const location = component.path ? ` ${component.path}` : '';
+    lines.push(`- ${component.seed ? '* ' : ''}${component.name} (${component.type})${location} #${component.id}`);
+  }
+
+  if (context.relationships.length > 0) {
+    lines.push('Relationships:');
+    context.relationships.forEach(edge => lines.push(`- ${names.get(edge.sourceId)} -${edge.type}-> ${names.get(edge.targetId)}`));
+  }
+  if (context.openTasks.length > 0) {
+    lines.push('Open tasks:');
+    context.openTasks.forEach(task => lines.push(
+      `- ${task.name} [${task.status}] on ${task.componentIds.map(id => names.get(id)).join(', ')} #${task.id}`
+    ));
+  }
+  if (context.comments.length > 0) {
+    lines.push('Comments:');
+    context.comments.forEach(comment => lines.push(
+      `- ${names.get(comment.nodeId) || 'task'} (${comment.author}): ${truncate(comment.content.replace(/\s+/g, ' '), 200)}`
+    ));
+  }
+  return lines.join('\n');
+}
@@ -1,12 +1,127 @@
 import neo4j from 'neo4j-driver';
 import { v4 as uuidv4 } from 'uuid';
-import { Component, Relationship, Task } from './models.js';
+import { Component, Relationship, RelationshipSchema, Task } from './models.js';
 import { ChangeHistory } from './history.js';
+import { GraphAnalysis } from './graph-analysis.js';
+import { ArchitectureRules, formatViolations } from './architecture-rules.js';
+import {
+  FULLTEXT_INDEXES,
+  SEARCH_ENTITIES,
+  metadataTextExpression,
+  fulltextIndexStatement,
+  escapeLucene,
+  queryTerms,
+  matchSnippet
+} from './search.js';
+import { resolvePage, pageResult } from './pagination.js';
+import { compileComponentFilter } from './component-filters.js';
+import {
+  DEFAULT_QUERY_LIMIT,
+  MAX_QUERY_LIMIT,
+  DEFAULT_QUERY_TIMEOUT,
+  MAX_QUERY_TIMEOUT,
+  assertReadOnlyQuery,
+  toQueryParams,
+  toPlainResult
+} from './graph-query.js';
+import { compilePattern } from './graph-pattern.js';
+
+/**
+ * Cypher expression for the upsert natural key (codebase, type, path, name) as one string
+ * Upserts MERGE on it so the component_natural_key_unique constraint serialises concurrent
+ * writers. Arguments are Cypher expressions; missing parts count as empty.
+ */
+function naturalKeyExpression(codebase, type, path, name) {
+  return [codebase, type, path, name].map(part => `coalesce(${part}, '')`).join(" + '\\u001f' + ");
+}
+
+// Components that already carry a natural key keep it in step with their properties
+const REFRESH_NATURAL_KEY = `c.naturalKey = CASE WHEN c.naturalKey IS NULL THEN NULL ELSE ${naturalKeyExpression('c.codebase', 'c.type', 'c.path', 'c.name')} END`;
+
+// Orderings accepted by the paged listings
+const COMPONENT_ORDERING = {
+  fields: {
+    name: 'c.name',
+    created: 'c.created',
+    updated: 'coalesce(c.updated, c.created)',
+    type: 'c.type',
+    path: "coalesce(c.path, '')",
+    codebase: "coalesce(c.codebase, '')"
+  },
+  temporal: ['created', 'updated'],
+  orderBy: 'name',
+  direction: 'asc',
+  tiebreaker: 'c.id'
+};
+
+const TASK_ORDERING = {
+  fields: {
+    created: 't.created',
+    updated: 'coalesce(t.updated, t.created)',
+    name: 't.name',
+    status: 't.status',
+    progress: 'coalesce(t.progress, 0.0)'
+  },
+  temporal: ['created', 'updated'],
+  orderBy: 'created',
+  direction: 'desc',
+  tiebreaker: 't.id'
+};
+
+const COMMENT_ORDERING = {
+  fields: { created: 'c.created', updated: 'coalesce(c.updated, c.created)', author: "coalesce(c.author, '')" },
+  orderBy: 'created',
+  direction: 'desc',
+  tiebreaker: 'c.id'
+};
+
+// How each searchable entity finds its codebase, component type and result fields
+const SEARCH_SCOPES = {
+  component: {
+    match: '',
+    owner: 'null',
+    codebase: 'node.codebase',
+    type: 'node.type',
+    summarize: ({ id, name, type, codebase, path }) => ({ id, name, type, codebase: codebase || null, path: path || null })
+  },
+  task: {
+    match: '',
+    owner: 'null',
+    codebase: 'node.codebase',
+    type: 'null',
+    summarize: ({ id, name, status, codebase }) => ({ id, name, status, codebase: codebase || null })
+  },
+  comment: {
+    match: 'OPTIONAL MATCH (owner)-[:HAS_COMMENT]->(node) WHERE owner:Component OR owner:Task',
+    owner: 'owner',
+    codebase: 'owner.codebase',
+    type: 'null',
+    summarize: ({ id, author, created }, owner) => ({
+      id,
+      author,
+      created,
+      nodeId: owner ? owner.id : null,
+      nodeName: owner ? owner.name : null,
+      codebase: owner ? owner.codebase || null : null
+    })
+  }
+};
+
+// Compare a stored property with an incoming value, treating Neo4j integers as numbers and lists element-wise
+function samePropertyValue(stored, value) {
+  if (Array.isArray(stored) || Array.isArray(value)) {
+    return Array.isArray(stored) && Array.isArray(value) && stored.length === value.length &&
+      stored.every((item, i) => samePropertyValue(item, value[i]));
+  }
+  return (neo4j.isInt(stored) ? stored.toNumber() : stored) === value;
+}
 
 export class GraphDatabase {
   constructor(uri = 'bolt://localhost:7687', username = 'neo4j', password = 'password') {
     this.driver = neo4j.driver(uri, neo4j.auth.basic(username, password));
     this.history = new ChangeHistory(this);
+    this.analysis = new GraphAnalysis(this);
+    this.architectureRules = ArchitectureRules.fromEnvironment();
   }
 
   async close() {
@@ -37,9 +152,17 @@ export class GraphDatabase {
       await session.run('CREATE INDEX component_type IF NOT EXISTS FOR (c:Component) ON (c.type)');
       await session.run('CREATE INDEX component_codebase IF NOT EXISTS FOR (c:Component) ON (c.codebase)');
       await session.run('CREATE INDEX component_created IF NOT EXISTS FOR (c:Component) ON (c.created)');
+      await session.run('CREATE INDEX component_natural_key IF NOT EXISTS FOR (c:Component) ON (c.codebase, c.type, c.path, c.name)');
+      await session.run('CREATE CONSTRAINT component_natural_key_unique IF NOT EXISTS FOR (c:Component) REQUIRE c.naturalKey IS UNIQUE');
       await session.run('CREATE INDEX task_status IF NOT EXISTS FOR (t:Task) ON (t.status)');
       await session.run('CREATE INDEX task_created IF NOT EXISTS FOR (t:Task) ON (t.created)');
       await session.run('CREATE INDEX comment_created IF NOT EXISTS FOR (c:Comment) ON (c.created)');
+
+      // Full-text indexes for search; metadataText is backfilled for components written before it existed
+      for (const index of Object.values(FULLTEXT_INDEXES)) {
+        await session.run(fulltextIndexStatement(index));
+      }
+      await session.run(`MATCH (c:Component) WHERE c.metadataText IS NULL SET c.metadataText = ${metadataTextExpression('c')}`);
       
       // Initialize change history schema
       await this.history.initializeSchema();
@@ -58,6 +181,7 @@ export class GraphDatabase {
       const result = await session.run(`
         CREATE (c:Component:${component.type})
         SET c = $properties, c.created = datetime()
+        SET c.metadataText = ${metadataTextExpression('c')}
         RETURN c
       `, { properties: nodeData.properties });
       
@@ -91,76 +215,343 @@ export class GraphDatabase {
     }
   }
 
-  async updateComponent(id, updates) {
+  async updateComponent(id, updates, metadata = {}) {
     const session = this.driver.session();
     try {
       const result = await session.run(`
         MATCH (c:Component {id: $id})
-        SET c += $updates, c.updated = datetime()
-        RETURN c
+        WITH c, properties(c) AS before
+        SET c += $updates, c.updated = datetime(), ${REFRESH_NATURAL_KEY}
+        SET c.metadataText = ${metadataTextExpression('c')}
+        RETURN before, c
       `, { id, updates });
-      
-      return result.records[0]?.get('c').properties || null;
+
+      const record = result.records[0];
+      if (!record) {
+        return null;
+      }
+
+      const updatedComponent = record.get('c').properties;
+      await this.history.recordChange(
+        'UPDATE_COMPONENT',
+        'COMPONENT',
+        id,
+        record.get('before'),
+        updatedComponent,
+        metadata
+      );
+
+      return updatedComponent;
     } finally {
       await session.close();
     }
   }
 
-  async deleteComponent(id) {
+  async deleteComponent(id, metadata = {}) {
     const session = this.driver.session();
+    const tx = session.beginTransaction();
     try {
-      await session.run('MATCH (c:Component {id: $id}) DETACH DELETE c', { id });
+      const cascade = await this.getDeleteCascade(tx, [id]);
+      const result = await tx.run(`
+        MATCH (c:Component {id: $id})
+        OPTIONAL MATCH (c)-[:HAS_COMMENT]->(comment:Comment)
+        WITH c, properties(c) AS before, collect(comment) AS comments
+        FOREACH (comment IN comments | DETACH DELETE comment)
+        DETACH DELETE c
+        RETURN before
+      `, { id });
+
+      await tx.commit();
+
+      const before = result.records[0]?.get('before');
+      if (before) {
+        const event = await this.history.recordChange('DELETE_COMPONENT', 'COMPONENT', id, before, null, metadata);
+        await this.recordCascades(cascade, new Map([[id, event.id]]), metadata);
+      }
       return true;
+    } catch (error) {
+      await tx.rollback();
+      throw error;
+    } finally {
+      await session.close();
+    }
+  }
+
+  /**
+   * Everything a delete of these components removes besides the components themselves:
+   * edges to other components, the RELATES_TO links of tasks and the comments on them
+   * @returns {Promise<Object>} { relationships, tasks, comments }; tasks list the linked deleted ids as relatedComponentIds
+   */
+  async getDeleteCascade(tx, componentIds) {
+    const relationships = await tx.run(`
+      MATCH (source:Component)-[r]->(target:Component)
+      WHERE (source.id IN $ids OR target.id IN $ids) AND r.id IS NOT NULL
+      RETURN DISTINCT r, type(r) as type, source.id as sourceId, target.id as targetId,
+             source.name as sourceName, target.name as targetName
+    `, { ids: componentIds });
+    const tasks = await tx.run(`
+      MATCH (t:Task)-[:RELATES_TO]->(c:Component)
+      WHERE c.id IN $ids
+      RETURN t, collect(c.id) AS componentIds
+    `, { ids: componentIds });
+    const comments = await tx.run(`
+      MATCH (c:Component)-[:HAS_COMMENT]->(comment:Comment)
+      WHERE c.id IN $ids
+      RETURN comment, c.id AS nodeId
+    `, { ids: componentIds });
+
+    return {
+      relationships: relationships.records.map(record => this.toRelationshipState(record)),
+      tasks: tasks.records.map(record => ({ ...record.get('t').properties, relatedComponentIds: record.get('componentIds') })),
+      comments: comments.records.map(record => ({ ...record.get('comment').properties, nodeId: record.get('nodeId') }))
+    };
+  }
+
+  // Record what a component delete removed with it so replay and revert can restore it.
+  // Each event points at the delete event of the component it hung off through cascadeOf.
+  async recordCascades({ relationships, tasks, comments }, deleteEventIds, metadata) {
+    const cascadeOf = ids => ({ ...metadata, cascade: true, cascadeOf: ids.map(id => deleteEventIds.get(id)).find(Boolean) });
+
+    for (const relationship of relationships) {
+      await this.history.recordChange(
+        'DELETE_RELATIONSHIP',
+        'RELATIONSHIP',
+        relationship.id,
+        relationship,
+        null,
+        cascadeOf([relationship.sourceId, relationship.targetId])
+      );
+    }
+    // Restoring a task state re-links its relatedComponentIds, so the before state carries the lost links
+    for (const task of tasks) {
+      await this.history.recordChange(
+        'UPDATE_TASK',
+        'TASK',
+        task.id,
+        task,
+        { ...task, relatedComponentIds: [] },
+        cascadeOf(task.relatedComponentIds)
+      );
+    }
+    for (const comment of comments) {
+      await this.history.recordChange('DELETE_COMMENT', 'COMMENT', comment.id, comment, null, cascadeOf([comment.nodeId]));
+    }
+  }
+
+  /**
+   * Search components a page at a time
+   * @param {Object} filters - { type, codebase, name, where }; where is a predicate tree, see component-filters.js
+   * @param {Object} options - { cursor, pageSize, orderBy: name|created|updated|type|path|codebase, direction }
+   */
+  async searchComponentsPage(filters = {}, options = {}) {
+    const { type, codebase, name, where } = filters;
+    const page = resolvePage('components', { type, codebase, name, where }, options, COMPONENT_ORDERING);
+    const predicate = page.filters.where ? compileComponentFilter(page.filters.where, 'c') : null;
+    const params = {
+      type: page.filters.type ?? null,
+      codebase: page.filters.codebase ?? null,
+      name: page.filters.name ?? null,
+      ...predicate?.params
+    };
+    const match = `
+      MATCH (c:Component)
+      WHERE ($type IS NULL OR c.type = $type)
+        AND ($codebase IS NULL OR c.codebase = $codebase)
+        AND ($name IS NULL OR c.name CONTAINS $name)
+        ${predicate ? `AND ${predicate.clause}` : ''}
+    `;
+
+    const session = this.driver.session();
+    try {
+      const count = await session.run(`${match} RETURN count(c) AS total`, params);
+      const result = await session.run(`${match}
+        WITH c, ${page.orderKey} AS orderKey
+        ${page.seekClause}
+        RETURN c, orderKey
+        ${page.orderClause}
+        LIMIT $limit
+      `, { ...params, ...page.seekParams, limit: neo4j.int(page.pageSize + 1) });
+
+      return pageResult(
+        result.records.map(record => ({ item: record.get('c').properties, orderKey: record.get('orderKey') })),
+        page,
+        count.records[0].get('total').toNumber()
+      );
     } finally {
       await session.close();
     }
   }
 
   async searchComponents(filters = {}) {
+    return (await this.searchComponentsPage(filters, { pageSize: 100 })).items;
+  }
+
+  /**
+   * Ranked full-text search across components, tasks and comments
+   * Scores come from each entity's own full-text index. Facets count every match per entity,
+   * component type and codebase; the codebase of a comment is that of the node it is on.
+   * The types filter only narrows component results.
+   * @param {string} query - Search text, matched term by term unless syntax is 'lucene'
+   * @param {Object} options - { entities, types, codebase (one or a list), limit, syntax: 'text'|'lucene' }
+   */
+  async search(query, options = {}) {
+    if (typeof query !== 'string' || !query.trim()) {
+      throw new Error('Search query is required');
+    }
+    const entities = options.entities && options.entities.length > 0 ? options.entities : SEARCH_ENTITIES;
+    const invalid = entities.filter(entity => !SEARCH_ENTITIES.includes(entity));
+    if (invalid.length > 0) {
+      throw new Error(`Invalid search entities: ${invalid.join(', ')}. Use ${SEARCH_ENTITIES.join(', ')}`);
+    }
+    const syntax = options.syntax || 'text';
+    if (!['text', 'lucene'].includes(syntax)) {
+      throw new Error(`Invalid syntax: ${syntax}. Use 'text' or 'lucene'`);
+    }
+    const limit = options.limit ?? 20;
+    if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+      throw new Error('limit must be an integer between 1 and 200');
+    }
+    const params = {
+      query: syntax === 'lucene' ? query : escapeLucene(query.trim()),
+      codebases: options.codebase ? [].concat(options.codebase) : null,
+      types: options.types && options.types.length > 0 ? options.types : null,
+      limit: neo4j.int(limit)
+    };
+    const terms = queryTerms(query);
+    const facets = { entities: {}, types: {}, codebases: {} };
+    const results = [];
+
     const session = this.driver.session();
     try {
-      let query = 'MATCH (c:Component)';
-      const params = {};
-      const conditions = [];
+      for (const entity of entities) {
+        const scope = SEARCH_SCOPES[entity];
+        const index = FULLTEXT_INDEXES[entity];
+        const matches = `
+          CALL db.index.fulltext.queryNodes('${index.name}', $query) YIELD node, score
+          ${scope.match}
+          WITH node, score, ${scope.owner} AS owner, ${scope.codebase} AS codebase, ${scope.type} AS type
+        `;
 
-      if (filters.type) {
-        conditions.push('c.type = $type');
-        params.type = filters.type;
-      }
-      if (filters.codebase) {
-        conditions.push('c.codebase = $codebase');
-        params.codebase = filters.codebase;
-      }
-      if (filters.name) {
-        conditions.push('c.name CONTAINS $name');
-        params.name = filters.name;
-      }
+        const counts = await session.run(`${matches}
+          RETURN codebase, type, count(*) AS count
+        `, params);
+        facets.entities[entity] = 0;
+        for (const record of counts.records) {
+          const codebase = record.get('codebase') || null;
+          const type = record.get('type');
+          const count = record.get('count').toNumber();
+          const inCodebase = !params.codebases || params.codebases.includes(codebase);
+          const ofType = !params.types || type === null || params.types.includes(type);
+          if (inCodebase && ofType) {
+            facets.entities[entity] += count;
+          }
+          if (inCodebase && type !== null) {
+            facets.types[type] = (facets.types[type] || 0) + count;
+          }
+          if (ofType && codebase !== null) {
+            facets.codebases[codebase] = (facets.codebases[codebase] || 0) + count;
+          }
+        }
 
-      if (conditions.length > 0) {
-        query += ' WHERE ' + conditions.join(' AND ');
+        const found = await session.run(`${matches}
+          WHERE ($codebases IS NULL OR codebase IN $codebases)
+            AND ($types IS NULL OR type IS NULL OR type IN $types)
+          RETURN node, score, owner
+          ORDER BY score DESC
+          LIMIT $limit
+        `, params);
+        results.push(...found.records.map(record => {
+          const properties = record.get('node').properties;
+          const owner = record.get('owner')?.properties;
+          return {
+            entity,
+            ...scope.summarize(properties, owner),
+            score: record.get('score'),
+            ...matchSnippet(properties, index.properties, terms)
+          };
+        }));
       }
+    } finally {
+      await session.close();
+    }
 
-      query += ' RETURN c LIMIT 100';
+    return {
+      query,
+      syntax,
+      entities,
+      total: Object.values(facets.entities).reduce((sum, count) => sum + count, 0),
+      facets,
+      results: results.sort((a, b) => b.score - a.score).slice(0, limit)
+    };
+  }
 
-      const result = await session.run(query, params);
-      return result.records.map(record => record.get('c').properties);
+  /**
+   * Run caller-supplied Cypher in a read transaction
+   * Rows past the limit are not fetched; truncated tells whether there were more.
+   * @param {string} query - Read-only Cypher statement
+   * @param {Object} options - { params, limit, timeout in milliseconds }
+   * @returns {Promise<Object>} { columns, rows, rowCount, truncated, limit }
+   */
+  async runGraphQuery(query, options = {}) {
+    const { params = {}, limit = DEFAULT_QUERY_LIMIT, timeout = DEFAULT_QUERY_TIMEOUT } = options;
+    assertReadOnlyQuery(query);
+    if (!params || typeof params !== 'object' || Array.isArray(params)) {
+      throw new Error('params must be an object');
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_QUERY_LIMIT) {
+      throw new Error(`limit must be an integer between 1 and ${MAX_QUERY_LIMIT}`);
+    }
+    if (!Number.isInteger(timeout) || timeout < 1 || timeout > MAX_QUERY_TIMEOUT) {
+      throw new Error(`timeout must be an integer between 1 and ${MAX_QUERY_TIMEOUT} milliseconds`);
+    }
+
+    const session = this.driver.session({ defaultAccessMode: neo4j.session.READ });
+    try {
+      return await session.executeRead(async tx => {
+        const result = tx.run(query, toQueryParams(params));
+        const columns = await result.keys();
+        const rows = [];
+        let truncated = false;
+        for await (const record of result) {
+          if (rows.length === limit) {
+            truncated = true;
+            break;
+          }
+          rows.push(Object.fromEntries(columns.map(column => [column, toPlainResult(record.get(column))])));
+        }
+        return { columns, rows, rowCount: rows.length, truncated, limit };
+      }, { timeout, metadata: { tool: 'run_graph_query' } });
     } finally {
       await session.close();
     }
   }
 
+  /**
+   * Match a declarative JSON pattern compiled to Cypher, see graph-pattern.js
+   * @param {Object} pattern - { nodes, edges, return, limit }
+   * @param {Object} options - { timeout in milliseconds }
+   * @returns {Promise<Object>} Rows as returned by runGraphQuery, plus the compiled cypher and params
+   */
+  async queryPattern(pattern, options = {}) {
+    const { cypher, params, limit } = compilePattern(pattern);
+    const result = await this.runGraphQuery(cypher, { params, limit, timeout: options.timeout });
+    return { ...result, cypher, params };
+  }
+
   // Relationship Operations
-  async createRelationship(relationshipData) {
+  async createRelationship(relationshipData, metadata = {}) {
     const relationship = new Relationship({ ...relationshipData, id: relationshipData.id || uuidv4() });
     const session = this.driver.session();
     
     try {
+      const [warnings] = await this.checkArchitectureRules(session, [relationship]);
       const result = await session.run(`
         MATCH (source:Component {id: $sourceId})
         MATCH (target:Component {id: $targetId})
         CREATE (source)-[r:${relationship.type}]->(target)
         SET r = $properties
-        RETURN r, source.name as sourceName, target.name as targetName
+        RETURN r, type(r) as type, source.id as sourceId, target.id as targetId,
+               source.name as sourceName, target.name as targetName
       `, { 
         sourceId: relationship.sourceId, 
         targetId: relationship.targetId,
@@ -169,11 +560,16 @@ export class GraphDatabase {
       
       const record = result.records[0];
       if (record) {
-        return {
-          ...record.get('r').properties,
-          sourceName: record.get('sourceName'),
-          targetName: record.get('targetName')
-        };
+        const createdRelationship = this.toRelationshipState(record);
+        await this.history.recordChange(
+          'CREATE_RELATIONSHIP',
+          'RELATIONSHIP',
+          createdRelationship.id,
+          null,
+          createdRelationship,
+          metadata
+        );
+        return warnings.length > 0 ? { ...createdRelationship, architectureWarnings: warnings } : createdRelationship;
       }
       return null;
     } finally {
@@ -210,8 +606,132 @@ export class GraphDatabase {
     }
   }
 
+  async getRelationship(id) {
+    const session = this.driver.session();
+    try {
+      const result = await session.run(`
+        MATCH (source:Component)-[r {id: $id}]->(target:Component)
+        RETURN r, type(r) as type, source.id as sourceId, target.id as targetId,
+               source.name as sourceName, target.name as targetName
+      `, { id });
+
+      const record = result.records[0];
+      return record ? this.toRelationshipState(record) : null;
+    } finally {
+      await session.close();
+    }
+  }
+
+  async updateRelationship(id, updates, metadata = {}) {
+    const { details = {}, ...fields } = RelationshipSchema
+      .pick({ details: true, timeOrder: true, probability: true, reasoning: true })
+      .partial()
+      .parse(updates);
+    const { id: _ignoredId, ...properties } = { ...details, ...fields };
+
+    const before = await this.getRelationship(id);
+    if (!before) {
+      return null;
+    }
+
+    const session = this.driver.session();
+    try {
+      const result = await session.run(`
+        MATCH (source:Component)-[r {id: $id}]->(target:Component)
+        SET r += $properties
+        RETURN r, type(r) as type, source.id as sourceId, target.id as targetId,
+               source.name as sourceName, target.name as targetName
+      `, { id, properties });
+
+      const record = result.records[0];
+      if (!record) {
+        return null;
+      }
+
+      const updatedRelationship = this.toRelationshipState(record);
+      await this.history.recordChange(
+        'UPDATE_RELATIONSHIP',
+        'RELATIONSHIP',
+        id,
+        before,
+        updatedRelationship,
+        metadata
+      );
+
+      return updatedRelationship;
+    } finally {
+      await session.close();
+    }
+  }
+
+  async deleteRelationship(id, metadata = {}) {
+    const before = await this.getRelationship(id);
+    if (!before) {
+      return null;
+    }
+
+    const session = this.driver.session();
+    try {
+      await session.run('MATCH (:Component)-[r {id: $id}]->(:Component) DELETE r', { id });
+
+      await this.history.recordChange(
+        'DELETE_RELATIONSHIP',
+        'RELATIONSHIP',
+        id,
+        before,
+        null,
+        metadata
+      );
+
+      return before;
+    } finally {
+      await session.close();
+    }
+  }
+
+  // Check relationships about to be written against the architecture rules (ARCHITECTURE_RULES_MODE).
+  // Returns the warnings for each relationship; in reject mode a broken error-severity rule throws instead.
+  async checkArchitectureRules(runner, relationships) {
+    if (!this.architectureRules.enforced) {
+      return relationships.map(() => []);
+    }
+
+    const ids = [...new Set(relationships.flatMap(relationship => [relationship.sourceId, relationship.targetId]))];
+    const result = await runner.run('MATCH (c:Component) WHERE c.id IN $ids RETURN c', { ids });
+    const components = new Map(result.records.map(record => [record.get('c').properties.id, record.get('c').properties]));
+
+    return relationships.map(relationship => {
+      const source = components.get(relationship.sourceId);
+      const target = components.get(relationship.targetId);
+      if (!source || !target) {
+        return [];
+      }
+      const violations = this.architectureRules.checkEdge(source, target, relationship.type);
+      if (violations.length === 0) {
+        return [];
+      }
+      const message = formatViolations(violations, relationship.type, source, target);
+      if (this.architectureRules.mode === 'reject' && violations.some(violation => violation.severity === 'error')) {
+        throw new Error(`Rejected: ${message}`);
+      }
+      return violations.map(violation => ({ ...violation, message }));
+    });
+  }
+
+  // Flatten a relationship record into its properties plus endpoints
+  toRelationshipState(record) {
+    return {
+      ...record.get('r').properties,
+      type: record.get('type'),
+      sourceId: record.get('sourceId'),
+      targetId: record.get('targetId'),
+      sourceName: record.get('sourceName'),
+      targetName: record.get('targetName')
+    };
+  }
+
   // Task Operations
-  async createTask(taskData) {
+  async createTask(taskData, metadata = {}) {
     // Validate progress value if provided
     if (taskData.progress !== undefined) {
       if (typeof taskData.progress !== 'number') {
@@ -243,22 +763,27 @@ export class GraphDatabase {
       `, otherProperties);
       
       // Link to related components if any
-      if (task.relatedComponentIds.length > 0) {
-        await session.run(`
-          MATCH (t:Task {id: $taskId})
-          MATCH (c:Component)
-          WHERE c.id IN $componentIds
-          CREATE (t)-[:RELATES_TO]->(c)
-        `, { taskId: task.id, componentIds: task.relatedComponentIds });
+      const relatedComponentIds = await this.linkTaskComponents(session, task);
+
+      const createdTask = result.records[0]?.get('t').properties;
+      if (createdTask) {
+        await this.history.recordChange(
+          'CREATE_TASK',
+          'TASK',
+          createdTask.id,
+          null,
+          { ...createdTask, relatedComponentIds },
+          metadata
+        );
       }
       
-      return result.records[0]?.get('t').properties;
+      return createdTask;
     } finally {
       await session.close();
     }
   }
 
-  async updateTaskStatus(id, status, progress = null) {
+  async updateTaskStatus(id, status, progress = null, metadata = {}) {
     // Validate progress value if provided
     if (progress !== null && progress !== undefined) {
       if (typeof progress !== 'number') {
@@ -273,16 +798,42 @@ export class GraphDatabase {
     try {
       const result = await session.run(`
         MATCH (t:Task {id: $id})
+        WITH t, properties(t) AS before
         SET t.status = $status${progress !== null ? ', t.progress = $progress' : ''}, t.updated = datetime()
-        RETURN t
+        RETURN before, t
       `, { id, status, progress });
+
+      const record = result.records[0];
+      if (!record) {
+        return null;
+      }
+
+      const updatedTask = record.get('t').properties;
+      await this.history.recordChange('UPDATE_TASK', 'TASK', id, record.get('before'), updatedTask, metadata);
       
-      return result.records[0]?.get('t').properties || null;
+      return updatedTask;
     } finally {
       await session.close();
     }
   }
 
+  // Create RELATES_TO links for a task, returning the ids of the components actually linked
+  async linkTaskComponents(runner, task) {
+    if (task.relatedComponentIds.length === 0) {
+      return [];
+    }
+
+    const result = await runner.run(`
+      MATCH (t:Task {id: $taskId})
+      MATCH (c:Component)
+      WHERE c.id IN $componentIds
+      CREATE (t)-[:RELATES_TO]->(c)
+      RETURN c.id as componentId
+    `, { taskId: task.id, componentIds: task.relatedComponentIds });
+
+    return result.records.map(record => record.get('componentId'));
+  }
+
   async getTask(id) {
     const session = this.driver.session();
     try {
@@ -305,6 +856,60 @@ export class GraphDatabase {
     }
   }
 
+  /**
+   * Count the components a previous ingestion created for a codebase
+   */
+  async countIngestedComponents(codebase) {
+    const session = this.driver.session();
+    try {
+      const result = await session.run(`
+        MATCH (c:Component {codebase: $codebase, origin: 'ingest'})
+        RETURN count(c) AS count
+      `, { codebase });
+      return result.records[0].get('count').toNumber();
+    } finally {
+      await session.close();
+    }
+  }
+
+  /**
+   * List tasks a page at a time with their related components
+   * @param {Object} filters - { status }
+   * @param {Object} options - { cursor, pageSize, orderBy: created|updated|name|status|progress, direction }
+   */
+  async getTasksPage(filters = {}, options = {}) {
+    const page = resolvePage('tasks', { status: filters.status }, options, TASK_ORDERING);
+    const params = { status: page.filters.status ?? null };
+    const match = 'MATCH (t:Task) WHERE $status IS NULL OR t.status = $status';
+
+    const session = this.driver.session();
+    try {
+      const count = await session.run(`${match} RETURN count(t) AS total`, params);
+      const result = await session.run(`${match}
+        WITH t, ${page.orderKey} AS orderKey
+        ${page.seekClause}
+        WITH t, orderKey
+        ${page.orderClause}
+        LIMIT $limit
+        RETURN t, orderKey, [(t)-[:RELATES_TO]->(c:Component) | c] AS relatedComponents
+      `, { ...params, ...page.seekParams, limit: neo4j.int(page.pageSize + 1) });
+
+      return pageResult(
+        result.records.map(record => ({
+          item: {
+            ...record.get('t').properties,
+            relatedComponents: record.get('relatedComponents').map(c => c.properties)
+          },
+          orderKey: record.get('orderKey')
+        })),
+        page,
+        count.records[0].get('total').toNumber()
+      );
+    } finally {
+      await session.close();
+    }
+  }
+
   async getTasks(status = null) {
     const session = this.driver.session();
     try {
@@ -442,39 +1047,11 @@ export class GraphDatabase {
   async createComponents(componentsData, metadata = {}) {
     const session = this.driver.session();
     const tx = session.beginTransaction();
-    const createdComponents = [];
-    
+
     try {
-      for (const componentData of componentsData) {
-        const component = new Component({ ...componentData, id: componentData.id || uuidv4() });
-        
-        const nodeData = component.toNode();
-        const result = await tx.run(`
-          CREATE (c:Component:${component.type})
-          SET c = $properties, c.created = datetime()
-          RETURN c
-        `, { properties: nodeData.properties });
-        
-        const createdComponent = result.records[0]?.get('c').properties;
-        if (createdComponent) {
-          createdComponents.push(createdComponent);
-        }
-      }
-      
+      const createdComponents = await this.runCreateComponents(tx, componentsData);
       await tx.commit();
-      
-      // Record change history for all created components
-      for (const component of createdComponents) {
-        await this.history.recordChange(
-          'CREATE_COMPONENT_BULK',
-          'COMPONENT',
-          component.id,
-          null,
-          component,
-          { ...metadata, bulkOperation: true, totalCount: createdComponents.length }
-        );
-      }
-      
+      await this.recordCreatedComponents(createdComponents, metadata);
       return createdComponents;
     } catch (error) {
       await tx.rollback();
@@ -484,40 +1061,50 @@ export class GraphDatabase {
     }
   }
 
-  async createRelationships(relationshipsData) {
+  // Bulk write steps: run* writes inside a caller's transaction, record* writes the history
+  // once that transaction has committed. applySyncPlan combines several in one transaction.
+  async runCreateComponents(tx, componentsData) {
+    const createdComponents = [];
+    for (const componentData of componentsData) {
+      const component = new Component({ ...componentData, id: componentData.id || uuidv4() });
+
+      const nodeData = component.toNode();
+      const result = await tx.run(`
+        CREATE (c:Component:${component.type})
+        SET c = $properties, c.created = datetime()
+        SET c.metadataText = ${metadataTextExpression('c')}
+        RETURN c
+      `, { properties: nodeData.properties });
+
+      const createdComponent = result.records[0]?.get('c').properties;
+      if (createdComponent) {
+        createdComponents.push(createdComponent);
+      }
+    }
+    return createdComponents;
+  }
+
+  async recordCreatedComponents(createdComponents, metadata) {
+    for (const component of createdComponents) {
+      await this.history.recordChange(
+        'CREATE_COMPONENT_BULK',
+        'COMPONENT',
+        component.id,
+        null,
+        component,
+        { ...metadata, bulkOperation: true, totalCount: createdComponents.length }
+      );
+    }
+  }
+
+  async createRelationships(relationshipsData, metadata = {}) {
     const session = this.driver.session();
     const tx = session.beginTransaction();
-    const createdRelationships = [];
-    
+
     try {
-      for (const relationshipData of relationshipsData) {
-        const relationship = new Relationship({ ...relationshipData, id: relationshipData.id || uuidv4() });
-        
-        const result = await tx.run(`
-          MATCH (source:Component {id: $sourceId})
-          MATCH (target:Component {id: $targetId})
-          CREATE (source)-[r:${relationship.type}]->(target)
-          SET r = $properties
-          RETURN r, source.name as sourceName, target.name as targetName
-        `, { 
-          sourceId: relationship.sourceId, 
-          targetId: relationship.targetId,
-          properties: relationship.toRelation().properties
-        });
-        
-        const record = result.records[0];
-        if (record) {
-          const createdRelationship = {
-            ...record.get('r').properties,
-            sourceName: record.get('sourceName'),
-            targetName: record.get('targetName')
-          };
-          createdRelationships.push(createdRelationship);
-        }
-      }
-      
+      const createdRelationships = await this.runCreateRelationships(tx, relationshipsData);
       await tx.commit();
-      return createdRelationships;
+      return await this.recordCreatedRelationships(createdRelationships, metadata);
     } catch (error) {
       await tx.rollback();
       throw error;
@@ -526,7 +1113,87 @@ export class GraphDatabase {
     }
   }
 
-  async createTasks(tasksData) {
+  /**
+   * Create components and the relationships between them in a single write transaction
+   * Either the whole subgraph lands or none of it does, so a failed ingestion leaves no
+   * components behind without their relationships.
+   * @param {Object[]} componentsData - Components to create, with their ids
+   * @param {Object[]} relationshipsData - Relationships between them
+   * @param {Object} metadata - Change history metadata
+   * @returns {Promise<Object>} { components, relationships } as created
+   */
+  async createSubgraph(componentsData, relationshipsData, metadata = {}) {
+    const session = this.driver.session();
+    const tx = session.beginTransaction();
+
+    try {
+      const createdComponents = await this.runCreateComponents(tx, componentsData);
+      const createdRelationships = await this.runCreateRelationships(tx, relationshipsData);
+      await tx.commit();
+
+      await this.recordCreatedComponents(createdComponents, metadata);
+      return {
+        components: createdComponents,
+        relationships: await this.recordCreatedRelationships(createdRelationships, metadata)
+      };
+    } catch (error) {
+      await tx.rollback();
+      throw error;
+    } finally {
+      await session.close();
+    }
+  }
+
+  async runCreateRelationships(tx, relationshipsData) {
+    const createdRelationships = [];
+    const relationships = relationshipsData.map(relationshipData =>
+      new Relationship({ ...relationshipData, id: relationshipData.id || uuidv4() })
+    );
+    const warnings = await this.checkArchitectureRules(tx, relationships);
+
+    for (const [index, relationship] of relationships.entries()) {
+      const result = await tx.run(`
+        MATCH (source:Component {id: $sourceId})
+        MATCH (target:Component {id: $targetId})
+        CREATE (source)-[r:${relationship.type}]->(target)
+        SET r = $properties
+        RETURN r, type(r) as type, source.id as sourceId, target.id as targetId,
+               source.name as sourceName, target.name as targetName
+      `, {
+        sourceId: relationship.sourceId,
+        targetId: relationship.targetId,
+        properties: relationship.toRelation().properties
+      });
+
+      const record = result.records[0];
+      if (record) {
+        createdRelationships.push({ state: this.toRelationshipState(record), warnings: warnings[index] });
+      }
+    }
+    return createdRelationships;
+  }
+
+  /**
+   * @returns {Promise<Object[]>} Created relationships with their architecture warnings
+   */
+  async recordCreatedRelationships(createdRelationships, metadata) {
+    for (const { state } of createdRelationships) {
+      await this.history.recordChange(
+        'CREATE_RELATIONSHIP_BULK',
+        'RELATIONSHIP',
+        state.id,
+        null,
+        state,
+        { ...metadata, bulkOperation: true, totalCount: createdRelationships.length }
+      );
+    }
+
+    return createdRelationships.map(({ state, warnings }) =>
+      warnings.length > 0 ? { ...state, architectureWarnings: warnings } : state
+    );
+  }
+
+  async createTasks(tasksData, metadata = {}) {
     const session = this.driver.session();
     const tx = session.beginTransaction();
     const createdTasks = [];
@@ -554,21 +1221,25 @@ export class GraphDatabase {
         const createdTask = result.records[0]?.get('t').properties;
         if (createdTask) {
           // Link to related components if any
-          if (task.relatedComponentIds.length > 0) {
-            await tx.run(`
-              MATCH (t:Task {id: $taskId})
-              MATCH (c:Component)
-              WHERE c.id IN $componentIds
-              CREATE (t)-[:RELATES_TO]->(c)
-            `, { taskId: task.id, componentIds: task.relatedComponentIds });
-          }
-          
-          createdTasks.push(createdTask);
+          const relatedComponentIds = await this.linkTaskComponents(tx, task);
+          createdTasks.push({ task: createdTask, relatedComponentIds });
         }
       }
       
       await tx.commit();
-      return createdTasks;
+
+      for (const { task, relatedComponentIds } of createdTasks) {
+        await this.history.recordChange(
+          'CREATE_TASK_BULK',
+          'TASK',
+          task.id,
+          null,
+          { ...task, relatedComponentIds },
+          { ...metadata, bulkOperation: true, totalCount: createdTasks.length }
+        );
+      }
+
+      return createdTasks.map(created => created.task);
     } catch (error) {
       await tx.rollback();
       throw error;
@@ -577,30 +1248,413 @@ export class GraphDatabase {
     }
   }
 
-  // Analysis Operations
-  async getDependencyTree(componentId, maxDepth = 3) {
+  async updateComponents(componentUpdates, metadata = {}) {
     const session = this.driver.session();
+    const tx = session.beginTransaction();
+
     try {
-      const result = await session.run(`
-        MATCH path = (c:Component {id: $id})-[:DEPENDS_ON*1..${maxDepth}]->(dep:Component)
-        RETURN path
-      `, { id: componentId });
+      const changes = await this.runUpdateComponents(tx, componentUpdates);
+      await tx.commit();
+      await this.recordUpdatedComponents(changes, metadata);
+      return changes.map(change => change.after);
+    } catch (error) {
+      await tx.rollback();
+      throw error;
+    } finally {
+      await session.close();
+    }
+  }
 
-      return result.records.map(record => {
-        const path = record.get('path');
-        return {
-          nodes: path.segments.map(segment => ({
-            start: segment.start.properties,
-            end: segment.end.properties,
-            relationship: segment.relationship.properties
-          }))
-        };
-      });
+  async runUpdateComponents(tx, componentUpdates) {
+    const changes = [];
+    for (const { id, updates } of componentUpdates) {
+      const result = await tx.run(`
+        MATCH (c:Component {id: $id})
+        WITH c, properties(c) AS before
+        SET c += $updates, c.updated = datetime(), ${REFRESH_NATURAL_KEY}
+        SET c.metadataText = ${metadataTextExpression('c')}
+        RETURN before, c
+      `, { id, updates });
+
+      const record = result.records[0];
+      if (record) {
+        changes.push({ before: record.get('before'), after: record.get('c').properties });
+      }
+    }
+    return changes;
+  }
+
+  async recordUpdatedComponents(changes, metadata) {
+    for (const { before, after } of changes) {
+      await this.history.recordChange(
+        'UPDATE_COMPONENT_BULK',
+        'COMPONENT',
+        after.id,
+        before,
+        after,
+        { ...metadata, bulkOperation: true, totalCount: changes.length }
+      );
+    }
+  }
+
+  async deleteComponents(ids, metadata = {}) {
+    const session = this.driver.session();
+    const tx = session.beginTransaction();
+
+    try {
+      const deleted = await this.runDeleteComponents(tx, ids);
+      await tx.commit();
+      await this.recordDeletedComponents(deleted, metadata);
+      return deleted.components;
+    } catch (error) {
+      await tx.rollback();
+      throw error;
+    } finally {
+      await session.close();
+    }
+  }
+
+  /**
+   * @returns {Promise<Object>} { components, cascade }: deleted states and what was removed with them, see getDeleteCascade
+   */
+  async runDeleteComponents(tx, ids) {
+    const cascade = await this.getDeleteCascade(tx, ids);
+    const result = await tx.run(`
+      MATCH (c:Component)
+      WHERE c.id IN $ids
+      OPTIONAL MATCH (c)-[:HAS_COMMENT]->(comment:Comment)
+      WITH c, properties(c) AS before, collect(comment) AS comments
+      FOREACH (comment IN comments | DETACH DELETE comment)
+      DETACH DELETE c
+      RETURN before
+    `, { ids });
+
+    return { components: result.records.map(record => record.get('before')), cascade };
+  }
+
+  async recordDeletedComponents({ components, cascade }, metadata) {
+    const deleteEventIds = new Map();
+    for (const component of components) {
+      const event = await this.history.recordChange(
+        'DELETE_COMPONENT_BULK',
+        'COMPONENT',
+        component.id,
+        component,
+        null,
+        { ...metadata, bulkOperation: true, totalCount: components.length }
+      );
+      deleteEventIds.set(component.id, event.id);
+    }
+    await this.recordCascades(cascade, deleteEventIds, { ...metadata, bulkOperation: true });
+  }
+
+  async deleteRelationships(ids, metadata = {}) {
+    const session = this.driver.session();
+    const tx = session.beginTransaction();
+
+    try {
+      const deletedRelationships = await this.runDeleteRelationships(tx, ids);
+      await tx.commit();
+      await this.recordDeletedRelationships(deletedRelationships, metadata);
+      return deletedRelationships.length;
+    } catch (error) {
+      await tx.rollback();
+      throw error;
+    } finally {
+      await session.close();
+    }
+  }
+
+  async runDeleteRelationships(tx, ids) {
+    const result = await tx.run(`
+      MATCH (source:Component)-[r]->(target:Component)
+      WHERE r.id IN $ids
+      WITH r, source, target, properties(r) AS before, type(r) AS type
+      DELETE r
+      RETURN before, type, source.id as sourceId, target.id as targetId,
+             source.name as sourceName, target.name as targetName
+    `, { ids });
+
+    return result.records.map(record => ({
+      ...record.get('before'),
+      type: record.get('type'),
+      sourceId: record.get('sourceId'),
+      targetId: record.get('targetId'),
+      sourceName: record.get('sourceName'),
+      targetName: record.get('targetName')
+    }));
+  }
+
+  async recordDeletedRelationships(deletedRelationships, metadata) {
+    for (const relationship of deletedRelationships) {
+      await this.history.recordChange(
+        'DELETE_RELATIONSHIP_BULK',
+        'RELATIONSHIP',
+        relationship.id,
+        relationship,
+        null,
+        { ...metadata, bulkOperation: true, totalCount: deletedRelationships.length }
+      );
+    }
+  }
+
+  /**
+   * Apply an ingestion sync plan (see planSync) in a single write transaction
+   * Either every component and relationship change lands or none does, so a failed sync
+   * never leaves file hashes claiming content the graph does not have.
+   * @param {Object} plan - { createComponents, updateComponents, deleteRelationshipIds, deleteComponentIds, createRelationships }
+   * @param {Object} metadata - Change history metadata
+   */
+  async applySyncPlan(plan, metadata = {}) {
+    const session = this.driver.session();
+    const tx = session.beginTransaction();
+
+    try {
+      const created = await this.runCreateComponents(tx, plan.createComponents);
+      const updated = await this.runUpdateComponents(tx, plan.updateComponents);
+      const unlinked = await this.runDeleteRelationships(tx, plan.deleteRelationshipIds);
+      const deleted = await this.runDeleteComponents(tx, plan.deleteComponentIds);
+      const linked = await this.runCreateRelationships(tx, plan.createRelationships);
+      await tx.commit();
+
+      await this.recordCreatedComponents(created, metadata);
+      await this.recordUpdatedComponents(updated, metadata);
+      await this.recordDeletedRelationships(unlinked, metadata);
+      await this.recordDeletedComponents(deleted, metadata);
+      await this.recordCreatedRelationships(linked, metadata);
+    } catch (error) {
+      await tx.rollback();
+      throw error;
+    } finally {
+      await session.close();
+    }
+  }
+
+  // Upsert Operations
+  // Components are keyed on (codebase, type, path, name), relationships on (sourceId, type, targetId).
+  // Each result reports whether the item was created, updated or unchanged.
+  async runComponentUpsert(tx, componentData) {
+    const component = new Component({ ...componentData, id: componentData.id || uuidv4() });
+    const { id, ...properties } = component.toNode().properties;
+
+    // A component written before it had a natural key is claimed by the first upsert that matches it
+    await tx.run(`
+      MATCH (c:Component {codebase: $codebase, type: $type, path: $path, name: $name})
+      WHERE c.naturalKey IS NULL
+      WITH c LIMIT 1
+      SET c.naturalKey = ${naturalKeyExpression('$codebase', '$type', '$path', '$name')}
+    `, {
+      codebase: properties.codebase ?? null,
+      type: properties.type,
+      path: properties.path ?? null,
+      name: properties.name
+    });
+
+    const merged = await tx.run(`
+      MERGE (c:Component:${component.type} {naturalKey: ${naturalKeyExpression('$codebase', '$type', '$path', '$name')}})
+      ON CREATE SET c.id = $id, c.created = datetime(), c.upsertCreated = true
+      WITH c, c.upsertCreated IS NOT NULL AS created
+      REMOVE c.upsertCreated
+      RETURN c, created
+    `, {
+      id,
+      codebase: properties.codebase,
+      type: properties.type,
+      path: properties.path,
+      name: properties.name
+    });
+
+    const record = merged.records[0];
+    const before = record.get('c').properties;
+    const created = record.get('created');
+    const changed = Object.keys(properties).filter(key => !samePropertyValue(before[key], properties[key]));
+
+    if (!created && changed.length === 0) {
+      return { status: 'unchanged', before, component: before };
+    }
+
+    const result = await tx.run(`
+      MATCH (c:Component {id: $id})
+      SET c += $properties${created ? '' : ', c.updated = datetime()'}
+      SET c.metadataText = ${metadataTextExpression('c')}
+      RETURN c
+    `, { id: before.id, properties });
+
+    return {
+      status: created ? 'created' : 'updated',
+      before: created ? null : before,
+      component: result.records[0].get('c').properties
+    };
+  }
+
+  async runRelationshipUpsert(tx, relationshipData) {
+    const relationship = new Relationship({ ...relationshipData, id: relationshipData.id || uuidv4() });
+    const { id, ...properties } = relationship.toRelation().properties;
+
+    const merged = await tx.run(`
+      MATCH (source:Component {id: $sourceId})
+      MATCH (target:Component {id: $targetId})
+      MERGE (source)-[r:${relationship.type}]->(target)
+      ON CREATE SET r.id = $id, r.upsertCreated = true
+      WITH r, source, target, r.upsertCreated IS NOT NULL AS created
+      REMOVE r.upsertCreated
+      RETURN r, created, source.name as sourceName, target.name as targetName
+    `, { id, sourceId: relationship.sourceId, targetId: relationship.targetId });
+
+    const record = merged.records[0];
+    if (!record) {
+      throw new Error(`Cannot upsert ${relationship.type} relationship: component ${relationship.sourceId} or ${relationship.targetId} not found`);
+    }
+
+    const endpoints = {
+      type: relationship.type,
+      sourceId: relationship.sourceId,
+      targetId: relationship.targetId,
+      sourceName: record.get('sourceName'),
+      targetName: record.get('targetName')
+    };
+    const before = record.get('r').properties;
+    const created = record.get('created');
+    const changed = Object.keys(properties).filter(key => !samePropertyValue(before[key], properties[key]));
+
+    if (!created && changed.length === 0) {
+      return { status: 'unchanged', before: { ...before, ...endpoints }, relationship: { ...before, ...endpoints } };
+    }
+
+    const result = await tx.run(`
+      MATCH (:Component)-[r {id: $id}]->(:Component)
+      SET r += $properties
+      RETURN r
+    `, { id: before.id, properties });
+
+    return {
+      status: created ? 'created' : 'updated',
+      before: created ? null : { ...before, ...endpoints },
+      relationship: { ...result.records[0].get('r').properties, ...endpoints }
+    };
+  }
+
+  async recordUpsert(result, entityType, entity, metadata) {
+    if (result.status === 'unchanged') {
+      return;
+    }
+    const action = result.status === 'created' ? 'CREATE' : 'UPDATE';
+    await this.history.recordChange(
+      `${action}_${entityType}`,
+      entityType,
+      entity.id,
+      result.before,
+      entity,
+      { ...metadata, upsert: true }
+    );
+  }
+
+  async upsertComponent(componentData, metadata = {}) {
+    const results = await this.upsertComponents([componentData], metadata);
+    return results[0];
+  }
+
+  async upsertComponents(componentsData, metadata = {}) {
+    const session = this.driver.session();
+    const tx = session.beginTransaction();
+    const results = [];
+
+    try {
+      for (const componentData of componentsData) {
+        results.push(await this.runComponentUpsert(tx, componentData));
+      }
+
+      await tx.commit();
+
+      for (const result of results) {
+        await this.recordUpsert(result, 'COMPONENT', result.component, metadata);
+      }
+
+      return results.map(({ status, component }) => ({ status, component }));
+    } catch (error) {
+      await tx.rollback();
+      throw error;
+    } finally {
+      await session.close();
+    }
+  }
+
+  async upsertRelationship(relationshipData, metadata = {}) {
+    const results = await this.upsertRelationships([relationshipData], metadata);
+    return results[0];
+  }
+
+  async upsertRelationships(relationshipsData, metadata = {}) {
+    const session = this.driver.session();
+    const tx = session.beginTransaction();
+    const results = [];
+
+    try {
+      const warnings = await this.checkArchitectureRules(tx, relationshipsData);
+      for (const relationshipData of relationshipsData) {
+        results.push(await this.runRelationshipUpsert(tx, relationshipData));
+      }
+
+      await tx.commit();
+
+      for (const result of results) {
+        await this.recordUpsert(result, 'RELATIONSHIP', result.relationship, metadata);
+      }
+
+      return results.map(({ status, relationship }, index) => ({
+        status,
+        relationship,
+        ...(warnings[index].length > 0 && { architectureWarnings: warnings[index] })
+      }));
+    } catch (error) {
+      await tx.rollback();
+      throw error;
     } finally {
       await session.close();
     }
   }
 
+  // Ingestion Operations
+  async getIngestedSubgraph(codebase) {
+    const session = this.driver.session();
+    try {
+      const components = await session.run(`
+        MATCH (c:Component {codebase: $codebase, origin: 'ingest'})
+        RETURN c
+      `, { codebase });
+
+      const relationships = await session.run(`
+        MATCH (source:Component {codebase: $codebase})-[r]->(target:Component)
+        WHERE r.origin = 'ingest'
+        RETURN r, source.id AS sourceId, target.id AS targetId
+      `, { codebase });
+
+      return {
+        components: components.records.map(record => record.get('c').properties),
+        relationships: relationships.records.map(record => ({
+          ...record.get('r').properties,
+          type: record.get('r').type,
+          sourceId: record.get('sourceId'),
+          targetId: record.get('targetId')
+        }))
+      };
+    } finally {
+      await session.close();
+    }
+  }
+
+  // Analysis Operations
+  /**
+   * Dependency tree of a component: DEPENDS_ON edges unless other relationship types are given
+   * @param {Object} options - traverseGraph options; shape defaults to a nested tree
+   */
+  async getDependencyTree(componentId, options = {}) {
+    return await this.analysis.traverseGraph(componentId, {
+      ...options,
+      relationshipTypes: options.relationshipTypes || ['DEPENDS_ON']
+    });
+  }
+
   async getCodebaseOverview(codebase) {
     const session = this.driver.session();
     try {
@@ -620,7 +1674,7 @@ export class GraphDatabase {
   }
 
   // Comment Operations
-  async createComment(commentData) {
+  async createComment(commentData, metadata = {}) {
     const session = this.driver.session();
     try {
       const commentId = uuidv4();
@@ -659,34 +1713,53 @@ export class GraphDatabase {
         CREATE (n)-[:HAS_COMMENT]->(c)
       `, { nodeId: commentData.nodeId, commentId });
 
-      const createdComment = result.records[0]?.get('c').properties;
-      return {
-        ...createdComment,
+      const createdComment = {
+        ...result.records[0]?.get('c').properties,
         nodeId: commentData.nodeId
       };
+      await this.history.recordChange('CREATE_COMMENT', 'COMMENT', commentId, null, createdComment, metadata);
+
+      return createdComment;
     } finally {
       await session.close();
     }
   }
 
-  async getNodeComments(nodeId, limit = 50) {
+  /**
+   * List the comments on a node a page at a time, newest first by default
+   * @param {Object} options - { cursor, pageSize, orderBy: created|updated|author, direction }
+   */
+  async getNodeCommentsPage(nodeId, options = {}) {
+    const page = resolvePage('comments', { nodeId }, options, COMMENT_ORDERING);
+    const params = { nodeId: page.filters.nodeId };
+    const match = 'MATCH (n)-[:HAS_COMMENT]->(c:Comment) WHERE n.id = $nodeId';
+
     const session = this.driver.session();
     try {
-      const result = await session.run(`
-        MATCH (n)-[:HAS_COMMENT]->(c:Comment)
-        WHERE n.id = $nodeId
-        RETURN c
-        ORDER BY c.created DESC
+      const count = await session.run(`${match} RETURN count(c) AS total`, params);
+      const result = await session.run(`${match}
+        WITH c, ${page.orderKey} AS orderKey
+        ${page.seekClause}
+        RETURN c, orderKey
+        ${page.orderClause}
         LIMIT $limit
-      `, { nodeId, limit });
+      `, { ...params, ...page.seekParams, limit: neo4j.int(page.pageSize + 1) });
 
-      return result.records.map(record => record.get('c').properties);
+      return pageResult(
+        result.records.map(record => ({ item: record.get('c').properties, orderKey: record.get('orderKey') })),
+        page,
+        count.records[0].get('total').toNumber()
+      );
     } finally {
       await session.close();
     }
   }
 
-  async updateComment(commentId, updates) {
+  async getNodeComments(nodeId, limit = 50) {
+    return (await this.getNodeCommentsPage(nodeId, { pageSize: limit })).items;
+  }
+
+  async updateComment(commentId, updates, metadata = {}) {
     const session = this.driver.session();
     try {
       const updateData = {
@@ -696,17 +1769,36 @@ export class GraphDatabase {
 
       const result = await session.run(`
         MATCH (c:Comment {id: $commentId})
+        OPTIONAL MATCH (n)-[:HAS_COMMENT]->(c)
+        WITH c, n, properties(c) AS before
         SET c += $updates
-        RETURN c
+        RETURN before, c, n.id as nodeId
       `, { commentId, updates: updateData });
 
-      return result.records[0]?.get('c').properties || null;
+      const record = result.records[0];
+      if (!record) {
+        return null;
+      }
+
+      const nodeId = record.get('nodeId');
+      const updatedComment = record.get('c').properties;
+      await this.history.recordChange(
+        'UPDATE_COMMENT',
+        'COMMENT',
+        commentId,
+        { ...record.get('before'), nodeId },
+        { ...updatedComment, nodeId },
+        metadata
+      );
+
+      return updatedComment;
     } finally {
       await session.close();
     }
   }
 
-  async deleteComment(commentId) {
+  async deleteComment(commentId, metadata = {}) {
+    const before = await this.getComment(commentId);
     const session = this.driver.session();
     try {
       await session.run(`
@@ -714,6 +1806,10 @@ export class GraphDatabase {
         DETACH DELETE c
       `, { commentId });
 
+      if (before) {
+        await this.history.recordChange('DELETE_COMMENT', 'COMMENT', commentId, before, null, metadata);
+      }
+
       return true;
     } finally {
       await session.close();
@@ -0,0 +1,1488 @@
+/**
+ * Graph Analysis
+ * Analyses over the component graph: impact of a change, structure and health checks.
+ * Everything here only reads, except writeComponentMetrics and cleanOrphans, which write
+ * through recorded updates and deletes and back the write-group tools of the same names.
+ */
+
+import neo4j from 'neo4j-driver';
+import { ComponentType, RelationshipType } from './models.js';
+import { matchesSelector, SelectorSchema } from './architecture-rules.js';
+import { computeComponentMetrics, aggregateModuleMetrics, computeContainment } from './graph-metrics.js';
+import { detectCommunities, compareWithDeclared } from './graph-clustering.js';
+import { pruneContext, renderContextText } from './context-subgraph.js';
+
+// Edges along which a change to the target propagates back to the source
+export const IMPACT_RELATIONSHIP_TYPES = ['DEPENDS_ON', 'CALLS', 'IMPORTS', 'EXTENDS', 'IMPLEMENTS'];
+
+// Edges that make a dependency cycle
+export const CYCLE_RELATIONSHIP_TYPES = ['DEPENDS_ON', 'IMPORTS', 'CALLS'];
+
+// Edges counted as coupling between components
+export const COUPLING_RELATIONSHIP_TYPES = ['DEPENDS_ON', 'CALLS', 'IMPORTS', 'USES', 'EXTENDS', 'IMPLEMENTS'];
+
+// Task statuses that count as open work in a context subgraph
+const OPEN_TASK_STATUSES = ['TODO', 'IN_PROGRESS', 'BLOCKED'];
+
+// Component types grouped into suggested modules, and the types that declare modules
+export const CLUSTER_COMPONENT_TYPES = ['FILE', 'CLASS', 'FUNCTION'];
+const MODULE_COMPONENT_TYPES = ['MODULE', 'SYSTEM'];
+
+// Result shapes of traverseGraph and the largest node budget a caller may ask for
+export const TRAVERSAL_SHAPES = ['tree', 'graph', 'levels'];
+const MAX_TRAVERSAL_NODES = 5000;
+
+// Components loaded around the start of an all-paths search, and the time each hop may take
+const MAX_PATH_SEARCH_NODES = 5000;
+export const PATH_SEARCH_TIMEOUT = 10000;
+
+// Largest graph PageRank and betweenness run on; Brandes' algorithm is quadratic or worse in its size
+const MAX_CENTRALITY_NODES = 5000;
+
+// Most cycles a caller may ask for, and the edges a cycle search may follow before it stops
+const MAX_CYCLES = 1000;
+export const MAX_CYCLE_SEARCH_STEPS = 100000;
+
+// A component of each type is orphaned when it has none of these edges; "nothing CALLS, IMPORTS or CONTAINS it"
+export const DEFAULT_ORPHAN_RULES = {
+  FUNCTION: { incoming: ['CALLS', 'IMPORTS', 'CONTAINS'] },
+  CLASS: { incoming: ['CALLS', 'IMPORTS', 'CONTAINS'] },
+  REQUIREMENT: { incoming: ['SATISFIES'] },
+  TEST_CASE: { outgoing: ['VERIFIES'] }
+};
+
+// Node properties metrics are written back to, so searches can filter and sort by them
+const METRIC_PROPERTIES = {
+  fanIn: 'metricFanIn',
+  fanOut: 'metricFanOut',
+  instability: 'metricInstability',
+  containsDepth: 'metricContainsDepth',
+  pageRank: 'metricPageRank',
+  betweenness: 'metricBetweenness',
+  hotspotScore: 'metricHotspotScore'
+};
+
+/**
+ * Validate relationship types supplied by a caller
+ * @param {string[]} types - Relationship types
+ * @param {string[]} defaults - Types used when none are given
+ * @returns {string[]} Validated types
+ */
+export function validateRelationshipTypes(types, defaults) {
+  if (!types || types.length === 0) {
+    return defaults;
+  }
+  const invalid = types.filter(type => !Object.values(RelationshipType).includes(type));
+  if (invalid.length > 0) {
+    throw new Error(`Invalid relationship type(s): ${invalid.join(', ')}`);
+  }
+  return types;
+}
+
+/**
+ * Validate a traversal depth
+ * @param {number} depth - Requested depth
+ * @param {number} fallback - Depth used when none is given
+ * @param {number} max - Largest allowed depth
+ * @returns {number} Validated depth
+ */
+export function validateDepth(depth, fallback, max = 20) {
+  if (depth === undefined || depth === null) {
+    return fallback;
+  }
+  if (!Number.isInteger(depth) || depth < 1 || depth > max) {
+    throw new Error(`Depth must be an integer between 1 and ${max}`);
+  }
+  return depth;
+}
+
+/**
+ * Reduce a component node to the fields analyses report
+ */
+export function summarizeComponent(node) {
+  const { id, name, type, path, codebase } = node.properties;
+  return { id, name, type, path: path || null, codebase: codebase || null };
+}
+
+// Relationship patterns for each traversal direction
+const DIRECTION_PATTERNS = {
+  outgoing: (relationship) => `-[${relationship}]->`,
+  incoming: (relationship) => `<-[${relationship}]-`,
+  both: (relationship) => `-[${relationship}]-`
+};
+
+/**
+ * Build a Cypher relationship pattern from validated types, direction and length
+ * Types and lengths cannot be parameters in a pattern, so only validated values reach here.
+ */
+export function relationshipPattern(relationshipTypes, direction, minLength, maxLength) {
+  const pattern = DIRECTION_PATTERNS[direction];
+  if (!pattern) {
+    throw new Error(`Invalid direction: ${direction}. Use outgoing, incoming or both`);
+  }
+  const types = relationshipTypes.length > 0 ? `:${relationshipTypes.join('|')}` : '';
+  return pattern(`${types}*${minLength}..${maxLength}`);
+}
+
+/**
+ * Merge caller rules over the default orphan rules; a null rule disables a type
+ * @param {Object} overrides - Rules keyed by ComponentType: { incoming, outgoing }
+ * @returns {Object} Validated rules keyed by type
+ */
+export function resolveOrphanRules(overrides = {}) {
+  const rules = { ...DEFAULT_ORPHAN_RULES, ...overrides };
+  for (const [type, rule] of Object.entries(rules)) {
+    if (rule === null) {
+      delete rules[type];
+      continue;
+    }
+    if (!Object.values(ComponentType).includes(type)) {
+      throw new Error(`Invalid component type in orphan rules: ${type}`);
+    }
+    const incoming = validateRelationshipTypes(rule.incoming, []);
+    const outgoing = validateRelationshipTypes(rule.outgoing, []);
+    if (incoming.length + outgoing.length === 0) {
+      throw new Error(`Orphan rule for ${type} needs incoming or outgoing relationship types`);
+    }
+    rules[type] = { incoming, outgoing };
+  }
+  return rules;
+}
+
+/**
+ * Explain an orphan rule in words
+ */
+export function describeOrphanRule({ incoming, outgoing }) {
+  const reasons = [];
+  if (incoming.length > 0) {
+    reasons.push(`nothing ${incoming.join(', ')} it`);
+  }
+  if (outgoing.length > 0) {
+    reasons.push(`it ${outgoing.join(', ')} nothing`);
+  }
+  return reasons.join(' and ');
+}
+
+function toNumber(value) {
+  return neo4j.isInt(value) ? value.toNumber() : value;
+}
+
+/**
+ * Group edges by source id
+ */
+function adjacency(edges) {
+  const outgoing = new Map();
+  for (const edge of edges) {
+    if (!outgoing.has(edge.sourceId)) {
+      outgoing.set(edge.sourceId, []);
+    }
+    outgoing.get(edge.sourceId).push(edge);
+  }
+  return outgoing;
+}
+
+/**
+ * Tarjan's strongly connected components, iterative so deep graphs cannot overflow the stack
+ * @param {string[]} nodeIds - Node ids
+ * @param {Object[]} edges - Edges with sourceId and targetId
+ * @returns {string[][]} Components with more than one node or a self-loop
+ */
+export function findStronglyConnectedComponents(nodeIds, edges) {
+  const outgoing = adjacency(edges);
+  const index = new Map();
+  const lowLink = new Map();
+  const onStack = new Set();
+  const stack = [];
+  const components = [];
+  let counter = 0;
+
+  for (const start of nodeIds) {
+    if (index.has(start)) {
+      continue;
+    }
+    const work = [{ node: start, next: 0 }];
+    index.set(start, counter);
+    lowLink.set(start, counter++);
+    stack.push(start);
+    onStack.add(start);
+
+    while (work.length > 0) {
+      const frame = work[work.length - 1];
+      const neighbours = outgoing.get(frame.node) || [];
+      if (frame.next < neighbours.length) {
+        const target = neighbours[frame.next++].targetId;
+        if (!index.has(target)) {
+          index.set(target, counter);
+          lowLink.set(target, counter++);
+          stack.push(target);
+          onStack.add(target);
+          work.push({ node: target, next: 0 });
+        } else if (onStack.has(target)) {
+          lowLink.set(frame.node, Math.min(lowLink.get(frame.node), index.get(target)));
+        }
+        continue;
+      }
+
+      work.pop();
+      if (work.length > 0) {
+        const parent = work[work.length - 1].node;
+        lowLink.set(parent, Math.min(lowLink.get(parent), lowLink.get(frame.node)));
+      }
+      if (lowLink.get(frame.node) === index.get(frame.node)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== frame.node);
+
+        const selfLoop = neighbours.some(edge => edge.targetId === frame.node);
+        if (component.length > 1 || selfLoop) {
+          components.push(component.reverse());
+        }
+      }
+    }
+  }
+
+  return components;
+}
+
+/**
+ * Enumerate elementary cycles, each reported once starting from its first node in nodeIds order
+ * Only nodes of the same strongly connected component can share a cycle, so the search runs per component.
+ * Dense components hold exponentially many paths, so the search also stops after following maxSteps
+ * edges; either limit sets truncated.
+ * @param {string[]} nodeIds - Node ids
+ * @param {Object[]} edges - Edges with sourceId and targetId
+ * @param {Object} options - { maxCycles, maxLength, maxSteps }
+ * @returns {{cycles: Object[][], truncated: boolean}} Cycles as lists of edges
+ */
+export function findElementaryCycles(nodeIds, edges, { maxCycles = 100, maxLength = 20, maxSteps = MAX_CYCLE_SEARCH_STEPS } = {}) {
+  const cycles = [];
+  let truncated = false;
+  let steps = 0;
+
+  for (const component of findStronglyConnectedComponents(nodeIds, edges)) {
+    const members = new Set(component);
+    // One edge per node pair keeps parallel edges of different types from multiplying cycles
+    const pairs = new Map();
+    for (const edge of edges) {
+      if (members.has(edge.sourceId) && members.has(edge.targetId) && !pairs.has(`${edge.sourceId}->${edge.targetId}`)) {
+        pairs.set(`${edge.sourceId}->${edge.targetId}`, edge);
+      }
+    }
+    const outgoing = adjacency([...pairs.values()]);
+
+    for (let i = 0; i < component.length && !truncated; i++) {
+      const start = component[i];
+      const allowed = new Set(component.slice(i));
+      const path = [];
+      const onPath = new Set([start]);
+
+      const search = node => {
+        for (const edge of outgoing.get(node) || []) {
+          if (truncated) {
+            return;
+          }
+          if (++steps > maxSteps) {
+            truncated = true;
+            return;
+          }
+          if (edge.targetId === start) {
+            cycles.push([...path, edge]);
+            truncated = cycles.length >= maxCycles;
+          } else if (allowed.has(edge.targetId) && !onPath.has(edge.targetId) && path.length + 1 < maxLength) {
+            path.push(edge);
+            onPath.add(edge.targetId);
+            search(edge.targetId);
+            onPath.delete(edge.targetId);
+            path.pop();
+          }
+        }
+      };
+      search(start);
+    }
+    if (truncated) {
+      break;
+    }
+  }
+
+  return { cycles, truncated };
+}
+
+/**
+ * Binary min-heap ordered by a comparator
+ */
+class MinHeap {
+  constructor(compare) {
+    this.compare = compare;
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.compare(items[i], items[parent]) >= 0) {
+        break;
+      }
+      [items[i], items[parent]] = [items[parent], items[i]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && this.compare(items[left], items[smallest]) < 0) {
+          smallest = left;
+        }
+        if (right < items.length && this.compare(items[right], items[smallest]) < 0) {
+          smallest = right;
+        }
+        if (smallest === i) {
+          break;
+        }
+        [items[i], items[smallest]] = [items[smallest], items[i]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+// Path costs are [primary, secondary] pairs compared in order and added element-wise
+const compareCosts = (a, b) => a[0] - b[0] || a[1] - b[1];
+const addCosts = (a, b) => [a[0] + b[0], a[1] + b[1]];
+const edgeKey = edge => edge.id ?? `${edge.sourceId}|${edge.type}|${edge.targetId}`;
+
+/**
+ * Cheapest path of at most maxHops edges avoiding some nodes and edges
+ * Every edge costs more than nothing, so the cheapest path never repeats a node.
+ */
+function cheapestPath(steps, fromId, toId, maxHops, edgeCost, blockedNodes, blockedEdges) {
+  const best = new Map([[`${fromId}|0`, [0, 0]]]);
+  const queue = new MinHeap((a, b) => compareCosts(a.cost, b.cost));
+  queue.push({ node: fromId, hops: 0, cost: [0, 0], nodes: [fromId], edges: [] });
+
+  while (queue.size > 0) {
+    const state = queue.pop();
+    if (state.node === toId) {
+      return state;
+    }
+    if (state.hops >= maxHops || compareCosts(state.cost, best.get(`${state.node}|${state.hops}`)) > 0) {
+      continue;
+    }
+    for (const { to, edge } of steps.get(state.node) || []) {
+      if (blockedNodes.has(to) || blockedEdges.has(edgeKey(edge)) || state.nodes.includes(to)) {
+        continue;
+      }
+      const cost = addCosts(state.cost, edgeCost(edge));
+      const key = `${to}|${state.hops + 1}`;
+      if (best.has(key) && compareCosts(best.get(key), cost) <= 0) {
+        continue;
+      }
+      best.set(key, cost);
+      queue.push({ node: to, hops: state.hops + 1, cost, nodes: [...state.nodes, to], edges: [...state.edges, edge] });
+    }
+  }
+  return null;
+}
+
+/**
+ * Yen's k shortest simple paths between two components of a loaded graph
+ * Paths are ranked by length then likelihood, or by likelihood then length when weighted;
+ * likelihood multiplies relationship probabilities, counting edges without one as certain.
+ * @param {Object[]} edges - Edges with id, type, sourceId, targetId and probability
+ * @param {string} fromId - Start node
+ * @param {string} toId - End node
+ * @param {Object} options - { k, maxLength, direction: outgoing|incoming|both, weightByProbability }
+ * @returns {Object[]} Paths as { nodes: ids, edges, likelihood }, best first
+ */
+export function findTopKPaths(edges, fromId, toId, { k = 5, maxLength = 6, direction = 'outgoing', weightByProbability = false } = {}) {
+  const steps = new Map();
+  const addStep = (from, to, edge) => {
+    if (!steps.has(from)) {
+      steps.set(from, []);
+    }
+    steps.get(from).push({ to, edge });
+  };
+  for (const edge of edges) {
+    if (direction !== 'incoming') {
+      addStep(edge.sourceId, edge.targetId, edge);
+    }
+    if (direction !== 'outgoing') {
+      addStep(edge.targetId, edge.sourceId, edge);
+    }
+  }
+
+  const edgeCost = edge => {
+    const unlikelihood = -Math.log((edge.probability ?? 100) / 100);
+    return weightByProbability ? [unlikelihood, 1] : [1, unlikelihood];
+  };
+  const pathKey = path => path.edges.map(edgeKey).join(',');
+
+  const first = cheapestPath(steps, fromId, toId, maxLength, edgeCost, new Set(), new Set());
+  const found = first ? [first] : [];
+  const candidates = new MinHeap((a, b) => compareCosts(a.cost, b.cost));
+  const seen = new Set(found.map(pathKey));
+
+  while (found.length > 0 && found.length < k) {
+    const previous = found[found.length - 1];
+    for (let i = 0; i < previous.edges.length; i++) {
+      const rootEdges = previous.edges.slice(0, i);
+      const rootKey = rootEdges.map(edgeKey).join(',');
+      // Edges that continue this root in paths already found, and the root's own nodes, are off limits
+      const blockedEdges = new Set(found
+        .filter(path => path.edges.length > i && path.edges.slice(0, i).map(edgeKey).join(',') === rootKey)
+        .map(path => edgeKey(path.edges[i])));
+      const blockedNodes = new Set(previous.nodes.slice(0, i));
+
+      const spur = cheapestPath(steps, previous.nodes[i], toId, maxLength - i, edgeCost, blockedNodes, blockedEdges);
+      if (!spur) {
+        continue;
+      }
+      const path = {
+        nodes: [...previous.nodes.slice(0, i), ...spur.nodes],
+        edges: [...rootEdges, ...spur.edges],
+        cost: rootEdges.reduce((cost, edge) => addCosts(cost, edgeCost(edge)), spur.cost)
+      };
+      if (!seen.has(pathKey(path))) {
+        seen.add(pathKey(path));
+        candidates.push(path);
+      }
+    }
+    if (candidates.size === 0) {
+      break;
+    }
+    found.push(candidates.pop());
+  }
+
+  return found.map(({ nodes, edges: pathEdges }) => ({
+    nodes,
+    edges: pathEdges,
+    likelihood: pathEdges.reduce((likelihood, edge) => likelihood * (edge.probability ?? 100) / 100, 1)
+  }));
+}
+
+/**
+ * Pick the edge whose removal breaks the most of the given cycles
+ * Ties go to the least probable edge, then the lowest id, so the suggestion is stable.
+ * @param {Object[]} candidates - Edges to choose from
+ * @param {Map<Object, number>} cycleCounts - Number of cycles each edge is part of
+ * @returns {Object} Suggested edge with the number of cycles it breaks
+ */
+export function suggestEdgeToCut(candidates, cycleCounts) {
+  const [edge] = [...candidates].sort((a, b) =>
+    (cycleCounts.get(b) || 0) - (cycleCounts.get(a) || 0) ||
+    (a.probability ?? 100) - (b.probability ?? 100) ||
+    String(a.id).localeCompare(String(b.id))
+  );
+  return { ...edge, breaksCycles: cycleCounts.get(edge) || 0 };
+}
+
+export class GraphAnalysis {
+  constructor(database) {
+    this.db = database;
+  }
+
+  /**
+   * Find everything that transitively depends on a component
+   * Walks incoming edges breadth first, so each component is reported at its shortest distance
+   * together with the edge that reached it, then collects the tests and requirements attached
+   * to the component or anything affected.
+   * @param {string} componentId - Component about to change
+   * @param {Object} options - { relationshipTypes, maxDepth, codebase }
+   */
+  async getImpactAnalysis(componentId, options = {}) {
+    const relationshipTypes = validateRelationshipTypes(options.relationshipTypes, IMPACT_RELATIONSHIP_TYPES);
+    const maxDepth = validateDepth(options.maxDepth, 5);
+    const codebase = options.codebase || null;
+
+    const session = this.db.driver.session();
+    try {
+      const root = await session.run('MATCH (c:Component {id: $id}) RETURN c', { id: componentId });
+      if (root.records.length === 0) {
+        throw new Error(`Component ${componentId} not found`);
+      }
+      const component = summarizeComponent(root.records[0].get('c'));
+
+      const visited = new Set([componentId]);
+      const levels = [];
+      let frontier = [componentId];
+
+      for (let distance = 1; distance <= maxDepth && frontier.length > 0; distance++) {
+        const result = await session.run(`
+          MATCH (dependent:Component)-[r]->(c:Component)
+          WHERE c.id IN $frontier
+            AND type(r) IN $relationshipTypes
+            AND NOT dependent.id IN $visited
+            AND ($codebase IS NULL OR dependent.codebase = $codebase)
+          WITH dependent, collect({relationship: type(r), componentId: c.id}) AS via
+          RETURN dependent, via[0] AS via
+          ORDER BY dependent.name
+        `, { frontier, relationshipTypes, visited: [...visited], codebase });
+
+        const components = result.records.map(record => ({
+          ...summarizeComponent(record.get('dependent')),
+          via: record.get('via')
+        }));
+        if (components.length === 0) {
+          break;
+        }
+
+        components.forEach(affected => visited.add(affected.id));
+        levels.push({ distance, components });
+        frontier = components.map(affected => affected.id);
+      }
+
+      const atRisk = await session.run(`
+        MATCH (c:Component)-[r]-(n:Component)
+        WHERE c.id IN $ids AND n.type IN $types
+          AND ($codebase IS NULL OR n.codebase = $codebase)
+        RETURN n, collect(DISTINCT c.id) AS linkedTo, collect(DISTINCT type(r)) AS relationships
+        ORDER BY n.name
+      `, {
+        ids: [...visited],
+        types: [ComponentType.TEST_CASE, ComponentType.REQUIREMENT],
+        codebase
+      });
+
+      // Tests reached by the traversal itself also match here, through the edge that reached them
+      const risks = atRisk.records.map(record => ({
+        ...summarizeComponent(record.get('n')),
+        linkedTo: record.get('linkedTo'),
+        relationships: record.get('relationships')
+      }));
+
+      return {
+        component,
+        relationshipTypes,
+        maxDepth,
+        codebase,
+        totalAffected: visited.size - 1,
+        levels,
+        tests: risks.filter(risk => risk.type === ComponentType.TEST_CASE),
+        requirements: risks.filter(risk => risk.type === ComponentType.REQUIREMENT)
+      };
+    } finally {
+      await session.close();
+    }
+  }
+
+  /**
+   * Walk the graph breadth first from one or more start components
+   * Each component is expanded once, at its shortest distance, so shared dependencies appear
+   * once. Edges leading back to a component on the path that reached them are reported as
+   * cycles. Once maxNodes components are collected no new ones are added and the result is
+   * marked truncated.
+   * @param {string|string[]} startIds - Start component ids
+   * @param {Object} options - { relationshipTypes (default: any), direction, maxDepth, nodeTypes, codebase, shape, maxNodes }
+   */
+  async traverseGraph(startIds, options = {}) {
+    const ids = [...new Set([].concat(startIds || []))];
+    if (ids.length === 0) {
+      throw new Error('At least one start component is required');
+    }
+    const relationshipTypes = validateRelationshipTypes(options.relationshipTypes, []);
+    const direction = options.direction || 'outgoing';
+    const pattern = DIRECTION_PATTERNS[direction];
+    if (!pattern) {
+      throw new Error(`Invalid direction: ${direction}. Use outgoing, incoming or both`);
+    }
+    const maxDepth = validateDepth(options.maxDepth, 3);
+    const shape = options.shape || 'tree';
+    if (!TRAVERSAL_SHAPES.includes(shape)) {
+      throw new Error(`Invalid shape: ${shape}. Use ${TRAVERSAL_SHAPES.join(', ')}`);
+    }
+    const nodeTypes = options.nodeTypes && options.nodeTypes.length > 0 ? options.nodeTypes : null;
+    const invalidTypes = (nodeTypes || []).filter(type => !Object.values(ComponentType).includes(type));
+    if (invalidTypes.length > 0) {
+      throw new Error(`Invalid component types: ${invalidTypes.join(', ')}`);
+    }
+    const maxNodes = options.maxNodes ?? 500;
+    if (!Number.isInteger(maxNodes) || maxNodes < 1 || maxNodes > MAX_TRAVERSAL_NODES) {
+      throw new Error(`maxNodes must be an integer between 1 and ${MAX_TRAVERSAL_NODES}`);
+    }
+    const codebase = options.codebase || null;
+
+    const session = this.db.driver.session();
+    const nodes = new Map();
+    const via = new Map();
+    const edges = new Map();
+    const steps = [];
+    let truncated = false;
+    try {
+      const start = await session.run('MATCH (c:Component) WHERE c.id IN $ids RETURN c', { ids });
+      const found = new Map(start.records.map(record => {
+        const component = summarizeComponent(record.get('c'));
+        return [component.id, component];
+      }));
+      const missing = ids.filter(id => !found.has(id));
+      if (missing.length > 0) {
+        throw new Error(`Component ${missing.join(', ')} not found`);
+      }
+      ids.forEach(id => nodes.set(id, { ...found.get(id), depth: 0 }));
+
+      let frontier = ids;
+      for (let depth = 1; depth <= maxDepth && frontier.length > 0; depth++) {
+        const result = await session.run(`
+          MATCH (c:Component)${pattern('r')}(n:Component)
+          WHERE c.id IN $frontier
+            AND (size($relationshipTypes) = 0 OR type(r) IN $relationshipTypes)
+            AND ($nodeTypes IS NULL OR n.type IN $nodeTypes)
+            AND ($codebase IS NULL OR n.codebase = $codebase)
+          RETURN c.id AS fromId, n, r.id AS id, type(r) AS type, startNode(r) = c AS forward
+          ORDER BY c.id, n.name, n.id
+        `, { frontier, relationshipTypes, nodeTypes, codebase });
+
+        const next = [];
+        for (const record of result.records) {
+          const fromId = record.get('fromId');
+          const target = summarizeComponent(record.get('n'));
+          const forward = record.get('forward');
+          const edge = {
+            id: record.get('id') ?? null,
+            type: record.get('type'),
+            sourceId: forward ? fromId : target.id,
+            targetId: forward ? target.id : fromId
+          };
+          const key = edge.id ?? `${edge.sourceId}|${edge.type}|${edge.targetId}`;
+          if (edges.has(key)) {
+            continue;
+          }
+
+          let tree = false;
+          if (!nodes.has(target.id)) {
+            if (nodes.size >= maxNodes) {
+              truncated = true;
+              continue;
+            }
+            nodes.set(target.id, { ...target, depth });
+            via.set(target.id, { relationship: edge.type, componentId: fromId });
+            next.push(target.id);
+            tree = true;
+          }
+          edges.set(key, edge);
+          steps.push({ fromId, toId: target.id, key, tree });
+        }
+        frontier = next;
+      }
+    } finally {
+      await session.close();
+    }
+
+    const onPath = (id, descendantId) => {
+      for (let current = descendantId; current !== undefined; current = via.get(current)?.componentId) {
+        if (current === id) {
+          return true;
+        }
+      }
+      return false;
+    };
+    const cycleKeys = new Set(steps.filter(step => !step.tree && onPath(step.toId, step.fromId)).map(step => step.key));
+
+    const result = {
+      start: ids.map(id => nodes.get(id)),
+      relationshipTypes,
+      direction,
+      maxDepth,
+      nodeTypes,
+      codebase,
+      shape,
+      nodeCount: nodes.size,
+      edgeCount: edges.size,
+      truncated,
+      cycles: [...cycleKeys].map(key => edges.get(key))
+    };
+
+    if (shape === 'graph') {
+      return { ...result, nodes: [...nodes.values()], edges: [...edges.values()] };
+    }
+    if (shape === 'levels') {
+      const levels = [];
+      for (const [id, component] of nodes) {
+        levels[component.depth] = levels[component.depth] || { depth: component.depth, components: [] };
+        levels[component.depth].components.push(via.has(id) ? { ...component, via: via.get(id) } : component);
+      }
+      return { ...result, levels };
+    }
+
+    // Nested tree: each component is expanded under the edge that first reached it; later edges
+    // to it become references, flagged when they close a cycle
+    const children = new Map();
+    steps.forEach(step => children.set(step.fromId, [...(children.get(step.fromId) || []), step]));
+    const expand = id => ({
+      ...nodes.get(id),
+      children: (children.get(id) || []).map(step => {
+        const link = { relationship: edges.get(step.key).type, relationshipId: edges.get(step.key).id };
+        return step.tree
+          ? { ...link, ...expand(step.toId) }
+          : { ...link, ...nodes.get(step.toId), ref: true, cycle: cycleKeys.has(step.key) };
+      })
+    });
+    return { ...result, roots: ids.map(expand) };
+  }
+
+  /**
+   * Collect the neighbourhood of a task or components for an agent's context
+   * Seeds are the task's related components plus any componentIds. The graph is expanded
+   * maxDepth hops, then ranked by distance and connectivity and pruned to maxComponents.
+   * Open tasks on the kept components and their latest comments are attached.
+   * @param {Object} options - { taskId, componentIds, relationshipTypes, direction, maxDepth, maxComponents, commentsPerNode, format: 'text'|'json' }
+   */
+  async getContextSubgraph(options = {}) {
+    const format = options.format || 'text';
+    if (!['text', 'json'].includes(format)) {
+      throw new Error(`Invalid format: ${format}. Use 'text' or 'json'`);
+    }
+    const maxDepth = validateDepth(options.maxDepth, 2, 5);
+    const maxComponents = options.maxComponents ?? 30;
+    if (!Number.isInteger(maxComponents) || maxComponents < 1 || maxComponents > 500) {
+      throw new Error('maxComponents must be an integer between 1 and 500');
+    }
+    const commentsPerNode = options.commentsPerNode ?? 3;
+    if (!Number.isInteger(commentsPerNode) || commentsPerNode < 0) {
+      throw new Error('commentsPerNode must be a non-negative integer');
+    }
+
+    let task = null;
+    const seeds = new Set(options.componentIds || []);
+    if (options.taskId) {
+      const found = await this.db.getTask(options.taskId);
+      if (!found) {
+        throw new Error(`Task ${options.taskId} not found`);
+      }
+      const { relatedComponents, ...properties } = found;
+      task = properties;
+      relatedComponents.forEach(component => seeds.add(component.id));
+    }
+    if (seeds.size === 0) {
+      throw new Error(task ? `Task ${task.id} has no related components; pass componentIds` : 'Pass a taskId or componentIds');
+    }
+
+    const reached = await this.traverseGraph([...seeds], {
+      relationshipTypes: options.relationshipTypes,
+      direction: options.direction || 'both',
+      maxDepth,
+      shape: 'graph',
+      maxNodes: Math.min(MAX_TRAVERSAL_NODES, maxComponents * 20)
+    });
+    const { nodes, edges } = pruneContext(reached.nodes, reached.edges, maxComponents);
+    const ids = nodes.map(node => node.id);
+
+    const session = this.db.driver.session();
+    try {
+      const openTasks = await session.run(`
+        MATCH (t:Task)-[:RELATES_TO]->(c:Component)
+        WHERE c.id IN $ids AND t.status IN $statuses AND ($taskId IS NULL OR t.id <> $taskId)
+        RETURN t, collect(c.id) AS componentIds
+        ORDER BY t.status, t.name
+      `, { ids, statuses: OPEN_TASK_STATUSES, taskId: task ? task.id : null });
+
+      const comments = await session.run(`
+        MATCH (n)-[:HAS_COMMENT]->(c:Comment)
+        WHERE n.id IN $ids AND (n:Component OR n:Task)
+        WITH n, c ORDER BY c.created DESC
+        WITH n, collect(c)[0..$perNode] AS comments
+        UNWIND comments AS c
+        RETURN n.id AS nodeId, c
+      `, { ids: task ? [task.id, ...ids] : ids, perNode: neo4j.int(commentsPerNode) });
+
+      const context = {
+        task,
+        seeds: [...seeds],
+        relationshipTypes: reached.relationshipTypes,
+        maxDepth,
+        maxComponents,
+        reached: reached.nodeCount,
+        truncated: reached.truncated || nodes.length < reached.nodeCount,
+        components: nodes.map(node => ({ ...node, seed: seeds.has(node.id) })),
+        relationships: edges,
+        openTasks: openTasks.records.map(record => {
+          const { id, name, status, progress } = record.get('t').properties;
+          return { id, name, status, progress: toNumber(progress) ?? null, componentIds: record.get('componentIds') };
+        }),
+        comments: comments.records.map(record => {
+          const { id, author, created, content } = record.get('c').properties;
+          return { id, nodeId: record.get('nodeId'), author, created, content };
+        }),
+        format
+      };
+      return format === 'text' ? { ...context, text: renderContextText(context) } : context;
+    } finally {
+      await session.close();
+    }
+  }
+
+  /**
+   * Summarise how codebases depend on each other
+   * Edges whose endpoints belong to different codebases are aggregated into one edge per
+   * ordered pair of codebases, counted by relationship type, with the components contributing
+   * most on each side. Passing from and to drills into one pair, listing the edges both ways.
+   * @param {Object} options - { relationshipTypes (default: any), top, from, to, limit }
+   */
+  async getCodebaseDependencyMap(options = {}) {
+    const relationshipTypes = validateRelationshipTypes(options.relationshipTypes, []);
+    const top = options.top ?? 5;
+    if (!Number.isInteger(top) || top < 1 || top > 100) {
+      throw new Error('top must be an integer between 1 and 100');
+    }
+    if (Boolean(options.from) !== Boolean(options.to)) {
+      throw new Error('Pass both from and to to drill into a pair of codebases');
+    }
+    if (options.from && options.from === options.to) {
+      throw new Error('from and to must be different codebases');
+    }
+    const limit = options.limit ?? 100;
+    if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+      throw new Error('limit must be an integer between 1 and 1000');
+    }
+
+    const pairs = options.from ? [[options.from, options.to], [options.to, options.from]] : null;
+    const params = { relationshipTypes, pairs, top: neo4j.int(top) };
+    const crossing = `
+      MATCH (s:Component)-[r]->(t:Component)
+      WHERE s.codebase IS NOT NULL AND t.codebase IS NOT NULL AND s.codebase <> t.codebase
+        AND (size($relationshipTypes) = 0 OR type(r) IN $relationshipTypes)
+        AND ($pairs IS NULL OR [s.codebase, t.codebase] IN $pairs)
+    `;
+    const topComponents = side => `${crossing}
+      WITH s.codebase AS source, t.codebase AS target, ${side} AS c, count(r) AS edges
+      ORDER BY edges DESC, c.name
+      WITH source, target, collect({id: c.id, name: c.name, type: c.type, path: c.path, edges: edges})[0..$top] AS components
+      RETURN source, target, components
+    `;
+
+    const session = this.db.driver.session();
+    try {
+      const counts = await session.run(`${crossing}
+        RETURN s.codebase AS source, t.codebase AS target, type(r) AS type, count(r) AS count
+      `, params);
+      const sources = await session.run(topComponents('s'), params);
+      const targets = await session.run(topComponents('t'), params);
+
+      const edges = new Map();
+      const edgeFor = (source, target) => {
+        const key = JSON.stringify([source, target]);
+        if (!edges.has(key)) {
+          edges.set(key, { source, target, count: 0, byType: {}, topSources: [], topTargets: [] });
+        }
+        return edges.get(key);
+      };
+      for (const record of counts.records) {
+        const edge = edgeFor(record.get('source'), record.get('target'));
+        const count = toNumber(record.get('count'));
+        edge.byType[record.get('type')] = count;
+        edge.count += count;
+      }
+      const contributors = record => record.get('components').map(component => ({
+        ...component,
+        path: component.path || null,
+        edges: toNumber(component.edges)
+      }));
+      sources.records.forEach(record => { edgeFor(record.get('source'), record.get('target')).topSources = contributors(record); });
+      targets.records.forEach(record => { edgeFor(record.get('source'), record.get('target')).topTargets = contributors(record); });
+
+      if (pairs) {
+        return await this.drillIntoCodebasePair(session, options.from, options.to, edges, relationshipTypes, limit);
+      }
+
+      const codebases = await session.run(`
+        MATCH (c:Component)
+        WHERE c.codebase IS NOT NULL
+        RETURN c.codebase AS name, count(c) AS componentCount
+        ORDER BY name
+      `);
+      const ranked = [...edges.values()].sort((a, b) => b.count - a.count);
+      return {
+        relationshipTypes,
+        codebases: codebases.records.map(record => {
+          const name = record.get('name');
+          const outgoing = ranked.filter(edge => edge.source === name);
+          const incoming = ranked.filter(edge => edge.target === name);
+          return {
+            name,
+            componentCount: toNumber(record.get('componentCount')),
+            dependsOn: outgoing.map(edge => edge.target),
+            dependedOnBy: incoming.map(edge => edge.source),
+            outgoingEdges: outgoing.reduce((sum, edge) => sum + edge.count, 0),
+            incomingEdges: incoming.reduce((sum, edge) => sum + edge.count, 0)
+          };
+        }),
+        edges: ranked
+      };
+    } finally {
+      await session.close();
+    }
+  }
+
+  /**
+   * List the edges between two codebases in both directions for getCodebaseDependencyMap
+   */
+  async drillIntoCodebasePair(session, from, to, edges, relationshipTypes, limit) {
+    const directions = [];
+    for (const [source, target] of [[from, to], [to, from]]) {
+      const result = await session.run(`
+        MATCH (s:Component {codebase: $source})-[r]->(t:Component {codebase: $target})
+        WHERE size($relationshipTypes) = 0 OR type(r) IN $relationshipTypes
+        RETURN s, t, r.id AS id, type(r) AS type
+        ORDER BY s.name, t.name, type
+        LIMIT $limit
+      `, { source, target, relationshipTypes, limit: neo4j.int(limit) });
+
+      const summary = edges.get(JSON.stringify([source, target])) || { count: 0, byType: {}, topSources: [], topTargets: [] };
+      directions.push({
+        ...summary,
+        source,
+        target,
+        truncated: summary.count > result.records.length,
+        edges: result.records.map(record => ({
+          id: record.get('id'),
+          type: record.get('type'),
+          source: summarizeComponent(record.get('s')),
+          target: summarizeComponent(record.get('t'))
+        }))
+      });
+    }
+    return { relationshipTypes, pair: [from, to], directions };
+  }
+
+  /**
+   * Load components and the edges between them into memory for algorithms that need the whole graph
+   * @param {Object} options - { codebase, relationshipTypes }
+   * @returns {{components: Map<string, Object>, edges: Object[]}}
+   */
+  async loadGraph({ codebase = null, relationshipTypes } = {}) {
+    const session = this.db.driver.session();
+    try {
+      const nodes = await session.run(`
+        MATCH (c:Component)
+        WHERE $codebase IS NULL OR c.codebase = $codebase
+        RETURN c
+        ORDER BY c.id
+      `, { codebase });
+      const edges = await session.run(`
+        MATCH (source:Component)-[r]->(target:Component)
+        WHERE type(r) IN $relationshipTypes
+          AND ($codebase IS NULL OR (source.codebase = $codebase AND target.codebase = $codebase))
+        RETURN r.id AS id, type(r) AS type, source.id AS sourceId, target.id AS targetId, r.probability AS probability
+        ORDER BY r.id
+      `, { codebase, relationshipTypes });
+
+      return {
+        components: new Map(nodes.records.map(record => {
+          const component = summarizeComponent(record.get('c'));
+          return [component.id, component];
+        })),
+        edges: edges.records.map(record => ({
+          id: record.get('id'),
+          type: record.get('type'),
+          sourceId: record.get('sourceId'),
+          targetId: record.get('targetId'),
+          probability: toNumber(record.get('probability')) ?? null
+        }))
+      };
+    } finally {
+      await session.close();
+    }
+  }
+
+  /**
+   * Report dependency cycles in a codebase
+   * Mode 'cycles' lists elementary cycles; mode 'scc' lists strongly connected components,
+   * the groups of components that all reach each other. Each result suggests an edge to cut.
+   * Cycle enumeration is bounded by maxCycles and MAX_CYCLE_SEARCH_STEPS; in scc mode it only
+   * informs the suggested cuts, so the components are listed in full even when it is truncated.
+   * @param {Object} options - { codebase, relationshipTypes, mode, maxCycles, maxLength }
+   */
+  async findCycles(options = {}) {
+    const relationshipTypes = validateRelationshipTypes(options.relationshipTypes, CYCLE_RELATIONSHIP_TYPES);
+    const mode = options.mode || 'cycles';
+    if (!['cycles', 'scc'].includes(mode)) {
+      throw new Error(`Invalid mode: ${mode}. Use 'cycles' or 'scc'`);
+    }
+    const maxCycles = options.maxCycles ?? 100;
+    if (!Number.isInteger(maxCycles) || maxCycles < 1 || maxCycles > MAX_CYCLES) {
+      throw new Error(`maxCycles must be an integer between 1 and ${MAX_CYCLES}`);
+    }
+    const maxLength = validateDepth(options.maxLength, 20, 100);
+    const codebase = options.codebase || null;
+
+    const { components, edges } = await this.loadGraph({ codebase, relationshipTypes });
+    const nodeIds = [...components.keys()];
+    const { cycles, truncated } = findElementaryCycles(nodeIds, edges, { maxCycles, maxLength });
+
+    const cycleCounts = new Map();
+    cycles.flat().forEach(edge => cycleCounts.set(edge, (cycleCounts.get(edge) || 0) + 1));
+    const describe = id => components.get(id) || { id };
+
+    const result = { codebase, relationshipTypes, mode, cycleCount: cycles.length, truncated };
+
+    if (mode === 'scc') {
+      result.components = findStronglyConnectedComponents(nodeIds, edges).map(members => {
+        const memberSet = new Set(members);
+        const internal = edges.filter(edge => memberSet.has(edge.sourceId) && memberSet.has(edge.targetId));
+        return {
+          size: members.length,
+          components: members.map(describe),
+          edges: internal,
+          suggestedCut: suggestEdgeToCut(internal, cycleCounts)
+        };
+      }).sort((a, b) => b.size - a.size);
+      return result;
+    }
+
+    result.cycles = cycles.map(cycle => ({
+      length: cycle.length,
+      components: cycle.map(edge => describe(edge.sourceId)),
+      edges: cycle,
+      suggestedCut: suggestEdgeToCut(cycle, cycleCounts)
+    }));
+    return result;
+  }
+
+  /**
+   * Find how one component reaches another
+   * Mode 'shortest' returns a single shortest path from Cypher. Mode 'all' loads the components
+   * within maxLength hops of the start, each hop a read with a timeout and at most
+   * MAX_PATH_SEARCH_NODES components in all, and ranks up to k simple paths with Yen's algorithm:
+   * shortest first, or most likely first when weighted by relationship probability. Cypher's
+   * shortestPath only counts hops, so a weighted 'shortest' request is the same search with k of 1.
+   * @param {string} fromId - Start component
+   * @param {string} toId - End component
+   * @param {Object} options - { relationshipTypes, direction, maxLength, mode, k, weightByProbability }
+   */
+  async findPaths(fromId, toId, options = {}) {
+    const relationshipTypes = validateRelationshipTypes(options.relationshipTypes, []);
+    const direction = options.direction || 'outgoing';
+    const maxLength = validateDepth(options.maxLength, 6, 15);
+    const mode = options.mode || 'shortest';
+    if (!['shortest', 'all'].includes(mode)) {
+      throw new Error(`Invalid mode: ${mode}. Use 'shortest' or 'all'`);
+    }
+    const k = Math.min(Math.max(parseInt(options.k) || 5, 1), 50);
+    const weightByProbability = Boolean(options.weightByProbability);
+    const pattern = relationshipPattern(relationshipTypes, direction, 1, maxLength);
+    if (fromId === toId) {
+      throw new Error('Start and end component must differ; use find_cycles for paths back to a component');
+    }
+
+    const session = this.db.driver.session();
+    try {
+      const endpoints = await session.run(`
+        MATCH (c:Component)
+        WHERE c.id IN [$fromId, $toId]
+        RETURN c
+      `, { fromId, toId });
+      const found = new Map(endpoints.records.map(record => {
+        const component = summarizeComponent(record.get('c'));
+        return [component.id, component];
+      }));
+      for (const id of [fromId, toId]) {
+        if (!found.has(id)) {
+          throw new Error(`Component ${id} not found`);
+        }
+      }
+
+      const result = {
+        from: found.get(fromId),
+        to: found.get(toId),
+        mode,
+        direction,
+        relationshipTypes,
+        maxLength,
+        weightByProbability
+      };
+
+      if (mode === 'shortest' && !weightByProbability) {
+        // Edges without a probability count as certain
+        const shortest = await session.run(`
+          MATCH (source:Component {id: $fromId}), (target:Component {id: $toId})
+          MATCH p = shortestPath((source)${pattern}(target))
+          RETURN [n IN nodes(p) | n] AS nodes,
+            [r IN relationships(p) | {
+              id: r.id, type: type(r), sourceId: startNode(r).id, targetId: endNode(r).id, probability: r.probability
+            }] AS relationships,
+            length(p) AS length,
+            reduce(likelihood = 1.0, r IN relationships(p) | likelihood * coalesce(r.probability, 100) / 100.0) AS likelihood
+        `, { fromId, toId });
+        result.paths = shortest.records.map(record => ({
+          length: toNumber(record.get('length')),
+          likelihood: record.get('likelihood'),
+          components: record.get('nodes').map(summarizeComponent),
+          relationships: record.get('relationships').map(relationship => ({
+            ...relationship,
+            probability: toNumber(relationship.probability) ?? null
+          }))
+        }));
+        return result;
+      }
+
+      const components = new Map([[fromId, found.get(fromId)]]);
+      const edges = new Map();
+      let frontier = [fromId];
+      let truncated = false;
+      for (let depth = 1; depth <= maxLength && frontier.length > 0 && !truncated; depth++) {
+        const level = await session.executeRead(tx => tx.run(`
+          MATCH (c:Component)${DIRECTION_PATTERNS[direction]('r')}(n:Component)
+          WHERE c.id IN $frontier
+            AND (size($relationshipTypes) = 0 OR type(r) IN $relationshipTypes)
+          RETURN n, r.id AS id, type(r) AS type, startNode(r).id AS sourceId, endNode(r).id AS targetId,
+                 r.probability AS probability
+        `, { frontier, relationshipTypes }), { timeout: PATH_SEARCH_TIMEOUT });
+
+        const next = [];
+        for (const record of level.records) {
+          const neighbour = summarizeComponent(record.get('n'));
+          if (!components.has(neighbour.id)) {
+            if (components.size >= MAX_PATH_SEARCH_NODES) {
+              truncated = true;
+              continue;
+            }
+            components.set(neighbour.id, neighbour);
+            next.push(neighbour.id);
+          }
+          const edge = {
+            id: record.get('id') ?? null,
+            type: record.get('type'),
+            sourceId: record.get('sourceId'),
+            targetId: record.get('targetId'),
+            probability: toNumber(record.get('probability')) ?? null
+          };
+          edges.set(edge.id ?? `${edge.sourceId}|${edge.type}|${edge.targetId}`, edge);
+        }
+        frontier = next;
+      }
+
+      result.truncated = truncated;
+      result.paths = findTopKPaths([...edges.values()], fromId, toId, { k: mode === 'shortest' ? 1 : k, maxLength, direction, weightByProbability })
+        .map(path => ({
+          length: path.edges.length,
+          likelihood: path.likelihood,
+          components: path.nodes.map(id => components.get(id)),
+          relationships: path.edges
+        }));
+      return result;
+    } finally {
+      await session.close();
+    }
+  }
+
+  /**
+   * Evaluate forbidden-dependency rules against the graph
+   * Codebases, types and relationship types narrow the query; path and name globs are matched here.
+   * @param {Object[]} rules - Validated architecture rules
+   * @param {Object} options - { codebase } to only check edges touching one codebase
+   * @returns {Object} Violations with the offending edges, and counts per rule
+   */
+  async checkArchitectureRules(rules, options = {}) {
+    const codebase = options.codebase || null;
+    const list = value => (value === undefined ? null : [].concat(value));
+    const violations = [];
+    const byRule = {};
+
+    const session = this.db.driver.session();
+    try {
+      for (const rule of rules) {
+        const result = await session.run(`
+          MATCH (source:Component)-[r]->(target:Component)
+          WHERE ($relationshipTypes IS NULL OR type(r) IN $relationshipTypes)
+            AND ($sourceCodebases IS NULL OR source.codebase IN $sourceCodebases)
+            AND ($sourceTypes IS NULL OR source.type IN $sourceTypes)
+            AND ($targetCodebases IS NULL OR target.codebase IN $targetCodebases)
+            AND ($targetTypes IS NULL OR target.type IN $targetTypes)
+            AND ($codebase IS NULL OR source.codebase = $codebase OR target.codebase = $codebase)
+          RETURN source, target, r.id AS id, type(r) AS type
+          ORDER BY source.name, target.name
+        `, {
+          relationshipTypes: rule.relationshipTypes || null,
+          sourceCodebases: list(rule.from.codebase),
+          sourceTypes: list(rule.from.type),
+          targetCodebases: list(rule.to.codebase),
+          targetTypes: list(rule.to.type),
+          codebase
+        });
+
+        const offending = result.records.filter(record =>
+          matchesSelector(record.get('source').properties, rule.from) &&
+          matchesSelector(record.get('target').properties, rule.to)
+        );
+        byRule[rule.id] = offending.length;
+        violations.push(...offending.map(record => ({
+          ruleId: rule.id,
+          description: rule.description || null,
+          severity: rule.severity,
+          edge: {
+            id: record.get('id'),
+            type: record.get('type'),
+            source: summarizeComponent(record.get('source')),
+            target: summarizeComponent(record.get('target'))
+          }
+        })));
+      }
+
+      return {
+        codebase,
+        rulesChecked: rules.length,
+        violationCount: violations.length,
+        errorCount: violations.filter(violation => violation.severity === 'error').length,
+        byRule,
+        violations
+      };
+    } finally {
+      await session.close();
+    }
+  }
+
+  /**
+   * Load a codebase and compute the metrics of each of its components
+   * Centrality is refused for graphs over MAX_CENTRALITY_NODES components; narrow them by
+   * codebase or turn centrality off.
+   * @param {Object} options - { codebase, relationshipTypes, centrality }
+   */
+  async computeMetrics(options = {}) {
+    const relationshipTypes = validateRelationshipTypes(options.relationshipTypes, COUPLING_RELATIONSHIP_TYPES);
+    const codebase = options.codebase || null;
+
+    const { components, edges } = await this.loadGraph({
+      codebase,
+      relationshipTypes: [...new Set([...relationshipTypes, 'CONTAINS'])]
+    });
+    if (options.centrality !== false && components.size > MAX_CENTRALITY_NODES) {
+      throw new Error(
+        `Centrality is limited to ${MAX_CENTRALITY_NODES} components and ${codebase ? `codebase ${codebase}` : 'the graph'} has ${components.size}; ` +
+        `${codebase ? '' : 'pass a codebase or '}set centrality to false`
+      );
+    }
+    const couplingEdges = edges.filter(edge => relationshipTypes.includes(edge.type));
+    const containsEdges = edges.filter(edge => edge.type === 'CONTAINS');
+    const metrics = computeComponentMetrics([...components.values()], couplingEdges, containsEdges, {
+      centrality: options.centrality !== false
+    });
+    return { codebase, relationshipTypes, metrics, couplingEdges, containsEdges };
+  }
+
+  /**
+   * Coupling and centrality metrics per component, or aggregated per MODULE
+   * Results are ranked as hotspots, highest score first. Storing them on the nodes is a write,
+   * so it is writeComponentMetrics and not an option here.
+   * @param {Object} options - { codebase, componentId, level, relationshipTypes, centrality, limit }
+   */
+  async getComponentMetrics(options = {}) {
+    if (options.writeBack) {
+      throw new Error('writeBack is no longer supported; use write_component_metrics to store metrics on the nodes');
+    }
+    const level = options.level || 'component';
+    if (!['component', 'module'].includes(level)) {
+      throw new Error(`Invalid level: ${level}. Use 'component' or 'module'`);
+    }
+    const limit = options.limit || 50;
+
+    const { codebase, relationshipTypes, metrics, couplingEdges, containsEdges } = await this.computeMetrics(options);
+
+    const result = { codebase, level, relationshipTypes, componentCount: metrics.length };
+    if (options.componentId) {
+      const metric = metrics.find(entry => entry.id === options.componentId);
+      if (!metric) {
+        throw new Error(`Component ${options.componentId} not found${codebase ? ` in codebase ${codebase}` : ''}`);
+      }
+      return { ...result, metrics: [metric] };
+    }
+
+    const ranked = (level === 'module' ? aggregateModuleMetrics(metrics, couplingEdges, containsEdges) : metrics)
+      .sort((a, b) => b.hotspotScore - a.hotspotScore);
+    return { ...result, total: ranked.length, metrics: ranked.slice(0, limit) };
+  }
+
+  /**
+   * Compute component metrics and store them on the nodes as metric* properties
+   * Each component is recorded as an update with its before and after state, so the write
+   * can be reverted like any other bulk update.
+   * @param {Object} options - { codebase, relationshipTypes, centrality, metadata }
+   */
+  async writeComponentMetrics(options = {}) {
+    const { codebase, relationshipTypes, metrics } = await this.computeMetrics(options);
+    const rows = metrics.map(metric => ({
+      id: metric.id,
+      properties: Object.fromEntries(Object.entries(METRIC_PROPERTIES).map(([key, property]) => [property, metric[key]]))
+    }));
+
+    const session = this.db.driver.session();
+    const tx = session.beginTransaction();
+    let changes;
+    try {
+      const result = await tx.run(`
+        UNWIND $rows AS row
+        MATCH (c:Component {id: row.id})
+        WITH c, row, properties(c) AS before
+        SET c += row.properties, c.metricsUpdated = datetime()
+        RETURN before, c
+      `, { rows });
+      changes = result.records.map(record => ({ before: record.get('before'), after: record.get('c').properties }));
+      await tx.commit();
+    } catch (error) {
+      await tx.rollback();
+      throw error;
+    } finally {
+      await session.close();
+    }
+
+    await this.db.recordUpdatedComponents(changes, { ...(options.metadata || {}), metrics: true });
+
+    return { codebase, relationshipTypes, componentCount: changes.length, properties: Object.values(METRIC_PROPERTIES) };
+  }
+
+  /**
+   * Find unused components according to per-type rules
+   * @param {Object} options - { codebase, types, rules, ignore }
+   */
+  async findOrphans(options = {}) {
+    if (options.action !== undefined && options.action !== 'report') {
+      throw new Error('find_orphans only reports; use clean_orphans to tag or delete orphans');
+    }
+    const rules = resolveOrphanRules(options.rules);
+    const types = options.types || Object.keys(rules);
+    const ignore = (options.ignore || []).map(selector => {
+      const parsed = SelectorSchema.safeParse(selector);
+      if (!parsed.success) {
+        throw new Error(`Invalid ignore selector ${JSON.stringify(selector)}: ${parsed.error.issues[0].message}`);
+      }
+      return parsed.data;
+    });
+    const codebase = options.codebase || null;
+
+    const orphans = [];
+    const session = this.db.driver.session();
+    try {
+      for (const type of types) {
+        const rule = rules[type];
+        if (!rule) {
+          throw new Error(`No orphan rule for component type ${type}`);
+        }
+        const result = await session.run(`
+          MATCH (c:Component {type: $type})
+          WHERE ($codebase IS NULL OR c.codebase = $codebase)
+            AND NOT EXISTS { MATCH (c)<-[r]-(:Component) WHERE type(r) IN $incoming }
+            AND NOT EXISTS { MATCH (c)-[r]->(:Component) WHERE type(r) IN $outgoing }
+          RETURN c
+          ORDER BY c.path, c.name
+        `, { type, codebase, incoming: rule.incoming, outgoing: rule.outgoing });
+
+        const reason = describeOrphanRule(rule);
+        orphans.push(...result.records
+          .map(record => record.get('c').properties)
+          .filter(component => !ignore.some(selector => matchesSelector(component, selector)))
+          .map(component => ({ ...summarizeComponent({ properties: component }), reason })));
+      }
+    } finally {
+      await session.close();
+    }
+
+    return {
+      codebase,
+      rules: Object.fromEntries(types.map(type => [type, rules[type]])),
+      orphanCount: orphans.length,
+      byType: Object.fromEntries(types.map(type => [type, orphans.filter(orphan => orphan.type === type).length])),
+      orphans
+    };
+  }
+
+  /**
+   * Tag or delete the components findOrphans reports
+   * Tagging and deleting go through the bulk update and delete paths, so the change history
+   * records them and revert_session can undo the cleanup.
+   * @param {Object} options - findOrphans options plus { action: 'tag'|'delete', dryRun, metadata }
+   */
+  async cleanOrphans(options = {}) {
+    const { action = 'tag', dryRun = false, metadata: callerMetadata, ...search } = options;
+    if (!['tag', 'delete'].includes(action)) {
+      throw new Error(`Invalid action: ${action}. Use tag or delete`);
+    }
+    const result = { ...await this.findOrphans(search), action, dryRun: Boolean(dryRun) };
+    const { orphans } = result;
+    if (dryRun || orphans.length === 0) {
+      return result;
+    }
+
+    const metadata = { ...callerMetadata, cleanup: 'clean_orphans' };
+    if (action === 'tag') {
+      const detected = new Date().toISOString();
+      const tagged = await this.db.updateComponents(
+        orphans.map(orphan => ({ id: orphan.id, updates: { orphan: true, orphanReason: orphan.reason, orphanDetected: detected } })),
+        metadata
+      );
+      return { ...result, tagged: tagged.length };
+    }
+    const deleted = await this.db.deleteComponents(orphans.map(orphan => orphan.id), metadata);
+    return { ...result, deleted: deleted.length };
+  }
+
+  /**
+   * Propose module boundaries from the dependency structure
+   * Louvain community detection groups FILE/CLASS/FUNCTION components by their dependencies;
+   * the groups are then compared with each component's nearest containing MODULE or SYSTEM.
+   * Suggestions are 'move' (component sits with another module's code), 'split' (module falls
+   * apart into several groups) and 'merge' (modules form one group).
+   * @param {Object} options - { codebase, types, relationshipTypes, resolution, minSize }
+   */
+  async suggestModules(options = {}) {
+    const relationshipTypes = validateRelationshipTypes(options.relationshipTypes, COUPLING_RELATIONSHIP_TYPES);
+    const types = options.types || CLUSTER_COMPONENT_TYPES;
+    const invalid = types.filter(type => !Object.values(ComponentType).includes(type));
+    if (invalid.length > 0) {
+      throw new Error(`Invalid component types: ${invalid.join(', ')}`);
+    }
+    const resolution = options.resolution ?? 1;
+    if (!(resolution > 0)) {
+      throw new Error('resolution must be a positive number');
+    }
+    const codebase = options.codebase || null;
+
+    const { components, edges } = await this.loadGraph({
+      codebase,
+      relationshipTypes: [...new Set([...relationshipTypes, 'CONTAINS'])]
+    });
+    const { parent } = computeContainment([...components.keys()], edges.filter(edge => edge.type === 'CONTAINS'));
+    const declared = new Map();
+    for (const id of components.keys()) {
+      let current = parent.get(id);
+      while (current !== undefined && !MODULE_COMPONENT_TYPES.includes(components.get(current).type)) {
+        current = parent.get(current);
+      }
+      if (current !== undefined) {
+        declared.set(id, components.get(current));
+      }
+    }
+
+    const members = [...components.values()].filter(component => types.includes(component.type));
+    const memberIds = new Set(members.map(component => component.id));
+    const dependencies = edges.filter(edge =>
+      relationshipTypes.includes(edge.type) && memberIds.has(edge.sourceId) && memberIds.has(edge.targetId));
+    const communities = detectCommunities(members.map(component => component.id), dependencies, { resolution });
+
+    return {
+      codebase,
+      types,
+      relationshipTypes,
+      componentCount: members.length,
+      edgeCount: dependencies.length,
+      ...compareWithDeclared(members, communities, declared, dependencies, { minSize: options.minSize || 2 })
+    };
+  }
+}
@@ -0,0 +1,254 @@
+/**
+ * Graph Clustering
+ * Community detection over the component graph and comparison with the declared
+ * MODULE/SYSTEM containment, used to suggest module boundaries.
+ */
+
+/**
+ * Build a symmetric weighted adjacency list; parallel edges add up and self-loops are dropped
+ */
+function undirectedAdjacency(nodeIds, edges) {
+  const index = new Map(nodeIds.map((id, i) => [id, i]));
+  const adjacency = nodeIds.map(() => new Map());
+  for (const edge of edges) {
+    const source = index.get(edge.sourceId);
+    const target = index.get(edge.targetId);
+    if (source === undefined || target === undefined || source === target) {
+      continue;
+    }
+    const weight = edge.weight ?? 1;
+    adjacency[source].set(target, (adjacency[source].get(target) || 0) + weight);
+    adjacency[target].set(source, (adjacency[target].get(source) || 0) + weight);
+  }
+  return adjacency;
+}
+
+/**
+ * Move nodes between communities while modularity improves (one Louvain level)
+ * Adjacency entries on the diagonal hold twice the internal weight of an aggregated node.
+ * @returns {number[]} Community of each node
+ */
+function localMoving(adjacency, resolution) {
+  const degree = adjacency.map(neighbours => [...neighbours.values()].reduce((sum, weight) => sum + weight, 0));
+  const totalWeight = degree.reduce((sum, value) => sum + value, 0);
+  const community = adjacency.map((_, i) => i);
+  const communityDegree = [...degree];
+  if (totalWeight === 0) {
+    return community;
+  }
+
+  let moved = true;
+  for (let sweep = 0; moved && sweep < 100; sweep++) {
+    moved = false;
+    for (let node = 0; node < adjacency.length; node++) {
+      const links = new Map();
+      for (const [neighbour, weight] of adjacency[node]) {
+        if (neighbour !== node) {
+          links.set(community[neighbour], (links.get(community[neighbour]) || 0) + weight);
+        }
+      }
+
+      const current = community[node];
+      communityDegree[current] -= degree[node];
+      const gain = target => (links.get(target) || 0) - resolution * communityDegree[target] * degree[node] / totalWeight;
+
+      let best = current;
+      let bestGain = gain(current);
+      for (const target of links.keys()) {
+        const candidate = gain(target);
+        if (candidate > bestGain + 1e-12) {
+          best = target;
+          bestGain = candidate;
+        }
+      }
+
+      communityDegree[best] += degree[node];
+      if (best !== current) {
+        community[node] = best;
+        moved = true;
+      }
+    }
+  }
+  return community;
+}
+
+/**
+ * Louvain community detection on the undirected, weighted view of a graph
+ * Node order is fixed, so the same graph always yields the same communities.
+ * @param {string[]} nodeIds - Node ids
+ * @param {Object[]} edges - Edges with sourceId, targetId and optional weight
+ * @param {Object} options - { resolution } above 1 favours smaller communities
+ * @returns {Map<string, number>} Community index per node
+ */
+export function detectCommunities(nodeIds, edges, { resolution = 1, maxLevels = 10 } = {}) {
+  let adjacency = undirectedAdjacency(nodeIds, edges);
+  let membership = nodeIds.map((_, i) => i);
+
+  for (let level = 0; level < maxLevels; level++) {
+    const community = localMoving(adjacency, resolution);
+    const renumber = new Map();
+    community.forEach(value => {
+      if (!renumber.has(value)) {
+        renumber.set(value, renumber.size);
+      }
+    });
+    if (renumber.size === adjacency.length) {
+      break;
+    }
+
+    membership = membership.map(node => renumber.get(community[node]));
+    const aggregated = Array.from({ length: renumber.size }, () => new Map());
+    adjacency.forEach((neighbours, node) => {
+      const from = renumber.get(community[node]);
+      for (const [neighbour, weight] of neighbours) {
+        const to = renumber.get(community[neighbour]);
+        aggregated[from].set(to, (aggregated[from].get(to) || 0) + weight);
+      }
+    });
+    adjacency = aggregated;
+  }
+
+  return new Map(nodeIds.map((id, i) => [id, membership[i]]));
+}
+
+/**
+ * Newman modularity of a partition of the undirected graph
+ * @param {Map<string, *>} partition - Group of each node; nodes missing from it are ignored
+ * @returns {number} Modularity between -0.5 and 1
+ */
+export function modularity(partition, edges) {
+  let totalWeight = 0;
+  const internal = new Map();
+  const degree = new Map();
+  for (const edge of edges) {
+    const source = partition.get(edge.sourceId);
+    const target = partition.get(edge.targetId);
+    if (source === undefined || target === undefined || edge.sourceId === edge.targetId) {
+      continue;
+    }
+    const weight = edge.weight ?? 1;
+    totalWeight += 2 * weight;
+    degree.set(source, (degree.get(source) || 0) + weight);
+    degree.set(target, (degree.get(target) || 0) + weight);
+    if (source === target) {
+      internal.set(source, (internal.get(source) || 0) + 2 * weight);
+    }
+  }
+  if (totalWeight === 0) {
+    return 0;
+  }
+  return [...degree].reduce((sum, [group, value]) =>
+    sum + (internal.get(group) || 0) / totalWeight - (value / totalWeight) ** 2, 0);
+}
+
+function countBy(items, keyOf) {
+  const counts = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * Compare detected communities with the declared modules and suggest boundary changes
+ * @param {Object[]} components - Components with id and name
+ * @param {Map<string, number>} communities - Result of detectCommunities
+ * @param {Map<string, Object>} declared - Declared MODULE/SYSTEM of each component (missing when unassigned)
+ * @param {Object[]} edges - Edges used for clustering
+ * @param {Object} options - { minSize } smallest group worth reporting
+ */
+export function compareWithDeclared(components, communities, declared, edges, { minSize = 2 } = {}) {
+  const moduleKey = id => declared.get(id)?.id ?? null;
+  const byCommunity = new Map();
+  for (const component of components) {
+    const community = communities.get(component.id);
+    byCommunity.set(community, [...(byCommunity.get(community) || []), component]);
+  }
+
+  const internalEdges = countBy(
+    edges.filter(edge => communities.has(edge.sourceId) && communities.get(edge.sourceId) === communities.get(edge.targetId)),
+    edge => communities.get(edge.sourceId)
+  );
+
+  const groups = [];
+  const suggestions = [];
+  let isolated = 0;
+
+  for (const [community, members] of byCommunity) {
+    if (members.length < minSize) {
+      isolated += members.length;
+      continue;
+    }
+    const modules = [...countBy(members, member => moduleKey(member.id))].sort((a, b) => b[1] - a[1]);
+    const [dominantId, dominantCount] = modules[0];
+    const dominantModule = dominantId === null ? null : declared.get(members.find(member => moduleKey(member.id) === dominantId).id);
+    const group = {
+      community,
+      size: members.length,
+      internalEdges: internalEdges.get(community) || 0,
+      dominantModule: dominantModule ? { id: dominantModule.id, name: dominantModule.name } : null,
+      purity: dominantCount / members.length,
+      declaredModules: modules.map(([id, count]) => ({
+        id,
+        name: id === null ? null : declared.get(members.find(member => moduleKey(member.id) === id).id).name,
+        count
+      })),
+      members: members.map(({ id, name, type, path }) => ({ id, name, type, path, module: declared.get(id)?.name || null }))
+    };
+    groups.push(group);
+
+    const coupled = group.declaredModules.filter(module => module.id !== null && module.count >= minSize);
+    if (coupled.length > 1) {
+      suggestions.push({
+        kind: 'merge',
+        modules: coupled.map(module => module.name),
+        community,
+        message: `Modules ${coupled.map(module => module.name).join(', ')} form one cohesive group of ${members.length} components; consider merging them or extracting the shared part`
+      });
+    }
+
+    if (dominantModule && group.purity >= 0.5) {
+      for (const member of members.filter(member => moduleKey(member.id) !== dominantModule.id)) {
+        const current = declared.get(member.id);
+        suggestions.push({
+          kind: 'move',
+          component: { id: member.id, name: member.name },
+          from: current ? current.name : null,
+          to: dominantModule.name,
+          community,
+          message: `${member.name} depends mostly on ${dominantModule.name}${current ? ` but is declared in ${current.name}` : ' but belongs to no module'}; consider moving it`
+        });
+      }
+    }
+  }
+
+  const spread = new Map();
+  for (const group of groups) {
+    for (const module of group.declaredModules.filter(module => module.id !== null && module.count >= minSize)) {
+      spread.set(module.id, [...(spread.get(module.id) || []), { name: module.name, community: group.community, count: module.count }]);
+    }
+  }
+  for (const parts of spread.values()) {
+    if (parts.length > 1) {
+      suggestions.push({
+        kind: 'split',
+        module: parts[0].name,
+        communities: parts.map(part => ({ community: part.community, count: part.count })),
+        message: `Module ${parts[0].name} falls apart into ${parts.length} separate groups; consider splitting it`
+      });
+    }
+  }
+
+  const declaredPartition = new Map(components.map(component => [component.id, moduleKey(component.id) ?? `unassigned:${component.id}`]));
+  return {
+    communityCount: groups.length,
+    isolated,
+    modularity: {
+      detected: modularity(communities, edges),
+      declared: modularity(declaredPartition, edges)
+    },
+    communities: groups.sort((a, b) => b.size - a.size),
+    suggestions
+  };
+}
@@ -0,0 +1,261 @@
+/**
+ * Graph Metrics
+ * Coupling and centrality metrics computed in-process over a loaded component graph.
+ */
+
+/**
+ * Map node ids to array indexes and list distinct neighbours per node
+ * @param {string[]} nodeIds - Node ids
+ * @param {Object[]} edges - Edges with sourceId and targetId
+ */
+function indexGraph(nodeIds, edges) {
+  const index = new Map(nodeIds.map((id, i) => [id, i]));
+  const outgoing = nodeIds.map(() => new Set());
+  const incoming = nodeIds.map(() => new Set());
+  for (const edge of edges) {
+    const source = index.get(edge.sourceId);
+    const target = index.get(edge.targetId);
+    if (source === undefined || target === undefined || source === target) {
+      continue;
+    }
+    outgoing[source].add(target);
+    incoming[target].add(source);
+  }
+  return { index, outgoing: outgoing.map(set => [...set]), incoming: incoming.map(set => [...set]) };
+}
+
+/**
+ * PageRank by power iteration; rank of nodes without outgoing edges is spread over all nodes
+ * @returns {Map<string, number>} Rank per node, summing to 1
+ */
+export function computePageRank(nodeIds, edges, { damping = 0.85, iterations = 100, tolerance = 1e-8 } = {}) {
+  const n = nodeIds.length;
+  if (n === 0) {
+    return new Map();
+  }
+  const { outgoing } = indexGraph(nodeIds, edges);
+  let rank = new Array(n).fill(1 / n);
+
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    const dangling = rank.reduce((sum, value, i) => sum + (outgoing[i].length === 0 ? value : 0), 0);
+    const next = new Array(n).fill((1 - damping) / n + damping * dangling / n);
+    rank.forEach((value, i) => {
+      for (const target of outgoing[i]) {
+        next[target] += damping * value / outgoing[i].length;
+      }
+    });
+    const change = next.reduce((sum, value, i) => sum + Math.abs(value - rank[i]), 0);
+    rank = next;
+    if (change < tolerance) {
+      break;
+    }
+  }
+
+  return new Map(nodeIds.map((id, i) => [id, rank[i]]));
+}
+
+/**
+ * Betweenness centrality of a directed, unweighted graph (Brandes), normalised to 0..1
+ * @returns {Map<string, number>} Share of shortest paths between other nodes passing through each node
+ */
+export function computeBetweenness(nodeIds, edges) {
+  const n = nodeIds.length;
+  const { outgoing } = indexGraph(nodeIds, edges);
+  const centrality = new Array(n).fill(0);
+
+  for (let source = 0; source < n; source++) {
+    const stack = [];
+    const predecessors = Array.from({ length: n }, () => []);
+    const paths = new Array(n).fill(0);
+    const distance = new Array(n).fill(-1);
+    paths[source] = 1;
+    distance[source] = 0;
+
+    const queue = [source];
+    for (let head = 0; head < queue.length; head++) {
+      const node = queue[head];
+      stack.push(node);
+      for (const next of outgoing[node]) {
+        if (distance[next] < 0) {
+          distance[next] = distance[node] + 1;
+          queue.push(next);
+        }
+        if (distance[next] === distance[node] + 1) {
+          paths[next] += paths[node];
+          predecessors[next].push(node);
+        }
+      }
+    }
+
+    const dependency = new Array(n).fill(0);
+    while (stack.length > 0) {
+      const node = stack.pop();
+      for (const previous of predecessors[node]) {
+        dependency[previous] += paths[previous] / paths[node] * (1 + dependency[node]);
+      }
+      if (node !== source) {
+        centrality[node] += dependency[node];
+      }
+    }
+  }
+
+  const scale = n > 2 ? 1 / ((n - 1) * (n - 2)) : 1;
+  return new Map(nodeIds.map((id, i) => [id, centrality[i] * scale]));
+}
+
+/**
+ * Depth of each node in the CONTAINS hierarchy; top-level nodes have depth 0
+ * @param {string[]} nodeIds - Node ids
+ * @param {Object[]} containsEdges - CONTAINS edges (container is the source)
+ * @returns {{depth: Map<string, number>, parent: Map<string, string>}}
+ */
+export function computeContainment(nodeIds, containsEdges) {
+  const { index, outgoing, incoming } = indexGraph(nodeIds, containsEdges);
+  const depth = new Map();
+  const parent = new Map();
+  const queue = nodeIds.filter((id, i) => incoming[i].length === 0);
+  queue.forEach(id => depth.set(id, 0));
+
+  for (let head = 0; head < queue.length; head++) {
+    const id = queue[head];
+    for (const child of outgoing[index.get(id)]) {
+      const childId = nodeIds[child];
+      if (!depth.has(childId)) {
+        depth.set(childId, depth.get(id) + 1);
+        parent.set(childId, id);
+        queue.push(childId);
+      }
+    }
+  }
+  // Nodes only reachable through a containment cycle have no top-level ancestor
+  nodeIds.filter(id => !depth.has(id)).forEach(id => depth.set(id, null));
+  return { depth, parent };
+}
+
+function instability(afferent, efferent) {
+  return afferent + efferent === 0 ? null : efferent / (afferent + efferent);
+}
+
+function normalise(values) {
+  const max = Math.max(0, ...values.values());
+  return id => (max > 0 ? values.get(id) / max : 0);
+}
+
+/**
+ * Compute per-component metrics
+ * Fan-in and fan-out count distinct dependents and dependencies; at component level these are
+ * also the afferent (Ca) and efferent (Ce) coupling, and instability is Ce / (Ca + Ce).
+ * The hotspot score averages normalised PageRank, betweenness and fan-in + fan-out.
+ * @param {Object[]} components - Components with id
+ * @param {Object[]} edges - Dependency edges
+ * @param {Object[]} containsEdges - CONTAINS edges
+ * @param {Object} options - { centrality } set false to skip PageRank and betweenness
+ * @returns {Object[]} Metrics per component
+ */
+export function computeComponentMetrics(components, edges, containsEdges, { centrality = true } = {}) {
+  const nodeIds = components.map(component => component.id);
+  const { outgoing, incoming } = indexGraph(nodeIds, edges);
+  const { depth } = computeContainment(nodeIds, containsEdges);
+  const pageRank = centrality ? computePageRank(nodeIds, edges) : null;
+  const betweenness = centrality ? computeBetweenness(nodeIds, edges) : null;
+
+  const degree = new Map(nodeIds.map((id, i) => [id, incoming[i].length + outgoing[i].length]));
+  const scaled = {
+    degree: normalise(degree),
+    pageRank: pageRank ? normalise(pageRank) : () => 0,
+    betweenness: betweenness ? normalise(betweenness) : () => 0
+  };
+
+  return components.map((component, i) => {
+    const fanIn = incoming[i].length;
+    const fanOut = outgoing[i].length;
+    const parts = centrality
+      ? [scaled.pageRank(component.id), scaled.betweenness(component.id), scaled.degree(component.id)]
+      : [scaled.degree(component.id)];
+    return {
+      ...component,
+      fanIn,
+      fanOut,
+      afferentCoupling: fanIn,
+      efferentCoupling: fanOut,
+      instability: instability(fanIn, fanOut),
+      containsDepth: depth.get(component.id),
+      pageRank: pageRank ? pageRank.get(component.id) : null,
+      betweenness: betweenness ? betweenness.get(component.id) : null,
+      hotspotScore: parts.reduce((sum, part) => sum + part, 0) / parts.length
+    };
+  });
+}
+
+/**
+ * Aggregate component metrics per MODULE
+ * Each component belongs to its nearest containing MODULE. Afferent coupling counts components
+ * outside the module that depend on it, efferent coupling the outside components it depends on.
+ * @param {Object[]} metrics - Result of computeComponentMetrics
+ * @param {Object[]} edges - Dependency edges
+ * @param {Object[]} containsEdges - CONTAINS edges
+ * @returns {Object[]} Metrics per module
+ */
+export function aggregateModuleMetrics(metrics, edges, containsEdges) {
+  const byId = new Map(metrics.map(metric => [metric.id, metric]));
+  const { parent } = computeContainment([...byId.keys()], containsEdges);
+
+  const moduleOf = new Map();
+  for (const id of byId.keys()) {
+    let current = id;
+    while (current !== undefined && byId.get(current)?.type !== 'MODULE') {
+      current = parent.get(current);
+    }
+    if (current !== undefined) {
+      moduleOf.set(id, current);
+    }
+  }
+
+  const modules = new Map();
+  for (const [id, moduleId] of moduleOf) {
+    if (!modules.has(moduleId)) {
+      modules.set(moduleId, { members: [], afferent: new Set(), efferent: new Set(), incomingEdges: 0, outgoingEdges: 0, internalEdges: 0 });
+    }
+    modules.get(moduleId).members.push(byId.get(id));
+  }
+
+  for (const edge of edges) {
+    const sourceModule = moduleOf.get(edge.sourceId);
+    const targetModule = moduleOf.get(edge.targetId);
+    if (sourceModule !== undefined && sourceModule === targetModule) {
+      modules.get(sourceModule).internalEdges++;
+      continue;
+    }
+    if (sourceModule !== undefined) {
+      modules.get(sourceModule).efferent.add(edge.targetId);
+      modules.get(sourceModule).outgoingEdges++;
+    }
+    if (targetModule !== undefined) {
+      modules.get(targetModule).afferent.add(edge.sourceId);
+      modules.get(targetModule).incomingEdges++;
+    }
+  }
+
+  const sum = (members, key) => members.reduce((total, member) => total + (member[key] || 0), 0);
+  return [...modules].map(([moduleId, module]) => {
+    const { members } = module;
+    const { id, name, type, path, codebase, containsDepth } = byId.get(moduleId);
+    return {
+      id,
+      name,
+      type,
+      path,
+      codebase,
+      containsDepth,
+      memberCount: members.length,
+      afferentCoupling: module.afferent.size,
+      efferentCoupling: module.efferent.size,
+      instability: instability(module.afferent.size, module.efferent.size),
+      incomingEdges: module.incomingEdges,
+      outgoingEdges: module.outgoingEdges,
+      internalEdges: module.internalEdges,
+      pageRank: members.some(member => member.pageRank !== null) ? sum(members, 'pageRank') : null,
+      hotspotScore: Math.max(...members.map(member => member.hotspotScore))
+    };
+  });
+}
@@ -0,0 +1,219 @@
+/**
+ * Graph Patterns
+ * Compiles a declarative JSON pattern (named component nodes, relationship edges between
+ * them and return projections) into parameterised Cypher. Node keys and field names are
+ * validated before they reach the query; every value is passed as a parameter.
+ */
+
+import { ComponentType, RelationshipType } from './models.js';
+import { compileComponentFilter, componentFieldExpression } from './component-filters.js';
+
+export const PATTERN_DIRECTIONS = ['out', 'in', 'both'];
+export const DEFAULT_PATTERN_LIMIT = 100;
+export const MAX_PATTERN_LIMIT = 1000;
+
+const MAX_PATTERN_NODES = 10;
+const MAX_PATTERN_EDGES = 20;
+const MAX_HOPS = 10;
+
+const KEY_PATTERN = /^[A-Za-z][A-Za-z0-9_]{0,31}$/;
+const NODE_SPEC_KEYS = ['id', 'type', 'codebase', 'name', 'where'];
+const EDGE_SPEC_KEYS = ['from', 'to', 'type', 'direction', 'minHops', 'maxHops', 'absent'];
+const DEFAULT_FIELDS = ['id', 'name', 'type', 'codebase', 'path'];
+
+function assertKey(key, what) {
+  if (typeof key !== 'string' || !KEY_PATTERN.test(key)) {
+    throw new Error(`Invalid ${what}: ${key}. Use a letter followed by up to 31 letters, digits or underscores`);
+  }
+}
+
+function assertSpecKeys(spec, allowed, what) {
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    throw new Error(`${what} must be an object`);
+  }
+  const unknown = Object.keys(spec).filter(key => !allowed.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown ${what} fields: ${unknown.join(', ')}. Use ${allowed.join(', ')}`);
+  }
+}
+
+// One value or a non-empty list of values, each from the allowed set when given
+function valueList(value, what, allowed) {
+  const values = Array.isArray(value) ? value : [value];
+  if (values.length === 0 || values.some(item => typeof item !== 'string')) {
+    throw new Error(`${what} must be a string or a non-empty array of strings`);
+  }
+  const invalid = allowed ? values.filter(item => !allowed.includes(item)) : [];
+  if (invalid.length > 0) {
+    throw new Error(`Invalid ${what}: ${invalid.join(', ')}`);
+  }
+  return values;
+}
+
+/**
+ * Compile a pattern into a read-only Cypher query
+ * Nodes are components keyed by a name used in edges and projections. Edges between them
+ * must exist, or with absent: true must not. A node that only appears in absent edges and
+ * is not returned is matched inside each of those edges, so any such node will do.
+ * @param {Object} pattern - { nodes: { key: { id, type, codebase, name, where } },
+ *   edges: [{ from, to, type, direction: out|in|both, minHops, maxHops, absent }],
+ *   return: [key | { node, fields, as } | { count: key, as }], limit }
+ * @returns {{cypher: string, params: Object, limit: number}} Query returning at most limit + 1 rows
+ */
+export function compilePattern(pattern = {}) {
+  const { nodes, edges = [], return: projections, limit = DEFAULT_PATTERN_LIMIT } = pattern;
+  if (!nodes || typeof nodes !== 'object' || Array.isArray(nodes) || Object.keys(nodes).length === 0) {
+    throw new Error('nodes must be an object with at least one node');
+  }
+  const keys = Object.keys(nodes);
+  if (keys.length > MAX_PATTERN_NODES) {
+    throw new Error(`A pattern may have at most ${MAX_PATTERN_NODES} nodes`);
+  }
+  keys.forEach(key => assertKey(key, 'node key'));
+  if (!Array.isArray(edges) || edges.length > MAX_PATTERN_EDGES) {
+    throw new Error(`edges must be an array of at most ${MAX_PATTERN_EDGES} edges`);
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PATTERN_LIMIT) {
+    throw new Error(`limit must be an integer between 1 and ${MAX_PATTERN_LIMIT}`);
+  }
+
+  const params = {};
+  const variable = key => `n_${key}`;
+
+  edges.forEach((edge, index) => {
+    assertSpecKeys(edge, EDGE_SPEC_KEYS, `edge ${index}`);
+    for (const end of ['from', 'to']) {
+      if (!keys.includes(edge[end])) {
+        throw new Error(`Edge ${index} ${end} must name a node: ${keys.join(', ')}`);
+      }
+    }
+  });
+
+  // Nodes that are returned, in a required edge or in no edge at all are matched by the main pattern
+  if (projections !== undefined && !Array.isArray(projections)) {
+    throw new Error('return must be an array of projections');
+  }
+  const inEdges = new Set(edges.flatMap(edge => [edge.from, edge.to]));
+  const required = edges.filter(edge => !edge.absent);
+  const returnedKeys = (projections ?? []).map(projection => typeof projection === 'string' ? projection : projection?.node ?? projection?.count);
+  const bound = new Set(keys.filter(key =>
+    !inEdges.has(key) || returnedKeys.includes(key) || required.some(edge => edge.from === key || edge.to === key)));
+
+  const conditions = {};
+  const nodeConditions = key => {
+    if (conditions[key]) {
+      return conditions[key];
+    }
+    const spec = nodes[key];
+    assertSpecKeys(spec, NODE_SPEC_KEYS, `node ${key}`);
+    const node = variable(key);
+    const clauses = [];
+    if (spec.id !== undefined) {
+      params[`${key}_id`] = valueList(spec.id, `${key} id`);
+      clauses.push(`${node}.id IN $${key}_id`);
+    }
+    if (spec.type !== undefined) {
+      params[`${key}_type`] = valueList(spec.type, `${key} type`, Object.values(ComponentType));
+      clauses.push(`${node}.type IN $${key}_type`);
+    }
+    if (spec.codebase !== undefined) {
+      params[`${key}_codebase`] = valueList(spec.codebase, `${key} codebase`);
+      clauses.push(`${node}.codebase IN $${key}_codebase`);
+    }
+    if (spec.name !== undefined) {
+      params[`${key}_name`] = valueList(spec.name, `${key} name`);
+      clauses.push(`${node}.name IN $${key}_name`);
+    }
+    if (spec.where !== undefined) {
+      const filter = compileComponentFilter(spec.where, node, `${key}_where`);
+      Object.assign(params, filter.params);
+      clauses.push(filter.clause);
+    }
+    conditions[key] = clauses;
+    return clauses;
+  };
+
+  const edgePattern = (edge, index) => {
+    const direction = edge.direction || 'out';
+    if (!PATTERN_DIRECTIONS.includes(direction)) {
+      throw new Error(`Edge ${index} direction must be one of ${PATTERN_DIRECTIONS.join(', ')}`);
+    }
+    const types = edge.type === undefined ? [] : valueList(edge.type, `edge ${index} type`, Object.values(RelationshipType));
+    const minHops = edge.minHops ?? 1;
+    const maxHops = edge.maxHops ?? Math.max(minHops, 1);
+    if (!Number.isInteger(minHops) || !Number.isInteger(maxHops) || minHops < 0 || maxHops < Math.max(minHops, 1) || maxHops > MAX_HOPS) {
+      throw new Error(`Edge ${index} needs 0 <= minHops <= maxHops <= ${MAX_HOPS} with maxHops at least 1`);
+    }
+
+    const hops = minHops === 1 && maxHops === 1 ? '' : `*${minHops}..${maxHops}`;
+    const relationship = `[${types.length > 0 ? `:${types.join('|')}` : ''}${hops}]`;
+    const end = key => bound.has(key) ? `(${variable(key)})` : `(${variable(key)}:Component)`;
+    const [left, right] = { out: ['-', '->'], in: ['<-', '-'], both: ['-', '-'] }[direction];
+    return `${end(edge.from)}${left}${relationship}${right}${end(edge.to)}`;
+  };
+
+  const where = [...bound].flatMap(nodeConditions);
+  edges.forEach((edge, index) => {
+    if (!edge.absent) {
+      return;
+    }
+    if (!bound.has(edge.from) && !bound.has(edge.to)) {
+      throw new Error(`Absent edge ${index} needs one end matched by the pattern; return ${edge.to} or ${edge.from}, or connect one of them with a required edge`);
+    }
+    const inner = [edge.from, edge.to].filter(key => !bound.has(key)).flatMap(nodeConditions);
+    where.push(`NOT EXISTS { MATCH ${edgePattern(edge, index)}${inner.length > 0 ? ` WHERE ${inner.join(' AND ')}` : ''} }`);
+  });
+
+  const columns = new Set();
+  const column = (name, fallback) => {
+    const alias = name ?? fallback;
+    assertKey(alias, 'projection name');
+    if (columns.has(alias)) {
+      throw new Error(`Duplicate projection name: ${alias}`);
+    }
+    columns.add(alias);
+    return `\`${alias}\``;
+  };
+  const boundKey = (key, what) => {
+    if (!bound.has(key)) {
+      throw new Error(`${what} must name a node matched by the pattern (${[...bound].join(', ')}), got ${key}`);
+    }
+    return variable(key);
+  };
+
+  const returned = (projections ?? [...bound]).map((projection, index) => {
+    const spec = typeof projection === 'string' ? { node: projection } : projection;
+    if (spec?.count !== undefined) {
+      assertSpecKeys(spec, ['count', 'as'], `projection ${index}`);
+      return `count(DISTINCT ${boundKey(spec.count, `Projection ${index} count`)}) AS ${column(spec.as, `${spec.count}Count`)}`;
+    }
+    assertSpecKeys(spec, ['node', 'fields', 'as'], `projection ${index}`);
+    const node = boundKey(spec.node, `Projection ${index} node`);
+    const fields = spec.fields ?? DEFAULT_FIELDS;
+    if (!Array.isArray(fields) || fields.length === 0) {
+      throw new Error(`Projection ${index} fields must be a non-empty array`);
+    }
+    const entries = fields.map((field, fieldIndex) => {
+      const expression = componentFieldExpression(field, node, value => {
+        params[`${spec.node}_return${index}_${fieldIndex}`] = value;
+        return `$${spec.node}_return${index}_${fieldIndex}`;
+      });
+      return `\`${field}\`: ${expression}`;
+    });
+    return `{${entries.join(', ')}} AS ${column(spec.as, spec.node)}`;
+  });
+  if (returned.length === 0) {
+    throw new Error('return must project at least one node');
+  }
+
+  const match = [...[...bound].map(key => `(${variable(key)}:Component)`), ...required.map(edge => edgePattern(edge, edges.indexOf(edge)))];
+  params.limit = limit + 1;
+  const cypher = [
+    `MATCH ${match.join(', ')}`,
+    ...(where.length > 0 ? [`WHERE ${where.join('\n  AND ')}`] : []),
+    `RETURN DISTINCT ${returned.join(', ')}`,
+    'LIMIT $limit'
+  ].join('\n');
+
+  return { cypher, params, limit };
+}
@@ -0,0 +1,142 @@
+/**
+ * Read-Only Graph Queries
+ * Guards and result conversion for running caller-supplied Cypher. Queries run in read
+ * transactions, which the server refuses to write in; the clause check below rejects
+ * writes up front with a clearer error and also covers admin and import clauses.
+ */
+
+import neo4j from 'neo4j-driver';
+
+export const DEFAULT_QUERY_LIMIT = 100;
+export const MAX_QUERY_LIMIT = 10000;
+export const DEFAULT_QUERY_TIMEOUT = 10000;
+export const MAX_QUERY_TIMEOUT = 120000;
+
+// Clauses that write data or schema, change administration state or read from outside the graph
+const WRITE_CLAUSES = [
+  'CREATE', 'MERGE', 'DELETE', 'DETACH', 'SET', 'REMOVE', 'DROP', 'FOREACH', 'LOAD',
+  'ALTER', 'RENAME', 'GRANT', 'DENY', 'REVOKE', 'START', 'STOP', 'TERMINATE', 'ENABLE'
+];
+// Property names (n.set), map keys ({set: 1}) and aliases (AS set) are not clauses
+const WRITE_CLAUSE_PATTERN = new RegExp(`(?<![.\\w$])(?<!\\bAS\\s+)(${WRITE_CLAUSES.join('|')})\\b(?!\\s*:)`, 'i');
+
+// Procedures that only read; every other procedure call is rejected
+const READ_PROCEDURES = [
+  'db.labels',
+  'db.relationshipTypes',
+  'db.propertyKeys',
+  'db.schema.visualization',
+  'db.schema.nodeTypeProperties',
+  'db.schema.relTypeProperties',
+  'db.index.fulltext.queryNodes',
+  'db.index.fulltext.queryRelationships'
+];
+
+const TEMPORAL_CHECKS = [
+  neo4j.isDateTime,
+  neo4j.isLocalDateTime,
+  neo4j.isDate,
+  neo4j.isTime,
+  neo4j.isLocalTime,
+  neo4j.isDuration
+];
+
+/**
+ * Blank out string literals, quoted identifiers and comments so keywords inside them are ignored
+ */
+function stripLiterals(query) {
+  return query.replace(
+    /'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*"|`(?:[^`]|``)*`|\/\/[^\n]*|\/\*[\s\S]*?\*\//g,
+    match => ' '.repeat(match.length)
+  );
+}
+
+/**
+ * Throw unless a query is a single statement without write clauses or write procedures
+ * @param {string} query - Cypher statement
+ */
+export function assertReadOnlyQuery(query) {
+  if (typeof query !== 'string' || !query.trim()) {
+    throw new Error('query is required');
+  }
+  const code = stripLiterals(query);
+
+  if (code.replace(/;\s*$/, '').includes(';')) {
+    throw new Error('Only a single statement can be run');
+  }
+  const write = code.match(WRITE_CLAUSE_PATTERN);
+  if (write) {
+    throw new Error(`Write clauses are not allowed in read-only queries: ${write[1].toUpperCase()}`);
+  }
+  if (/\bIN\s+(?:\d+\s+CONCURRENT\s+)?TRANSACTIONS\b/i.test(code)) {
+    throw new Error('CALL { ... } IN TRANSACTIONS is not allowed in read-only queries');
+  }
+  for (const call of code.matchAll(/\bCALL\s+([\w.]+)/gi)) {
+    if (!READ_PROCEDURES.some(name => name.toLowerCase() === call[1].toLowerCase())) {
+      throw new Error(`Procedure ${call[1]} is not allowed; read-only queries may call ${READ_PROCEDURES.join(', ')}`);
+    }
+  }
+}
+
+/**
+ * Convert query parameters for the driver: JSON integers become Neo4j integers so they
+ * work for SKIP, LIMIT and integer properties
+ */
+export function toQueryParams(value) {
+  if (Number.isSafeInteger(value)) {
+    return neo4j.int(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(toQueryParams);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toQueryParams(item)]));
+  }
+  return value;
+}
+
+/**
+ * Convert a driver value to plain JSON
+ * Integers become numbers (strings outside the safe range), temporal values ISO strings,
+ * points { srid, x, y, z } and nodes, relationships and paths plain objects.
+ */
+export function toPlainResult(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (neo4j.isInt(value)) {
+    return neo4j.integer.inSafeRange(value) ? value.toNumber() : value.toString();
+  }
+  if (TEMPORAL_CHECKS.some(check => check(value))) {
+    return value.toString();
+  }
+  if (neo4j.isPoint(value)) {
+    const { srid, x, y, z } = value;
+    return { srid: toPlainResult(srid), x, y, ...(z === undefined ? {} : { z }) };
+  }
+  if (neo4j.isNode(value)) {
+    return { elementId: value.elementId, labels: value.labels, properties: toPlainResult(value.properties) };
+  }
+  if (neo4j.isRelationship(value)) {
+    return {
+      elementId: value.elementId,
+      type: value.type,
+      startElementId: value.startNodeElementId,
+      endElementId: value.endNodeElementId,
+      properties: toPlainResult(value.properties)
+    };
+  }
+  if (neo4j.isPath(value)) {
+    return {
+      nodes: [value.start, ...value.segments.map(segment => segment.end)].map(toPlainResult),
+      relationships: value.segments.map(segment => toPlainResult(segment.relationship))
+    };
+  }
+  if (Array.isArray(value)) {
+    return value.map(toPlainResult);
+  }
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toPlainResult(item)]));
+  }
+  return value;
+}
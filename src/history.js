@@ -1,12 +1,174 @@
+import neo4j from 'neo4j-driver';
 import { v4 as uuidv4 } from 'uuid';
+import { ComponentType, RelationshipType } from './models.js';
+import { diffCollection, summarizeDiff, formatSnapshotDiff } from './snapshot-diff.js';
+import { createSnapshotStore, SNAPSHOT_ENTITY_TYPES, DEFAULT_CHUNK_SIZE } from './snapshot-store.js';
+import { metadataTextExpression } from './search.js';
+import { resolvePage, pageResult } from './pagination.js';
+
+const TEMPORAL_CHECKS = [
+  neo4j.isDateTime,
+  neo4j.isLocalDateTime,
+  neo4j.isDate,
+  neo4j.isTime,
+  neo4j.isLocalTime,
+  neo4j.isDuration
+];
+
+// Temporal node properties that are stored as Neo4j datetimes rather than strings
+const DATETIME_PROPERTIES = {
+  COMPONENT: ['created', 'updated'],
+  TASK: ['created', 'updated'],
+  COMMENT: []
+};
+
+// Keys added to recorded states for context that are not stored on the entity itself
+const DERIVED_STATE_KEYS = {
+  COMPONENT: [],
+  RELATIONSHIP: ['type', 'sourceId', 'targetId', 'sourceName', 'targetName'],
+  TASK: ['relatedComponentIds', 'relatedComponents'],
+  COMMENT: ['nodeId']
+};
+
+/**
+ * JSON.stringify replacer converting Neo4j integers and temporal values to plain JSON
+ */
+function toPlainValue(key, value) {
+  if (neo4j.isInt(value)) {
+    return value.toNumber();
+  }
+  if (value && TEMPORAL_CHECKS.some(check => check(value))) {
+    return value.toString();
+  }
+  return value;
+}
+
+// Node labels of live entities and of entities materialised into a shadow namespace.
+// Shadow labels keep restored copies out of every query that matches live labels.
+const ENTITY_LABELS = {
+  COMPONENT: { live: 'Component', shadow: 'ShadowComponent' },
+  TASK: { live: 'Task', shadow: 'ShadowTask' },
+  COMMENT: { live: 'Comment', shadow: 'ShadowComment' }
+};
+
+// Relationships of a namespace restore whose other end lies outside the namespace (another
+// codebase) cannot be drawn between shadow nodes. They wait as ShadowEdge nodes holding the
+// relationship's properties, type and endpoints until promotion connects them to the live graph.
+const PENDING_EDGE_LABEL = 'ShadowEdge';
+
+function entityLabel(entityType, namespace) {
+  return ENTITY_LABELS[entityType][namespace ? 'shadow' : 'live'];
+}
+
+/**
+ * Cypher property map matching an entity by id, inside a shadow namespace when given
+ */
+function entityKey(namespace, idExpression = '$id') {
+  return namespace ? `{id: ${idExpression}, shadowNamespace: $namespace}` : `{id: ${idExpression}}`;
+}
+
+/**
+ * Validate a shadow namespace name
+ */
+export function validateNamespace(namespace) {
+  if (typeof namespace !== 'string' || !/^[\w-]+$/.test(namespace)) {
+    throw new Error(`Invalid namespace: ${namespace}. Use letters, digits, '_' and '-'`);
+  }
+  return namespace;
+}
+
+// Snapshot entity collections and the entity type their items restore as
+const SNAPSHOT_ENTITY_KINDS = {
+  components: 'COMPONENT',
+  tasks: 'TASK',
+  relationships: 'RELATIONSHIP',
+  comments: 'COMMENT'
+};
+
+// Remove one codebase's components and tasks from the live graph along with their comments;
+// run through ChangeHistory.clearCodebase, which keeps other codebases' task links
+const CLEAR_CODEBASE = `
+  MATCH (n)
+  WHERE (n:Component OR n:Task) AND n.codebase = $codebase
+  OPTIONAL MATCH (n)-[:HAS_COMMENT]->(m:Comment)
+  WITH n, collect(m) AS comments
+  FOREACH (m IN comments | DETACH DELETE m)
+  DETACH DELETE n
+`;
+
+/**
+ * Convert a recorded state into storable properties, dropping derived keys and nested values
+ */
+function stateToProperties(entityType, state, namespace = null) {
+  const derivedKeys = DERIVED_STATE_KEYS[entityType];
+  if (!derivedKeys) {
+    throw new Error(`Cannot restore unknown entity type: ${entityType}`);
+  }
+  const properties = Object.fromEntries(
+    Object.entries(state).filter(([key, value]) =>
+      !derivedKeys.includes(key) && !(value && typeof value === 'object' && !Array.isArray(value))
+    )
+  );
+  return namespace ? { ...properties, shadowNamespace: namespace } : properties;
+}
+
+/**
+ * Cypher SET clause converting ISO strings back into datetimes for an entity type
+ */
+function restoreDatetimesClause(entityType, alias = 'n') {
+  const datetimes = (DATETIME_PROPERTIES[entityType] || [])
+    .map(key => `${alias}.${key} = datetime(${alias}.${key})`)
+    .join(', ');
+  return datetimes ? `SET ${datetimes}` : '';
+}
+
+/**
+ * Group items by a key
+ */
+function groupBy(items, keyOf) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    groups.set(key, [...(groups.get(key) || []), item]);
+  }
+  return groups;
+}
+
+/**
+ * Parse the JSON state fields of a ChangeEvent node
+ */
+function parseChangeEvent(node) {
+  const change = node.properties;
+  return {
+    ...change,
+    beforeState: change.beforeState ? JSON.parse(change.beforeState) : null,
+    afterState: change.afterState ? JSON.parse(change.afterState) : null
+  };
+}
+
+// Orderings accepted when listing change events
+const CHANGE_ORDERING = {
+  fields: { timestamp: 'c.timestamp', operation: 'c.operation', entityType: 'c.entityType' },
+  orderBy: 'timestamp',
+  direction: 'desc',
+  tiebreaker: 'c.id'
+};
+
+/**
+ * Summary events describe a batch of other events and are skipped by replay
+ */
+export function isSummaryOperation(operation) {
+  return operation.startsWith('SYNC_FILE_') || ['RESTORE_SNAPSHOT', 'PROMOTE_NAMESPACE', 'WRITE_METRICS'].includes(operation);
+}
 
 /**
  * Change history tracking and replay system
  * Tracks all database operations for audit, debugging, and replay purposes
  */
 export class ChangeHistory {
-  constructor(database) {
+  constructor(database, options = {}) {
     this.db = database;
+    this.snapshotStore = options.snapshotStore || createSnapshotStore();
   }
 
   /**
@@ -20,6 +182,12 @@ export class ChangeHistory {
       await session.run('CREATE INDEX change_event_timestamp IF NOT EXISTS FOR (c:ChangeEvent) ON (c.timestamp)');
       await session.run('CREATE INDEX change_event_operation IF NOT EXISTS FOR (c:ChangeEvent) ON (c.operation)');
       await session.run('CREATE INDEX change_event_session IF NOT EXISTS FOR (c:ChangeEvent) ON (c.sessionId)');
+
+      // Shadow namespaces hold restored copies of the graph next to the live one
+      await session.run('CREATE CONSTRAINT shadow_namespace_name IF NOT EXISTS FOR (ns:ShadowNamespace) REQUIRE ns.name IS UNIQUE');
+      for (const { shadow } of Object.values(ENTITY_LABELS)) {
+        await session.run(`CREATE INDEX ${shadow.toLowerCase()}_namespace IF NOT EXISTS FOR (n:${shadow}) ON (n.shadowNamespace, n.id)`);
+      }
     } finally {
       await session.close();
     }
@@ -33,11 +201,11 @@ export class ChangeHistory {
     try {
       const changeEvent = {
         id: uuidv4(),
-        operation, // CREATE, UPDATE, DELETE, CREATE_RELATIONSHIP, DELETE_RELATIONSHIP
-        entityType, // COMPONENT, TASK, RELATIONSHIP
+        operation, // CREATE_*, UPDATE_*, DELETE_*, optionally suffixed with _BULK
+        entityType, // COMPONENT, TASK, RELATIONSHIP, COMMENT
         entityId,
-        beforeState: JSON.stringify(beforeState || {}),
-        afterState: JSON.stringify(afterState || {}),
+        beforeState: JSON.stringify(beforeState || {}, toPlainValue),
+        afterState: JSON.stringify(afterState || {}, toPlainValue),
         timestamp: new Date().toISOString(),
         sessionId: metadata.sessionId || 'anonymous',
         userId: metadata.userId || 'system',
@@ -58,60 +226,58 @@ export class ChangeHistory {
   }
 
   /**
-   * Get change history for an entity
+   * List change events a page at a time, newest first by default
+   * @param {Object} filters - { entityId, entityType, operation }
+   * @param {Object} options - { cursor, pageSize, orderBy: timestamp|operation|entityType, direction }
    */
-  async getEntityHistory(entityId, limit = 50) {
+  async getChangesPage(filters = {}, options = {}) {
+    const { entityId, entityType, operation } = filters;
+    const page = resolvePage('changes', { entityId, entityType, operation }, options, CHANGE_ORDERING);
+    const params = {
+      entityId: page.filters.entityId ?? null,
+      entityType: page.filters.entityType ?? null,
+      operation: page.filters.operation ?? null
+    };
+    const match = `
+      MATCH (c:ChangeEvent)
+      WHERE ($entityId IS NULL OR c.entityId = $entityId)
+        AND ($entityType IS NULL OR c.entityType = $entityType)
+        AND ($operation IS NULL OR c.operation = $operation)
+    `;
+
     const session = this.db.driver.session();
     try {
-      const result = await session.run(`
-        MATCH (c:ChangeEvent {entityId: $entityId})
-        RETURN c
-        ORDER BY c.timestamp DESC
+      const count = await session.run(`${match} RETURN count(c) AS total`, params);
+      const result = await session.run(`${match}
+        WITH c, ${page.orderKey} AS orderKey
+        ${page.seekClause}
+        RETURN c, orderKey
+        ${page.orderClause}
         LIMIT $limit
-      `, { entityId, limit });
+      `, { ...params, ...page.seekParams, limit: neo4j.int(page.pageSize + 1) });
 
-      return result.records.map(record => {
-        const change = record.get('c').properties;
-        return {
-          ...change,
-          beforeState: change.beforeState ? JSON.parse(change.beforeState) : null,
-          afterState: change.afterState ? JSON.parse(change.afterState) : null
-        };
-      });
+      return pageResult(
+        result.records.map(record => ({ item: parseChangeEvent(record.get('c')), orderKey: record.get('orderKey') })),
+        page,
+        count.records[0].get('total').toNumber()
+      );
     } finally {
       await session.close();
     }
   }
 
+  /**
+   * Get change history for an entity
+   */
+  async getEntityHistory(entityId, limit = 50) {
+    return (await this.getChangesPage({ entityId }, { pageSize: limit })).items;
+  }
+
   /**
    * Get recent changes across all entities
    */
   async getRecentChanges(limit = 100, operation = null) {
-    const session = this.db.driver.session();
-    try {
-      let query = 'MATCH (c:ChangeEvent)';
-      const params = { limit };
-
-      if (operation) {
-        query += ' WHERE c.operation = $operation';
-        params.operation = operation;
-      }
-
-      query += ' RETURN c ORDER BY c.timestamp DESC LIMIT $limit';
-
-      const result = await session.run(query, params);
-      
-      return result.records.map(record => {
-        const change = record.get('c').properties;
-        return {
-          ...change,
-          beforeState: change.beforeState ? JSON.parse(change.beforeState) : null,
-          afterState: change.afterState ? JSON.parse(change.afterState) : null
-        };
-      });
-    } finally {
-      await session.close();
-    }
+    return (await this.getChangesPage({ operation: operation || undefined }, { pageSize: limit })).items;
   }
 
   /**
@@ -170,20 +336,31 @@ export class ChangeHistory {
    * Replay changes from a specific point in time
    * This recreates the database state as it was at that time
    */
-  async replayToTimestamp(targetTimestamp, dryRun = false) {
+  async replayToTimestamp(targetTimestamp, dryRun = false, options = {}) {
+    const namespace = options.namespace ? validateNamespace(options.namespace) : null;
     const session = this.db.driver.session();
     const replayLog = [];
 
     try {
       // Get all changes up to the target timestamp
-      const changes = await this.getChangesByTimeRange(
-        '1970-01-01T00:00:00.000Z', 
-        targetTimestamp
-      );
+      const result = await session.run(`
+        MATCH (c:ChangeEvent)
+        WHERE c.timestamp <= $targetTimestamp
+        RETURN c
+        ORDER BY c.timestamp ASC
+      `, { targetTimestamp });
+      const changes = result.records.map(record => {
+        const change = record.get('c').properties;
+        return {
+          ...change,
+          beforeState: change.beforeState ? JSON.parse(change.beforeState) : null,
+          afterState: change.afterState ? JSON.parse(change.afterState) : null
+        };
+      });
 
       if (dryRun) {
         return {
-          message: `Would replay ${changes.length} changes to timestamp ${targetTimestamp}`,
+          message: `Would replay ${changes.length} changes to timestamp ${targetTimestamp}${namespace ? ` into namespace ${namespace}` : ''}`,
           changes: changes.map(c => ({
             timestamp: c.timestamp,
             operation: c.operation,
@@ -193,14 +370,22 @@ export class ChangeHistory {
         };
       }
 
-      // Clear current state (be very careful with this!)
-      await session.run('MATCH (n) WHERE NOT n:ChangeEvent DETACH DELETE n');
-      replayLog.push('Cleared current state (excluding change history)');
+      if (namespace) {
+        await this.createNamespace(namespace, { source: 'timestamp', timestamp: targetTimestamp });
+        replayLog.push(`Created namespace ${namespace}; the live graph is untouched`);
+      } else {
+        // Clear current state (be very careful with this!)
+        await session.run('MATCH (n) WHERE NOT (n:ChangeEvent OR n:Snapshot OR n:ShadowNamespace) AND n.shadowNamespace IS NULL DETACH DELETE n');
+        replayLog.push('Cleared current state (excluding change history, snapshots and namespaces)');
+      }
 
       // Replay changes in chronological order
       for (const change of changes) {
+        if (isSummaryOperation(change.operation)) {
+          continue;
+        }
         try {
-          await this.replayChange(change);
+          await this.replayChange(change, namespace);
           replayLog.push(`Replayed: ${change.operation} on ${change.entityType} ${change.entityId}`);
         } catch (error) {
           replayLog.push(`Failed to replay: ${change.operation} on ${change.entityType} ${change.entityId} - ${error.message}`);
@@ -208,7 +393,8 @@ export class ChangeHistory {
       }
 
       return {
-        message: `Successfully replayed to timestamp ${targetTimestamp}`,
+        message: `Successfully replayed to timestamp ${targetTimestamp}${namespace ? ` into namespace ${namespace}` : ''}`,
+        namespace,
         replayedChanges: changes.length,
         log: replayLog
       };
@@ -220,26 +406,21 @@ export class ChangeHistory {
 
   /**
    * Replay a single change event
+   * Writes the recorded state directly so replay does not record new events
    */
-  async replayChange(change) {
-    switch (change.operation) {
-      case 'CREATE_COMPONENT':
-        await this.db.createComponent(change.afterState);
-        break;
-      case 'UPDATE_COMPONENT':
-        await this.db.updateComponent(change.entityId, change.afterState);
-        break;
-      case 'DELETE_COMPONENT':
-        await this.db.deleteComponent(change.entityId);
-        break;
-      case 'CREATE_TASK':
-        await this.db.createTask(change.afterState);
-        break;
-      case 'UPDATE_TASK':
-        await this.db.updateTaskStatus(change.entityId, change.afterState.status, change.afterState.progress);
+  async replayChange(change, namespace = null) {
+    if (isSummaryOperation(change.operation)) {
+      return;
+    }
+
+    const action = change.operation.replace(/_BULK$/, '').split('_')[0];
+    switch (action) {
+      case 'CREATE':
+      case 'UPDATE':
+        await this.restoreEntity(change.entityType, change.afterState, namespace);
         break;
-      case 'CREATE_RELATIONSHIP':
-        await this.db.createRelationship(change.afterState);
+      case 'DELETE':
+        await this.removeEntity(change.entityType, change.entityId, namespace);
         break;
       default:
         console.warn(`Unknown operation type: ${change.operation}`);
@@ -247,49 +428,576 @@ export class ChangeHistory {
   }
 
   /**
-   * Create a snapshot of the current database state
+   * Create or overwrite an entity so it matches a recorded state
+   * With a namespace the entity is written as a shadow copy instead of touching the live graph
    */
-  async createSnapshot(snapshotName, metadata = {}) {
+  async restoreEntity(entityType, state, namespace = null) {
+    const properties = stateToProperties(entityType, state, namespace);
+    const restoreDatetimes = restoreDatetimesClause(entityType);
+    const params = { id: state.id, properties, namespace };
+
     const session = this.db.driver.session();
     try {
-      const snapshot = {
-        id: uuidv4(),
-        name: snapshotName,
-        timestamp: new Date().toISOString(),
-        ...metadata
-      };
+      switch (entityType) {
+        case 'COMPONENT': {
+          if (!Object.values(ComponentType).includes(state.type)) {
+            throw new Error(`Invalid component type: ${state.type}`);
+          }
+          await session.run(`
+            MERGE (n:${entityLabel('COMPONENT', namespace)} ${entityKey(namespace)})
+            SET n = $properties, n:${state.type}
+            ${restoreDatetimes}
+            SET n.metadataText = ${metadataTextExpression('n')}
+          `, params);
+          break;
+        }
+        case 'RELATIONSHIP': {
+          if (!Object.values(RelationshipType).includes(state.type)) {
+            throw new Error(`Invalid relationship type: ${state.type}`);
+          }
+          const component = entityLabel('COMPONENT', namespace);
+          const result = await session.run(`
+            MATCH (source:${component} ${entityKey(namespace, '$sourceId')})
+            MATCH (target:${component} ${entityKey(namespace, '$targetId')})
+            MERGE (source)-[r:${state.type} {id: $id}]->(target)
+            SET r = $properties
+            RETURN r
+          `, { ...params, sourceId: state.sourceId, targetId: state.targetId });
+          if (result.records.length === 0) {
+            throw new Error(`Endpoints of relationship ${state.id} no longer exist`);
+          }
+          break;
+        }
+        case 'TASK': {
+          await session.run(`
+            MERGE (n:${entityLabel('TASK', namespace)} ${entityKey(namespace)})
+            SET n = $properties
+            ${restoreDatetimes}
+          `, params);
+          if (Array.isArray(state.relatedComponentIds)) {
+            await session.run(`
+              MATCH (t:${entityLabel('TASK', namespace)} ${entityKey(namespace)})
+              MATCH (c:${entityLabel('COMPONENT', namespace)})
+              WHERE c.id IN $componentIds${namespace ? ' AND c.shadowNamespace = $namespace' : ''}
+              MERGE (t)-[:RELATES_TO]->(c)
+            `, { ...params, componentIds: state.relatedComponentIds });
+          }
+          break;
+        }
+        case 'COMMENT': {
+          await session.run(`
+            MERGE (n:${entityLabel('COMMENT', namespace)} ${entityKey(namespace)})
+            SET n = $properties
+          `, params);
+          if (state.nodeId) {
+            const owner = namespace
+              ? 'n.id = $nodeId AND n.shadowNamespace = $namespace'
+              : 'n.id = $nodeId AND NOT n:ChangeEvent AND n.shadowNamespace IS NULL';
+            await session.run(`
+              MATCH (c:${entityLabel('COMMENT', namespace)} ${entityKey(namespace)})
+              MATCH (n) WHERE ${owner}
+              MERGE (n)-[:HAS_COMMENT]->(c)
+            `, { ...params, nodeId: state.nodeId });
+          }
+          break;
+        }
+      }
+    } finally {
+      await session.close();
+    }
+  }
 
-      // Get all current entities
-      const components = await session.run('MATCH (c:Component) RETURN c');
-      const tasks = await session.run('MATCH (t:Task) RETURN t');
-      const relationships = await session.run('MATCH ()-[r]->() WHERE type(r) <> "RELATES_TO" RETURN r, startNode(r).id as sourceId, endNode(r).id as targetId');
-
-      snapshot.data = {
-        components: components.records.map(r => r.get('c').properties),
-        tasks: tasks.records.map(r => r.get('t').properties),
-        relationships: relationships.records.map(r => ({
-          ...r.get('r').properties,
-          type: r.get('r').type,
-          sourceId: r.get('sourceId'),
-          targetId: r.get('targetId')
-        }))
-      };
+  /**
+   * Remove an entity, detaching any remaining relationships
+   */
+  async removeEntity(entityType, entityId, namespace = null) {
+    const queries = {
+      COMPONENT: `MATCH (n:${entityLabel('COMPONENT', namespace)} ${entityKey(namespace)}) DETACH DELETE n`,
+      RELATIONSHIP: namespace
+        ? 'MATCH (source {shadowNamespace: $namespace})-[r {id: $id}]->() DELETE r'
+        : 'MATCH (source:Component)-[r {id: $id}]->() DELETE r',
+      TASK: `MATCH (n:${entityLabel('TASK', namespace)} ${entityKey(namespace)}) DETACH DELETE n`,
+      COMMENT: `MATCH (n:${entityLabel('COMMENT', namespace)} ${entityKey(namespace)}) DETACH DELETE n`
+    };
+    if (!queries[entityType]) {
+      throw new Error(`Cannot remove unknown entity type: ${entityType}`);
+    }
 
-      // Store snapshot
-      await session.run(`
-        CREATE (s:Snapshot)
-        SET s = $snapshot
-        RETURN s
-      `, { snapshot: { ...snapshot, data: JSON.stringify(snapshot.data) } });
+    const session = this.db.driver.session();
+    try {
+      await session.run(queries[entityType], { id: entityId, namespace });
+    } finally {
+      await session.close();
+    }
+  }
 
-      return snapshot;
+  /**
+   * Get a single change event by id
+   */
+  async getChange(changeId) {
+    const session = this.db.driver.session();
+    try {
+      const result = await session.run('MATCH (c:ChangeEvent {id: $changeId}) RETURN c', { changeId });
+      const record = result.records[0];
+      return record ? parseChangeEvent(record.get('c')) : null;
     } finally {
       await session.close();
     }
   }
 
   /**
-   * List all snapshots
+   * Build the change event that undoes a change, or null if it cannot be undone
+   */
+  getInverseChange(change) {
+    if (isSummaryOperation(change.operation)) {
+      return null;
+    }
+
+    const [action] = change.operation.replace(/_BULK$/, '').split('_');
+    const inverse = {
+      entityType: change.entityType,
+      entityId: change.entityId,
+      beforeState: change.afterState
+    };
+
+    switch (action) {
+      case 'CREATE':
+        return { ...inverse, operation: `DELETE_${change.entityType}`, afterState: null };
+      case 'UPDATE':
+        return { ...inverse, operation: `UPDATE_${change.entityType}`, afterState: change.beforeState };
+      case 'DELETE':
+        return { ...inverse, operation: `CREATE_${change.entityType}`, beforeState: null, afterState: change.beforeState };
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Find later events by other writers that touched the entity of a change
+   * States are searched for the entity id so edges, tasks and comments attached to it count too
+   */
+  async findConflicts(change, excludeIds = []) {
+    const session = this.db.driver.session();
+    try {
+      const result = await session.run(`
+        MATCH (c:ChangeEvent)
+        WHERE c.timestamp > $timestamp
+          AND NOT c.id IN $excludeIds
+          AND (c.entityId = $entityId OR c.beforeState CONTAINS $entityId OR c.afterState CONTAINS $entityId)
+        RETURN c
+        ORDER BY c.timestamp ASC
+      `, { timestamp: change.timestamp, entityId: change.entityId, excludeIds });
+
+      return result.records.map(record => {
+        const conflict = record.get('c').properties;
+        return {
+          id: conflict.id,
+          operation: conflict.operation,
+          entityType: conflict.entityType,
+          entityId: conflict.entityId,
+          sessionId: conflict.sessionId,
+          timestamp: conflict.timestamp
+        };
+      });
+    } finally {
+      await session.close();
+    }
+  }
+
+  /**
+   * Check whether a change has already been reverted
+   */
+  async isReverted(changeId) {
+    const session = this.db.driver.session();
+    try {
+      const result = await session.run(
+        'MATCH (c:ChangeEvent {revertOf: $changeId}) RETURN count(c) as count',
+        { changeId }
+      );
+      return result.records[0].get('count').toNumber() > 0;
+    } finally {
+      await session.close();
+    }
+  }
+
+  /**
+   * Get edge deletes recorded as a cascade of a component delete
+   */
+  async getCascadeChanges(changeId) {
+    const session = this.db.driver.session();
+    try {
+      const result = await session.run(`
+        MATCH (c:ChangeEvent {cascadeOf: $changeId})
+        RETURN c
+        ORDER BY c.timestamp ASC
+      `, { changeId });
+      return result.records.map(record => parseChangeEvent(record.get('c')));
+    } finally {
+      await session.close();
+    }
+  }
+
+  /**
+   * Plan the revert of one change together with its cascaded edge deletes
+   */
+  async planRevert(change, cascades, excludeIds) {
+    const entry = {
+      changeId: change.id,
+      operation: change.operation,
+      entityType: change.entityType,
+      entityId: change.entityId,
+      timestamp: change.timestamp,
+      sessionId: change.sessionId,
+      inverseOperation: this.getInverseChange(change)?.operation || null,
+      cascadeCount: cascades.length,
+      conflicts: []
+    };
+
+    if (!entry.inverseOperation) {
+      return { ...entry, status: 'not-revertible' };
+    }
+    if (await this.isReverted(change.id)) {
+      return { ...entry, status: 'already-reverted' };
+    }
+
+    // Cascaded tasks and comments are restored too, so later edits to them conflict as well
+    const conflicts = new Map();
+    for (const reverted of [change, ...cascades]) {
+      for (const conflict of await this.findConflicts(reverted, excludeIds)) {
+        conflicts.set(conflict.id, conflict);
+      }
+    }
+    entry.conflicts = [...conflicts.values()];
+    return { ...entry, status: entry.conflicts.length > 0 ? 'conflict' : 'ready' };
+  }
+
+  /**
+   * Apply planned reverts, recording each inverse change with revertOf pointing at the original
+   */
+  async applyRevertPlan(plan, changesById, cascadesById, { dryRun = false, force = false, metadata = {} }) {
+    const results = [];
+
+    for (const entry of plan) {
+      const revertible = entry.status === 'ready' || (entry.status === 'conflict' && force);
+      if (dryRun || !revertible) {
+        results.push({ ...entry, applied: false });
+        continue;
+      }
+
+      try {
+        // Cascaded edges are restored after the component they hang off
+        for (const change of [changesById.get(entry.changeId), ...(cascadesById.get(entry.changeId) || [])]) {
+          const inverse = this.getInverseChange(change);
+          await this.replayChange(inverse);
+          await this.recordChange(
+            inverse.operation,
+            inverse.entityType,
+            inverse.entityId,
+            inverse.beforeState,
+            inverse.afterState,
+            { ...metadata, revertOf: change.id }
+          );
+        }
+        results.push({ ...entry, status: 'reverted', applied: true });
+      } catch (error) {
+        results.push({ ...entry, status: 'failed', applied: false, error: error.message });
+      }
+    }
+
+    const count = status => results.filter(entry => entry.status === status).length;
+    return {
+      dryRun,
+      force,
+      reverted: count('reverted'),
+      conflicts: count('conflict'),
+      failed: count('failed'),
+      skipped: results.filter(entry => !entry.applied && entry.status !== 'failed').length,
+      entries: results
+    };
+  }
+
+  /**
+   * Revert a single change event
+   * Later changes by others to the same entity are reported as conflicts and block the revert unless forced
+   */
+  async revertChange(changeId, options = {}) {
+    const change = await this.getChange(changeId);
+    if (!change) {
+      throw new Error(`Change ${changeId} not found`);
+    }
+
+    const cascades = await this.getCascadeChanges(change.id);
+    const excludeIds = [change.id, ...cascades.map(cascade => cascade.id)];
+    const entry = await this.planRevert(change, cascades, excludeIds);
+
+    return await this.applyRevertPlan(
+      [entry],
+      new Map([[change.id, change]]),
+      new Map([[change.id, cascades]]),
+      options
+    );
+  }
+
+  /**
+   * Revert everything a session did, newest change first
+   * Changes whose entities were touched afterwards by other sessions are skipped unless forced
+   */
+  async revertSession(sessionId, options = {}) {
+    const changes = await this.getSessionChanges(sessionId);
+    if (changes.length === 0) {
+      throw new Error(`No changes recorded for session ${sessionId}`);
+    }
+
+    const sessionIds = changes.map(change => change.id);
+    const changesById = new Map(changes.map(change => [change.id, change]));
+    const cascadesById = new Map();
+    for (const change of changes) {
+      if (change.cascadeOf && changesById.has(change.cascadeOf)) {
+        cascadesById.set(change.cascadeOf, [...(cascadesById.get(change.cascadeOf) || []), change]);
+      }
+    }
+
+    const plan = [];
+    for (const change of [...changes].reverse()) {
+      if (isSummaryOperation(change.operation) || (change.cascadeOf && changesById.has(change.cascadeOf))) {
+        continue;
+      }
+      plan.push(await this.planRevert(change, cascadesById.get(change.id) || [], sessionIds));
+    }
+
+    const result = await this.applyRevertPlan(plan, changesById, cascadesById, options);
+    return { sessionId, ...result };
+  }
+
+  /**
+   * Create a snapshot of the current database state in the snapshot store
+   * Pass metadata.codebase to only capture one codebase
+   */
+  async createSnapshot(snapshotName, metadata = {}, chunkSize = DEFAULT_CHUNK_SIZE) {
+    const snapshot = {
+      id: uuidv4(),
+      name: snapshotName,
+      timestamp: new Date().toISOString(),
+      ...metadata,
+      codebase: metadata.codebase || null
+    };
+
+    const writer = await this.snapshotStore.createWriter(snapshot);
+    try {
+      for (const entityType of SNAPSHOT_ENTITY_TYPES) {
+        for await (const batch of this.readLiveBatches(entityType, snapshot.codebase, chunkSize)) {
+          await writer.writeChunk(entityType, batch);
+        }
+      }
+      const { chunks, ...manifest } = await writer.finish();
+      return manifest;
+    } catch (error) {
+      await writer.abort();
+      throw error;
+    }
+  }
+
+  /**
+   * Page through live components, tasks, relationships or comments as plain JSON, in the shape snapshots store
+   * With a namespace the shadow copies in that namespace are read instead of the live graph,
+   * including the task links and relationships still waiting for promotion. Pass a transaction
+   * as runner to read inside it.
+   */
+  async *readLiveBatches(entityType, codebase = null, batchSize = DEFAULT_CHUNK_SIZE, namespace = null, runner = null) {
+    const component = entityLabel('COMPONENT', namespace);
+    const inNamespace = alias => namespace ? ` AND ${alias}.shadowNamespace = $namespace` : '';
+    const queries = {
+      components: `
+        MATCH (c:${component})
+        WHERE ($codebase IS NULL OR c.codebase = $codebase)${inNamespace('c')}
+        RETURN c AS entity
+        ORDER BY c.id SKIP $skip LIMIT $limit
+      `,
+      tasks: `
+        MATCH (t:${entityLabel('TASK', namespace)})
+        WHERE ($codebase IS NULL OR t.codebase = $codebase)${inNamespace('t')}
+        OPTIONAL MATCH (t)-[:RELATES_TO]->(c:${component})
+        WITH t, collect(c.id) + coalesce(t.pendingComponentIds, []) AS relatedComponentIds
+        RETURN t AS entity, relatedComponentIds
+        ORDER BY t.id SKIP $skip LIMIT $limit
+      `,
+      relationships: namespace
+        ? `
+        CALL {
+          MATCH (source:${component})-[r]->(target:${component})
+          WHERE source.shadowNamespace = $namespace
+          RETURN r AS entity, type(r) AS type, source.id AS sourceId, target.id AS targetId
+          UNION ALL
+          MATCH (e:${PENDING_EDGE_LABEL} {shadowNamespace: $namespace})
+          RETURN e AS entity, e.type AS type, e.sourceId AS sourceId, e.targetId AS targetId
+        }
+        RETURN entity, type, sourceId, targetId
+        ORDER BY entity.id SKIP $skip LIMIT $limit
+      `
+        : `
+        MATCH (source:${component})-[r]->(target:${component})
+        WHERE ($codebase IS NULL OR source.codebase = $codebase OR target.codebase = $codebase)
+        RETURN r AS entity, type(r) AS type, source.id AS sourceId, target.id AS targetId
+        ORDER BY r.id SKIP $skip LIMIT $limit
+      `,
+      comments: `
+        MATCH (n)-[:HAS_COMMENT]->(m:${entityLabel('COMMENT', namespace)})
+        WHERE (n:${component} OR n:${entityLabel('TASK', namespace)})
+          AND ($codebase IS NULL OR n.codebase = $codebase)${inNamespace('m')}
+        RETURN m AS entity, n.id AS nodeId
+        ORDER BY m.id SKIP $skip LIMIT $limit
+      `
+    };
+
+    const session = runner ? null : this.db.driver.session();
+    try {
+      for (let skip = 0; ; skip += batchSize) {
+        const result = await (runner || session).run(queries[entityType], {
+          codebase,
+          namespace,
+          skip: neo4j.int(skip),
+          limit: neo4j.int(batchSize)
+        });
+
+        const batch = result.records.map(record => {
+          const { shadowNamespace, pendingComponentIds, ...entity } = record.get('entity').properties;
+          for (const key of record.keys.filter(key => key !== 'entity')) {
+            entity[key] = record.get(key);
+          }
+          return entity;
+        });
+        if (batch.length > 0) {
+          yield JSON.parse(JSON.stringify(batch, toPlainValue));
+        }
+        if (batch.length < batchSize) {
+          return;
+        }
+      }
+    } finally {
+      await session?.close();
+    }
+  }
+
+  /**
+   * Get a snapshot manifest from the store, falling back to snapshots stored on Snapshot nodes
+   */
+  async getSnapshotManifest(snapshotId) {
+    const manifest = await this.snapshotStore.getManifest(snapshotId);
+    if (manifest) {
+      return manifest;
+    }
+
+    // Snapshots taken before the snapshot store kept their data on a Snapshot node
+    const session = this.db.driver.session();
+    try {
+      const result = await session.run('MATCH (s:Snapshot {id: $snapshotId}) RETURN s', { snapshotId });
+      if (result.records.length === 0) {
+        throw new Error(`Snapshot ${snapshotId} not found`);
+      }
+
+      const { data, ...snapshot } = result.records[0].get('s').properties;
+      const legacyData = JSON.parse(data);
+      return {
+        ...snapshot,
+        store: 'legacy',
+        counts: Object.fromEntries(SNAPSHOT_ENTITY_TYPES.map(type => [type, legacyData[type]?.length ?? 0])),
+        legacyData
+      };
+    } finally {
+      await session.close();
+    }
+  }
+
+  /**
+   * Stream the entities of a snapshot in batches
+   */
+  async *readSnapshotBatches(manifest, entityType, batchSize = DEFAULT_CHUNK_SIZE) {
+    if (manifest.legacyData) {
+      const entities = manifest.legacyData[entityType] || [];
+      for (let start = 0; start < entities.length; start += batchSize) {
+        yield entities.slice(start, start + batchSize);
+      }
+      return;
+    }
+    yield* this.snapshotStore.readChunks(manifest.id, entityType);
+  }
+
+  /**
+   * Describe one side of a diff: a snapshot, a shadow namespace ('namespace:<name>') or the
+   * live graph ('live', scoped to codebase). Nothing is loaded yet; read(entityType) streams
+   * one entity collection in batches.
+   */
+  async resolveDiffSide(snapshotId, codebase = null) {
+    if (snapshotId === 'live') {
+      return {
+        id: 'live',
+        name: 'live graph',
+        timestamp: new Date().toISOString(),
+        codebase,
+        read: entityType => this.readLiveBatches(entityType, codebase)
+      };
+    }
+    if (snapshotId.startsWith('namespace:')) {
+      const namespace = await this.getNamespace(snapshotId.slice('namespace:'.length));
+      return {
+        id: snapshotId,
+        name: `namespace ${namespace.name}`,
+        timestamp: namespace.created,
+        codebase: namespace.codebase,
+        read: entityType => this.readLiveBatches(entityType, namespace.codebase, DEFAULT_CHUNK_SIZE, namespace.name)
+      };
+    }
+    const manifest = await this.getSnapshotManifest(snapshotId);
+    return { ...manifest, read: entityType => this.readSnapshotBatches(manifest, entityType) };
+  }
+
+  /**
+   * Compare two snapshots, or a snapshot with the live graph when toSnapshotId is 'live'
+   * Either side may also be a shadow namespace, given as 'namespace:<name>'
+   * The live side is scoped to the codebase of the snapshot it is compared with. Both sides
+   * are read one entity collection at a time, so only that collection is held in memory.
+   */
+  async diffSnapshots(fromSnapshotId, toSnapshotId = 'live') {
+    const from = fromSnapshotId === 'live' ? null : await this.resolveDiffSide(fromSnapshotId);
+    const to = await this.resolveDiffSide(toSnapshotId, from?.codebase || null);
+    const fromSide = from || await this.resolveDiffSide('live', to.codebase || null);
+
+    const readAll = async batches => {
+      const items = [];
+      for await (const batch of batches) {
+        items.push(...batch);
+      }
+      return items;
+    };
+
+    // Names of components and tasks are kept to describe relationship endpoints and comment owners
+    const names = new Map();
+    const collections = {};
+    for (const entityType of SNAPSHOT_ENTITY_TYPES) {
+      const fromItems = await readAll(fromSide.read(entityType));
+      const toItems = await readAll(to.read(entityType));
+      if (entityType === 'components' || entityType === 'tasks') {
+        [...fromItems, ...toItems].forEach(({ id, name }) => names.set(id, name));
+      }
+      collections[entityType] = diffCollection(entityType, fromItems, toItems);
+    }
+    const diff = summarizeDiff(collections);
+    const summary = formatSnapshotDiff(
+      diff,
+      { from: fromSide.name, to: to.name },
+      [...names].map(([id, name]) => ({ id, name }))
+    );
+
+    return {
+      from: { id: fromSide.id, name: fromSide.name, timestamp: fromSide.timestamp, codebase: fromSide.codebase || null },
+      to: { id: to.id, name: to.name, timestamp: to.timestamp, codebase: to.codebase || null },
+      diff,
+      summary
+    };
+  }
+
+  /**
+   * List all snapshots, newest first
    */
   async listSnapshots() {
     const session = this.db.driver.session();
@@ -300,72 +1008,476 @@ export class ChangeHistory {
         ORDER BY s.timestamp DESC
       `);
 
-      return result.records.map(record => {
+      const legacySnapshots = result.records.map(record => {
         const snapshot = record.get('s').properties;
         return {
           ...snapshot,
+          store: 'legacy',
           data: undefined // Don't return the full data in list view
         };
       });
+      const storedSnapshots = await this.snapshotStore.listSnapshots();
+
+      return [...storedSnapshots, ...legacySnapshots]
+        .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
     } finally {
       await session.close();
     }
   }
 
+  /**
+   * Write a batch of snapshot entities in one transaction
+   * @returns {number} Number of entities written
+   */
+  async restoreBatch(tx, entityType, entities, namespace = null) {
+    const kind = SNAPSHOT_ENTITY_KINDS[entityType];
+    const component = entityLabel('COMPONENT', namespace);
+    let restored = 0;
+
+    if (kind === 'COMPONENT') {
+      for (const [type, components] of groupBy(entities, component => component.type)) {
+        if (!Object.values(ComponentType).includes(type)) {
+          throw new Error(`Invalid component type: ${type}`);
+        }
+        await tx.run(`
+          UNWIND $rows AS row
+          MERGE (n:${component} ${entityKey(namespace, 'row.id')})
+          SET n = row, n:${type}
+          ${restoreDatetimesClause(kind)}
+          SET n.metadataText = ${metadataTextExpression('n')}
+        `, { rows: components.map(state => stateToProperties(kind, state, namespace)), namespace });
+        restored += components.length;
+      }
+    } else if (kind === 'TASK') {
+      await tx.run(`
+        UNWIND $rows AS row
+        MERGE (n:${entityLabel('TASK', namespace)} ${entityKey(namespace, 'row.properties.id')})
+        SET n = row.properties
+        ${restoreDatetimesClause(kind)}
+        ${namespace ? `SET n.pendingComponentIds = [id IN row.relatedComponentIds
+          WHERE NOT EXISTS { MATCH (:${component} {id: id, shadowNamespace: $namespace}) }]` : ''}
+        WITH n, row
+        UNWIND row.relatedComponentIds AS componentId
+        MATCH (c:${component} ${entityKey(namespace, 'componentId')})
+        MERGE (n)-[:RELATES_TO]->(c)
+      `, {
+        rows: entities.map(task => ({
+          properties: stateToProperties(kind, task, namespace),
+          relatedComponentIds: task.relatedComponentIds || []
+        })),
+        namespace
+      });
+      restored += entities.length;
+    } else if (kind === 'RELATIONSHIP') {
+      for (const [type, relationships] of groupBy(entities, relationship => relationship.type)) {
+        if (!Object.values(RelationshipType).includes(type)) {
+          throw new Error(`Invalid relationship type: ${type}`);
+        }
+        const rows = relationships.map(relationship => ({
+          sourceId: relationship.sourceId,
+          targetId: relationship.targetId,
+          properties: { ...stateToProperties(kind, relationship), id: relationship.id || uuidv4() }
+        }));
+        const result = await tx.run(`
+          UNWIND $rows AS row
+          MATCH (source:${component} ${entityKey(namespace, 'row.sourceId')})
+          MATCH (target:${component} ${entityKey(namespace, 'row.targetId')})
+          MERGE (source)-[r:${type} {id: row.properties.id}]->(target)
+          SET r = row.properties
+          RETURN count(r) AS count
+        `, { rows, namespace });
+        restored += result.records[0].get('count').toNumber();
+        if (namespace) {
+          restored += await this.restorePendingEdges(tx, type, rows, namespace);
+        }
+      }
+    } else if (kind === 'COMMENT') {
+      const result = await tx.run(`
+        UNWIND $rows AS row
+        OPTIONAL MATCH (c:${component} ${entityKey(namespace, 'row.nodeId')})
+        OPTIONAL MATCH (t:${entityLabel('TASK', namespace)} ${entityKey(namespace, 'row.nodeId')})
+        WITH row, coalesce(c, t) AS owner
+        WHERE owner IS NOT NULL
+        MERGE (n:${entityLabel('COMMENT', namespace)} ${entityKey(namespace, 'row.properties.id')})
+        SET n = row.properties
+        MERGE (owner)-[:HAS_COMMENT]->(n)
+        RETURN count(n) AS count
+      `, {
+        rows: entities.map(comment => ({ nodeId: comment.nodeId, properties: stateToProperties(kind, comment, namespace) })),
+        namespace
+      });
+      restored += result.records[0].get('count').toNumber();
+    }
+
+    return restored;
+  }
+
+  /**
+   * Keep the relationships of a namespace restore that have an end outside the namespace
+   * @returns {number} Number of pending relationships stored
+   */
+  async restorePendingEdges(tx, type, rows, namespace) {
+    const result = await tx.run(`
+      UNWIND $rows AS row
+      WITH row
+      WHERE NOT (EXISTS { MATCH (:ShadowComponent {id: row.sourceId, shadowNamespace: $namespace}) }
+        AND EXISTS { MATCH (:ShadowComponent {id: row.targetId, shadowNamespace: $namespace}) })
+      MERGE (e:${PENDING_EDGE_LABEL} {id: row.properties.id, shadowNamespace: $namespace})
+      SET e = row.properties, e.type = $type, e.sourceId = row.sourceId, e.targetId = row.targetId, e.shadowNamespace = $namespace
+      RETURN count(e) AS count
+    `, { rows, type, namespace });
+    return result.records[0].get('count').toNumber();
+  }
+
   /**
    * Restore from a snapshot
+   * Scoped snapshots only replace their own codebase; entities are written in one transaction per chunk.
+   * With options.namespace the snapshot is materialised into a shadow namespace and the live graph is untouched.
    */
-  async restoreFromSnapshot(snapshotId, dryRun = false) {
+  async restoreFromSnapshot(snapshotId, dryRun = false, metadata = {}, options = {}) {
+    const namespace = options.namespace ? validateNamespace(options.namespace) : null;
+    const manifest = await this.getSnapshotManifest(snapshotId);
+
+    if (dryRun) {
+      return {
+        message: `Would restore snapshot: ${manifest.name}${namespace ? ` into namespace ${namespace}` : ''}`,
+        timestamp: manifest.timestamp,
+        codebase: manifest.codebase || null,
+        componentCount: manifest.counts.components,
+        taskCount: manifest.counts.tasks,
+        relationshipCount: manifest.counts.relationships,
+        commentCount: manifest.counts.comments ?? 0
+      };
+    }
+
     const session = this.db.driver.session();
+    const restored = Object.fromEntries(SNAPSHOT_ENTITY_TYPES.map(type => [type, 0]));
+    let keptLinks = [];
     try {
-      const result = await session.run('MATCH (s:Snapshot {id: $snapshotId}) RETURN s', { snapshotId });
-      
-      if (result.records.length === 0) {
-        throw new Error(`Snapshot ${snapshotId} not found`);
+      if (namespace) {
+        await this.createNamespace(namespace, {
+          source: 'snapshot',
+          snapshotId: manifest.id,
+          timestamp: manifest.timestamp,
+          codebase: manifest.codebase || null
+        });
+      } else if (manifest.codebase) {
+        keptLinks = await this.clearCodebase(session, manifest.codebase);
+      } else {
+        // Clear current state (excluding change history, snapshots and namespaces)
+        await session.run('MATCH (n) WHERE NOT (n:ChangeEvent OR n:Snapshot OR n:ShadowNamespace) AND n.shadowNamespace IS NULL DETACH DELETE n');
       }
 
-      const snapshot = result.records[0].get('s').properties;
-      const data = JSON.parse(snapshot.data);
-
-      if (dryRun) {
-        return {
-          message: `Would restore snapshot: ${snapshot.name}`,
-          timestamp: snapshot.timestamp,
-          componentCount: data.components.length,
-          taskCount: data.tasks.length,
-          relationshipCount: data.relationships.length
-        };
+      for (const entityType of SNAPSHOT_ENTITY_TYPES) {
+        for await (const batch of this.readSnapshotBatches(manifest, entityType)) {
+          const tx = session.beginTransaction();
+          try {
+            restored[entityType] += await this.restoreBatch(tx, entityType, batch, namespace);
+            await tx.commit();
+          } catch (error) {
+            await tx.rollback();
+            throw error;
+          }
+        }
       }
 
-      // Clear current state (excluding change history and snapshots)
-      await session.run('MATCH (n) WHERE NOT (n:ChangeEvent OR n:Snapshot) DETACH DELETE n');
+      await this.restoreTaskLinks(session, keptLinks);
 
-      // Restore components
-      for (const component of data.components) {
-        await this.db.createComponent(component);
+      // Shadow restores leave the live graph alone, so only promotion is recorded
+      if (!namespace) {
+        await this.recordChange('RESTORE_SNAPSHOT', 'SNAPSHOT', snapshotId, null, {
+          name: manifest.name,
+          timestamp: manifest.timestamp,
+          codebase: manifest.codebase || null
+        }, metadata);
       }
 
-      // Restore tasks
-      for (const task of data.tasks) {
-        await this.db.createTask(task);
-      }
+      return {
+        message: `Successfully restored from snapshot: ${manifest.name}${namespace ? ` into namespace ${namespace}` : ''}`,
+        timestamp: manifest.timestamp,
+        codebase: manifest.codebase || null,
+        namespace,
+        restoredComponents: restored.components,
+        restoredTasks: restored.tasks,
+        restoredRelationships: restored.relationships,
+        restoredComments: restored.comments,
+        skippedRelationships: manifest.counts.relationships - restored.relationships
+      };
+    } finally {
+      await session.close();
+    }
+  }
 
-      // Restore relationships
-      for (const relationship of data.relationships) {
-        await this.db.createRelationship(relationship);
+  /**
+   * Register a shadow namespace before materialising into it
+   * Namespaces are never merged into; drop an existing one first
+   */
+  async createNamespace(name, details) {
+    const session = this.db.driver.session();
+    try {
+      const result = await session.run(`
+        MERGE (ns:ShadowNamespace {name: $name})
+        ON CREATE SET ns += $details, ns.created = $created, ns.isNew = true
+        WITH ns, ns.isNew AS created
+        REMOVE ns.isNew
+        RETURN created
+      `, {
+        name,
+        details: { snapshotId: null, timestamp: null, codebase: null, ...details },
+        created: new Date().toISOString()
+      });
+      if (!result.records[0]?.get('created')) {
+        throw new Error(`Namespace ${name} already exists; drop it before restoring into it again`);
       }
+    } finally {
+      await session.close();
+    }
+  }
+
+  /**
+   * Get a shadow namespace with the number of entities materialised into it
+   */
+  async getNamespace(name) {
+    validateNamespace(name);
+    const namespaces = await this.listNamespaces(name);
+    if (namespaces.length === 0) {
+      throw new Error(`Namespace ${name} not found`);
+    }
+    return namespaces[0];
+  }
+
+  /**
+   * List shadow namespaces, newest first
+   */
+  async listNamespaces(name = null) {
+    const session = this.db.driver.session();
+    try {
+      const result = await session.run(`
+        MATCH (ns:ShadowNamespace)
+        WHERE $name IS NULL OR ns.name = $name
+        CALL {
+          WITH ns
+          OPTIONAL MATCH (c:ShadowComponent {shadowNamespace: ns.name})
+          RETURN count(c) AS components
+        }
+        CALL {
+          WITH ns
+          OPTIONAL MATCH (t:ShadowTask {shadowNamespace: ns.name})
+          RETURN count(t) AS tasks
+        }
+        CALL {
+          WITH ns
+          OPTIONAL MATCH (m:ShadowComment {shadowNamespace: ns.name})
+          RETURN count(m) AS comments
+        }
+        RETURN ns, components, tasks, comments
+        ORDER BY ns.created DESC
+      `, { name });
+
+      return result.records.map(record => ({
+        ...record.get('ns').properties,
+        counts: {
+          components: record.get('components').toNumber(),
+          tasks: record.get('tasks').toNumber(),
+          comments: record.get('comments').toNumber()
+        }
+      }));
+    } finally {
+      await session.close();
+    }
+  }
+
+  /**
+   * Delete a shadow namespace and everything materialised into it
+   * @returns {boolean} Whether the namespace existed
+   */
+  async dropNamespace(name) {
+    validateNamespace(name);
+    const session = this.db.driver.session();
+    const tx = session.beginTransaction();
+    try {
+      await tx.run(`
+        MATCH (n)
+        WHERE (n:ShadowComponent OR n:ShadowTask OR n:ShadowComment OR n:${PENDING_EDGE_LABEL}) AND n.shadowNamespace = $name
+        DETACH DELETE n
+      `, { name });
+      const result = await tx.run(`
+        MATCH (ns:ShadowNamespace {name: $name})
+        DELETE ns
+        RETURN count(ns) AS count
+      `, { name });
+      await tx.commit();
+      return result.records[0].get('count').toNumber() > 0;
+    } catch (error) {
+      await tx.rollback();
+      throw error;
+    } finally {
+      await session.close();
+    }
+  }
 
+  /**
+   * Replace the live graph with a shadow namespace in a single transaction
+   * Codebase-scoped namespaces only replace that codebase's components and tasks with their comments.
+   * Relationships and task links to other codebases are drawn to the live components they name,
+   * and links from other codebases' tasks into the replaced codebase are kept. Every entity the
+   * promotion creates, changes or removes is recorded, so reverts and history views see it.
+   */
+  async promoteNamespace(name, { dryRun = false, metadata = {} } = {}) {
+    const namespace = await this.getNamespace(name);
+
+    if (dryRun) {
       return {
-        message: `Successfully restored from snapshot: ${snapshot.name}`,
-        timestamp: snapshot.timestamp,
-        restoredComponents: data.components.length,
-        restoredTasks: data.tasks.length,
-        restoredRelationships: data.relationships.length
+        message: `Would promote namespace ${name} to the live graph`,
+        namespace
       };
+    }
+
+    const codebase = namespace.codebase || null;
+    const readState = async tx => {
+      const state = {};
+      for (const entityType of SNAPSHOT_ENTITY_TYPES) {
+        state[entityType] = [];
+        for await (const batch of this.readLiveBatches(entityType, codebase, DEFAULT_CHUNK_SIZE, null, tx)) {
+          state[entityType].push(...batch);
+        }
+      }
+      return state;
+    };
 
+    const session = this.db.driver.session();
+    const tx = session.beginTransaction();
+    let before;
+    let after;
+    let skippedRelationships;
+    try {
+      before = await readState(tx);
+      let keptLinks = [];
+      if (codebase) {
+        keptLinks = await this.clearCodebase(tx, codebase);
+      } else {
+        await tx.run('MATCH (n) WHERE NOT (n:ChangeEvent OR n:Snapshot OR n:ShadowNamespace) AND n.shadowNamespace IS NULL DETACH DELETE n');
+      }
+
+      for (const labels of Object.values(ENTITY_LABELS)) {
+        await tx.run(`
+          MATCH (n:${labels.shadow} {shadowNamespace: $name})
+          REMOVE n:${labels.shadow}, n.shadowNamespace
+          SET n:${labels.live}
+        `, { name });
+      }
+      skippedRelationships = await this.connectPendingEdges(tx, name);
+      await tx.run(`
+        MATCH (t:Task)
+        WHERE t.pendingComponentIds IS NOT NULL
+        OPTIONAL MATCH (c:Component)
+        WHERE c.id IN t.pendingComponentIds
+        FOREACH (_ IN CASE WHEN c IS NULL THEN [] ELSE [1] END | MERGE (t)-[:RELATES_TO]->(c))
+        REMOVE t.pendingComponentIds
+      `);
+      await this.restoreTaskLinks(tx, keptLinks);
+      await tx.run('MATCH (ns:ShadowNamespace {name: $name}) DELETE ns', { name });
+      after = await readState(tx);
+      await tx.commit();
+    } catch (error) {
+      await tx.rollback();
+      throw error;
     } finally {
       await session.close();
     }
+
+    const { counts, ...details } = namespace;
+    const event = await this.recordChange('PROMOTE_NAMESPACE', 'NAMESPACE', name, null, details, metadata);
+    const changes = await this.recordStateChanges(before, after, { ...metadata, promoteOf: event?.id, namespace: name });
+
+    return {
+      message: `Promoted namespace ${name} to the live graph`,
+      codebase,
+      promoted: counts,
+      skippedRelationships,
+      changes
+    };
+  }
+
+  /**
+   * Remove one codebase's components and tasks from the live graph
+   * @returns {Object[]} Links { taskId, componentId } from other codebases' tasks into the
+   *   removed components, for restoreTaskLinks once the codebase is written back
+   */
+  async clearCodebase(runner, codebase) {
+    const links = await runner.run(`
+      MATCH (t:Task)-[:RELATES_TO]->(c:Component {codebase: $codebase})
+      WHERE t.codebase IS NULL OR t.codebase <> $codebase
+      RETURN t.id AS taskId, c.id AS componentId
+    `, { codebase });
+    await runner.run(CLEAR_CODEBASE, { codebase });
+    return links.records.map(record => ({ taskId: record.get('taskId'), componentId: record.get('componentId') }));
+  }
+
+  /**
+   * Relink tasks to components that were removed and written back, where both still exist
+   */
+  async restoreTaskLinks(runner, links) {
+    if (links.length === 0) {
+      return;
+    }
+    await runner.run(`
+      UNWIND $links AS link
+      MATCH (t:Task {id: link.taskId})
+      MATCH (c:Component {id: link.componentId})
+      MERGE (t)-[:RELATES_TO]->(c)
+    `, { links });
+  }
+
+  /**
+   * Draw the pending relationships of a namespace between live components and remove them
+   * @returns {number} Pending relationships dropped because an end no longer exists
+   */
+  async connectPendingEdges(tx, name) {
+    const types = await tx.run(`MATCH (e:${PENDING_EDGE_LABEL} {shadowNamespace: $name}) RETURN DISTINCT e.type AS type`, { name });
+    for (const type of types.records.map(record => record.get('type'))) {
+      if (!Object.values(RelationshipType).includes(type)) {
+        throw new Error(`Invalid relationship type: ${type}`);
+      }
+      await tx.run(`
+        MATCH (e:${PENDING_EDGE_LABEL} {shadowNamespace: $name, type: $type})
+        MATCH (source:Component {id: e.sourceId})
+        MATCH (target:Component {id: e.targetId})
+        MERGE (source)-[r:${type} {id: e.id}]->(target)
+        SET r = properties(e)
+        REMOVE r.type, r.sourceId, r.targetId, r.shadowNamespace
+        DELETE e
+      `, { name, type });
+    }
+    const skipped = await tx.run(`
+      MATCH (e:${PENDING_EDGE_LABEL} {shadowNamespace: $name})
+      DELETE e
+      RETURN count(e) AS count
+    `, { name });
+    return skipped.records[0].get('count').toNumber();
+  }
+
+  /**
+   * Record per-entity events for the difference between two states read with readLiveBatches
+   * @returns {Object} Recorded changes per entity collection
+   */
+  async recordStateChanges(before, after, metadata) {
+    const recorded = {};
+    for (const entityType of SNAPSHOT_ENTITY_TYPES) {
+      const kind = SNAPSHOT_ENTITY_KINDS[entityType];
+      const { added, removed, modified } = diffCollection(entityType, before[entityType], after[entityType]);
+      for (const entity of removed) {
+        await this.recordChange(`DELETE_${kind}`, kind, entity.id, entity, null, metadata);
+      }
+      for (const change of modified) {
+        await this.recordChange(`UPDATE_${kind}`, kind, change.after.id, change.before, change.after, metadata);
+      }
+      for (const entity of added) {
+        await this.recordChange(`CREATE_${kind}`, kind, entity.id, null, entity, metadata);
+      }
+      recorded[entityType] = { created: added.length, updated: modified.length, deleted: removed.length };
+    }
+    return recorded;
   }
 
   /**
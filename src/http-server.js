@@ -5,6 +5,26 @@ import cors from 'cors';
 import { EventEmitter } from 'events';
 import { globalCommandQueue } from './command-queue.js';
 import { GraphDatabase } from './database.js';
+import { commandFilter } from './command-filter.js';
+import { createRouteFilter } from './command-filter-middleware.js';
+import { parsePageSize } from './pagination.js';
+import { FILTER_ERROR_PATTERN } from './component-filters.js';
+
+// Pagination query parameters shared by the list endpoints
+function pageOptions(query) {
+  return {
+    cursor: query.cursor,
+    pageSize: parsePageSize(query.pageSize),
+    orderBy: query.orderBy,
+    direction: query.direction
+  };
+}
+
+// Malformed cursors, paging options and filters are the caller's fault; anything else is ours
+function pageErrorStatus(error) {
+  return /^(Invalid (cursor|orderBy|direction)|Cursor belongs to|pageSize must be)/.test(error.message) ||
+    FILTER_ERROR_PATTERN.test(error.message) ? 400 : 500;
+}
 
 /**
  * HTTP Server with Server-Sent Events (SSE) support for external client integration
@@ -25,6 +45,7 @@ export class CodebaseGraphHTTPServer extends EventEmitter {
     this.app = express();
     this.server = null;
     this.db = options.db || new GraphDatabase();
+    this.commandFilter = options.commandFilter || commandFilter;
     this.sseClients = new Map(); // clientId -> response object
     this.clientMetadata = new Map(); // clientId -> metadata
     
@@ -39,7 +60,7 @@ export class CodebaseGraphHTTPServer extends EventEmitter {
       origin: this.options.corsOrigin,
       credentials: true,
       methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-      allowedHeaders: ['Content-Type', 'Authorization', 'X-Client-ID', 'Cache-Control']
+      allowedHeaders: ['Content-Type', 'Authorization', 'X-Client-ID', 'X-Session-Id', 'X-User-Id', 'Cache-Control']
     }));
 
     // JSON parsing
@@ -64,52 +85,67 @@ export class CodebaseGraphHTTPServer extends EventEmitter {
   }
 
   setupRoutes() {
+    // Guard each REST route with the MCP command it mirrors, so filter presets apply on every transport
+    const guard = (commandName) => createRouteFilter(commandName, this.commandFilter);
+
     // SSE Event Stream endpoint
     this.app.get('/events', this.handleSSEConnection.bind(this));
     
     // Component API endpoints (with /api prefix)
-    this.app.get('/api/components', this.handleGetComponents.bind(this));
-    this.app.get('/api/components/:id', this.handleGetComponent.bind(this));
-    this.app.post('/api/components', this.handleCreateComponent.bind(this));
-    this.app.put('/api/components/:id', this.handleUpdateComponent.bind(this));
-    this.app.delete('/api/components/:id', this.handleDeleteComponent.bind(this));
+    this.app.get('/api/search', guard('search'), this.handleSearch.bind(this));
+    this.app.get('/api/components', guard('search_components'), this.handleGetComponents.bind(this));
+    this.app.get('/api/components/:id', guard('get_component'), this.handleGetComponent.bind(this));
+    this.app.post('/api/components', guard('create_component'), this.handleCreateComponent.bind(this));
+    this.app.put('/api/components/:id', guard('update_component'), this.handleUpdateComponent.bind(this));
+    this.app.delete('/api/components/:id', guard('delete_component'), this.handleDeleteComponent.bind(this));
     
     // Component API endpoints (backward compatibility - no /api prefix)
-    this.app.get('/components', this.handleGetComponents.bind(this));
-    this.app.get('/components/:id', this.handleGetComponent.bind(this));
-    this.app.post('/components', this.handleCreateComponent.bind(this));
-    this.app.put('/components/:id', this.handleUpdateComponent.bind(this));
-    this.app.delete('/components/:id', this.handleDeleteComponent.bind(this));
+    this.app.get('/components', guard('search_components'), this.handleGetComponents.bind(this));
+    this.app.get('/components/:id', guard('get_component'), this.handleGetComponent.bind(this));
+    this.app.post('/components', guard('create_component'), this.handleCreateComponent.bind(this));
+    this.app.put('/components/:id', guard('update_component'), this.handleUpdateComponent.bind(this));
+    this.app.delete('/components/:id', guard('delete_component'), this.handleDeleteComponent.bind(this));
     
     // Relationships API endpoints
-    this.app.get('/api/components/:id/relationships', this.handleGetComponentRelationships.bind(this));
-    this.app.post('/api/relationships', this.handleCreateRelationship.bind(this));
+    this.app.get('/api/components/:id/relationships', guard('get_component_relationships'), this.handleGetComponentRelationships.bind(this));
+    this.app.post('/api/relationships', guard('create_relationship'), this.handleCreateRelationship.bind(this));
+    this.app.get('/api/relationships/:id', guard('get_relationship'), this.handleGetRelationship.bind(this));
+    this.app.put('/api/relationships/:id', guard('update_relationship'), this.handleUpdateRelationship.bind(this));
+    this.app.delete('/api/relationships/:id', guard('delete_relationship'), this.handleDeleteRelationship.bind(this));
     
     // Bulk operations endpoints
-    this.app.post('/api/components/bulk', this.handleCreateBulkComponents.bind(this));
-    this.app.post('/api/relationships/bulk', this.handleCreateBulkRelationships.bind(this));
-    this.app.post('/api/tasks/bulk', this.handleCreateBulkTasks.bind(this));
+    this.app.post('/api/components/bulk', guard('create_components_bulk'), this.handleCreateBulkComponents.bind(this));
+    this.app.post('/api/relationships/bulk', guard('create_relationships_bulk'), this.handleCreateBulkRelationships.bind(this));
+    this.app.post('/api/tasks/bulk', guard('create_tasks_bulk'), this.handleCreateBulkTasks.bind(this));
     
     // Task API endpoints
-    this.app.get('/api/tasks', this.handleGetTasks.bind(this));
-    this.app.get('/api/tasks/search', this.handleSearchTasks.bind(this));
-    this.app.get('/api/tasks/:id', this.handleGetTask.bind(this));
-    this.app.post('/api/tasks', this.handleCreateTask.bind(this));
-    this.app.put('/api/tasks/:id', this.handleUpdateTask.bind(this));
+    this.app.get('/api/tasks', guard('get_tasks'), this.handleGetTasks.bind(this));
+    this.app.get('/api/tasks/search', guard('get_tasks'), this.handleSearchTasks.bind(this));
+    this.app.get('/api/tasks/:id', guard('get_task'), this.handleGetTask.bind(this));
+    this.app.post('/api/tasks', guard('create_task'), this.handleCreateTask.bind(this));
+    this.app.put('/api/tasks/:id', guard('update_task_status'), this.handleUpdateTask.bind(this));
+    
+    // Comment and history listings
+    this.app.get('/api/nodes/:id/comments', guard('get_node_comments'), this.handleGetNodeComments.bind(this));
+    this.app.get('/api/history', guard('get_change_history'), this.handleGetChangeHistory.bind(this));
     
     // Command Queue API endpoints
-    this.app.post('/api/commands', this.handleSendCommand.bind(this));
-    this.app.get('/api/commands/pending', this.handleGetPendingCommands.bind(this));
-    this.app.get('/api/agents', this.handleGetWaitingAgents.bind(this));
-    this.app.delete('/api/commands/:id', this.handleCancelCommand.bind(this));
+    this.app.post('/api/commands', guard('send_command'), this.handleSendCommand.bind(this));
+    this.app.get('/api/commands/pending', guard('get_pending_commands'), this.handleGetPendingCommands.bind(this));
+    this.app.get('/api/agents', guard('get_waiting_agents'), this.handleGetWaitingAgents.bind(this));
+    this.app.delete('/api/commands/:id', guard('cancel_command'), this.handleCancelCommand.bind(this));
     
     // Analysis endpoints
-    this.app.get('/api/codebase/:name/overview', this.handleGetCodebaseOverview.bind(this));
-    this.app.get('/api/components/:id/dependencies', this.handleGetDependencyTree.bind(this));
+    this.app.get('/api/snapshots/:from/diff/:to', guard('diff_snapshots'), this.handleDiffSnapshots.bind(this));
+    this.app.get('/api/codebase/:name/overview', guard('get_codebase_overview'), this.handleGetCodebaseOverview.bind(this));
+    this.app.get('/api/codebases/dependencies', guard('get_codebase_dependency_map'), this.handleGetCodebaseDependencyMap.bind(this));
+    this.app.get('/api/components/:id/dependencies', guard('get_dependency_tree'), this.handleGetDependencyTree.bind(this));
+    this.app.get('/api/components/:id/impact', guard('get_impact_analysis'), this.handleGetImpactAnalysis.bind(this));
+    this.app.get('/api/paths', guard('find_paths'), this.handleFindPaths.bind(this));
     
     // WebSocket-style command interface for real-time integration
-    this.app.post('/api/agents/:agentId/wait', this.handleAgentWait.bind(this));
-    this.app.delete('/api/agents/:agentId/wait', this.handleCancelAgentWait.bind(this));
+    this.app.post('/api/agents/:agentId/wait', guard('wait_for_command'), this.handleAgentWait.bind(this));
+    this.app.delete('/api/agents/:agentId/wait', guard('cancel_wait'), this.handleCancelAgentWait.bind(this));
   }
 
   setupEventHandlers() {
@@ -200,7 +236,8 @@ export class CodebaseGraphHTTPServer extends EventEmitter {
             supportedEvents: [
               'component-created', 'component-updated', 'component-deleted',
               'components-bulk-created',
-              'relationship-created', 'relationships-bulk-created',
+              'relationship-created', 'relationship-updated', 'relationship-deleted',
+              'relationships-bulk-created',
               'task-created', 'task-updated', 'tasks-bulk-created',
               'command-queued', 'command-delivered',
               'agent-waiting', 'agent-stopped-waiting'
@@ -306,6 +343,26 @@ export class CodebaseGraphHTTPServer extends EventEmitter {
 
   // REST API Handlers
 
+  async handleSearch(req, res) {
+    try {
+      const { q, entities, types, codebase, limit, syntax } = req.query;
+      if (!q) {
+        return res.status(400).json({ success: false, error: 'q query parameter is required' });
+      }
+      const result = await this.search({
+        query: q,
+        entities: entities ? entities.split(',') : undefined,
+        types: types ? types.split(',') : undefined,
+        codebase: codebase ? codebase.split(',') : undefined,
+        limit: limit ? parseInt(limit) : undefined,
+        syntax
+      });
+      res.json({ success: true, data: result });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  }
+
   async handleGetComponents(req, res) {
     try {
       const filters = {
@@ -319,10 +376,19 @@ export class CodebaseGraphHTTPServer extends EventEmitter {
         if (filters[key] === undefined) delete filters[key];
       });
 
-      const components = await this.searchComponents(filters);
-      res.json({ success: true, data: components });
+      // where carries the search_components filter language as JSON
+      if (req.query.where !== undefined) {
+        try {
+          filters.where = JSON.parse(req.query.where);
+        } catch {
+          return res.status(400).json({ success: false, error: 'where must be a JSON filter' });
+        }
+      }
+
+      const { items, ...page } = await this.searchComponents(filters, pageOptions(req.query));
+      res.json({ success: true, data: items, page });
     } catch (error) {
-      res.status(500).json({ success: false, error: error.message });
+      res.status(pageErrorStatus(error)).json({ success: false, error: error.message });
     }
   }
 
@@ -340,7 +406,7 @@ export class CodebaseGraphHTTPServer extends EventEmitter {
 
   async handleCreateComponent(req, res) {
     try {
-      const component = await this.createComponent(req.body);
+      const component = await this.createComponent(req.body, this.getHistoryMetadata(req));
       this.broadcastSSE('component-created', component);
       res.status(201).json({ success: true, data: component });
     } catch (error) {
@@ -353,7 +419,7 @@ export class CodebaseGraphHTTPServer extends EventEmitter {
       const component = await this.updateComponent({ 
         id: req.params.id, 
         updates: req.body 
-      });
+      }, this.getHistoryMetadata(req));
       this.broadcastSSE('component-updated', component);
       res.json({ success: true, data: component });
     } catch (error) {
@@ -363,7 +429,7 @@ export class CodebaseGraphHTTPServer extends EventEmitter {
 
   async handleDeleteComponent(req, res) {
     try {
-      await this.deleteComponent({ id: req.params.id });
+      await this.deleteComponent({ id: req.params.id }, this.getHistoryMetadata(req));
       this.broadcastSSE('component-deleted', { id: req.params.id });
       res.json({ success: true, message: 'Component deleted' });
     } catch (error) {
@@ -451,7 +517,7 @@ export class CodebaseGraphHTTPServer extends EventEmitter {
 
   async handleCreateRelationship(req, res) {
     try {
-      const relationship = await this.createRelationship(req.body);
+      const relationship = await this.createRelationship(req.body, this.getHistoryMetadata(req));
       this.broadcastSSE('relationship-created', relationship);
       res.status(201).json({ success: true, data: relationship });
     } catch (error) {
@@ -459,15 +525,85 @@ export class CodebaseGraphHTTPServer extends EventEmitter {
     }
   }
 
-  async handleGetTasks(req, res) {
+  async handleGetRelationship(req, res) {
     try {
-      const tasks = await this.getTasks({ status: req.query.status });
-      res.json({ success: true, data: tasks });
+      const relationship = await this.getRelationship({ id: req.params.id });
+      if (!relationship) {
+        return res.status(404).json({ success: false, error: 'Relationship not found' });
+      }
+      res.json({ success: true, data: relationship });
     } catch (error) {
       res.status(500).json({ success: false, error: error.message });
     }
   }
 
+  async handleUpdateRelationship(req, res) {
+    try {
+      const relationship = await this.updateRelationship({
+        id: req.params.id,
+        updates: req.body
+      }, this.getHistoryMetadata(req));
+      if (!relationship) {
+        return res.status(404).json({ success: false, error: 'Relationship not found' });
+      }
+      this.broadcastSSE('relationship-updated', relationship);
+      res.json({ success: true, data: relationship });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  }
+
+  async handleDeleteRelationship(req, res) {
+    try {
+      const relationship = await this.deleteRelationship({ id: req.params.id }, this.getHistoryMetadata(req));
+      if (!relationship) {
+        return res.status(404).json({ success: false, error: 'Relationship not found' });
+      }
+      this.broadcastSSE('relationship-deleted', relationship);
+      res.json({ success: true, message: 'Relationship deleted' });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  }
+
+  async handleDiffSnapshots(req, res) {
+    try {
+      const result = await this.diffSnapshots({ fromSnapshotId: req.params.from, toSnapshotId: req.params.to });
+      res.json({ success: true, data: result });
+    } catch (error) {
+      const status = error.message.includes('not found') ? 404 : 500;
+      res.status(status).json({ success: false, error: error.message });
+    }
+  }
+
+  async handleGetTasks(req, res) {
+    try {
+      const { items, ...page } = await this.getTasks({ status: req.query.status, ...pageOptions(req.query) });
+      res.json({ success: true, data: items, page });
+    } catch (error) {
+      res.status(pageErrorStatus(error)).json({ success: false, error: error.message });
+    }
+  }
+
+  async handleGetNodeComments(req, res) {
+    try {
+      const { items, ...page } = await this.getNodeComments({ nodeId: req.params.id, ...pageOptions(req.query) });
+      res.json({ success: true, data: items, page });
+    } catch (error) {
+      res.status(pageErrorStatus(error)).json({ success: false, error: error.message });
+    }
+  }
+
+  async handleGetChangeHistory(req, res) {
+    try {
+      const { entityId, entityType, operation } = req.query;
+      const { items, ...page } = await this.getChangeHistory({ entityId, entityType, operation, ...pageOptions(req.query) });
+      res.json({ success: true, data: items, page });
+    } catch (error) {
+      res.status(pageErrorStatus(error)).json({ success: false, error: error.message });
+    }
+  }
+
   async handleSearchTasks(req, res) {
     try {
       const searchFilters = {
@@ -509,7 +645,7 @@ export class CodebaseGraphHTTPServer extends EventEmitter {
 
   async handleCreateTask(req, res) {
     try {
-      const task = await this.createTask(req.body);
+      const task = await this.createTask(req.body, this.getHistoryMetadata(req));
       this.broadcastSSE('task-created', task);
       res.status(201).json({ success: true, data: task });
     } catch (error) {
@@ -528,7 +664,7 @@ export class CodebaseGraphHTTPServer extends EventEmitter {
         });
       }
 
-      const createdComponents = await this.createComponents(components);
+      const createdComponents = await this.createComponents(components, this.getHistoryMetadata(req));
       
       // Broadcast bulk creation event
       this.broadcastSSE('components-bulk-created', {
@@ -557,7 +693,7 @@ export class CodebaseGraphHTTPServer extends EventEmitter {
         });
       }
 
-      const createdRelationships = await this.createRelationships(relationships);
+      const createdRelationships = await this.createRelationships(relationships, this.getHistoryMetadata(req));
       
       // Broadcast bulk creation event
       this.broadcastSSE('relationships-bulk-created', {
@@ -586,7 +722,7 @@ export class CodebaseGraphHTTPServer extends EventEmitter {
         });
       }
 
-      const createdTasks = await this.createTasks(tasks);
+      const createdTasks = await this.createTasks(tasks, this.getHistoryMetadata(req));
       
       // Broadcast bulk creation event
       this.broadcastSSE('tasks-bulk-created', {
@@ -610,7 +746,7 @@ export class CodebaseGraphHTTPServer extends EventEmitter {
       const task = await this.updateTask({ 
         id: req.params.id, 
         updates: req.body 
-      });
+      }, this.getHistoryMetadata(req));
       this.broadcastSSE('task-updated', task);
       res.json({ success: true, data: task });
     } catch (error) {
@@ -627,37 +763,99 @@ export class CodebaseGraphHTTPServer extends EventEmitter {
     }
   }
 
+  async handleGetCodebaseDependencyMap(req, res) {
+    try {
+      const { relationshipTypes, top, from, to, limit } = req.query;
+      const map = await this.getCodebaseDependencyMap({
+        relationshipTypes: relationshipTypes ? relationshipTypes.split(',') : undefined,
+        top: top ? parseInt(top) : undefined,
+        from,
+        to,
+        limit: limit ? parseInt(limit) : undefined
+      });
+      res.json({ success: true, data: map });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  }
+
   async handleGetDependencyTree(req, res) {
     try {
       const tree = await this.getDependencyTree({
         componentId: req.params.id,
-        maxDepth: parseInt(req.query.maxDepth) || 3
+        relationshipTypes: req.query.relationshipTypes ? req.query.relationshipTypes.split(',') : undefined,
+        direction: req.query.direction,
+        maxDepth: req.query.maxDepth ? parseInt(req.query.maxDepth) : undefined,
+        nodeTypes: req.query.nodeTypes ? req.query.nodeTypes.split(',') : undefined,
+        codebase: req.query.codebase,
+        shape: req.query.shape,
+        maxNodes: req.query.maxNodes ? parseInt(req.query.maxNodes) : undefined
       });
       res.json({ success: true, data: tree });
     } catch (error) {
-      res.status(500).json({ success: false, error: error.message });
+      res.status(400).json({ success: false, error: error.message });
+    }
+  }
+
+  async handleGetImpactAnalysis(req, res) {
+    try {
+      const impact = await this.getImpactAnalysis({
+        componentId: req.params.id,
+        relationshipTypes: req.query.relationshipTypes ? req.query.relationshipTypes.split(',') : undefined,
+        maxDepth: req.query.maxDepth ? parseInt(req.query.maxDepth) : undefined,
+        codebase: req.query.codebase
+      });
+      res.json({ success: true, data: impact });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  }
+
+  async handleFindPaths(req, res) {
+    try {
+      const { from, to, relationshipTypes, direction, maxLength, mode, k, weightByProbability } = req.query;
+      if (!from || !to) {
+        return res.status(400).json({ success: false, error: 'from and to query parameters are required' });
+      }
+      const paths = await this.findPaths({
+        fromId: from,
+        toId: to,
+        relationshipTypes: relationshipTypes ? relationshipTypes.split(',') : undefined,
+        direction,
+        maxLength: maxLength ? parseInt(maxLength) : undefined,
+        mode,
+        k: k ? parseInt(k) : undefined,
+        weightByProbability: weightByProbability === 'true'
+      });
+      res.json({ success: true, data: paths });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
     }
   }
 
   // Delegate to database operations (these would need to be implemented)
-  async searchComponents(filters) {
-    return await this.db.searchComponents(filters);
+  async searchComponents(filters, options = {}) {
+    return await this.db.searchComponentsPage(filters, options);
+  }
+
+  async search(args) {
+    return await this.db.search(args.query, args);
   }
 
   async getComponent(args) {
     return await this.db.getComponent(args.id);
   }
 
-  async createComponent(data) {
-    return await this.db.createComponent(data);
+  async createComponent(data, metadata) {
+    return await this.db.createComponent(data, metadata);
   }
 
-  async updateComponent(args) {
-    return await this.db.updateComponent(args.id, args.updates);
+  async updateComponent(args, metadata) {
+    return await this.db.updateComponent(args.id, args.updates, metadata);
   }
 
-  async deleteComponent(args) {
-    await this.db.deleteComponent(args.id);
+  async deleteComponent(args, metadata) {
+    await this.db.deleteComponent(args.id, metadata);
     return { id: args.id };
   }
 
@@ -665,12 +863,32 @@ export class CodebaseGraphHTTPServer extends EventEmitter {
     return await this.db.getComponentRelationships(args.componentId, args.direction || 'both');
   }
 
-  async createRelationship(data) {
-    return await this.db.createRelationship(data);
+  async createRelationship(data, metadata) {
+    return await this.db.createRelationship(data, metadata);
+  }
+
+  async getRelationship(args) {
+    return await this.db.getRelationship(args.id);
+  }
+
+  async updateRelationship(args, metadata) {
+    return await this.db.updateRelationship(args.id, args.updates, metadata);
+  }
+
+  async deleteRelationship(args, metadata) {
+    return await this.db.deleteRelationship(args.id, metadata);
   }
 
   async getTasks(args) {
-    return await this.db.getTasks(args.status);
+    return await this.db.getTasksPage(args, args);
+  }
+
+  async getNodeComments(args) {
+    return await this.db.getNodeCommentsPage(args.nodeId, args);
+  }
+
+  async getChangeHistory(args) {
+    return await this.db.history.getChangesPage(args, args);
   }
 
   async searchTasks(filters) {
@@ -681,33 +899,58 @@ export class CodebaseGraphHTTPServer extends EventEmitter {
     return await this.db.getTask(args.id);
   }
 
-  async createTask(data) {
-    return await this.db.createTask(data);
+  async createTask(data, metadata) {
+    return await this.db.createTask(data, metadata);
+  }
+
+  async updateTask(args, metadata) {
+    return await this.db.updateTaskStatus(args.id, args.updates.status, args.updates.progress, metadata);
   }
 
-  async updateTask(args) {
-    return await this.db.updateTaskStatus(args.id, args.updates.status, args.updates.progress);
+  async diffSnapshots(args) {
+    return await this.db.history.diffSnapshots(args.fromSnapshotId, args.toSnapshotId);
   }
 
   async getCodebaseOverview(args) {
     return await this.db.getCodebaseOverview(args.codebase);
   }
 
+  async getCodebaseDependencyMap(args) {
+    return await this.db.analysis.getCodebaseDependencyMap(args);
+  }
+
   async getDependencyTree(args) {
-    return await this.db.getDependencyTree(args.componentId, args.maxDepth || 3);
+    return await this.db.getDependencyTree(args.componentId, args);
+  }
+
+  async getImpactAnalysis(args) {
+    return await this.db.analysis.getImpactAnalysis(args.componentId, args);
+  }
+
+  async findPaths(args) {
+    return await this.db.analysis.findPaths(args.fromId, args.toId, args);
+  }
+
+  // Change history metadata for a request, taken from the X-Session-Id and X-User-Id headers
+  getHistoryMetadata(req) {
+    return {
+      sessionId: req.get('X-Session-Id') || 'anonymous',
+      userId: req.get('X-User-Id') || 'system',
+      source: 'http-api'
+    };
   }
 
   // Bulk operation delegates
-  async createComponents(components) {
-    return await this.db.createComponents(components);
+  async createComponents(components, metadata) {
+    return await this.db.createComponents(components, metadata);
   }
 
-  async createRelationships(relationships) {
-    return await this.db.createRelationships(relationships);
+  async createRelationships(relationships, metadata) {
+    return await this.db.createRelationships(relationships, metadata);
   }
 
-  async createTasks(tasks) {
-    return await this.db.createTasks(tasks);
+  async createTasks(tasks, metadata) {
+    return await this.db.createTasks(tasks, metadata);
   }
 
   async start() {
@@ -12,6 +12,28 @@ import { GraphDatabase } from './database.js';
 import { ComponentType, RelationshipType, TaskStatus, ProposedType, Vote } from './models.js';
 import { globalCommandQueue } from './command-queue.js';
 import { CodebaseGraphHTTPServer } from './http-server.js';
+import { v4 as uuidv4 } from 'uuid';
+import { CodebaseIngester } from './ingest.js';
+import { parseRules } from './architecture-rules.js';
+import { TRAVERSAL_SHAPES } from './graph-analysis.js';
+import { SEARCH_ENTITIES } from './search.js';
+import { FILTER_OPERATORS } from './component-filters.js';
+import { DEFAULT_QUERY_LIMIT, MAX_QUERY_LIMIT, DEFAULT_QUERY_TIMEOUT, MAX_QUERY_TIMEOUT } from './graph-query.js';
+import { PATTERN_DIRECTIONS, DEFAULT_PATTERN_LIMIT, MAX_PATTERN_LIMIT } from './graph-pattern.js';
+import { commandFilter } from './command-filter.js';
+import { handleMcpCommand, filterToolList } from './command-filter-middleware.js';
+
+// Input properties shared by the paged list tools
+const pageProperties = (orderBy, defaultOrder) => ({
+  cursor: { type: 'string', description: 'nextCursor of a previous page; continues that listing with its filters and ordering' },
+  pageSize: { type: 'number', default: 50, description: 'Items per page (1-1000)' },
+  orderBy: { type: 'string', enum: orderBy, default: defaultOrder },
+  direction: { type: 'string', enum: ['asc', 'desc'] }
+});
+
+// Describe a page of results and how to get the next one
+const describePage = (label, page) =>
+  `${label}: ${page.items.length} of ${page.total}${page.hasMore ? ` (more available: pass cursor ${page.nextCursor})` : ''}`;
 
 export class CodebaseGraphMCPServer {
   constructor() {
@@ -28,6 +50,14 @@ export class CodebaseGraphMCPServer {
     );
 
     this.db = new GraphDatabase();
+    this.commandFilter = commandFilter;
+
+    // Attached to every change history event written through this server
+    this.historyMetadata = {
+      sessionId: process.env.MCP_SESSION_ID || uuidv4(),
+      userId: process.env.MCP_USER_ID || 'system',
+      source: 'mcp-server'
+    };
     
     // Configuration - voting system is disabled by default
     this.config = {
@@ -39,6 +69,7 @@ export class CodebaseGraphMCPServer {
     // Initialize HTTP server if enabled
     this.httpServer = this.config.enableHTTP ? new CodebaseGraphHTTPServer({
       db: this.db,
+      commandFilter: this.commandFilter,
       port: process.env.HTTP_PORT || 3000,
       host: process.env.HTTP_HOST || 'localhost'
     }) : null;
@@ -80,16 +111,109 @@ export class CodebaseGraphMCPServer {
         },
         {
           name: 'search_components',
-          description: 'Search for components with filters',
+          description: 'Search for components with filters, a page at a time',
           inputSchema: {
             type: 'object',
             properties: {
               type: { type: 'string', enum: Object.values(ComponentType) },
               name: { type: 'string' },
-              codebase: { type: 'string' }
+              codebase: { type: 'string' },
+              where: {
+                type: 'object',
+                description: `Structured filter: a predicate { field, op, value } or a group { and: [filters] } / { or: [filters] }. Fields: id, type, name, description, path, codebase, created, updated or metadata.<key>. Ops: ${FILTER_OPERATORS.join(', ')}; range takes { gt, gte, lt, lte } (ISO dates or epoch milliseconds on created/updated), glob takes a path pattern such as src/**/*.js, exists takes true or false`
+              },
+              ...pageProperties(['name', 'created', 'updated', 'type', 'path', 'codebase'], 'name')
             }
           }
         },
+        {
+          name: 'search',
+          description: 'Ranked full-text search over component names, descriptions, paths and metadata values, task names and descriptions, and comment content, with highlighted snippets and facets by entity, component type and codebase',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              query: { type: 'string', description: 'Search text; with syntax "lucene" Lucene query syntax (wildcards, fuzzy~, field:term) is used as is' },
+              entities: {
+                type: 'array',
+                items: { type: 'string', enum: SEARCH_ENTITIES },
+                description: 'What to search (default: component, task, comment)'
+              },
+              types: {
+                type: 'array',
+                items: { type: 'string', enum: Object.values(ComponentType) },
+                description: 'Only return components of these types'
+              },
+              codebase: {
+                oneOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }],
+                description: 'Codebase or codebases to search'
+              },
+              limit: { type: 'number', default: 20, description: 'Maximum results (1-200)' },
+              syntax: { type: 'string', enum: ['text', 'lucene'], default: 'text' }
+            },
+            required: ['query']
+          }
+        },
+        {
+          name: 'run_graph_query',
+          description: 'Run a read-only Cypher query in a read transaction and return the rows as JSON. Write clauses (CREATE, MERGE, SET, DELETE, ...), admin clauses, LOAD CSV and procedures other than the db.labels/db.schema/full-text query family are rejected',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              query: { type: 'string', description: 'A single Cypher statement; pass values through params as $name' },
+              params: { type: 'object', description: 'Query parameters; whole numbers are sent as integers' },
+              limit: { type: 'number', default: DEFAULT_QUERY_LIMIT, description: `Maximum rows to return (1-${MAX_QUERY_LIMIT}); the result says whether it was truncated` },
+              timeout: { type: 'number', default: DEFAULT_QUERY_TIMEOUT, description: `Transaction timeout in milliseconds (1-${MAX_QUERY_TIMEOUT})` }
+            },
+            required: ['query']
+          }
+        },
+        {
+          name: 'query_pattern',
+          description: 'Find components matching a JSON graph pattern instead of writing Cypher. Name component nodes in "nodes", connect them with "edges" (absent: true for edges that must not exist) and pick what to "return". E.g. FUNCTIONs in codebase X that CALL something that IMPLEMENTS interface Y: nodes { fn: { type: "FUNCTION", codebase: "X" }, callee: {}, iface: { type: "INTERFACE", name: "Y" } }, edges [{ from: "fn", to: "callee", type: "CALLS" }, { from: "callee", to: "iface", type: "IMPLEMENTS" }], return ["fn"]',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              nodes: {
+                type: 'object',
+                description: 'Component nodes by key (a letter, then letters, digits or underscores)',
+                additionalProperties: {
+                  type: 'object',
+                  properties: {
+                    id: { oneOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }] },
+                    type: { oneOf: [{ type: 'string', enum: Object.values(ComponentType) }, { type: 'array', items: { type: 'string', enum: Object.values(ComponentType) } }] },
+                    codebase: { oneOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }] },
+                    name: { oneOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }], description: 'Exact name or names' },
+                    where: { type: 'object', description: 'Filter in the search_components where language, e.g. { field: "metadata.owner", op: "eq", value: "payments" }' }
+                  }
+                }
+              },
+              edges: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    from: { type: 'string', description: 'Node key' },
+                    to: { type: 'string', description: 'Node key' },
+                    type: { oneOf: [{ type: 'string', enum: Object.values(RelationshipType) }, { type: 'array', items: { type: 'string', enum: Object.values(RelationshipType) } }], description: 'Relationship type or types (default: any)' },
+                    direction: { type: 'string', enum: PATTERN_DIRECTIONS, default: 'out', description: 'out follows from -> to, in follows to -> from, both ignores direction' },
+                    minHops: { type: 'number', default: 1, description: 'Minimum path length (0-10)' },
+                    maxHops: { type: 'number', default: 1, description: 'Maximum path length (1-10); above 1 the edge matches paths' },
+                    absent: { type: 'boolean', default: false, description: 'Require that no such edge or path exists' }
+                  },
+                  required: ['from', 'to']
+                }
+              },
+              return: {
+                type: 'array',
+                description: 'Node keys, { node, fields, as } with fields such as id, name, path or metadata.<key>, or { count: key, as } (default: every matched node)',
+                items: { oneOf: [{ type: 'string' }, { type: 'object' }] }
+              },
+              limit: { type: 'number', default: DEFAULT_PATTERN_LIMIT, description: `Maximum rows (1-${MAX_PATTERN_LIMIT})` },
+              timeout: { type: 'number', default: DEFAULT_QUERY_TIMEOUT, description: 'Transaction timeout in milliseconds' }
+            },
+            required: ['nodes']
+          }
+        },
         {
           name: 'update_component',
           description: 'Update an existing component',
@@ -129,6 +253,43 @@ export class CodebaseGraphMCPServer {
             required: ['type', 'sourceId', 'targetId']
           }
         },
+        {
+          name: 'get_relationship',
+          description: 'Get a relationship by ID, including its type and endpoints',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              id: { type: 'string' }
+            },
+            required: ['id']
+          }
+        },
+        {
+          name: 'update_relationship',
+          description: 'Update the details, timeOrder, probability or reasoning of a relationship',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              id: { type: 'string' },
+              details: { type: 'object' },
+              timeOrder: { type: 'number', minimum: 1 },
+              probability: { type: 'number', minimum: 0, maximum: 100 },
+              reasoning: { type: 'string' }
+            },
+            required: ['id']
+          }
+        },
+        {
+          name: 'delete_relationship',
+          description: 'Delete a single relationship by ID',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              id: { type: 'string' }
+            },
+            required: ['id']
+          }
+        },
         {
           name: 'get_component_relationships',
           description: 'Get relationships for a component',
@@ -143,16 +304,246 @@ export class CodebaseGraphMCPServer {
         },
         {
           name: 'get_dependency_tree',
-          description: 'Get dependency tree for a component',
+          description: 'Get the DEPENDS_ON dependency tree of a component, each dependency listed once (see traverse_graph for other relationships)',
           inputSchema: {
             type: 'object',
             properties: {
               componentId: { type: 'string' },
-              maxDepth: { type: 'number', default: 3 }
+              maxDepth: { type: 'number', default: 3 },
+              shape: { type: 'string', enum: TRAVERSAL_SHAPES, default: 'tree' },
+              maxNodes: { type: 'number', default: 500, description: 'Stop adding components after this many' }
+            },
+            required: ['componentId']
+          }
+        },
+        {
+          name: 'traverse_graph',
+          description: 'Walk the graph from start components along chosen relationship types and direction, returning a de-duplicated nested tree, a flat node/edge set or a per-level listing, with cycles reported and a node budget',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              startIds: { type: 'array', items: { type: 'string' }, description: 'Start component ids' },
+              relationshipTypes: {
+                type: 'array',
+                items: { type: 'string', enum: Object.values(RelationshipType) },
+                description: 'Relationship types to follow (default: all)'
+              },
+              direction: { type: 'string', enum: ['outgoing', 'incoming', 'both'], default: 'outgoing' },
+              maxDepth: { type: 'number', default: 3, description: 'Maximum number of hops (1-20)' },
+              nodeTypes: {
+                type: 'array',
+                items: { type: 'string', enum: Object.values(ComponentType) },
+                description: 'Only visit components of these types'
+              },
+              codebase: { type: 'string', description: 'Only visit components in this codebase' },
+              shape: { type: 'string', enum: TRAVERSAL_SHAPES, default: 'tree' },
+              maxNodes: { type: 'number', default: 500, description: 'Stop adding components after this many (max 5000)' }
+            },
+            required: ['startIds']
+          }
+        },
+        {
+          name: 'get_impact_analysis',
+          description: 'Find everything that transitively depends on, calls, imports, extends or implements a component, grouped by distance, with the tests and requirements at risk',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              componentId: { type: 'string', description: 'Component about to change' },
+              relationshipTypes: {
+                type: 'array',
+                items: { type: 'string', enum: Object.values(RelationshipType) },
+                description: 'Edges to follow backwards (default: DEPENDS_ON, CALLS, IMPORTS, EXTENDS, IMPLEMENTS)'
+              },
+              maxDepth: { type: 'number', default: 5 },
+              codebase: { type: 'string', description: 'Only report components of this codebase' }
             },
             required: ['componentId']
           }
         },
+        {
+          name: 'find_cycles',
+          description: 'Find circular dependencies as elementary cycles or strongly connected components, each with a suggested edge to cut',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              codebase: { type: 'string', description: 'Only check this codebase' },
+              relationshipTypes: {
+                type: 'array',
+                items: { type: 'string', enum: Object.values(RelationshipType) },
+                description: 'Edges that form cycles (default: DEPENDS_ON, IMPORTS, CALLS)'
+              },
+              mode: { type: 'string', enum: ['cycles', 'scc'], default: 'cycles' },
+              maxCycles: { type: 'number', default: 100, description: 'Stop enumerating after this many cycles (1-1000)' },
+              maxLength: { type: 'number', default: 20, description: 'Longest cycle to report' }
+            }
+          }
+        },
+        {
+          name: 'find_paths',
+          description: 'Find how one component reaches another: the shortest path or the top-k simple paths, optionally ranked by relationship probability',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              fromId: { type: 'string', description: 'Start component ID' },
+              toId: { type: 'string', description: 'End component ID' },
+              relationshipTypes: {
+                type: 'array',
+                items: { type: 'string', enum: Object.values(RelationshipType) },
+                description: 'Only follow these relationship types (default: all)'
+              },
+              direction: { type: 'string', enum: ['outgoing', 'incoming', 'both'], default: 'outgoing' },
+              maxLength: { type: 'number', default: 6, description: 'Longest path to consider (max 15)' },
+              mode: { type: 'string', enum: ['shortest', 'all'], default: 'shortest' },
+              k: { type: 'number', default: 5, description: "Number of paths returned in 'all' mode" },
+              weightByProbability: { type: 'boolean', default: false, description: 'Rank the most likely paths first, multiplying relationship probabilities; in shortest mode, return the most likely path' }
+            },
+            required: ['fromId', 'toId']
+          }
+        },
+        {
+          name: 'check_architecture_rules',
+          description: 'Check forbidden-dependency rules (from ARCHITECTURE_RULES_FILE or passed inline) against the graph and list the offending edges',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              rules: {
+                type: 'array',
+                items: { type: 'object' },
+                description: 'Rules to check instead of the configured ones: { id, description, severity, from, to, relationshipTypes } with from/to selectors on codebase, type, path and name globs'
+              },
+              ruleIds: { type: 'array', items: { type: 'string' }, description: 'Only check these rules' },
+              codebase: { type: 'string', description: 'Only check edges touching this codebase' }
+            }
+          }
+        },
+        {
+          name: 'get_component_metrics',
+          description: 'Compute fan-in, fan-out, afferent/efferent coupling, instability, CONTAINS depth, PageRank and betweenness per component or per MODULE, ranked as hotspots',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              codebase: { type: 'string', description: 'Codebase to analyse (default: whole graph)' },
+              componentId: { type: 'string', description: 'Only return the metrics of this component' },
+              level: { type: 'string', enum: ['component', 'module'], default: 'component' },
+              relationshipTypes: {
+                type: 'array',
+                items: { type: 'string', enum: Object.values(RelationshipType) },
+                description: 'Edges counted as coupling (default: DEPENDS_ON, CALLS, IMPORTS, USES, EXTENDS, IMPLEMENTS)'
+              },
+              centrality: { type: 'boolean', default: true, description: 'Compute PageRank and betweenness (slower on large graphs, refused over 5000 components)' },
+              limit: { type: 'number', default: 50, description: 'Number of top hotspots to return' }
+            }
+          }
+        },
+        {
+          name: 'write_component_metrics',
+          description: 'Compute the component metrics of a codebase and store them on the nodes as metric* properties, recording each component update in the change history',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              codebase: { type: 'string', description: 'Codebase to analyse (default: whole graph)' },
+              relationshipTypes: {
+                type: 'array',
+                items: { type: 'string', enum: Object.values(RelationshipType) },
+                description: 'Edges counted as coupling (default: DEPENDS_ON, CALLS, IMPORTS, USES, EXTENDS, IMPLEMENTS)'
+              },
+              centrality: { type: 'boolean', default: true, description: 'Compute PageRank and betweenness (slower on large graphs, refused over 5000 components)' }
+            }
+          }
+        },
+        {
+          name: 'find_orphans',
+          description: 'Find unused components: FUNCTION/CLASS nothing CALLS, IMPORTS or CONTAINS, REQUIREMENTs nothing SATISFIES, TEST_CASEs that VERIFY nothing. Use clean_orphans to tag or delete them',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              codebase: { type: 'string' },
+              types: {
+                type: 'array',
+                items: { type: 'string', enum: Object.values(ComponentType) },
+                description: 'Component types to check (default: all types with a rule)'
+              },
+              rules: {
+                type: 'object',
+                description: 'Rules keyed by component type overriding the defaults, e.g. { "FILE": { "incoming": ["IMPORTS"] } }; null disables a type'
+              },
+              ignore: {
+                type: 'array',
+                items: { type: 'object' },
+                description: 'Selectors ({ codebase, type, path, name } with globs) for entry points that are never orphans'
+              }
+            }
+          }
+        },
+        {
+          name: 'clean_orphans',
+          description: 'Tag or delete the components find_orphans reports, recording each update or delete in the change history so revert_session can undo it',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              codebase: { type: 'string' },
+              types: {
+                type: 'array',
+                items: { type: 'string', enum: Object.values(ComponentType) },
+                description: 'Component types to check (default: all types with a rule)'
+              },
+              rules: {
+                type: 'object',
+                description: 'Rules keyed by component type overriding the defaults, e.g. { "FILE": { "incoming": ["IMPORTS"] } }; null disables a type'
+              },
+              ignore: {
+                type: 'array',
+                items: { type: 'object' },
+                description: 'Selectors ({ codebase, type, path, name } with globs) for entry points that are never orphans'
+              },
+              action: { type: 'string', enum: ['tag', 'delete'], default: 'tag', description: 'tag sets orphan: true, delete removes the components' },
+              dryRun: { type: 'boolean', default: false, description: 'Report what tag or delete would touch without writing' }
+            }
+          }
+        },
+        {
+          name: 'suggest_modules',
+          description: 'Group FILE/CLASS/FUNCTION components by their dependencies (Louvain community detection) and report where the declared MODULE/SYSTEM structure disagrees, as move, split and merge suggestions',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              codebase: { type: 'string', description: 'Codebase to analyse (default: whole graph)' },
+              types: {
+                type: 'array',
+                items: { type: 'string', enum: Object.values(ComponentType) },
+                description: 'Component types to group (default: FILE, CLASS, FUNCTION)'
+              },
+              relationshipTypes: {
+                type: 'array',
+                items: { type: 'string', enum: Object.values(RelationshipType) },
+                description: 'Edges that tie components together (default: DEPENDS_ON, CALLS, IMPORTS, USES, EXTENDS, IMPLEMENTS)'
+              },
+              resolution: { type: 'number', default: 1, description: 'Higher values produce more, smaller groups' },
+              minSize: { type: 'number', default: 2, description: 'Smallest group or module share worth reporting' }
+            }
+          }
+        },
+        {
+          name: 'get_context_subgraph',
+          description: 'Get a compact picture of the code around a task or components: neighbours within N hops ranked and pruned to a size budget, with open tasks and recent comments, as text or JSON',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              taskId: { type: 'string', description: 'Task whose related components are the starting point' },
+              componentIds: { type: 'array', items: { type: 'string' }, description: 'Additional or alternative starting components' },
+              relationshipTypes: {
+                type: 'array',
+                items: { type: 'string', enum: Object.values(RelationshipType) },
+                description: 'Relationship types to expand over (default: all)'
+              },
+              direction: { type: 'string', enum: ['outgoing', 'incoming', 'both'], default: 'both' },
+              maxDepth: { type: 'number', default: 2, description: 'Hops to expand (1-5)' },
+              maxComponents: { type: 'number', default: 30, description: 'Size budget; starting components are always kept' },
+              commentsPerNode: { type: 'number', default: 3 },
+              format: { type: 'string', enum: ['text', 'json'], default: 'text' }
+            }
+          }
+        },
 
         // Task Management
         {
@@ -185,11 +576,12 @@ export class CodebaseGraphMCPServer {
         },
         {
           name: 'get_tasks',
-          description: 'Get tasks, optionally filtered by status',
+          description: 'Get tasks, optionally filtered by status, a page at a time',
           inputSchema: {
             type: 'object',
             properties: {
-              status: { type: 'string', enum: Object.values(TaskStatus) }
+              status: { type: 'string', enum: Object.values(TaskStatus) },
+              ...pageProperties(['created', 'updated', 'name', 'status', 'progress'], 'created')
             }
           }
         },
@@ -224,12 +616,13 @@ export class CodebaseGraphMCPServer {
         },
         {
           name: 'get_node_comments',
-          description: 'Get all comments for a specific node',
+          description: 'Get the comments on a specific node, a page at a time',
           inputSchema: {
             type: 'object',
             properties: {
               nodeId: { type: 'string', description: 'ID of the node to get comments for' },
-              limit: { type: 'number', default: 50, description: 'Maximum number of comments to return' }
+              limit: { type: 'number', description: 'Deprecated alias of pageSize' },
+              ...pageProperties(['created', 'updated', 'author'], 'created')
             },
             required: ['nodeId']
           }
@@ -282,28 +675,49 @@ export class CodebaseGraphMCPServer {
             required: ['codebase']
           }
         },
+        {
+          name: 'get_codebase_dependency_map',
+          description: 'Aggregate relationships crossing codebase boundaries into a codebase-level graph with counts per relationship type and the top contributing components; pass from and to to drill into one pair',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              relationshipTypes: {
+                type: 'array',
+                items: { type: 'string', enum: Object.values(RelationshipType) },
+                description: 'Relationship types to count (default: all)'
+              },
+              top: { type: 'number', default: 5, description: 'Contributing components listed per side of each codebase pair' },
+              from: { type: 'string', description: 'Drill down: first codebase of the pair' },
+              to: { type: 'string', description: 'Drill down: second codebase of the pair' },
+              limit: { type: 'number', default: 100, description: 'Drill down: edges listed per direction' }
+            }
+          }
+        },
 
         // Change History and Replay Tools
         {
           name: 'get_change_history',
-          description: 'Get change history for an entity or recent changes',
+          description: 'Get change history for an entity or recent changes, a page at a time',
           inputSchema: {
             type: 'object',
             properties: {
               entityId: { type: 'string' },
-              limit: { type: 'number', default: 50 },
-              operation: { type: 'string' }
+              entityType: { type: 'string', enum: ['COMPONENT', 'RELATIONSHIP', 'TASK', 'COMMENT'] },
+              operation: { type: 'string' },
+              limit: { type: 'number', description: 'Deprecated alias of pageSize' },
+              ...pageProperties(['timestamp', 'operation', 'entityType'], 'timestamp')
             }
           }
         },
         {
           name: 'create_snapshot',
-          description: 'Create a snapshot of the current database state',
+          description: 'Create a snapshot of the current database state in the snapshot store',
           inputSchema: {
             type: 'object',
             properties: {
               name: { type: 'string' },
-              description: { type: 'string' }
+              description: { type: 'string' },
+              codebase: { type: 'string', description: 'Only capture components, tasks and relationships of this codebase' }
             },
             required: ['name']
           }
@@ -316,30 +730,76 @@ export class CodebaseGraphMCPServer {
             properties: {}
           }
         },
+        {
+          name: 'diff_snapshots',
+          description: 'Compare two snapshots, or a snapshot with the live graph, reporting added, removed and modified components, tasks and relationships',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              fromSnapshotId: { type: 'string', description: 'Earlier snapshot ID' },
+              toSnapshotId: { type: 'string', default: 'live', description: "Later snapshot ID, 'live' for the current graph, or 'namespace:<name>' for a shadow namespace" },
+              format: { type: 'string', enum: ['summary', 'json', 'both'], default: 'both', description: 'Markdown summary, JSON diff, or both' }
+            },
+            required: ['fromSnapshotId']
+          }
+        },
         {
           name: 'restore_snapshot',
-          description: 'Restore database from a snapshot',
+          description: 'Restore database from a snapshot, or materialise it into a shadow namespace next to the live graph',
           inputSchema: {
             type: 'object',
             properties: {
               snapshotId: { type: 'string' },
-              dryRun: { type: 'boolean', default: false }
+              dryRun: { type: 'boolean', default: false },
+              namespace: { type: 'string', description: 'Restore into this shadow namespace instead of replacing the live graph' }
             },
             required: ['snapshotId']
           }
         },
         {
           name: 'replay_to_timestamp',
-          description: 'Replay changes to recreate database state at a specific time',
+          description: 'Replay changes to recreate database state at a specific time, optionally into a shadow namespace',
           inputSchema: {
             type: 'object',
             properties: {
               timestamp: { type: 'string' },
-              dryRun: { type: 'boolean', default: true }
+              dryRun: { type: 'boolean', default: true },
+              namespace: { type: 'string', description: 'Replay into this shadow namespace instead of replacing the live graph' }
             },
             required: ['timestamp']
           }
         },
+        {
+          name: 'list_namespaces',
+          description: 'List shadow namespaces created by restore_snapshot or replay_to_timestamp with their entity counts',
+          inputSchema: {
+            type: 'object',
+            properties: {}
+          }
+        },
+        {
+          name: 'promote_namespace',
+          description: 'Atomically replace the live graph (or the namespace codebase) with the contents of a shadow namespace',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              namespace: { type: 'string' },
+              dryRun: { type: 'boolean', default: false }
+            },
+            required: ['namespace']
+          }
+        },
+        {
+          name: 'drop_namespace',
+          description: 'Delete a shadow namespace and everything restored into it',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              namespace: { type: 'string' }
+            },
+            required: ['namespace']
+          }
+        },
         {
           name: 'get_history_stats',
           description: 'Get statistics about change history',
@@ -348,6 +808,32 @@ export class CodebaseGraphMCPServer {
             properties: {}
           }
         },
+        {
+          name: 'revert_change',
+          description: 'Undo a single change event by applying its inverse; later changes by others to the same entity are reported as conflicts',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              changeId: { type: 'string', description: 'ID of the change event to revert' },
+              dryRun: { type: 'boolean', default: false, description: 'Preview the inverse operation and conflicts without writing' },
+              force: { type: 'boolean', default: false, description: 'Revert even if later changes conflict' }
+            },
+            required: ['changeId']
+          }
+        },
+        {
+          name: 'revert_session',
+          description: 'Undo everything an agent session changed, newest first, skipping entities other sessions touched afterwards',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              sessionId: { type: 'string', description: 'Session ID recorded on the change events' },
+              dryRun: { type: 'boolean', default: false, description: 'Preview the inverse operations and conflicts without writing' },
+              force: { type: 'boolean', default: false, description: 'Revert conflicting changes too' }
+            },
+            required: ['sessionId']
+          }
+        },
 
         // Bulk Operations
         {
@@ -425,46 +911,144 @@ export class CodebaseGraphMCPServer {
           }
         },
 
-        // Command Queue Tools
+        // Idempotent Upserts
         {
-          name: 'wait_for_command',
-          description: 'Wait for a command from external systems (like graph visualizers). Agent will block until a command is received or timeout occurs.',
+          name: 'upsert_component',
+          description: 'Create or update a component keyed on (codebase, type, path, name); reports whether it was created, updated or unchanged',
           inputSchema: {
             type: 'object',
             properties: {
-              agentId: { type: 'string', description: 'Unique identifier for this agent' },
-              timeout: { type: 'number', default: 300000, description: 'Timeout in milliseconds (default 5 minutes)' },
-              filters: {
-                type: 'object',
-                properties: {
-                  taskTypes: { type: 'array', items: { type: 'string' }, description: 'Types of tasks to accept' },
-                  componentIds: { type: 'array', items: { type: 'string' }, description: 'Component IDs to accept commands for' },
-                  priority: { type: 'string', enum: ['LOW', 'MEDIUM', 'HIGH', 'URGENT'], description: 'Minimum priority level' }
-                }
-              }
+              type: { type: 'string', enum: Object.values(ComponentType) },
+              name: { type: 'string' },
+              description: { type: 'string' },
+              path: { type: 'string' },
+              codebase: { type: 'string' },
+              metadata: { type: 'object' }
             },
-            required: ['agentId']
+            required: ['type', 'name']
           }
         },
         {
-          name: 'send_command',
-          description: 'Send a command to waiting agents or queue it for later delivery',
+          name: 'upsert_components_bulk',
+          description: 'Create or update multiple components keyed on (codebase, type, path, name) in a single transaction',
           inputSchema: {
             type: 'object',
             properties: {
-              type: { type: 'string', description: 'Type of command (e.g., EXECUTE_TASK, UPDATE_COMPONENT)' },
-              source: { type: 'string', default: 'mcp-server', description: 'Source of the command' },
-              payload: { type: 'object', description: 'Command-specific data' },
-              priority: { type: 'string', enum: ['LOW', 'MEDIUM', 'HIGH', 'URGENT'], default: 'MEDIUM' },
-              targetComponentIds: { type: 'array', items: { type: 'string' }, description: 'Component IDs this command relates to' },
-              taskType: { type: 'string', description: 'Type of task if applicable' }
-            },
-            required: ['type', 'payload']
-          }
-        },
-        {
-          name: 'get_waiting_agents',
-          description: 'Get status of agents currently waiting for commands',
+              components: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    type: { type: 'string', enum: Object.values(ComponentType) },
+                    name: { type: 'string' },
+                    description: { type: 'string' },
+                    path: { type: 'string' },
+                    codebase: { type: 'string' },
+                    metadata: { type: 'object' }
+                  },
+                  required: ['type', 'name']
+                }
+              }
+            },
+            required: ['components']
+          }
+        },
+        {
+          name: 'upsert_relationship',
+          description: 'Create or update a relationship keyed on (sourceId, type, targetId); reports whether it was created, updated or unchanged',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              type: { type: 'string', enum: Object.values(RelationshipType) },
+              sourceId: { type: 'string' },
+              targetId: { type: 'string' },
+              details: { type: 'object' }
+            },
+            required: ['type', 'sourceId', 'targetId']
+          }
+        },
+        {
+          name: 'upsert_relationships_bulk',
+          description: 'Create or update multiple relationships keyed on (sourceId, type, targetId) in a single transaction',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              relationships: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    type: { type: 'string', enum: Object.values(RelationshipType) },
+                    sourceId: { type: 'string' },
+                    targetId: { type: 'string' },
+                    details: { type: 'object' }
+                  },
+                  required: ['type', 'sourceId', 'targetId']
+                }
+              }
+            },
+            required: ['relationships']
+          }
+        },
+
+        // Source Ingestion
+        {
+          name: 'ingest_codebase',
+          description: 'Parse a local JavaScript/TypeScript directory and create FILE, MODULE, CLASS, FUNCTION and VARIABLE components with CONTAINS, IMPORTS, EXPORTS, CALLS and EXTENDS relationships',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              rootDir: { type: 'string', description: 'Directory to ingest (absolute or relative to the server working directory)' },
+              codebase: { type: 'string', description: 'Codebase tag applied to every created component' },
+              extensions: { type: 'array', items: { type: 'string' }, description: 'File extensions to parse (default: JS and TS extensions)' },
+              exclude: { type: 'array', items: { type: 'string' }, description: 'Directory names to skip (default: node_modules, .git, dist, build, coverage)' },
+              incremental: { type: 'boolean', default: false, description: 'Re-sync against the previous ingestion of this codebase, only touching added, changed, removed and renamed files' },
+              dryRun: { type: 'boolean', default: false, description: 'Only report what would be created or changed' }
+            },
+            required: ['rootDir', 'codebase']
+          }
+        },
+
+        // Command Queue Tools
+        {
+          name: 'wait_for_command',
+          description: 'Wait for a command from external systems (like graph visualizers). Agent will block until a command is received or timeout occurs.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              agentId: { type: 'string', description: 'Unique identifier for this agent' },
+              timeout: { type: 'number', default: 300000, description: 'Timeout in milliseconds (default 5 minutes)' },
+              filters: {
+                type: 'object',
+                properties: {
+                  taskTypes: { type: 'array', items: { type: 'string' }, description: 'Types of tasks to accept' },
+                  componentIds: { type: 'array', items: { type: 'string' }, description: 'Component IDs to accept commands for' },
+                  priority: { type: 'string', enum: ['LOW', 'MEDIUM', 'HIGH', 'URGENT'], description: 'Minimum priority level' }
+                }
+              }
+            },
+            required: ['agentId']
+          }
+        },
+        {
+          name: 'send_command',
+          description: 'Send a command to waiting agents or queue it for later delivery',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              type: { type: 'string', description: 'Type of command (e.g., EXECUTE_TASK, UPDATE_COMPONENT)' },
+              source: { type: 'string', default: 'mcp-server', description: 'Source of the command' },
+              payload: { type: 'object', description: 'Command-specific data' },
+              priority: { type: 'string', enum: ['LOW', 'MEDIUM', 'HIGH', 'URGENT'], default: 'MEDIUM' },
+              targetComponentIds: { type: 'array', items: { type: 'string' }, description: 'Component IDs this command relates to' },
+              taskType: { type: 'string', description: 'Type of task if applicable' }
+            },
+            required: ['type', 'payload']
+          }
+        },
+        {
+          name: 'get_waiting_agents',
+          description: 'Get status of agents currently waiting for commands',
           inputSchema: {
             type: 'object',
             properties: {}
@@ -588,8 +1172,9 @@ export class CodebaseGraphMCPServer {
         }
       ] : [];
       
+      // Hide tools denied by the active filter preset/whitelist
       return {
-        tools: [...coreTools, ...votingTools]
+        tools: filterToolList([...coreTools, ...votingTools], this.commandFilter)
       };
     });
 
@@ -597,109 +1182,176 @@ export class CodebaseGraphMCPServer {
       const { name, arguments: args } = request.params;
 
       try {
-        switch (name) {
-          case 'create_component':
-            return await this.createComponent(args);
-          case 'get_component':
-            return await this.getComponent(args);
-          case 'search_components':
-            return await this.searchComponents(args);
-          case 'update_component':
-            return await this.updateComponent(args);
-          case 'delete_component':
-            return await this.deleteComponent(args);
-          case 'create_relationship':
-            return await this.createRelationship(args);
-          case 'get_component_relationships':
-            return await this.getComponentRelationships(args);
-          case 'get_dependency_tree':
-            return await this.getDependencyTree(args);
-          case 'create_task':
-            return await this.createTask(args);
-          case 'get_task':
-            return await this.getTask(args);
-          case 'get_tasks':
-            return await this.getTasks(args);
-          case 'update_task_status':
-            return await this.updateTaskStatus(args);
-          // Comment management
-          case 'create_node_comment':
-            return await this.createNodeComment(args);
-          case 'get_node_comments':
-            return await this.getNodeComments(args);
-          case 'update_comment':
-            return await this.updateComment(args);
-          case 'delete_comment':
-            return await this.deleteComment(args);
-          case 'get_comment':
-            return await this.getComment(args);
-          case 'get_codebase_overview':
-            return await this.getCodebaseOverview(args);
-          case 'get_change_history':
-            return await this.getChangeHistory(args);
-          case 'create_snapshot':
-            return await this.createSnapshot(args);
-          case 'list_snapshots':
-            return await this.listSnapshots(args);
-          case 'restore_snapshot':
-            return await this.restoreSnapshot(args);
-          case 'replay_to_timestamp':
-            return await this.replayToTimestamp(args);
-          case 'get_history_stats':
-            return await this.getHistoryStats(args);
-          case 'wait_for_command':
-            return await this.waitForCommand(args);
-          case 'send_command':
-            return await this.sendCommand(args);
-          case 'get_waiting_agents':
-            return await this.getWaitingAgents(args);
-          case 'get_pending_commands':
-            return await this.getPendingCommands(args);
-          case 'cancel_command':
-            return await this.cancelCommand(args);
-          case 'cancel_wait':
-            return await this.cancelWait(args);
-          case 'get_command_history':
-            return await this.getCommandHistory(args);
-          // Bulk operations
-          case 'create_components_bulk':
-            return await this.createComponentsBulk(args);
-          case 'create_relationships_bulk':
-            return await this.createRelationshipsBulk(args);
-          case 'create_tasks_bulk':
-            return await this.createTasksBulk(args);
-          // Voting system tools (conditionally handled)
-          case 'propose_type':
-            if (!this.config.enableVoting) throw new McpError(ErrorCode.MethodNotFound, 'Voting system is disabled');
-            return await this.proposeType(args);
-          case 'vote_on_type':
-            if (!this.config.enableVoting) throw new McpError(ErrorCode.MethodNotFound, 'Voting system is disabled');
-            return await this.voteOnType(args);
-          case 'get_proposed_types':
-            if (!this.config.enableVoting) throw new McpError(ErrorCode.MethodNotFound, 'Voting system is disabled');
-            return await this.getProposedTypes(args);
-          case 'get_proposed_type':
-            if (!this.config.enableVoting) throw new McpError(ErrorCode.MethodNotFound, 'Voting system is disabled');
-            return await this.getProposedType(args);
-          case 'apply_approved_type':
-            if (!this.config.enableVoting) throw new McpError(ErrorCode.MethodNotFound, 'Voting system is disabled');
-            return await this.applyApprovedType(args);
-          case 'get_voting_stats':
-            if (!this.config.enableVoting) throw new McpError(ErrorCode.MethodNotFound, 'Voting system is disabled');
-            return await this.getVotingStats(args);
-          default:
-            throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${name}`);
-        }
+        return await handleMcpCommand(name, args || {}, (commandName, commandArgs) => this.executeTool(commandName, commandArgs), this.commandFilter);
       } catch (error) {
         if (error instanceof McpError) throw error;
+        if (error.code === 'COMMAND_FILTERED') {
+          throw new McpError(ErrorCode.InvalidRequest, error.message, { filterResult: error.filterResult });
+        }
         throw new McpError(ErrorCode.InternalError, `Tool execution failed: ${error.message}`);
       }
     });
   }
 
+  // Dispatch a tool call that has already passed the command filter
+  async executeTool(name, args) {
+    switch (name) {
+      case 'create_component':
+        return await this.createComponent(args);
+      case 'get_component':
+        return await this.getComponent(args);
+      case 'search_components':
+        return await this.searchComponents(args);
+      case 'search':
+        return await this.search(args);
+      case 'run_graph_query':
+        return await this.runGraphQuery(args);
+      case 'query_pattern':
+        return await this.queryPattern(args);
+      case 'update_component':
+        return await this.updateComponent(args);
+      case 'delete_component':
+        return await this.deleteComponent(args);
+      case 'create_relationship':
+        return await this.createRelationship(args);
+      case 'get_relationship':
+        return await this.getRelationship(args);
+      case 'update_relationship':
+        return await this.updateRelationship(args);
+      case 'delete_relationship':
+        return await this.deleteRelationship(args);
+      case 'get_component_relationships':
+        return await this.getComponentRelationships(args);
+      case 'get_dependency_tree':
+        return await this.getDependencyTree(args);
+      case 'traverse_graph':
+        return await this.traverseGraph(args);
+      case 'get_impact_analysis':
+        return await this.getImpactAnalysis(args);
+      case 'find_cycles':
+        return await this.findCycles(args);
+      case 'find_paths':
+        return await this.findPaths(args);
+      case 'check_architecture_rules':
+        return await this.checkArchitectureRules(args);
+      case 'get_component_metrics':
+        return await this.getComponentMetrics(args);
+      case 'write_component_metrics':
+        return await this.writeComponentMetrics(args);
+      case 'find_orphans':
+        return await this.findOrphans(args);
+      case 'clean_orphans':
+        return await this.cleanOrphans(args);
+      case 'suggest_modules':
+        return await this.suggestModules(args);
+      case 'get_context_subgraph':
+        return await this.getContextSubgraph(args);
+      case 'create_task':
+        return await this.createTask(args);
+      case 'get_task':
+        return await this.getTask(args);
+      case 'get_tasks':
+        return await this.getTasks(args);
+      case 'update_task_status':
+        return await this.updateTaskStatus(args);
+      // Comment management
+      case 'create_node_comment':
+        return await this.createNodeComment(args);
+      case 'get_node_comments':
+        return await this.getNodeComments(args);
+      case 'update_comment':
+        return await this.updateComment(args);
+      case 'delete_comment':
+        return await this.deleteComment(args);
+      case 'get_comment':
+        return await this.getComment(args);
+      case 'get_codebase_overview':
+        return await this.getCodebaseOverview(args);
+      case 'get_codebase_dependency_map':
+        return await this.getCodebaseDependencyMap(args);
+      case 'get_change_history':
+        return await this.getChangeHistory(args);
+      case 'create_snapshot':
+        return await this.createSnapshot(args);
+      case 'list_snapshots':
+        return await this.listSnapshots(args);
+      case 'diff_snapshots':
+        return await this.diffSnapshots(args);
+      case 'restore_snapshot':
+        return await this.restoreSnapshot(args);
+      case 'replay_to_timestamp':
+        return await this.replayToTimestamp(args);
+      case 'list_namespaces':
+        return await this.listNamespaces(args);
+      case 'promote_namespace':
+        return await this.promoteNamespace(args);
+      case 'drop_namespace':
+        return await this.dropNamespace(args);
+      case 'get_history_stats':
+        return await this.getHistoryStats(args);
+      case 'revert_change':
+        return await this.revertChange(args);
+      case 'revert_session':
+        return await this.revertSession(args);
+      case 'ingest_codebase':
+        return await this.ingestCodebase(args);
+      case 'wait_for_command':
+        return await this.waitForCommand(args);
+      case 'send_command':
+        return await this.sendCommand(args);
+      case 'get_waiting_agents':
+        return await this.getWaitingAgents(args);
+      case 'get_pending_commands':
+        return await this.getPendingCommands(args);
+      case 'cancel_command':
+        return await this.cancelCommand(args);
+      case 'cancel_wait':
+        return await this.cancelWait(args);
+      case 'get_command_history':
+        return await this.getCommandHistory(args);
+      // Bulk operations
+      case 'create_components_bulk':
+        return await this.createComponentsBulk(args);
+      case 'create_relationships_bulk':
+        return await this.createRelationshipsBulk(args);
+      case 'create_tasks_bulk':
+        return await this.createTasksBulk(args);
+      // Idempotent upserts
+      case 'upsert_component':
+        return await this.upsertComponent(args);
+      case 'upsert_components_bulk':
+        return await this.upsertComponentsBulk(args);
+      case 'upsert_relationship':
+        return await this.upsertRelationship(args);
+      case 'upsert_relationships_bulk':
+        return await this.upsertRelationshipsBulk(args);
+      // Voting system tools (conditionally handled)
+      case 'propose_type':
+        if (!this.config.enableVoting) throw new McpError(ErrorCode.MethodNotFound, 'Voting system is disabled');
+        return await this.proposeType(args);
+      case 'vote_on_type':
+        if (!this.config.enableVoting) throw new McpError(ErrorCode.MethodNotFound, 'Voting system is disabled');
+        return await this.voteOnType(args);
+      case 'get_proposed_types':
+        if (!this.config.enableVoting) throw new McpError(ErrorCode.MethodNotFound, 'Voting system is disabled');
+        return await this.getProposedTypes(args);
+      case 'get_proposed_type':
+        if (!this.config.enableVoting) throw new McpError(ErrorCode.MethodNotFound, 'Voting system is disabled');
+        return await this.getProposedType(args);
+      case 'apply_approved_type':
+        if (!this.config.enableVoting) throw new McpError(ErrorCode.MethodNotFound, 'Voting system is disabled');
+        return await this.applyApprovedType(args);
+      case 'get_voting_stats':
+        if (!this.config.enableVoting) throw new McpError(ErrorCode.MethodNotFound, 'Voting system is disabled');
+        return await this.getVotingStats(args);
+      default:
+        throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${name}`);
+    }
+  }
+
   // Component handlers
   async createComponent(args) {
-    const result = await this.db.createComponent(args);
+    const result = await this.db.createComponent(args, this.historyMetadata);
     return {
       content: [
         {
@@ -723,19 +1375,58 @@ export class CodebaseGraphMCPServer {
   }
 
   async searchComponents(args) {
-    const results = await this.db.searchComponents(args);
+    const page = await this.db.searchComponentsPage(args, args);
     return {
       content: [
         {
           type: 'text',
-          text: `Found ${results.length} components:\n${JSON.stringify(results, null, 2)}`
+          text: `${describePage('Components', page)}:\n${JSON.stringify(page, null, 2)}`
+        }
+      ]
+    };
+  }
+
+  async search(args) {
+    const result = await this.db.search(args.query, args);
+    const lines = result.results.map(item =>
+      `- [${item.entity}${item.type ? ` ${item.type}` : ''}] ${item.name || item.nodeName || item.id} (${item.score.toFixed(2)})${item.snippet ? `: ${item.field} ${item.snippet}` : ''}`);
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Found ${result.total} matches for "${result.query}" (${result.results.length} shown):\n${lines.join('\n')}\n\n${JSON.stringify(result, null, 2)}`
+        }
+      ]
+    };
+  }
+
+  async runGraphQuery(args) {
+    const result = await this.db.runGraphQuery(args.query, args);
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `${result.rowCount} row(s)${result.truncated ? ` (truncated at ${result.limit})` : ''}:\n${JSON.stringify(result, null, 2)}`
+        }
+      ]
+    };
+  }
+
+  async queryPattern(args) {
+    const { timeout, ...pattern } = args;
+    const result = await this.db.queryPattern(pattern, { timeout });
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `${result.rowCount} match(es)${result.truncated ? ` (truncated at ${result.limit})` : ''}:\n${JSON.stringify(result, null, 2)}`
         }
       ]
     };
   }
 
   async updateComponent(args) {
-    const result = await this.db.updateComponent(args.id, args.updates);
+    const result = await this.db.updateComponent(args.id, args.updates, this.historyMetadata);
     return {
       content: [
         {
@@ -747,7 +1438,7 @@ export class CodebaseGraphMCPServer {
   }
 
   async deleteComponent(args) {
-    await this.db.deleteComponent(args.id);
+    await this.db.deleteComponent(args.id, this.historyMetadata);
     return {
       content: [
         {
@@ -760,12 +1451,56 @@ export class CodebaseGraphMCPServer {
 
   // Relationship handlers
   async createRelationship(args) {
-    const result = await this.db.createRelationship(args);
+    const result = await this.db.createRelationship(args, this.historyMetadata);
+    const warnings = (result?.architectureWarnings || []).map(warning => `\nWarning: ${warning.message}`).join('');
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Created relationship: ${JSON.stringify(result, null, 2)}${warnings}`
+        }
+      ]
+    };
+  }
+
+  async getRelationship(args) {
+    const result = await this.db.getRelationship(args.id);
     return {
       content: [
         {
           type: 'text',
-          text: `Created relationship: ${JSON.stringify(result, null, 2)}`
+          text: result ? JSON.stringify(result, null, 2) : 'Relationship not found'
+        }
+      ]
+    };
+  }
+
+  async updateRelationship(args) {
+    const { id, ...updates } = args;
+    const result = await this.db.updateRelationship(id, updates, this.historyMetadata);
+    if (result) {
+      this.httpServer?.broadcastSSE('relationship-updated', result);
+    }
+    return {
+      content: [
+        {
+          type: 'text',
+          text: result ? `Updated relationship: ${JSON.stringify(result, null, 2)}` : 'Relationship not found'
+        }
+      ]
+    };
+  }
+
+  async deleteRelationship(args) {
+    const result = await this.db.deleteRelationship(args.id, this.historyMetadata);
+    if (result) {
+      this.httpServer?.broadcastSSE('relationship-deleted', result);
+    }
+    return {
+      content: [
+        {
+          type: 'text',
+          text: result ? `Deleted relationship: ${args.id}` : 'Relationship not found'
         }
       ]
     };
@@ -784,7 +1519,7 @@ export class CodebaseGraphMCPServer {
   }
 
   async getDependencyTree(args) {
-    const results = await this.db.getDependencyTree(args.componentId, args.maxDepth || 3);
+    const results = await this.db.getDependencyTree(args.componentId, args);
     return {
       content: [
         {
@@ -795,9 +1530,166 @@ export class CodebaseGraphMCPServer {
     };
   }
 
+  async traverseGraph(args) {
+    const result = await this.db.analysis.traverseGraph(args.startIds, args);
+    const notes = [
+      result.cycles.length > 0 ? `${result.cycles.length} cycles` : null,
+      result.truncated ? `truncated at ${result.nodeCount} components` : null
+    ].filter(Boolean);
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Traversed ${result.nodeCount} components and ${result.edgeCount} relationships${notes.length > 0 ? ` (${notes.join(', ')})` : ''}:\n${JSON.stringify(result, null, 2)}`
+        }
+      ]
+    };
+  }
+
+  async getImpactAnalysis(args) {
+    const result = await this.db.analysis.getImpactAnalysis(args.componentId, {
+      relationshipTypes: args.relationshipTypes,
+      maxDepth: args.maxDepth,
+      codebase: args.codebase
+    });
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Impact of changing ${result.component.name}: ${result.totalAffected} affected components, ${result.tests.length} tests, ${result.requirements.length} requirements\n${JSON.stringify(result, null, 2)}`
+        }
+      ]
+    };
+  }
+
+  async findCycles(args) {
+    const result = await this.db.analysis.findCycles(args);
+    const found = result.mode === 'scc' ? result.components.length : result.cycles.length;
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Found ${found} ${result.mode === 'scc' ? 'strongly connected components' : 'cycles'}${result.truncated ? ' (truncated)' : ''}:\n${JSON.stringify(result, null, 2)}`
+        }
+      ]
+    };
+  }
+
+  async checkArchitectureRules(args) {
+    let rules = args.rules ? parseRules(args.rules) : this.db.architectureRules.rules;
+    if (args.ruleIds) {
+      rules = rules.filter(rule => args.ruleIds.includes(rule.id));
+    }
+    if (rules.length === 0) {
+      throw new Error('No architecture rules to check; set ARCHITECTURE_RULES_FILE or pass rules');
+    }
+
+    const result = await this.db.analysis.checkArchitectureRules(rules, { codebase: args.codebase });
+    const summary = result.violations
+      .map(violation => `- [${violation.ruleId}] ${violation.edge.source.name} -[${violation.edge.type}]-> ${violation.edge.target.name}`)
+      .join('\n');
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `${result.violationCount} architecture rule violations across ${result.rulesChecked} rules${summary ? `:\n${summary}` : ''}\n\n${JSON.stringify(result, null, 2)}`
+        }
+      ]
+    };
+  }
+
+  async getComponentMetrics(args) {
+    const result = await this.db.analysis.getComponentMetrics(args);
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `${result.level === 'module' ? 'Module' : 'Component'} metrics for ${result.codebase || 'all codebases'} (${result.metrics.length} shown):\n${JSON.stringify(result, null, 2)}`
+        }
+      ]
+    };
+  }
+
+  async writeComponentMetrics(args) {
+    const result = await this.db.analysis.writeComponentMetrics({ ...args, metadata: this.historyMetadata });
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Wrote metrics to ${result.componentCount} components in ${result.codebase || 'all codebases'}:\n${JSON.stringify(result, null, 2)}`
+        }
+      ]
+    };
+  }
+
+  async findOrphans(args) {
+    const result = await this.db.analysis.findOrphans(args);
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Found ${result.orphanCount} orphaned components:\n${JSON.stringify(result, null, 2)}`
+        }
+      ]
+    };
+  }
+
+  async cleanOrphans(args) {
+    const result = await this.db.analysis.cleanOrphans({ ...args, metadata: this.historyMetadata });
+    const outcome = result.tagged !== undefined ? `, tagged ${result.tagged}` : result.deleted !== undefined ? `, deleted ${result.deleted}` : '';
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Found ${result.orphanCount} orphaned components${outcome}:\n${JSON.stringify(result, null, 2)}`
+        }
+      ]
+    };
+  }
+
+  async suggestModules(args) {
+    const result = await this.db.analysis.suggestModules(args);
+    const summary = result.suggestions.map(suggestion => `- [${suggestion.kind}] ${suggestion.message}`).join('\n');
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Found ${result.communityCount} groups among ${result.componentCount} components (modularity ${result.modularity.detected.toFixed(3)} detected vs ${result.modularity.declared.toFixed(3)} declared), ${result.suggestions.length} suggestions:\n${summary}\n\n${JSON.stringify(result, null, 2)}`
+        }
+      ]
+    };
+  }
+
+  async getContextSubgraph(args) {
+    const result = await this.db.analysis.getContextSubgraph(args);
+    return {
+      content: [
+        {
+          type: 'text',
+          text: result.format === 'text' ? result.text : JSON.stringify(result, null, 2)
+        }
+      ]
+    };
+  }
+
+  async findPaths(args) {
+    const result = await this.db.analysis.findPaths(args.fromId, args.toId, args);
+    const summary = result.paths
+      .map(path => path.components.map(component => component.name).join(' → '))
+      .join('\n');
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Found ${result.paths.length} paths from ${result.from.name} to ${result.to.name}:\n${summary}\n\n${JSON.stringify(result, null, 2)}`
+        }
+      ]
+    };
+  }
+
   // Task handlers
   async createTask(args) {
-    const result = await this.db.createTask(args);
+    const result = await this.db.createTask(args, this.historyMetadata);
     return {
       content: [
         {
@@ -821,19 +1713,19 @@ export class CodebaseGraphMCPServer {
   }
 
   async getTasks(args) {
-    const results = await this.db.getTasks(args.status);
+    const page = await this.db.getTasksPage(args, args);
     return {
       content: [
         {
           type: 'text',
-          text: `Tasks${args.status ? ` with status ${args.status}` : ''}:\n${JSON.stringify(results, null, 2)}`
+          text: `${describePage(`Tasks${args.status ? ` with status ${args.status}` : ''}`, page)}:\n${JSON.stringify(page, null, 2)}`
         }
       ]
     };
   }
 
   async updateTaskStatus(args) {
-    const result = await this.db.updateTaskStatus(args.id, args.status, args.progress);
+    const result = await this.db.updateTaskStatus(args.id, args.status, args.progress, this.historyMetadata);
     return {
       content: [
         {
@@ -851,7 +1743,7 @@ export class CodebaseGraphMCPServer {
       content: args.content,
       author: args.author || 'system',
       metadata: args.metadata
-    });
+    }, this.historyMetadata);
     return {
       content: [
         {
@@ -863,12 +1755,12 @@ export class CodebaseGraphMCPServer {
   }
 
   async getNodeComments(args) {
-    const results = await this.db.getNodeComments(args.nodeId, args.limit || 50);
+    const page = await this.db.getNodeCommentsPage(args.nodeId, { ...args, pageSize: args.pageSize ?? args.limit });
     return {
       content: [
         {
           type: 'text',
-          text: `Comments for node ${args.nodeId} (${results.length} found):\n${JSON.stringify(results, null, 2)}`
+          text: `${describePage(`Comments for node ${args.nodeId}`, page)}:\n${JSON.stringify(page, null, 2)}`
         }
       ]
     };
@@ -878,7 +1770,7 @@ export class CodebaseGraphMCPServer {
     const result = await this.db.updateComment(args.commentId, {
       content: args.content,
       metadata: args.metadata
-    });
+    }, this.historyMetadata);
     return {
       content: [
         {
@@ -890,7 +1782,7 @@ export class CodebaseGraphMCPServer {
   }
 
   async deleteComment(args) {
-    await this.db.deleteComment(args.commentId);
+    await this.db.deleteComment(args.commentId, this.historyMetadata);
     return {
       content: [
         {
@@ -926,26 +1818,39 @@ export class CodebaseGraphMCPServer {
     };
   }
 
+  async getCodebaseDependencyMap(args) {
+    const result = await this.db.analysis.getCodebaseDependencyMap(args);
+    const summary = result.pair
+      ? result.directions.map(direction => `${direction.source} → ${direction.target}: ${direction.count} relationships`).join('\n')
+      : result.edges.map(edge => `${edge.source} → ${edge.target}: ${edge.count} relationships`).join('\n');
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `${result.pair ? `Dependencies between ${result.pair.join(' and ')}` : `Dependency map of ${result.codebases.length} codebases`}:\n${summary}\n\n${JSON.stringify(result, null, 2)}`
+        }
+      ]
+    };
+  }
+
   // Change History handlers
   async getChangeHistory(args) {
-    let results;
-    if (args.entityId) {
-      results = await this.db.history.getEntityHistory(args.entityId, args.limit || 50);
-    } else {
-      results = await this.db.history.getRecentChanges(args.limit || 100, args.operation);
-    }
+    const page = await this.db.history.getChangesPage(args, { ...args, pageSize: args.pageSize ?? args.limit });
     return {
       content: [
         {
           type: 'text',
-          text: `Change history (${results.length} entries):\n${JSON.stringify(results, null, 2)}`
+          text: `${describePage('Change history', page)}:\n${JSON.stringify(page, null, 2)}`
         }
       ]
     };
   }
 
   async createSnapshot(args) {
-    const result = await this.db.history.createSnapshot(args.name, { description: args.description });
+    const result = await this.db.history.createSnapshot(args.name, {
+      description: args.description,
+      ...(args.codebase && { codebase: args.codebase })
+    });
     return {
       content: [
         {
@@ -968,8 +1873,30 @@ export class CodebaseGraphMCPServer {
     };
   }
 
+  async diffSnapshots(args) {
+    const result = await this.db.history.diffSnapshots(args.fromSnapshotId, args.toSnapshotId || 'live');
+    const format = args.format || 'both';
+    const sections = [];
+    if (format !== 'json') {
+      sections.push(result.summary);
+    }
+    if (format !== 'summary') {
+      sections.push(JSON.stringify({ from: result.from, to: result.to, diff: result.diff }, null, 2));
+    }
+    return {
+      content: [
+        {
+          type: 'text',
+          text: sections.join('\n\n')
+        }
+      ]
+    };
+  }
+
   async restoreSnapshot(args) {
-    const result = await this.db.history.restoreFromSnapshot(args.snapshotId, args.dryRun || false);
+    const result = await this.db.history.restoreFromSnapshot(args.snapshotId, args.dryRun || false, this.historyMetadata, {
+      namespace: args.namespace
+    });
     return {
       content: [
         {
@@ -981,7 +1908,9 @@ export class CodebaseGraphMCPServer {
   }
 
   async replayToTimestamp(args) {
-    const result = await this.db.history.replayToTimestamp(args.timestamp, args.dryRun !== false);
+    const result = await this.db.history.replayToTimestamp(args.timestamp, args.dryRun !== false, {
+      namespace: args.namespace
+    });
     return {
       content: [
         {
@@ -992,6 +1921,77 @@ export class CodebaseGraphMCPServer {
     };
   }
 
+  async listNamespaces(args) {
+    const results = await this.db.history.listNamespaces();
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Shadow namespaces (${results.length}):\n${JSON.stringify(results, null, 2)}`
+        }
+      ]
+    };
+  }
+
+  async promoteNamespace(args) {
+    const result = await this.db.history.promoteNamespace(args.namespace, {
+      dryRun: args.dryRun || false,
+      metadata: this.historyMetadata
+    });
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Namespace promotion result:\n${JSON.stringify(result, null, 2)}`
+        }
+      ]
+    };
+  }
+
+  async dropNamespace(args) {
+    const dropped = await this.db.history.dropNamespace(args.namespace);
+    return {
+      content: [
+        {
+          type: 'text',
+          text: dropped ? `Dropped namespace ${args.namespace}` : `Namespace ${args.namespace} not found`
+        }
+      ]
+    };
+  }
+
+  async revertChange(args) {
+    const result = await this.db.history.revertChange(args.changeId, {
+      dryRun: args.dryRun || false,
+      force: args.force || false,
+      metadata: this.historyMetadata
+    });
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Revert ${result.dryRun ? 'preview' : 'result'}:\n${JSON.stringify(result, null, 2)}`
+        }
+      ]
+    };
+  }
+
+  async revertSession(args) {
+    const result = await this.db.history.revertSession(args.sessionId, {
+      dryRun: args.dryRun || false,
+      force: args.force || false,
+      metadata: this.historyMetadata
+    });
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Session revert ${result.dryRun ? 'preview' : 'result'} (${result.reverted} reverted, ${result.conflicts} conflicts, ${result.failed} failed):\n${JSON.stringify(result, null, 2)}`
+        }
+      ]
+    };
+  }
+
   async getHistoryStats(args) {
     const results = await this.db.history.getHistoryStats();
     return {
@@ -1006,7 +2006,7 @@ export class CodebaseGraphMCPServer {
 
   // Bulk operation handlers
   async createComponentsBulk(args) {
-    const results = await this.db.createComponents(args.components);
+    const results = await this.db.createComponents(args.components, this.historyMetadata);
     return {
       content: [
         {
@@ -1018,7 +2018,7 @@ export class CodebaseGraphMCPServer {
   }
 
   async createRelationshipsBulk(args) {
-    const results = await this.db.createRelationships(args.relationships);
+    const results = await this.db.createRelationships(args.relationships, this.historyMetadata);
     return {
       content: [
         {
@@ -1030,7 +2030,7 @@ export class CodebaseGraphMCPServer {
   }
 
   async createTasksBulk(args) {
-    const results = await this.db.createTasks(args.tasks);
+    const results = await this.db.createTasks(args.tasks, this.historyMetadata);
     return {
       content: [
         {
@@ -1041,6 +2041,86 @@ export class CodebaseGraphMCPServer {
     };
   }
 
+  // Upsert handlers
+  async upsertComponent(args) {
+    const result = await this.db.upsertComponent(args, this.historyMetadata);
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Component ${result.status}: ${JSON.stringify(result.component, null, 2)}`
+        }
+      ]
+    };
+  }
+
+  async upsertComponentsBulk(args) {
+    const results = await this.db.upsertComponents(args.components, this.historyMetadata);
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Upserted ${results.length} components (${this.summarizeUpserts(results)}):\n${JSON.stringify(results, null, 2)}`
+        }
+      ]
+    };
+  }
+
+  async upsertRelationship(args) {
+    const result = await this.db.upsertRelationship(args, this.historyMetadata);
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Relationship ${result.status}: ${JSON.stringify(result.relationship, null, 2)}`
+        }
+      ]
+    };
+  }
+
+  async upsertRelationshipsBulk(args) {
+    const results = await this.db.upsertRelationships(args.relationships, this.historyMetadata);
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Upserted ${results.length} relationships (${this.summarizeUpserts(results)}):\n${JSON.stringify(results, null, 2)}`
+        }
+      ]
+    };
+  }
+
+  summarizeUpserts(results) {
+    const counts = { created: 0, updated: 0, unchanged: 0 };
+    results.forEach(result => counts[result.status]++);
+    return Object.entries(counts).map(([status, count]) => `${count} ${status}`).join(', ');
+  }
+
+  // Ingestion handlers
+  async ingestCodebase(args) {
+    const ingester = new CodebaseIngester(this.db, {
+      ...(args.extensions && { extensions: args.extensions }),
+      ...(args.exclude && { exclude: args.exclude })
+    });
+    const options = {
+      codebase: args.codebase,
+      dryRun: args.dryRun || false,
+      metadata: this.historyMetadata
+    };
+    const result = args.incremental
+      ? await ingester.sync(args.rootDir, options)
+      : await ingester.ingest(args.rootDir, options);
+    const action = args.incremental ? 'Synced codebase' : 'Ingested codebase';
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `${result.dryRun ? `${action} (dry run)` : action} ${args.codebase}:\n${JSON.stringify(result, null, 2)}`
+        }
+      ]
+    };
+  }
+
   // Command Queue handlers
   async waitForCommand(args) {
     try {
@@ -1282,6 +2362,7 @@ export class CodebaseGraphMCPServer {
         const transport = new StdioServerTransport();
         await this.server.connect(transport);
         console.error('Codebase Graph MCP Server running on stdio');
+        console.error(`Change history session: ${this.historyMetadata.sessionId}`);
       } else {
         console.error('MCP Server initialized (HTTP-only mode - stdio disabled)');
       }
@@ -0,0 +1,1016 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { parse } from '@babel/parser';
+import { v4 as uuidv4 } from 'uuid';
+import { ComponentType, RelationshipType } from './models.js';
+
+/**
+ * Source Ingestion
+ * Walks a JavaScript/TypeScript source tree, parses each file and derives
+ * FILE, MODULE, CLASS, INTERFACE, FUNCTION and VARIABLE components together
+ * with the relationships between them.
+ */
+
+export const DEFAULT_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts'];
+export const DEFAULT_EXCLUDES = ['node_modules', '.git', 'dist', 'build', 'coverage'];
+
+const ROOT_MODULE = '.';
+export const INGEST_ORIGIN = 'ingest';
+
+// Node properties written by ingestion that a re-sync may clear when they no longer apply
+const INGESTED_PROPERTIES = ['language', 'contentHash', 'lines', 'parseError', 'line', 'exported', 'kind', 'origin'];
+
+/**
+ * Build the natural key used to refer to a component before it has an id
+ * @param {Object} component - Component with type, path and name
+ * @returns {string} Key unique within a codebase
+ */
+export function componentKey(component) {
+  return `${component.type}:${component.path}:${component.name}`;
+}
+
+/**
+ * Compute the content hash stored on FILE components
+ * @param {string} content - File content
+ * @returns {string} Hex encoded SHA-256 hash
+ */
+export function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function getLanguage(filePath) {
+  return /\.[mc]?tsx?$/.test(filePath) ? 'typescript' : 'javascript';
+}
+
+function getParserPlugins(filePath) {
+  const extension = path.extname(filePath);
+  if (extension === '.ts' || extension === '.mts' || extension === '.cts') {
+    return ['typescript', 'decorators-legacy'];
+  }
+  if (extension === '.tsx') {
+    return ['typescript', 'jsx', 'decorators-legacy'];
+  }
+  return ['jsx', 'decorators-legacy'];
+}
+
+function getLine(node) {
+  return node.loc ? node.loc.start.line : 0;
+}
+
+function getPropertyName(key) {
+  if (!key) return null;
+  if (key.type === 'Identifier') return key.name;
+  if (key.type === 'StringLiteral') return key.value;
+  if (key.type === 'PrivateName') return `#${key.id.name}`;
+  return null;
+}
+
+function getReferenceName(node) {
+  if (!node) return null;
+  if (node.type === 'Identifier') return node.name;
+  // TypeScript heritage clauses wrap the reference (e.g. `implements Foo<T>`)
+  if (node.type === 'TSExpressionWithTypeArguments' || node.type === 'TSInterfaceHeritage') {
+    return getReferenceName(node.expression);
+  }
+  return null;
+}
+
+function getRequireSource(node) {
+  if (
+    node &&
+    node.type === 'CallExpression' &&
+    node.callee.type === 'Identifier' &&
+    node.callee.name === 'require' &&
+    node.arguments.length === 1 &&
+    node.arguments[0].type === 'StringLiteral'
+  ) {
+    return node.arguments[0].value;
+  }
+  return null;
+}
+
+function isFunctionNode(node) {
+  return node && (node.type === 'ArrowFunctionExpression' || node.type === 'FunctionExpression');
+}
+
+// Returns the exported name for `module.exports` / `exports.x` assignment targets
+function getCommonJsExportName(node) {
+  if (node.type !== 'MemberExpression') return null;
+  const { object, property } = node;
+  if (object.type === 'Identifier' && object.name === 'module' && getPropertyName(property) === 'exports') {
+    return 'default';
+  }
+  if (object.type === 'Identifier' && object.name === 'exports') {
+    return getPropertyName(property);
+  }
+  if (
+    object.type === 'MemberExpression' &&
+    object.object.type === 'Identifier' &&
+    object.object.name === 'module' &&
+    getPropertyName(object.property) === 'exports'
+  ) {
+    return getPropertyName(property);
+  }
+  return null;
+}
+
+const SKIPPED_KEYS = new Set(['loc', 'start', 'end', 'extra', 'leadingComments', 'trailingComments', 'innerComments', 'typeAnnotation', 'returnType', 'typeParameters']);
+
+/**
+ * Parse a single source file into the facts the graph builder needs
+ * @param {string} code - Source code
+ * @param {string} filePath - Path used to pick parser plugins
+ * @returns {Object} Analysis with imports, exports, declarations and calls
+ */
+export function parseSource(code, filePath) {
+  const ast = parse(code, {
+    sourceType: 'unambiguous',
+    plugins: getParserPlugins(filePath),
+    errorRecovery: true,
+    allowReturnOutsideFunction: true,
+    allowAwaitOutsideFunction: true
+  });
+
+  const analysis = {
+    imports: [],
+    exports: [],
+    declarations: [],
+    calls: []
+  };
+
+  const addImport = (source, specifiers, node) => {
+    analysis.imports.push({ source, specifiers, line: getLine(node) });
+  };
+
+  // Walk an expression or statement subtree, recording calls and require()/import() usage
+  const walk = (node, context) => {
+    if (!node || typeof node.type !== 'string') return;
+
+    if (node.type === 'CallExpression' || node.type === 'NewExpression') {
+      const requireSource = getRequireSource(node);
+      if (requireSource) {
+        addImport(requireSource, [], node);
+      } else if (node.callee.type === 'Import' && node.arguments[0]?.type === 'StringLiteral') {
+        addImport(node.arguments[0].value, [], node);
+      } else if (node.callee.type === 'Identifier') {
+        analysis.calls.push({
+          caller: context.caller,
+          callee: node.callee.name,
+          kind: node.type === 'NewExpression' ? 'new' : 'call',
+          line: getLine(node)
+        });
+      } else if (
+        node.callee.type === 'MemberExpression' &&
+        node.callee.object.type === 'ThisExpression' &&
+        context.className
+      ) {
+        const methodName = getPropertyName(node.callee.property);
+        if (methodName) {
+          analysis.calls.push({
+            caller: context.caller,
+            callee: `${context.className}.${methodName}`,
+            kind: 'method',
+            line: getLine(node)
+          });
+        }
+      }
+    }
+
+    for (const key of Object.keys(node)) {
+      if (SKIPPED_KEYS.has(key)) continue;
+      const child = node[key];
+      if (Array.isArray(child)) {
+        child.forEach(item => walk(item, context));
+      } else if (child && typeof child.type === 'string') {
+        walk(child, context);
+      }
+    }
+  };
+
+  const addClass = (node, name, exported) => {
+    analysis.declarations.push({
+      type: ComponentType.CLASS,
+      name,
+      line: getLine(node),
+      exported,
+      superClass: getReferenceName(node.superClass),
+      implements: (node.implements || []).map(getReferenceName).filter(Boolean)
+    });
+
+    for (const member of node.body.body) {
+      const memberName = getPropertyName(member.key);
+      if (!memberName) continue;
+
+      const isMethod = member.type === 'ClassMethod' || member.type === 'ClassPrivateMethod' || member.type === 'TSDeclareMethod';
+      const isFunctionProperty = (member.type === 'ClassProperty' || member.type === 'ClassPrivateProperty') && isFunctionNode(member.value);
+
+      if (isMethod || isFunctionProperty) {
+        const methodName = `${name}.${memberName}`;
+        analysis.declarations.push({
+          type: ComponentType.FUNCTION,
+          name: methodName,
+          line: getLine(member),
+          exported: false,
+          parent: name,
+          kind: isMethod ? member.kind : 'property'
+        });
+        walk(isMethod ? member.body : member.value, { caller: methodName, className: name });
+      } else {
+        walk(member.value, { caller: null, className: name });
+      }
+    }
+  };
+
+  const addFunction = (node, name, exported) => {
+    analysis.declarations.push({
+      type: ComponentType.FUNCTION,
+      name,
+      line: getLine(node),
+      exported,
+      kind: node.async ? 'async' : 'function'
+    });
+    walk(node.body, { caller: name, className: null });
+  };
+
+  const addVariableDeclaration = (node, exported) => {
+    for (const declarator of node.declarations) {
+      const requireSource = getRequireSource(declarator.init);
+
+      if (requireSource) {
+        const specifiers = [];
+        if (declarator.id.type === 'Identifier') {
+          specifiers.push({ local: declarator.id.name, imported: 'default' });
+        } else if (declarator.id.type === 'ObjectPattern') {
+          for (const property of declarator.id.properties) {
+            if (property.type === 'ObjectProperty' && property.value.type === 'Identifier') {
+              specifiers.push({ local: property.value.name, imported: getPropertyName(property.key) });
+            }
+          }
+        }
+        addImport(requireSource, specifiers, declarator);
+        continue;
+      }
+
+      if (declarator.id.type !== 'Identifier') {
+        walk(declarator.init, { caller: null, className: null });
+        continue;
+      }
+
+      const name = declarator.id.name;
+      if (isFunctionNode(declarator.init)) {
+        addFunction(declarator.init, name, exported);
+      } else if (declarator.init && declarator.init.type === 'ClassExpression') {
+        addClass(declarator.init, name, exported);
+      } else {
+        analysis.declarations.push({
+          type: ComponentType.VARIABLE,
+          name,
+          line: getLine(declarator),
+          exported,
+          kind: node.kind
+        });
+        walk(declarator.init, { caller: null, className: null });
+      }
+    }
+  };
+
+  const addDeclaration = (node, exported, defaultName = null) => {
+    switch (node.type) {
+      case 'FunctionDeclaration':
+        addFunction(node, node.id ? node.id.name : defaultName, exported);
+        return node.id ? node.id.name : defaultName;
+      case 'ClassDeclaration':
+        addClass(node, node.id ? node.id.name : defaultName, exported);
+        return node.id ? node.id.name : defaultName;
+      case 'VariableDeclaration':
+        addVariableDeclaration(node, exported);
+        return null;
+      case 'TSInterfaceDeclaration':
+        analysis.declarations.push({
+          type: ComponentType.INTERFACE,
+          name: node.id.name,
+          line: getLine(node),
+          exported,
+          extends: (node.extends || []).map(getReferenceName).filter(Boolean)
+        });
+        return node.id.name;
+      default:
+        walk(node, { caller: null, className: null });
+        return null;
+    }
+  };
+
+  for (const statement of ast.program.body) {
+    switch (statement.type) {
+      case 'ImportDeclaration':
+        addImport(statement.source.value, statement.specifiers.map(specifier => ({
+          local: specifier.local.name,
+          imported: specifier.type === 'ImportDefaultSpecifier' ? 'default'
+            : specifier.type === 'ImportNamespaceSpecifier' ? '*'
+              : getPropertyName(specifier.imported)
+        })), statement);
+        break;
+
+      case 'ExportNamedDeclaration':
+        if (statement.declaration) {
+          addDeclaration(statement.declaration, true);
+          const declared = statement.declaration.declarations
+            ? statement.declaration.declarations.filter(d => d.id.type === 'Identifier').map(d => d.id.name)
+            : statement.declaration.id ? [statement.declaration.id.name] : [];
+          declared.forEach(name => analysis.exports.push({ exported: name, local: name }));
+        }
+        for (const specifier of statement.specifiers) {
+          const local = getPropertyName(specifier.local) || '*';
+          const exported = getPropertyName(specifier.exported);
+          analysis.exports.push({ exported, local, source: statement.source ? statement.source.value : undefined });
+        }
+        if (statement.source) {
+          addImport(statement.source.value, statement.specifiers.map(specifier => ({
+            local: getPropertyName(specifier.exported),
+            imported: specifier.local ? getPropertyName(specifier.local) : '*'
+          })), statement);
+        }
+        break;
+
+      case 'ExportDefaultDeclaration': {
+        const declaration = statement.declaration;
+        if (declaration.type === 'Identifier') {
+          analysis.exports.push({ exported: 'default', local: declaration.name });
+        } else {
+          const local = addDeclaration(declaration, true, 'default');
+          if (local) {
+            analysis.exports.push({ exported: 'default', local });
+          }
+        }
+        break;
+      }
+
+      case 'ExportAllDeclaration':
+        analysis.exports.push({ exported: '*', local: '*', source: statement.source.value });
+        addImport(statement.source.value, [], statement);
+        break;
+
+      case 'ExpressionStatement': {
+        const expression = statement.expression;
+        if (expression.type === 'AssignmentExpression') {
+          const exportedName = getCommonJsExportName(expression.left);
+          if (exportedName === 'default' && expression.right.type === 'ObjectExpression') {
+            for (const property of expression.right.properties) {
+              if (property.type === 'ObjectProperty' && property.value.type === 'Identifier') {
+                analysis.exports.push({ exported: getPropertyName(property.key), local: property.value.name });
+              }
+            }
+          } else if (exportedName && expression.right.type === 'Identifier') {
+            analysis.exports.push({ exported: exportedName, local: expression.right.name });
+          } else if (exportedName && (isFunctionNode(expression.right) || expression.right.type === 'ClassExpression')) {
+            const name = expression.right.id ? expression.right.id.name : exportedName;
+            if (expression.right.type === 'ClassExpression') {
+              addClass(expression.right, name, true);
+            } else {
+              addFunction(expression.right, name, true);
+            }
+            analysis.exports.push({ exported: exportedName, local: name });
+            break;
+          }
+        }
+        walk(expression, { caller: null, className: null });
+        break;
+      }
+
+      default:
+        addDeclaration(statement, false);
+    }
+  }
+
+  return analysis;
+}
+
+/**
+ * Resolve an import specifier to a file in the ingested set
+ * @param {string} fromPath - Importing file (relative, posix separators)
+ * @param {string} source - Import source as written
+ * @param {Set<string>} knownPaths - All ingested file paths
+ * @returns {string|null} Resolved file path, or null for external/unresolved imports
+ */
+export function resolveImportPath(fromPath, source, knownPaths) {
+  if (!source.startsWith('./') && !source.startsWith('../') && source !== '.' && source !== '..') {
+    return null;
+  }
+
+  const base = path.posix.normalize(path.posix.join(path.posix.dirname(fromPath), source));
+  const candidates = [base];
+
+  // TypeScript sources are commonly imported with the emitted .js extension
+  const jsExtension = path.posix.extname(base);
+  if (['.js', '.jsx', '.mjs', '.cjs'].includes(jsExtension)) {
+    const stem = base.slice(0, -jsExtension.length);
+    candidates.push(`${stem}.ts`, `${stem}.tsx`, `${stem}.mts`, `${stem}.cts`);
+  }
+
+  for (const extension of DEFAULT_EXTENSIONS) {
+    candidates.push(`${base}${extension}`);
+  }
+  for (const extension of DEFAULT_EXTENSIONS) {
+    candidates.push(`${base}/index${extension}`);
+  }
+
+  return candidates.find(candidate => knownPaths.has(candidate)) || null;
+}
+
+/**
+ * Get the package name for a bare import specifier
+ * @param {string} source - Import source (e.g. `@scope/pkg/sub`, `node:fs`)
+ * @returns {string} Package name
+ */
+export function getPackageName(source) {
+  const segments = source.split('/');
+  return source.startsWith('@') ? segments.slice(0, 2).join('/') : segments[0];
+}
+
+/**
+ * Build components and relationships for a set of parsed files
+ * Relationships reference components by `sourceKey`/`targetKey` (see componentKey)
+ * so callers can decide how ids are assigned.
+ * @param {Object[]} files - Files with `path`, `content` and optionally `analysis` or `parseError`
+ * @param {Object} options - Build options
+ * @param {string} options.codebase - Codebase tag applied to every component
+ * @returns {Object} { components, relationships }
+ */
+export function buildCodebaseGraph(files, options = {}) {
+  const codebase = options.codebase || '';
+  const components = new Map(); // key -> component
+  const relationships = new Map(); // sourceKey|type|targetKey -> relationship
+  const knownPaths = new Set(files.map(file => file.path));
+  const fileDeclarations = new Map(); // path -> Map(name -> key)
+  const fileExports = new Map(); // path -> exports[]
+  const fileBindings = new Map(); // path -> Map(local -> { path, imported })
+
+  const addComponent = (component) => {
+    const fullComponent = {
+      codebase,
+      description: '',
+      ...component,
+      metadata: { ...component.metadata, origin: INGEST_ORIGIN }
+    };
+    const key = componentKey(fullComponent);
+    if (!components.has(key)) {
+      components.set(key, { ...fullComponent, key });
+    }
+    return key;
+  };
+
+  const addRelationship = (type, sourceKey, targetKey, details = {}) => {
+    if (!sourceKey || !targetKey || sourceKey === targetKey) return;
+    const id = `${sourceKey}|${type}|${targetKey}`;
+    if (!relationships.has(id)) {
+      relationships.set(id, { type, sourceKey, targetKey, details: { ...details, origin: INGEST_ORIGIN } });
+    }
+  };
+
+  const addDirectoryModule = (directory) => {
+    const key = addComponent({
+      type: ComponentType.MODULE,
+      name: directory,
+      path: directory,
+      metadata: { kind: 'directory' }
+    });
+    if (directory !== ROOT_MODULE) {
+      const parent = path.posix.dirname(directory);
+      addRelationship(RelationshipType.CONTAINS, addDirectoryModule(parent), key);
+    }
+    return key;
+  };
+
+  // Pass 1: files, directories and declarations
+  for (const file of files) {
+    const analysis = file.analysis || { imports: [], exports: [], declarations: [], calls: [] };
+    const fileMetadata = {
+      language: getLanguage(file.path),
+      contentHash: file.contentHash || hashContent(file.content || ''),
+      lines: String((file.content || '').split('\n').length)
+    };
+    if (file.parseError) {
+      fileMetadata.parseError = file.parseError;
+    }
+
+    const fileKey = addComponent({
+      type: ComponentType.FILE,
+      name: path.posix.basename(file.path),
+      path: file.path,
+      metadata: fileMetadata
+    });
+    addRelationship(RelationshipType.CONTAINS, addDirectoryModule(path.posix.dirname(file.path)), fileKey);
+
+    const declarations = new Map();
+    for (const declaration of analysis.declarations) {
+      const metadata = {
+        line: String(declaration.line),
+        exported: String(Boolean(declaration.exported))
+      };
+      if (declaration.kind) {
+        metadata.kind = declaration.kind;
+      }
+
+      const key = addComponent({
+        type: declaration.type,
+        name: declaration.name,
+        path: file.path,
+        metadata
+      });
+      declarations.set(declaration.name, key);
+
+      const containerKey = declaration.parent ? declarations.get(declaration.parent) : fileKey;
+      addRelationship(RelationshipType.CONTAINS, containerKey || fileKey, key);
+    }
+
+    fileDeclarations.set(file.path, declarations);
+    fileExports.set(file.path, analysis.exports);
+  }
+
+  // Follows named exports and re-exports to the declaring file
+  const resolveExport = (filePath, exportedName, depth = 0) => {
+    if (depth > 5) return null;
+    const exports = fileExports.get(filePath) || [];
+
+    const match = exports.find(entry => entry.exported === exportedName);
+    if (match) {
+      if (match.source) {
+        const target = resolveImportPath(filePath, match.source, knownPaths);
+        return target ? resolveExport(target, match.local, depth + 1) : null;
+      }
+      return fileDeclarations.get(filePath)?.get(match.local) || null;
+    }
+
+    const declared = fileDeclarations.get(filePath)?.get(exportedName);
+    if (declared && exportedName !== 'default') {
+      return declared;
+    }
+
+    for (const entry of exports.filter(e => e.exported === '*' && e.source)) {
+      const target = resolveImportPath(filePath, entry.source, knownPaths);
+      const resolved = target ? resolveExport(target, exportedName, depth + 1) : null;
+      if (resolved) return resolved;
+    }
+    return null;
+  };
+
+  // Pass 2: imports and exports
+  for (const file of files) {
+    const analysis = file.analysis;
+    if (!analysis) continue;
+
+    const fileKey = componentKey({ type: ComponentType.FILE, path: file.path, name: path.posix.basename(file.path) });
+    const declarations = fileDeclarations.get(file.path);
+    const bindings = new Map();
+
+    for (const entry of analysis.imports) {
+      const targetPath = resolveImportPath(file.path, entry.source, knownPaths);
+      let targetKey;
+
+      if (targetPath) {
+        targetKey = componentKey({ type: ComponentType.FILE, path: targetPath, name: path.posix.basename(targetPath) });
+      } else if (entry.source.startsWith('.')) {
+        continue; // Relative import outside the ingested set
+      } else {
+        const packageName = getPackageName(entry.source);
+        targetKey = addComponent({
+          type: ComponentType.MODULE,
+          name: packageName,
+          path: packageName,
+          metadata: { kind: 'external' }
+        });
+      }
+
+      const existing = relationships.get(`${fileKey}|${RelationshipType.IMPORTS}|${targetKey}`);
+      const specifiers = entry.specifiers.map(specifier => specifier.imported).filter(Boolean);
+      if (existing) {
+        const merged = new Set([...(existing.details.specifiers ? existing.details.specifiers.split(',') : []), ...specifiers]);
+        existing.details.specifiers = Array.from(merged).join(',');
+      } else {
+        addRelationship(RelationshipType.IMPORTS, fileKey, targetKey, {
+          source: entry.source,
+          specifiers: specifiers.join(','),
+          line: String(entry.line)
+        });
+      }
+
+      if (targetPath) {
+        for (const specifier of entry.specifiers) {
+          bindings.set(specifier.local, { path: targetPath, imported: specifier.imported });
+        }
+      }
+    }
+
+    for (const entry of analysis.exports) {
+      if (entry.source) continue;
+      const targetKey = declarations.get(entry.local);
+      if (targetKey) {
+        addRelationship(RelationshipType.EXPORTS, fileKey, targetKey, { as: entry.exported });
+      }
+    }
+
+    fileBindings.set(file.path, bindings);
+  }
+
+  // Resolves an identifier used in a file to a declaration key, locally or through imports
+  const resolveReference = (filePath, name) => {
+    const local = fileDeclarations.get(filePath)?.get(name);
+    if (local) return local;
+
+    const binding = fileBindings.get(filePath)?.get(name);
+    if (binding && binding.imported !== '*') {
+      return resolveExport(binding.path, binding.imported);
+    }
+    return null;
+  };
+
+  // Pass 3: calls and inheritance
+  for (const file of files) {
+    const analysis = file.analysis;
+    if (!analysis) continue;
+
+    const fileKey = componentKey({ type: ComponentType.FILE, path: file.path, name: path.posix.basename(file.path) });
+    const declarations = fileDeclarations.get(file.path);
+
+    for (const call of analysis.calls) {
+      const sourceKey = call.caller ? declarations.get(call.caller) : fileKey;
+      const targetKey = call.kind === 'method' ? declarations.get(call.callee) : resolveReference(file.path, call.callee);
+      if (!targetKey) continue;
+
+      const target = components.get(targetKey);
+      if (call.kind === 'new' && target.type === ComponentType.CLASS) {
+        addRelationship(RelationshipType.CREATES, sourceKey, targetKey, { line: String(call.line) });
+      } else if (target.type === ComponentType.FUNCTION) {
+        addRelationship(RelationshipType.CALLS, sourceKey, targetKey, { line: String(call.line) });
+      }
+    }
+
+    for (const declaration of analysis.declarations) {
+      const sourceKey = declarations.get(declaration.name);
+
+      if (declaration.superClass) {
+        const targetKey = resolveReference(file.path, declaration.superClass);
+        if (targetKey) addRelationship(RelationshipType.EXTENDS, sourceKey, targetKey);
+      }
+      for (const name of declaration.extends || []) {
+        const targetKey = resolveReference(file.path, name);
+        if (targetKey) addRelationship(RelationshipType.EXTENDS, sourceKey, targetKey);
+      }
+      for (const name of declaration.implements || []) {
+        const targetKey = resolveReference(file.path, name);
+        if (targetKey) addRelationship(RelationshipType.IMPLEMENTS, sourceKey, targetKey);
+      }
+    }
+  }
+
+  return {
+    components: Array.from(components.values()),
+    relationships: Array.from(relationships.values())
+  };
+}
+
+function getComponentUpdates(component, previous) {
+  const desired = {
+    name: component.name,
+    description: component.description,
+    path: component.path,
+    ...component.metadata
+  };
+
+  const updates = {};
+  for (const [key, value] of Object.entries(desired)) {
+    if (previous[key] !== value) {
+      updates[key] = value;
+    }
+  }
+  for (const key of INGESTED_PROPERTIES) {
+    if (!(key in desired) && previous[key] !== undefined) {
+      updates[key] = null; // Setting a property to null removes it
+    }
+  }
+  return updates;
+}
+
+function hasSameDetails(details, relationship) {
+  return Object.entries(details).every(([key, value]) => relationship[key] === value);
+}
+
+/**
+ * Plan an incremental sync of a freshly built graph against what was ingested before
+ * Files are matched by path, renames are detected by content hash, and components
+ * keep their ids whenever their natural key (or renamed key) still exists.
+ * @param {Object} graph - Output of buildCodebaseGraph
+ * @param {Object} existing - Output of GraphDatabase.getIngestedSubgraph
+ * @returns {Object} Sync plan with file changes and the component/relationship writes to apply
+ */
+export function planSync(graph, existing) {
+  const existingByKey = new Map(existing.components.map(component => [componentKey(component), component]));
+  const newFiles = graph.components.filter(component => component.type === ComponentType.FILE);
+  const oldFiles = existing.components.filter(component => component.type === ComponentType.FILE);
+  const newPaths = new Set(newFiles.map(file => file.path));
+  const oldPaths = new Set(oldFiles.map(file => file.path));
+
+  const fileChanges = [];
+  const renames = new Map(); // new path -> previous path
+  const removedFiles = oldFiles.filter(file => !newPaths.has(file.path));
+
+  for (const file of newFiles) {
+    if (oldPaths.has(file.path)) {
+      const previous = existingByKey.get(file.key);
+      const status = previous && previous.contentHash === file.metadata.contentHash ? 'unchanged' : 'changed';
+      fileChanges.push({ status, path: file.path, key: file.key, before: previous || null });
+      continue;
+    }
+
+    const renamedIndex = removedFiles.findIndex(old => old.contentHash === file.metadata.contentHash);
+    if (renamedIndex >= 0) {
+      const [previous] = removedFiles.splice(renamedIndex, 1);
+      renames.set(file.path, previous.path);
+      fileChanges.push({ status: 'renamed', path: file.path, previousPath: previous.path, key: file.key, before: previous });
+    } else {
+      fileChanges.push({ status: 'added', path: file.path, key: file.key, before: null });
+    }
+  }
+
+  for (const previous of removedFiles) {
+    fileChanges.push({ status: 'removed', path: previous.path, key: componentKey(previous), before: previous });
+  }
+
+  // Match components to existing ids, following renamed files to their previous path
+  const ids = new Map(); // new key -> id
+  const matchedIds = new Set();
+  const createComponents = [];
+  const updateComponents = [];
+
+  for (const { key, ...component } of graph.components) {
+    let previous = existingByKey.get(key);
+    const previousPath = renames.get(component.path);
+    if (!previous && previousPath && component.type !== ComponentType.MODULE) {
+      const previousName = component.type === ComponentType.FILE ? path.posix.basename(previousPath) : component.name;
+      previous = existingByKey.get(componentKey({ type: component.type, path: previousPath, name: previousName }));
+    }
+
+    if (previous && !matchedIds.has(previous.id)) {
+      ids.set(key, previous.id);
+      matchedIds.add(previous.id);
+      const updates = getComponentUpdates(component, previous);
+      if (Object.keys(updates).length > 0) {
+        updateComponents.push({ id: previous.id, updates });
+      }
+    } else {
+      const id = uuidv4();
+      ids.set(key, id);
+      createComponents.push({ ...component, id });
+    }
+  }
+
+  const deleteComponentIds = existing.components
+    .filter(component => !matchedIds.has(component.id))
+    .map(component => component.id);
+  const deletedIds = new Set(deleteComponentIds);
+
+  // Keep edges whose endpoints and details are unchanged, replace the rest
+  const desiredRelationships = new Map();
+  for (const relationship of graph.relationships) {
+    const sourceId = ids.get(relationship.sourceKey);
+    const targetId = ids.get(relationship.targetKey);
+    desiredRelationships.set(`${sourceId}|${relationship.type}|${targetId}`, {
+      type: relationship.type,
+      sourceId,
+      targetId,
+      details: relationship.details
+    });
+  }
+
+  const deleteRelationshipIds = [];
+  for (const relationship of existing.relationships) {
+    const edgeKey = `${relationship.sourceId}|${relationship.type}|${relationship.targetId}`;
+    const desired = desiredRelationships.get(edgeKey);
+    if (desired && hasSameDetails(desired.details, relationship)) {
+      desiredRelationships.delete(edgeKey);
+    } else if (!deletedIds.has(relationship.sourceId) && !deletedIds.has(relationship.targetId)) {
+      deleteRelationshipIds.push(relationship.id);
+    }
+  }
+
+  for (const change of fileChanges) {
+    change.id = change.status === 'removed' ? change.before.id : ids.get(change.key);
+  }
+
+  return {
+    fileChanges,
+    createComponents,
+    updateComponents,
+    deleteComponentIds,
+    createRelationships: Array.from(desiredRelationships.values()),
+    deleteRelationshipIds
+  };
+}
+
+function countBy(items, field) {
+  const counts = {};
+  for (const item of items) {
+    counts[item[field]] = (counts[item[field]] || 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * Codebase Ingester
+ * Reads a local directory and writes the derived graph through GraphDatabase
+ */
+export class CodebaseIngester {
+  constructor(db, options = {}) {
+    this.db = db;
+    this.options = {
+      extensions: DEFAULT_EXTENSIONS,
+      exclude: DEFAULT_EXCLUDES,
+      ...options
+    };
+  }
+
+  /**
+   * Recursively collect source files below a directory
+   * @param {string} rootDir - Directory to walk
+   * @returns {Promise<string[]>} Relative file paths with posix separators, sorted
+   */
+  async collectFiles(rootDir) {
+    const files = [];
+    const exclude = new Set(this.options.exclude);
+
+    const visit = async (directory) => {
+      const entries = await fs.readdir(directory, { withFileTypes: true });
+      for (const entry of entries) {
+        if (exclude.has(entry.name)) continue;
+        const fullPath = path.join(directory, entry.name);
+
+        if (entry.isDirectory()) {
+          await visit(fullPath);
+        } else if (entry.isFile() && this.options.extensions.includes(path.extname(entry.name)) && !entry.name.endsWith('.d.ts')) {
+          files.push(path.relative(rootDir, fullPath).split(path.sep).join('/'));
+        }
+      }
+    };
+
+    await visit(rootDir);
+    return files.sort();
+  }
+
+  /**
+   * Read and parse every source file below a directory
+   * @param {string} rootDir - Directory to walk
+   * @returns {Promise<Object[]>} Files with path, content, contentHash and analysis or parseError
+   */
+  async readSources(rootDir) {
+    const paths = await this.collectFiles(rootDir);
+    const files = [];
+
+    for (const filePath of paths) {
+      const content = await fs.readFile(path.join(rootDir, filePath), 'utf8');
+      const file = { path: filePath, content, contentHash: hashContent(content) };
+      try {
+        file.analysis = parseSource(content, filePath);
+      } catch (error) {
+        file.parseError = error.message;
+      }
+      files.push(file);
+    }
+
+    return files;
+  }
+
+  /**
+   * Ingest a directory into the graph
+   * Fails when the codebase was ingested before; sync re-ingests it in place.
+   * @param {string} rootDir - Directory to ingest
+   * @param {Object} options - Ingestion options
+   * @param {string} options.codebase - Codebase tag for all created components
+   * @param {boolean} options.dryRun - Only report what would be created
+   * @param {Object} options.metadata - Change history metadata (sessionId, userId, ...)
+   * @returns {Promise<Object>} Ingestion summary
+   */
+  async ingest(rootDir, options = {}) {
+    const { codebase, dryRun = false, metadata = {} } = options;
+    if (!codebase) {
+      throw new Error('A codebase name is required for ingestion');
+    }
+
+    const resolvedRoot = path.resolve(rootDir);
+    const files = await this.readSources(resolvedRoot);
+    const graph = buildCodebaseGraph(files, { codebase });
+
+    const summary = {
+      codebase,
+      rootDir: resolvedRoot,
+      files: files.length,
+      components: countBy(graph.components, 'type'),
+      relationships: countBy(graph.relationships, 'type'),
+      parseErrors: files.filter(file => file.parseError).map(file => ({ path: file.path, error: file.parseError })),
+      dryRun
+    };
+
+    if (dryRun) {
+      return summary;
+    }
+
+    // A second full ingestion would create every component again under new ids
+    const ingested = await this.db.countIngestedComponents(codebase);
+    if (ingested > 0) {
+      throw new Error(`Codebase ${codebase} was already ingested (${ingested} components); use incremental: true (--incremental) to re-sync it`);
+    }
+
+    const ids = new Map();
+    const components = graph.components.map(({ key, ...component }) => {
+      const id = uuidv4();
+      ids.set(key, id);
+      return { ...component, id };
+    });
+    const relationships = graph.relationships.map(({ sourceKey, targetKey, ...relationship }) => ({
+      ...relationship,
+      sourceId: ids.get(sourceKey),
+      targetId: ids.get(targetKey)
+    }));
+
+    const historyMetadata = { ...metadata, source: metadata.source || 'ingestion', codebase };
+    const created = await this.db.createSubgraph(components, relationships, historyMetadata);
+
+    return {
+      ...summary,
+      createdComponents: created.components.length,
+      createdRelationships: created.relationships.length
+    };
+  }
+
+  /**
+   * Incrementally re-sync a directory with what was previously ingested for the codebase
+   * Only added, changed, removed and renamed files touch the graph, all in one transaction;
+   * each file change is recorded in the change history alongside the component writes it caused.
+   * @param {string} rootDir - Directory to sync
+   * @param {Object} options - Sync options
+   * @param {string} options.codebase - Codebase tag used by the previous ingestion
+   * @param {boolean} options.dryRun - Only report what would change
+   * @param {Object} options.metadata - Change history metadata (sessionId, userId, ...)
+   * @returns {Promise<Object>} Sync summary
+   */
+  async sync(rootDir, options = {}) {
+    const { codebase, dryRun = false, metadata = {} } = options;
+    if (!codebase) {
+      throw new Error('A codebase name is required for ingestion');
+    }
+
+    const resolvedRoot = path.resolve(rootDir);
+    const files = await this.readSources(resolvedRoot);
+    const graph = buildCodebaseGraph(files, { codebase });
+    const existing = await this.db.getIngestedSubgraph(codebase);
+    const plan = planSync(graph, existing);
+
+    const changedFiles = plan.fileChanges.filter(change => change.status !== 'unchanged');
+    const summary = {
+      codebase,
+      rootDir: resolvedRoot,
+      incremental: true,
+      files: { ...countBy(plan.fileChanges, 'status') },
+      changes: changedFiles.map(({ status, path: filePath, previousPath }) => ({
+        status,
+        path: filePath,
+        ...(previousPath && { previousPath })
+      })),
+      components: {
+        created: plan.createComponents.length,
+        updated: plan.updateComponents.length,
+        deleted: plan.deleteComponentIds.length
+      },
+      relationships: {
+        created: plan.createRelationships.length,
+        deleted: plan.deleteRelationshipIds.length
+      },
+      parseErrors: files.filter(file => file.parseError).map(file => ({ path: file.path, error: file.parseError })),
+      dryRun
+    };
+
+    if (dryRun) {
+      return summary;
+    }
+
+    const syncId = uuidv4();
+    const historyMetadata = { ...metadata, source: metadata.source || 'ingestion-sync', codebase, syncId };
+
+    await this.db.applySyncPlan(plan, historyMetadata);
+
+    const filesByKey = new Map(graph.components.map(component => [component.key, component]));
+    for (const change of changedFiles) {
+      const file = filesByKey.get(change.key);
+      await this.db.history.recordChange(
+        `SYNC_FILE_${change.status.toUpperCase()}`,
+        'COMPONENT',
+        change.id,
+        change.before,
+        file ? { id: change.id, name: file.name, path: file.path, ...file.metadata } : null,
+        { ...historyMetadata, path: change.path, ...(change.previousPath && { previousPath: change.previousPath }) }
+      );
+    }
+
+    return { ...summary, syncId };
+  }
+}
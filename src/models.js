@@ -92,7 +92,8 @@ export const ComponentSchema = z.object({
   description: z.string().optional(),
   path: z.string().optional(),
   codebase: z.string().optional(),
-  metadata: z.record(z.string()).default({})
+  // Lists are stored as Neo4j list properties
+  metadata: z.record(z.union([z.string(), z.array(z.string())])).default({})
 });
 
 export const RelationshipSchema = z.object({
@@ -0,0 +1,135 @@
+/**
+ * Cursor Pagination
+ * Opaque cursors for list queries. A cursor records the listing it belongs to (scope, filters
+ * and ordering) and the order value and id of the last item it returned, so passing it alone
+ * continues the listing. Pages seek past that item instead of skipping a count of rows, so
+ * writes between two requests neither repeat nor drop items.
+ */
+
+import neo4j from 'neo4j-driver';
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 1000;
+
+export function encodeCursor(state) {
+  return Buffer.from(JSON.stringify(state)).toString('base64url');
+}
+
+export function decodeCursor(cursor) {
+  let state;
+  try {
+    state = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    throw new Error('Invalid cursor');
+  }
+  const after = state?.after;
+  if (!after || typeof after !== 'object' || typeof after.id !== 'string' || !['string', 'number'].includes(typeof after.key)) {
+    throw new Error('Invalid cursor');
+  }
+  return state;
+}
+
+// Order values travel in the cursor as JSON: integers as numbers, temporal values as ISO strings
+function cursorKey(value) {
+  if (neo4j.isInt(value)) {
+    return value.toNumber();
+  }
+  if (value && typeof value === 'object') {
+    return value.toString();
+  }
+  return value;
+}
+
+/**
+ * Parse the pageSize query parameter of a REST request
+ * @returns {number|undefined} The page size, or undefined when the parameter is missing
+ */
+export function parsePageSize(value) {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  if (!/^\d+$/.test(String(value))) {
+    throw new Error(`pageSize must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+  }
+  return Number(value);
+}
+
+/**
+ * Work out which page to read
+ * Without a cursor the filters and ordering come from the caller; with one they come from
+ * the cursor and only pageSize may change. Queries bind each row's order value as orderKey,
+ * filter with seekClause and sort with orderClause, which breaks ties on the id in the same
+ * direction so (orderKey, id) strictly increases or decreases along the listing.
+ * @param {string} scope - Listing name, e.g. 'components'
+ * @param {Object} filters - Filters of a first request
+ * @param {Object} options - { cursor, pageSize, orderBy, direction }
+ * @param {Object} ordering - { fields: orderBy key -> non-null Cypher expression, temporal: datetime fields, orderBy, direction, tiebreaker }
+ * @returns {Object} Page with filters, orderBy, direction, pageSize, the orderKey expression,
+ *   seekClause, orderClause and the seek parameters
+ */
+export function resolvePage(scope, filters, options, ordering) {
+  let state = {
+    scope,
+    filters,
+    orderBy: options.orderBy || ordering.orderBy,
+    direction: (options.direction || ordering.direction).toLowerCase(),
+    after: null
+  };
+  if (options.cursor) {
+    state = decodeCursor(options.cursor);
+    if (state.scope !== scope) {
+      throw new Error(`Cursor belongs to ${state.scope || 'another listing'}, not ${scope}`);
+    }
+  }
+
+  const expression = ordering.fields[state.orderBy];
+  if (!expression) {
+    throw new Error(`Invalid orderBy: ${state.orderBy}. Use ${Object.keys(ordering.fields).join(', ')}`);
+  }
+  if (!['asc', 'desc'].includes(state.direction)) {
+    throw new Error(`Invalid direction: ${state.direction}. Use asc or desc`);
+  }
+  const pageSize = options.pageSize ?? state.pageSize ?? DEFAULT_PAGE_SIZE;
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    throw new Error(`pageSize must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+  }
+
+  const direction = state.direction.toUpperCase();
+  const past = direction === 'ASC' ? '>' : '<';
+  const afterKey = ordering.temporal?.includes(state.orderBy) ? 'datetime($afterKey)' : '$afterKey';
+  return {
+    ...state,
+    filters: state.filters || {},
+    pageSize,
+    orderKey: expression,
+    seekClause: state.after
+      ? `WHERE orderKey ${past} ${afterKey} OR (orderKey = ${afterKey} AND ${ordering.tiebreaker} ${past} $afterId)`
+      : '',
+    seekParams: state.after ? { afterKey: state.after.key, afterId: state.after.id } : {},
+    orderClause: `ORDER BY orderKey ${direction}, ${ordering.tiebreaker} ${direction}`
+  };
+}
+
+/**
+ * Build the page returned to callers from rows read with LIMIT pageSize + 1
+ * @param {Object[]} rows - { item, orderKey } for the page plus at most one look-ahead row
+ * @param {Object} page - Result of resolvePage
+ * @param {number} total - Matching items when the page was read
+ */
+export function pageResult(rows, page, total) {
+  const pageRows = rows.slice(0, page.pageSize);
+  const hasMore = rows.length > page.pageSize;
+  const { scope, filters, orderBy, direction, pageSize } = page;
+  const last = pageRows[pageRows.length - 1];
+  return {
+    items: pageRows.map(row => row.item),
+    pageSize,
+    total,
+    hasMore,
+    nextCursor: hasMore
+      ? encodeCursor({ scope, filters, orderBy, direction, pageSize, after: { key: cursorKey(last.orderKey), id: last.item.id } })
+      : null,
+    orderBy,
+    direction
+  };
+}
@@ -0,0 +1,115 @@
+/**
+ * Full-Text Search
+ * Index definitions and helpers for ranked search across components, tasks and comments.
+ */
+
+// Full-text indexes created by initializeSchema, per searchable entity
+export const FULLTEXT_INDEXES = {
+  component: {
+    name: 'component_fulltext',
+    label: 'Component',
+    properties: ['name', 'description', 'path', 'metadataText']
+  },
+  task: {
+    name: 'task_fulltext',
+    label: 'Task',
+    properties: ['name', 'description']
+  },
+  comment: {
+    name: 'comment_fulltext',
+    label: 'Comment',
+    properties: ['content']
+  }
+};
+
+export const SEARCH_ENTITIES = Object.keys(FULLTEXT_INDEXES);
+
+// Component properties that are not metadata; metric* properties are excluded as well
+const COMPONENT_CORE_PROPERTIES = ['id', 'type', 'name', 'description', 'path', 'codebase', 'created', 'updated', 'metadataText', 'naturalKey', 'shadowNamespace'];
+
+/**
+ * Cypher expression joining a component's metadata values into the indexed metadataText property
+ * Metadata is stored as top-level node properties, which a full-text index cannot enumerate.
+ * List and map values are skipped.
+ * @param {string} alias - Variable bound to the component node
+ */
+export function metadataTextExpression(alias = 'c') {
+  const core = COMPONENT_CORE_PROPERTIES.map(key => `'${key}'`).join(', ');
+  return `trim(reduce(text = '', key IN [key IN keys(${alias}) WHERE NOT key IN [${core}] AND NOT key STARTS WITH 'metric'] | text + coalesce(' ' + toStringOrNull(${alias}[key]), '')))`;
+}
+
+/**
+ * Cypher statement creating the full-text index of an entity
+ */
+export function fulltextIndexStatement({ name, label, properties }) {
+  return `CREATE FULLTEXT INDEX ${name} IF NOT EXISTS FOR (n:${label}) ON EACH [${properties.map(property => `n.${property}`).join(', ')}]`;
+}
+
+/**
+ * Escape Lucene query syntax so user text is matched literally, term by term
+ */
+export function escapeLucene(text) {
+  return text.replace(/[+\-!(){}[\]^"~*?:\\/]|&&|\|\|/g, match => match.split('').map(char => `\\${char}`).join(''));
+}
+
+/**
+ * Words of a query used to highlight snippets; Lucene operators and syntax are ignored
+ */
+export function queryTerms(query) {
+  return [...new Set(
+    query
+      .split(/[^\p{L}\p{N}_]+/u)
+      .filter(term => term && !['AND', 'OR', 'NOT', 'TO'].includes(term))
+      .map(term => term.toLowerCase())
+  )];
+}
+
+/**
+ * Cut a window of text around the first query term and mark every term with **
+ * @param {string} text - Field value
+ * @param {string[]} terms - Lowercase query terms
+ * @returns {string|null} Snippet, or null when no term occurs in the text
+ */
+export function highlightSnippet(text, terms, length = 160) {
+  if (typeof text !== 'string' || terms.length === 0) {
+    return null;
+  }
+  const pattern = new RegExp(terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|'), 'giu');
+  const first = text.search(pattern);
+  if (first < 0) {
+    return null;
+  }
+
+  const start = Math.max(0, first - Math.floor(length / 3));
+  const end = Math.min(text.length, start + length);
+  const window = text.slice(start, end).replace(/\s+/g, ' ');
+  return `${start > 0 ? '…' : ''}${window.replace(pattern, match => `**${match}**`)}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * Pick the field that best explains a match and build its snippet
+ * Metadata matches are reported per key as metadata.<key>.
+ * @param {Object} properties - Node properties
+ * @param {string[]} fields - Indexed fields, most relevant first
+ * @returns {{field: string, snippet: string}|{field: null, snippet: null}}
+ */
+export function matchSnippet(properties, fields, terms) {
+  for (const field of fields) {
+    if (field === 'metadataText') {
+      for (const [key, value] of Object.entries(properties)) {
+        if (!COMPONENT_CORE_PROPERTIES.includes(key) && !key.startsWith('metric') && typeof value !== 'object') {
+          const snippet = highlightSnippet(String(value), terms);
+          if (snippet) {
+            return { field: `metadata.${key}`, snippet };
+          }
+        }
+      }
+      continue;
+    }
+    const snippet = highlightSnippet(properties[field], terms);
+    if (snippet) {
+      return { field, snippet };
+    }
+  }
+  return { field: null, snippet: null };
+}
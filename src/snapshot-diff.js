@@ -0,0 +1,154 @@
+/**
+ * Snapshot Diff
+ * Compares two graph states (snapshots or the live graph) and renders the result for humans.
+ */
+
+// Properties that only record that a write happened and would make every touched entity look modified
+const IGNORED_PROPERTIES = ['updated'];
+
+/**
+ * Key a relationship by id, falling back to its endpoints for edges written without one
+ * @param {Object} relationship - Relationship state with type, sourceId and targetId
+ * @returns {string} Stable key
+ */
+function relationshipKey(relationship) {
+  return relationship.id || `${relationship.sourceId}-${relationship.type}->${relationship.targetId}`;
+}
+
+/**
+ * List property-level changes between two states of the same entity
+ * @param {Object} before - Earlier state
+ * @param {Object} after - Later state
+ * @returns {Object[]} Changes as { property, before, after }
+ */
+export function diffProperties(before, after) {
+  const properties = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...properties]
+    .filter(property => !IGNORED_PROPERTIES.includes(property))
+    .filter(property => JSON.stringify(before[property]) !== JSON.stringify(after[property]))
+    .sort()
+    .map(property => ({ property, before: before[property], after: after[property] }));
+}
+
+// Entity collections a graph state holds, in diff and report order
+export const DIFF_COLLECTIONS = ['components', 'tasks', 'relationships', 'comments'];
+
+/**
+ * Diff one collection of entities between two states
+ * Relationships are keyed with relationshipKey, everything else by id.
+ * @param {string} collection - One of DIFF_COLLECTIONS
+ * @param {Object[]} fromItems - Entities in the earlier state
+ * @param {Object[]} toItems - Entities in the later state
+ * @returns {Object} { added, removed, modified }
+ */
+export function diffCollection(collection, fromItems = [], toItems = []) {
+  const keyOf = collection === 'relationships' ? relationshipKey : item => item.id;
+  const fromByKey = new Map(fromItems.map(item => [keyOf(item), item]));
+  const toByKey = new Map(toItems.map(item => [keyOf(item), item]));
+
+  const added = toItems.filter(item => !fromByKey.has(keyOf(item)));
+  const removed = fromItems.filter(item => !toByKey.has(keyOf(item)));
+  const modified = [];
+  for (const [key, after] of toByKey) {
+    const before = fromByKey.get(key);
+    if (!before) {
+      continue;
+    }
+    const changes = diffProperties(before, after);
+    if (changes.length > 0) {
+      modified.push({ id: key, before, after, changes });
+    }
+  }
+
+  return { added, removed, modified };
+}
+
+/**
+ * Add counts and the unchanged flag to per-collection diffs
+ * @param {Object} collections - Result of diffCollection keyed by collection
+ * @returns {Object} The diff as returned by diffSnapshotData
+ */
+export function summarizeDiff(collections) {
+  const diff = { ...collections };
+  diff.counts = Object.fromEntries(Object.entries(collections).map(([entity, changes]) => [entity, {
+    added: changes.added.length,
+    removed: changes.removed.length,
+    modified: changes.modified.length
+  }]));
+  diff.unchanged = Object.values(diff.counts).every(count => count.added + count.removed + count.modified === 0);
+
+  return diff;
+}
+
+/**
+ * Diff two graph states as stored in snapshots
+ * @param {Object} fromData - Earlier state with components, tasks, relationships and comments
+ * @param {Object} toData - Later state with components, tasks, relationships and comments
+ * @returns {Object} Per-entity added, removed and modified lists plus counts
+ */
+export function diffSnapshotData(fromData, toData) {
+  return summarizeDiff(Object.fromEntries(DIFF_COLLECTIONS.map(collection =>
+    [collection, diffCollection(collection, fromData[collection], toData[collection])]
+  )));
+}
+
+function formatValue(value) {
+  if (value === undefined) {
+    return '(unset)';
+  }
+  const text = typeof value === 'string' ? `"${value}"` : JSON.stringify(value);
+  return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+}
+
+function formatChanges(changes) {
+  return changes.map(change => `${change.property}: ${formatValue(change.before)} → ${formatValue(change.after)}`).join('; ');
+}
+
+/**
+ * Render a diff as Markdown suitable for a PR description
+ * @param {Object} diff - Result of diffSnapshotData
+ * @param {Object} labels - { from, to } names of the compared states
+ * @param {Object[]} components - Components and tasks from both states ({ id, name } is enough),
+ *   used to name relationship endpoints and comment owners
+ * @returns {string} Markdown summary
+ */
+export function formatSnapshotDiff(diff, labels = {}, components = []) {
+  const componentNames = new Map(components.map(component => [component.id, component.name]));
+  const describeComponent = component => `\`${component.type}\` **${component.name}**${component.path ? ` (${component.path})` : ''}`;
+  const describeTask = task => `**${task.name}** [${task.status}]`;
+  const describeRelationship = relationship =>
+    `${componentNames.get(relationship.sourceId) || relationship.sourceId} -[${relationship.type}]-> ${componentNames.get(relationship.targetId) || relationship.targetId}`;
+  const describeComment = comment =>
+    `comment by ${comment.author || 'unknown'} on ${componentNames.get(comment.nodeId) || comment.nodeId}: ${formatValue(comment.content)}`;
+
+  const lines = [`## Graph changes: ${labels.from || 'before'} → ${labels.to || 'after'}`, ''];
+
+  if (diff.unchanged) {
+    lines.push('No changes.');
+    return lines.join('\n');
+  }
+
+  const sections = [
+    ['Components', diff.components, describeComponent],
+    ['Tasks', diff.tasks, describeTask],
+    ['Relationships', diff.relationships, describeRelationship],
+    ['Comments', diff.comments, describeComment]
+  ];
+
+  for (const [title] of sections) {
+    const count = diff.counts[title.toLowerCase()];
+    lines.push(`- ${title}: +${count.added} −${count.removed} ~${count.modified}`);
+  }
+
+  for (const [title, changes, describe] of sections) {
+    if (changes.added.length + changes.removed.length + changes.modified.length === 0) {
+      continue;
+    }
+    lines.push('', `### ${title}`);
+    changes.added.forEach(item => lines.push(`- Added ${describe(item)}`));
+    changes.removed.forEach(item => lines.push(`- Removed ${describe(item)}`));
+    changes.modified.forEach(item => lines.push(`- Modified ${describe(item.after)}: ${formatChanges(item.changes)}`));
+  }
+
+  return lines.join('\n');
+}
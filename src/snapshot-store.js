@@ -0,0 +1,238 @@
+/**
+ * Snapshot Store
+ * Pluggable storage for graph snapshots. Snapshots are written as chunks of entities
+ * plus a manifest, so neither writing nor restoring needs the whole graph in memory.
+ */
+
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { promisify } from 'util';
+import zlib from 'zlib';
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+// Comments come last so the components and tasks they are attached to exist when they are restored
+export const SNAPSHOT_ENTITY_TYPES = ['components', 'tasks', 'relationships', 'comments'];
+export const DEFAULT_CHUNK_SIZE = 5000;
+const MANIFEST_FILE = 'manifest.json';
+
+// Relative snapshot directories resolve against the package root, not the working directory
+const PACKAGE_ROOT = fileURLToPath(new URL('..', import.meta.url));
+
+/**
+ * Base class for snapshot backends
+ * A backend stores a manifest and ordered chunks of entities for each snapshot id.
+ */
+export class SnapshotStore {
+  /**
+   * Start writing a snapshot
+   * @param {Object} snapshot - Snapshot metadata (id, name, timestamp, codebase, ...)
+   * @returns {Promise<{writeChunk: Function, finish: Function, abort: Function}>} Writer
+   */
+  async createWriter(snapshot) {
+    throw new Error(`${this.constructor.name} does not implement createWriter`);
+  }
+
+  /**
+   * List manifests of complete snapshots, newest first
+   * @returns {Promise<Object[]>} Manifests without their chunk lists
+   */
+  async listSnapshots() {
+    throw new Error(`${this.constructor.name} does not implement listSnapshots`);
+  }
+
+  /**
+   * Get the manifest of a snapshot
+   * @param {string} snapshotId - Snapshot id
+   * @returns {Promise<Object|null>} Manifest, or null if the snapshot does not exist
+   */
+  async getManifest(snapshotId) {
+    throw new Error(`${this.constructor.name} does not implement getManifest`);
+  }
+
+  /**
+   * Read the chunks of one entity type in order
+   * @param {string} snapshotId - Snapshot id
+   * @param {string} entityType - One of SNAPSHOT_ENTITY_TYPES
+   * @returns {AsyncGenerator<Object[]>} Batches of entities
+   */
+  async *readChunks(snapshotId, entityType) {
+    throw new Error(`${this.constructor.name} does not implement readChunks`);
+  }
+
+  /**
+   * Delete a snapshot
+   * @param {string} snapshotId - Snapshot id
+   * @returns {Promise<boolean>} Whether a snapshot was deleted
+   */
+  async deleteSnapshot(snapshotId) {
+    throw new Error(`${this.constructor.name} does not implement deleteSnapshot`);
+  }
+}
+
+/**
+ * Filesystem backend writing gzip-compressed NDJSON chunks
+ *
+ * <rootDir>/<snapshotId>/manifest.json
+ * <rootDir>/<snapshotId>/components-00000.ndjson.gz
+ *
+ * The manifest is written last, so a snapshot without one is incomplete and ignored.
+ * rootDir defaults to SNAPSHOT_DIR, then <package root>/snapshots.
+ */
+export class FileSystemSnapshotStore extends SnapshotStore {
+  constructor(options = {}) {
+    super();
+    this.rootDir = path.resolve(PACKAGE_ROOT, options.rootDir || process.env.SNAPSHOT_DIR || 'snapshots');
+  }
+
+  snapshotDir(snapshotId) {
+    if (!/^[\w-]+$/.test(snapshotId)) {
+      throw new Error(`Invalid snapshot id: ${snapshotId}`);
+    }
+    return path.join(this.rootDir, snapshotId);
+  }
+
+  async createWriter(snapshot) {
+    const dir = this.snapshotDir(snapshot.id);
+    await fs.mkdir(dir, { recursive: true });
+
+    const chunks = [];
+    const chunkIndex = Object.fromEntries(SNAPSHOT_ENTITY_TYPES.map(type => [type, 0]));
+
+    return {
+      writeChunk: async (entityType, entities) => {
+        if (!SNAPSHOT_ENTITY_TYPES.includes(entityType)) {
+          throw new Error(`Unknown snapshot entity type: ${entityType}`);
+        }
+        if (entities.length === 0) {
+          return;
+        }
+
+        const file = `${entityType}-${String(chunkIndex[entityType]++).padStart(5, '0')}.ndjson.gz`;
+        const ndjson = entities.map(entity => JSON.stringify(entity)).join('\n') + '\n';
+        const compressed = await gzip(ndjson);
+        await fs.writeFile(path.join(dir, file), compressed);
+
+        chunks.push({
+          file,
+          entityType,
+          count: entities.length,
+          bytes: compressed.length,
+          sha256: createHash('sha256').update(compressed).digest('hex')
+        });
+      },
+
+      finish: async () => {
+        const counts = Object.fromEntries(SNAPSHOT_ENTITY_TYPES.map(type => [
+          type,
+          chunks.filter(chunk => chunk.entityType === type).reduce((sum, chunk) => sum + chunk.count, 0)
+        ]));
+        const manifest = {
+          ...snapshot,
+          format: 'ndjson+gzip',
+          version: 1,
+          counts,
+          bytes: chunks.reduce((sum, chunk) => sum + chunk.bytes, 0),
+          chunks
+        };
+
+        // Write then rename so readers never see a partial manifest
+        const temporary = path.join(dir, `${MANIFEST_FILE}.tmp`);
+        await fs.writeFile(temporary, JSON.stringify(manifest, null, 2));
+        await fs.rename(temporary, path.join(dir, MANIFEST_FILE));
+        return manifest;
+      },
+
+      abort: async () => {
+        await fs.rm(dir, { recursive: true, force: true });
+      }
+    };
+  }
+
+  async listSnapshots() {
+    let entries;
+    try {
+      entries = await fs.readdir(this.rootDir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const manifests = [];
+    for (const entry of entries.filter(entry => entry.isDirectory())) {
+      const manifest = await this.getManifest(entry.name).catch(() => null);
+      if (manifest) {
+        const { chunks, ...summary } = manifest;
+        manifests.push(summary);
+      }
+    }
+
+    return manifests.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+  }
+
+  async getManifest(snapshotId) {
+    try {
+      const content = await fs.readFile(path.join(this.snapshotDir(snapshotId), MANIFEST_FILE), 'utf8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async *readChunks(snapshotId, entityType) {
+    const manifest = await this.getManifest(snapshotId);
+    if (!manifest) {
+      throw new Error(`Snapshot ${snapshotId} not found`);
+    }
+
+    const dir = this.snapshotDir(snapshotId);
+    for (const chunk of manifest.chunks.filter(chunk => chunk.entityType === entityType)) {
+      const compressed = await fs.readFile(path.join(dir, chunk.file));
+      const checksum = createHash('sha256').update(compressed).digest('hex');
+      if (checksum !== chunk.sha256) {
+        throw new Error(`Checksum mismatch in snapshot ${snapshotId} chunk ${chunk.file}`);
+      }
+
+      const ndjson = (await gunzip(compressed)).toString('utf8');
+      yield ndjson.split('\n').filter(Boolean).map(line => JSON.parse(line));
+    }
+  }
+
+  async deleteSnapshot(snapshotId) {
+    const manifest = await this.getManifest(snapshotId);
+    if (!manifest) {
+      return false;
+    }
+    await fs.rm(this.snapshotDir(snapshotId), { recursive: true, force: true });
+    return true;
+  }
+}
+
+/**
+ * Available snapshot backends by name
+ */
+export const SNAPSHOT_STORES = {
+  filesystem: options => new FileSystemSnapshotStore(options)
+};
+
+/**
+ * Create the snapshot store selected by SNAPSHOT_STORE (default: filesystem)
+ * @param {Object} options - Backend options, e.g. { rootDir } for the filesystem store
+ * @returns {SnapshotStore} Store instance
+ */
+export function createSnapshotStore(options = {}) {
+  const backend = options.backend || process.env.SNAPSHOT_STORE || 'filesystem';
+  const factory = SNAPSHOT_STORES[backend];
+  if (!factory) {
+    throw new Error(`Unknown snapshot store: ${backend}. Available: ${Object.keys(SNAPSHOT_STORES).join(', ')}`);
+  }
+  return factory(options);
+}
@@ -0,0 +1,73 @@
+import { test, describe } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { ArchitectureRules, parseRules, matchesSelector, formatViolations } from '../src/architecture-rules.js';
+import { globToRegex } from '../src/component-filters.js';
+
+const rules = parseRules({
+  rules: [
+    {
+      id: 'ui-not-db',
+      description: 'UI must not reach the database',
+      from: { codebase: 'web', path: 'src/ui/**' },
+      to: { path: 'src/db/**' },
+      relationshipTypes: ['DEPENDS_ON', 'IMPORTS']
+    },
+    { id: 'module-not-system', severity: 'warning', from: { type: 'MODULE' }, to: { type: ['SYSTEM'] } }
+  ]
+});
+
+const button = { id: 'b', name: 'Button', type: 'CLASS', path: 'src/ui/widgets/button.js', codebase: 'web' };
+const pool = { id: 'p', name: 'Pool', type: 'CLASS', path: 'src/db/pool.js', codebase: 'web' };
+
+describe('Architecture Rules', () => {
+  test('should match path globs across directories only with **', () => {
+    assert.ok(new RegExp(globToRegex('src/ui/**')).test('src/ui/widgets/button.js'));
+    assert.ok(new RegExp(globToRegex('src/**/*.js')).test('src/a.js'));
+    assert.ok(!new RegExp(globToRegex('src/ui/*')).test('src/ui/widgets/button.js'));
+    assert.ok(!new RegExp(globToRegex('src/db.js')).test('src/dbxjs'));
+    assert.ok(matchesSelector(button, {}));
+    assert.ok(!matchesSelector({ ...button, path: undefined }, { path: '**' }));
+  });
+
+  test('should report every rule an edge breaks', () => {
+    const checker = new ArchitectureRules(rules, 'warn');
+
+    assert.deepEqual(checker.checkEdge(button, pool, 'IMPORTS'), [
+      { ruleId: 'ui-not-db', description: 'UI must not reach the database', severity: 'error' }
+    ]);
+    assert.deepEqual(checker.checkEdge(button, pool, 'CALLS'), []);
+    assert.deepEqual(checker.checkEdge(pool, button, 'IMPORTS'), []);
+    assert.equal(
+      checker.checkEdge({ name: 'Billing', type: 'MODULE' }, { name: 'Platform', type: 'SYSTEM' }, 'USES')[0].severity,
+      'warning'
+    );
+    assert.match(formatViolations(checker.checkEdge(button, pool, 'IMPORTS'), 'IMPORTS', button, pool),
+      /Button -\[IMPORTS\]-> Pool violates architecture rule ui-not-db/);
+  });
+
+  test('should reject malformed rules and unknown modes', () => {
+    assert.throws(() => parseRules([{ id: 'x', from: { type: 'WIDGET' } }]), /Invalid architecture rules at rules\.0\.from\.type/);
+    assert.throws(() => parseRules([{ id: 'x', from: { folder: 'src' } }]), /Invalid architecture rules/);
+    assert.throws(() => new ArchitectureRules(rules, 'block'), /Invalid architecture rules mode/);
+  });
+
+  test('should load rules from ARCHITECTURE_RULES_FILE and enforce only when configured', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'architecture-rules-'));
+    try {
+      const file = path.join(dir, 'rules.json');
+      await fs.writeFile(file, JSON.stringify({ rules: [{ id: 'nothing-into-ui', to: { path: 'src/ui/**' } }] }));
+
+      const configured = ArchitectureRules.fromEnvironment({ ARCHITECTURE_RULES_FILE: file });
+      assert.equal(configured.mode, 'warn');
+      assert.equal(configured.enforced, true);
+      assert.equal(configured.rules[0].severity, 'error');
+      assert.equal(ArchitectureRules.fromEnvironment({}).enforced, false);
+      assert.throws(() => ArchitectureRules.fromEnvironment({ ARCHITECTURE_RULES_FILE: path.join(dir, 'missing.json') }), /Cannot read architecture rules/);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
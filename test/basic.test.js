@@ -91,6 +91,24 @@ describe('Codebase Graph Database', () => {
     assert.equal(updated.progress, 0.5);
   });
 
+  test('should upsert a natural key to one component under concurrent writers', async () => {
+    const componentData = {
+      type: ComponentType.FUNCTION,
+      name: 'upserted',
+      path: 'src/upsert.js',
+      codebase: 'test-project'
+    };
+
+    const results = await Promise.all([1, 2, 3].map(() => db.upsertComponent(componentData)));
+    assert.equal(new Set(results.map(result => result.component.id)).size, 1);
+    assert.equal(results.filter(result => result.status === 'created').length, 1);
+
+    const again = await db.upsertComponent(componentData);
+    assert.equal(again.status, 'unchanged');
+    assert.equal(again.component.id, results[0].component.id);
+    assert.equal((await db.searchComponents({ codebase: 'test-project', name: 'upserted' })).length, 1);
+  });
+
   test('should get codebase overview', async () => {
     const overview = await db.getCodebaseOverview('test-project');
     assert.ok(Array.isArray(overview));
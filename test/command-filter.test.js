@@ -7,6 +7,7 @@
 
 import { strict as assert } from 'assert';
 import { test, describe } from 'node:test';
+import { readFileSync } from 'fs';
 import { EnvironmentConfig } from '../src/env-config.js';
 import { 
   COMMAND_GROUPS, 
@@ -18,6 +19,7 @@ import {
   validatePreset
 } from '../src/command-presets.js';
 import { CommandFilterSystem } from '../src/command-filter.js';
+import { handleMcpCommand, filterToolList, createRouteFilter } from '../src/command-filter-middleware.js';
 
 describe('EnvironmentConfig', () => {
   test('should load default configuration', () => {
@@ -118,6 +120,18 @@ describe('Command Presets', () => {
     const groups = getCommandGroups('get_component');
     assert(Array.isArray(groups));
     assert(groups.includes('read'));
+    assert.deepEqual(getCommandGroups('revert_change'), ['write']);
+    assert(!getCommandGroups('restore_snapshot').includes('history'));
+  });
+
+  test('should put every tool the MCP server defines in a group', () => {
+    const source = readFileSync(new URL('../src/index.js', import.meta.url), 'utf8');
+    const tools = [...source.matchAll(/^\s+name: '([a-z_]+)',\n\s+description:/gm)].map(match => match[1]);
+
+    assert(tools.includes('propose_type') && tools.includes('get_voting_stats'));
+    assert.deepEqual(tools.filter(tool => getCommandGroups(tool).length === 0), []);
+    assert.deepEqual(getCommandGroups('vote_on_type'), ['voting']);
+    assert(getPreset('development').allowedGroups.includes('voting'));
   });
 
   test('should validate presets', () => {
@@ -315,6 +329,93 @@ describe('CommandFilterSystem', () => {
   });
 });
 
+describe('Command Filter Middleware', () => {
+  const readOnlyFilter = new CommandFilterSystem({
+    filterMode: 'preset',
+    preset: 'read-only',
+    allowedGroups: [],
+    allowedCommands: [],
+    blockedGroups: [],
+    blockedCommands: [],
+    debugFiltering: false,
+    warnUnknownFields: false
+  });
+
+  const createResponse = () => ({
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  });
+
+  test('should deny every command with an empty whitelist', () => {
+    const filter = new CommandFilterSystem({
+      filterMode: 'whitelist',
+      allowedGroups: [],
+      allowedCommands: [],
+      blockedGroups: [],
+      blockedCommands: ['delete_component'],
+      debugFiltering: false,
+      warnUnknownFields: false
+    });
+
+    assert(!filter.isCommandAllowed('create_component'));
+    assert(!filter.isCommandAllowed('get_component'));
+    assert(!filter.isCommandAllowed('delete_component'));
+    assert.equal(filter.filterCommand('get_component').reason, 'No whitelist configured; every command is denied');
+
+    const open = new CommandFilterSystem({ ...filter.config, filterMode: 'none' });
+    assert(open.isCommandAllowed('create_component'));
+  });
+
+  test('should hide denied tools from tool listings', () => {
+    const tools = [{ name: 'get_component' }, { name: 'create_component' }, { name: 'search_components' }];
+    const visible = filterToolList(tools, readOnlyFilter).map(tool => tool.name);
+
+    assert.deepEqual(visible, ['get_component', 'search_components']);
+  });
+
+  test('should execute allowed MCP commands and reject denied ones', async () => {
+    const executed = [];
+    const execute = async (commandName) => {
+      executed.push(commandName);
+      return { ok: true };
+    };
+
+    const result = await handleMcpCommand('get_component', { id: '1' }, execute, readOnlyFilter);
+    assert.deepEqual(result, { ok: true });
+
+    await assert.rejects(
+      handleMcpCommand('create_component', { name: 'x' }, execute, readOnlyFilter),
+      (error) => error.code === 'COMMAND_FILTERED' && error.filterResult.allowed === false
+    );
+    assert.deepEqual(executed, ['get_component']);
+  });
+
+  test('should guard REST routes with the equivalent command', () => {
+    const req = { method: 'POST', path: '/api/components', params: {}, query: {}, body: { name: 'x' } };
+
+    const deniedRes = createResponse();
+    let nextCalled = false;
+    createRouteFilter('create_component', readOnlyFilter)(req, deniedRes, () => { nextCalled = true; });
+    assert.equal(nextCalled, false);
+    assert.equal(deniedRes.statusCode, 403);
+    assert.equal(deniedRes.body.success, false);
+    assert.equal(deniedRes.body.filterResult.commandName, 'create_component');
+
+    const allowedRes = createResponse();
+    createRouteFilter('search_components', readOnlyFilter)({ ...req, method: 'GET' }, allowedRes, () => { nextCalled = true; });
+    assert.equal(nextCalled, true);
+    assert.equal(allowedRes.body, null);
+  });
+});
+
 // Run the tests if this file is executed directly
 if (import.meta.url === `file://${process.argv[1]}`) {
   console.log('Running Command Filter System Tests...\n');
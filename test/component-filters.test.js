@@ -0,0 +1,108 @@
+import { test, describe } from 'node:test';
+import { strict as assert } from 'node:assert';
+import neo4j from 'neo4j-driver';
+import { GraphDatabase } from '../src/database.js';
+import { compileComponentFilter, globToRegex, FILTER_ERROR_PATTERN } from '../src/component-filters.js';
+
+const record = values => ({ get: key => values[key] });
+
+describe('Component Filters', () => {
+  test('should compile nested groups with every value passed as a parameter', () => {
+    const { clause, params } = compileComponentFilter({
+      and: [
+        { field: 'path', op: 'glob', value: 'src/**/*.js' },
+        { field: 'created', op: 'range', value: { gte: '2024-01-01T00:00:00Z', lt: 1735689600000 } },
+        {
+          or: [
+            { field: 'metadata.owner', op: 'in', value: ['payments', 'billing'] },
+            { field: 'name', op: 'prefix', value: 'Pay' },
+            { field: 'metadata.deprecated', op: 'exists', value: false }
+          ]
+        }
+      ]
+    });
+
+    assert.equal(
+      clause,
+      '(c.path =~ $where0 AND (c.created >= datetime($where1) AND c.created < datetime({epochMillis: $where2})) AND ' +
+      '(c[$where3] IN $where4 OR c.name STARTS WITH $where5 OR c[$where6] IS NULL))'
+    );
+    assert.deepEqual(params, {
+      where0: '^src/(?:.*/)?[^/]*\\.js$',
+      where1: '2024-01-01T00:00:00Z',
+      where2: 1735689600000,
+      where3: 'owner',
+      where4: ['payments', 'billing'],
+      where5: 'Pay',
+      where6: 'deprecated'
+    });
+
+    const regex = new RegExp(globToRegex('src/**/*.js'));
+    assert.ok(regex.test('src/a.js'));
+    assert.ok(regex.test('src/api/v1/a.js'));
+    assert.ok(!regex.test('lib/a.js'));
+    assert.ok(!new RegExp(globToRegex('src/*.js')).test('src/api/a.js'));
+  });
+
+  test('should reject unknown fields, unsafe keys and malformed predicates', () => {
+    assert.throws(() => compileComponentFilter({ field: 'owner', op: 'eq', value: 'x' }), /Invalid filter field/);
+    assert.throws(() => compileComponentFilter({ field: 'metadata.x`) DETACH DELETE c //', op: 'eq', value: 1 }), /Invalid metadata key/);
+    assert.throws(() => compileComponentFilter({ field: 'metadata.name', op: 'eq', value: 'x' }), /not a metadata key/);
+    assert.throws(() => compileComponentFilter({ field: 'name', op: 'regex', value: '.*' }), /Invalid filter operator/);
+    assert.throws(() => compileComponentFilter({ field: 'updated', op: 'range', value: { from: 1 } }), /range on updated/);
+    assert.throws(() => compileComponentFilter({ or: [] }), /non-empty array/);
+    assert.throws(() => compileComponentFilter({ and: [], or: [] }), /single and\/or group/);
+  });
+
+  test('should recognise every filter error so HTTP can answer it with 400', () => {
+    const malformed = [
+      { field: 42, op: 'eq', value: 'x' },
+      { field: 'owner', op: 'eq', value: 'x' },
+      { field: 'metadata.x-y', op: 'eq', value: 'x' },
+      { field: 'metadata.name', op: 'eq', value: 'x' },
+      { field: 'name', op: 'regex', value: '.*' },
+      { field: 'metadata.owner', op: 'eq' },
+      { field: 'name', op: 'prefix', value: 1 },
+      { field: 'metadata.owner', op: 'in', value: [] },
+      { field: 'updated', op: 'range', value: { from: 1 } },
+      { field: 'created', op: 'range', value: { gte: true } },
+      { field: 'path', op: 'glob', value: null },
+      { or: Array.from({ length: 101 }, () => ({ field: 'name', op: 'exists' })) },
+      { and: ['name'] },
+      { and: [{ and: [{ and: [{ and: [{ and: [{ and: [{ and: [{ and: [{ field: 'name', op: 'exists' }] }] }] }] }] }] }] }] },
+      { and: [], field: 'name' },
+      { or: [] }
+    ];
+
+    for (const where of malformed) {
+      assert.throws(() => compileComponentFilter(where), error => FILTER_ERROR_PATTERN.test(error.message));
+    }
+    assert.ok(!FILTER_ERROR_PATTERN.test('Failed to connect to server'));
+  });
+
+  test('should add the compiled filter to the component page query and keep it in the cursor', async () => {
+    const queries = [];
+    const session = {
+      run: async (query, params) => {
+        queries.push({ query, params });
+        if (query.includes('count(c)')) {
+          return { records: [record({ total: neo4j.int(2) })] };
+        }
+        return { records: ['a', 'b'].map(id => record({ c: { properties: { id, name: id } }, orderKey: id })) };
+      },
+      close: async () => {}
+    };
+    const db = new GraphDatabase();
+    await db.driver.close();
+    db.driver = { session: () => session };
+
+    const where = { field: 'metadata.owner', op: 'eq', value: 'payments' };
+    const page = await db.searchComponentsPage({ codebase: 'api', where }, { pageSize: 1 });
+    await db.searchComponentsPage({}, { cursor: page.nextCursor });
+
+    assert.match(queries[0].query, /AND c\[\$where0\] = \$where1/);
+    assert.equal(queries[0].params.where0, 'owner');
+    assert.equal(queries[0].params.codebase, 'api');
+    assert.deepEqual(queries[2].params, queries[0].params);
+  });
+});
@@ -0,0 +1,59 @@
+import { test, describe } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { scoreContextComponents, pruneContext, renderContextText } from '../src/context-subgraph.js';
+
+const node = (id, depth, type = 'FILE') => ({ id, name: id, type, path: `src/${id}.js`, depth });
+const edge = (sourceId, targetId, type = 'DEPENDS_ON') => ({ id: `${sourceId}-${targetId}`, type, sourceId, targetId });
+
+// seed -> near -> far, seed -> hub, hub is also linked to near, other and extra
+const nodes = [node('seed', 0), node('near', 1), node('hub', 1), node('far', 2), node('other', 2), node('extra', 2)];
+const edges = [
+  edge('seed', 'near'), edge('seed', 'hub'), edge('near', 'far'),
+  edge('hub', 'near'), edge('hub', 'other'), edge('hub', 'extra')
+];
+
+describe('Context Subgraph', () => {
+  test('should rank closer and better connected components first', () => {
+    const scores = scoreContextComponents(nodes, edges);
+
+    assert.equal(scores.get('seed'), Infinity);
+    assert.ok(scores.get('hub') > scores.get('near'));
+    assert.ok(scores.get('near') > scores.get('far'));
+  });
+
+  test('should prune to the budget while keeping components connected to the seeds', () => {
+    const pruned = pruneContext(nodes, edges, 3);
+
+    assert.deepEqual(pruned.nodes.map(n => n.id), ['seed', 'hub', 'near']);
+    assert.equal(pruned.nodes[0].score, null);
+    assert.deepEqual(pruned.edges.map(e => e.id), ['seed-near', 'seed-hub', 'hub-near']);
+    assert.equal(pruneContext([node('a', 0), node('b', 0)], [], 1).nodes.length, 2);
+  });
+
+  test('should render tasks, components, relationships and comments as compact text', () => {
+    const { nodes: components, edges: relationships } = pruneContext(nodes, edges, 2);
+    const text = renderContextText({
+      task: { id: 't1', name: 'Fix caching', status: 'IN_PROGRESS', description: 'Stale reads' },
+      maxDepth: 2,
+      reached: 6,
+      truncated: true,
+      components: components.map(c => ({ ...c, seed: c.depth === 0 })),
+      relationships,
+      openTasks: [{ id: 't2', name: 'Refactor hub', status: 'TODO', componentIds: ['hub'] }],
+      comments: [{ id: 'c1', nodeId: 'hub', author: 'ana', content: 'Hot path,\nkeep it fast' }]
+    });
+
+    assert.equal(text, [
+      'Task: Fix caching [IN_PROGRESS] - Stale reads',
+      'Components (2 of 6 within 2 hops, pruned):',
+      '- * seed (FILE) src/seed.js #seed',
+      '- hub (FILE) src/hub.js #hub',
+      'Relationships:',
+      '- seed -DEPENDS_ON-> hub',
+      'Open tasks:',
+      '- Refactor hub [TODO] on hub #t2',
+      'Comments:',
+      '- hub (ana): Hot path, keep it fast'
+    ].join('\n'));
+  });
+});
@@ -0,0 +1,412 @@
+import { test, describe } from 'node:test';
+import { strict as assert } from 'node:assert';
+import neo4j from 'neo4j-driver';
+import {
+  GraphAnalysis,
+  validateRelationshipTypes,
+  validateDepth,
+  findStronglyConnectedComponents,
+  findElementaryCycles,
+  suggestEdgeToCut,
+  relationshipPattern,
+  resolveOrphanRules,
+  findTopKPaths,
+  PATH_SEARCH_TIMEOUT
+} from '../src/graph-analysis.js';
+import { getCommandGroups } from '../src/command-presets.js';
+
+const components = {
+  db: { id: 'db', name: 'Database', type: 'CLASS', path: 'src/db.js', codebase: 'api' },
+  repo: { id: 'repo', name: 'Repository', type: 'CLASS', path: 'src/repo.js', codebase: 'api' },
+  handler: { id: 'handler', name: 'handler', type: 'FUNCTION', path: 'src/handler.js', codebase: 'api' },
+  dbTest: { id: 'dbTest', name: 'db works', type: 'TEST_CASE', path: 'test/db.test.js', codebase: 'api' },
+  uptime: { id: 'uptime', name: 'Uptime', type: 'REQUIREMENT', codebase: 'api' }
+};
+
+const edges = [
+  { source: 'repo', target: 'db', type: 'DEPENDS_ON' },
+  { source: 'handler', target: 'repo', type: 'CALLS' },
+  { source: 'handler', target: 'db', type: 'USES' },
+  { source: 'dbTest', target: 'repo', type: 'VERIFIES' },
+  { source: 'repo', target: 'uptime', type: 'SATISFIES' }
+];
+
+const node = id => ({ properties: components[id] });
+const record = values => ({ get: key => values[key] });
+
+// In-memory stand-in answering the queries GraphAnalysis runs
+function createAnalysis() {
+  const queries = [];
+  const session = {
+    run: async (query, params) => {
+      queries.push({ query, params });
+      if (query.includes('RETURN c') && !query.includes('dependent')) {
+        return { records: components[params.id] ? [record({ c: node(params.id) })] : [] };
+      }
+      if (query.includes('dependent')) {
+        const found = new Map();
+        for (const edge of edges) {
+          if (params.frontier.includes(edge.target) && params.relationshipTypes.includes(edge.type) &&
+              !params.visited.includes(edge.source) && !found.has(edge.source)) {
+            found.set(edge.source, { relationship: edge.type, componentId: edge.target });
+          }
+        }
+        return { records: [...found].map(([id, via]) => record({ dependent: node(id), via })) };
+      }
+      const linked = new Map();
+      for (const edge of edges) {
+        for (const [near, far] of [[edge.source, edge.target], [edge.target, edge.source]]) {
+          if (params.ids.includes(near) && params.types.includes(components[far].type)) {
+            const entry = linked.get(far) || { linkedTo: [], relationships: [] };
+            entry.linkedTo.push(near);
+            entry.relationships.push(edge.type);
+            linked.set(far, entry);
+          }
+        }
+      }
+      return { records: [...linked].map(([id, entry]) => record({ n: node(id), ...entry })) };
+    },
+    close: async () => {}
+  };
+  return { analysis: new GraphAnalysis({ driver: { session: () => session } }), queries };
+}
+
+describe('Graph Analysis', () => {
+  test('should group dependents by shortest distance with the edge that reached them', async () => {
+    const { analysis } = createAnalysis();
+
+    const impact = await analysis.getImpactAnalysis('db');
+
+    assert.equal(impact.component.name, 'Database');
+    assert.equal(impact.totalAffected, 2);
+    assert.deepEqual(impact.levels.map(level => level.components.map(c => c.id)), [['repo'], ['handler']]);
+    assert.deepEqual(impact.levels[1].components[0].via, { relationship: 'CALLS', componentId: 'repo' });
+    assert.deepEqual(impact.tests.map(t => t.id), ['dbTest']);
+    assert.deepEqual(impact.requirements.map(r => r.id), ['uptime']);
+  });
+
+  test('should only follow the requested relationship types up to maxDepth', async () => {
+    const { analysis } = createAnalysis();
+
+    const impact = await analysis.getImpactAnalysis('db', { relationshipTypes: ['USES', 'DEPENDS_ON'], maxDepth: 1 });
+
+    assert.deepEqual(impact.levels.map(level => level.components.map(c => c.id)), [['repo', 'handler']]);
+  });
+
+  test('should reject unknown components, relationship types and depths', async () => {
+    const { analysis } = createAnalysis();
+
+    await assert.rejects(analysis.getImpactAnalysis('missing'), /Component missing not found/);
+    assert.throws(() => validateRelationshipTypes(['CALLS]->() DETACH DELETE (x'], []), /Invalid relationship type/);
+    assert.throws(() => validateDepth(0, 3), /Depth must be an integer/);
+    assert.equal(validateDepth(undefined, 3), 3);
+  });
+
+  test('should find strongly connected components including self-loops', () => {
+    const graph = [
+      { id: 'e1', sourceId: 'a', targetId: 'b' },
+      { id: 'e2', sourceId: 'b', targetId: 'c' },
+      { id: 'e3', sourceId: 'c', targetId: 'a' },
+      { id: 'e4', sourceId: 'c', targetId: 'd' },
+      { id: 'e5', sourceId: 'e', targetId: 'e' }
+    ];
+
+    const components = findStronglyConnectedComponents(['a', 'b', 'c', 'd', 'e'], graph);
+
+    assert.deepEqual(components.map(component => [...component].sort()), [['a', 'b', 'c'], ['e']]);
+  });
+
+  test('should enumerate each elementary cycle once and suggest the most shared edge', () => {
+    const graph = [
+      { id: 'e1', sourceId: 'a', targetId: 'b' },
+      { id: 'e2', sourceId: 'b', targetId: 'a' },
+      { id: 'e3', sourceId: 'b', targetId: 'c' },
+      { id: 'e4', sourceId: 'c', targetId: 'a', probability: 20 },
+      { id: 'e5', sourceId: 'c', targetId: 'd' }
+    ];
+
+    const { cycles, truncated } = findElementaryCycles(['a', 'b', 'c', 'd'], graph);
+    assert.equal(truncated, false);
+    assert.deepEqual(cycles.map(cycle => cycle.map(edge => edge.id)).sort(), [['e1', 'e2'], ['e1', 'e3', 'e4']]);
+
+    const counts = new Map();
+    cycles.flat().forEach(edge => counts.set(edge, (counts.get(edge) || 0) + 1));
+    assert.equal(suggestEdgeToCut(graph.slice(0, 4), counts).id, 'e1');
+    assert.equal(suggestEdgeToCut([graph[2], graph[3]], counts).id, 'e4');
+    assert.equal(findElementaryCycles(['a', 'b', 'c', 'd'], graph, { maxCycles: 1 }).truncated, true);
+  });
+
+  test('should stop enumerating cycles once the step budget is spent and bound maxCycles', async () => {
+    // Every pair linked both ways: 12 nodes hold billions of elementary cycles
+    const ids = Array.from({ length: 12 }, (_, i) => `n${i}`);
+    const dense = ids.flatMap(source => ids.filter(target => target !== source).map(target => ({ id: `${source}-${target}`, sourceId: source, targetId: target })));
+
+    const limited = findElementaryCycles(ids, dense, { maxCycles: 1000000, maxSteps: 5000 });
+    assert.equal(limited.truncated, true);
+    assert.ok(limited.cycles.length > 0 && limited.cycles.length < 5000);
+
+    const { analysis } = createAnalysis();
+    await assert.rejects(analysis.findCycles({ maxCycles: 0 }), /maxCycles must be an integer between 1 and 1000/);
+    await assert.rejects(analysis.findCycles({ maxCycles: 5000 }), /maxCycles must be an integer/);
+  });
+
+  test('should build path patterns and rank likely paths first when weighted', async () => {
+    assert.equal(relationshipPattern(['CALLS', 'IMPORTS'], 'incoming', 1, 4), '<-[:CALLS|IMPORTS*1..4]-');
+    assert.equal(relationshipPattern([], 'both', 1, 2), '-[*1..2]-');
+    assert.throws(() => relationshipPattern([], 'sideways', 1, 2), /Invalid direction/);
+
+    // handler -> repo -> db is less likely than the direct handler -> db edge but both are simple paths
+    const pathEdges = [
+      { id: 'r1', type: 'CALLS', sourceId: 'handler', targetId: 'repo', probability: 50 },
+      { id: 'r2', type: 'DEPENDS_ON', sourceId: 'repo', targetId: 'db', probability: null },
+      { id: 'r3', type: 'USES', sourceId: 'handler', targetId: 'db', probability: 20 }
+    ];
+    const reads = [];
+    const session = {
+      run: async () => ({ records: [record({ c: node('handler') }), record({ c: node('db') })] }),
+      executeRead: async (work, config) => work({
+        run: async (query, params) => {
+          reads.push({ query, params, config });
+          return {
+            records: pathEdges
+              .filter(edge => params.frontier.includes(edge.sourceId))
+              .map(edge => record({ n: node(edge.targetId), ...edge, probability: edge.probability === null ? null : neo4j.int(edge.probability) }))
+          };
+        }
+      }),
+      close: async () => {}
+    };
+    const analysis = new GraphAnalysis({ driver: { session: () => session } });
+
+    const result = await analysis.findPaths('handler', 'db', { mode: 'all', k: 3, weightByProbability: true });
+
+    assert.deepEqual(result.paths.map(path => path.components.map(c => c.name)), [['handler', 'Repository', 'Database'], ['handler', 'Database']]);
+    assert.deepEqual(result.paths.map(path => path.likelihood), [0.5, 0.2]);
+    assert.equal(result.truncated, false);
+    assert.ok(reads.every(({ config }) => config.timeout === PATH_SEARCH_TIMEOUT));
+    assert.deepEqual(reads[1].params.frontier.sort(), ['db', 'repo']);
+
+    // Cypher's shortestPath would take the one-hop edge; weighted, the most likely path wins
+    const likeliest = await analysis.findPaths('handler', 'db', { weightByProbability: true });
+    assert.equal(likeliest.mode, 'shortest');
+    assert.deepEqual(likeliest.paths.map(path => path.components.map(c => c.name)), [['handler', 'Repository', 'Database']]);
+    assert.equal(likeliest.paths[0].likelihood, 0.5);
+    await assert.rejects(analysis.findPaths('db', 'db'), /must differ/);
+  });
+
+  test('should rank the k shortest simple paths with Yen\'s algorithm within the length limit', () => {
+    const graph = [
+      { id: 'ab', sourceId: 'a', targetId: 'b' },
+      { id: 'bd', sourceId: 'b', targetId: 'd' },
+      { id: 'ac', sourceId: 'a', targetId: 'c' },
+      { id: 'cd', sourceId: 'c', targetId: 'd', probability: 90 },
+      { id: 'ce', sourceId: 'c', targetId: 'e' },
+      { id: 'ed', sourceId: 'e', targetId: 'd' },
+      { id: 'da', sourceId: 'd', targetId: 'a' }
+    ];
+    const ids = paths => paths.map(path => path.edges.map(edge => edge.id).join(' '));
+
+    assert.deepEqual(ids(findTopKPaths(graph, 'a', 'd', { k: 5 })), ['ab bd', 'ac cd', 'ac ce ed']);
+    assert.deepEqual(ids(findTopKPaths(graph, 'a', 'd', { k: 5, maxLength: 2 })), ['ab bd', 'ac cd']);
+    assert.deepEqual(ids(findTopKPaths(graph, 'a', 'd', { k: 1, weightByProbability: true })), ['ab bd']);
+    assert.deepEqual(ids(findTopKPaths(graph, 'd', 'a', { k: 5, direction: 'incoming' })), ['bd ab', 'cd ac', 'ed ce ac']);
+    assert.deepEqual(findTopKPaths(graph, 'b', 'c', { k: 2 }).map(path => path.nodes), [['b', 'd', 'a', 'c']]);
+  });
+
+  test('should traverse each component once, report cycles and respect the node budget', async () => {
+    const graph = {
+      a: { id: 'a', name: 'a', type: 'FILE' },
+      b: { id: 'b', name: 'b', type: 'FILE' },
+      c: { id: 'c', name: 'c', type: 'FILE' }
+    };
+    const links = [
+      { id: 'r1', source: 'a', target: 'b' },
+      { id: 'r2', source: 'a', target: 'c' },
+      { id: 'r3', source: 'b', target: 'c' },
+      { id: 'r4', source: 'c', target: 'a' }
+    ];
+    const session = {
+      run: async (query, params) => {
+        if (params.ids) {
+          return { records: params.ids.filter(id => graph[id]).map(id => record({ c: { properties: graph[id] } })) };
+        }
+        return {
+          records: links
+            .filter(link => params.frontier.includes(link.source))
+            .map(link => record({ fromId: link.source, n: { properties: graph[link.target] }, id: link.id, type: 'DEPENDS_ON', forward: true }))
+        };
+      },
+      close: async () => {}
+    };
+    const analysis = new GraphAnalysis({ driver: { session: () => session } });
+
+    const tree = await analysis.traverseGraph('a', { maxDepth: 5 });
+    const [root] = tree.roots;
+    assert.deepEqual(root.children.map(child => child.id), ['b', 'c']);
+    const [reference] = root.children[0].children;
+    assert.deepEqual([reference.id, reference.relationshipId, reference.ref, reference.cycle, reference.children], ['c', 'r3', true, false, undefined]);
+    assert.equal(root.children[1].children[0].cycle, true);
+    assert.deepEqual(tree.cycles.map(edge => edge.id), ['r4']);
+
+    const levels = await analysis.traverseGraph(['a'], { shape: 'levels' });
+    assert.deepEqual(levels.levels.map(level => level.components.map(c => c.id)), [['a'], ['b', 'c']]);
+
+    const limited = await analysis.traverseGraph(['a'], { shape: 'graph', maxNodes: 2 });
+    assert.equal(limited.truncated, true);
+    assert.deepEqual(limited.nodes.map(n => n.id), ['a', 'b']);
+
+    await assert.rejects(analysis.traverseGraph(['a'], { shape: 'flat' }), /Invalid shape/);
+    await assert.rejects(analysis.traverseGraph(['missing']), /not found/);
+  });
+
+  test('should aggregate cross-codebase edges into a map and drill into a pair', async () => {
+    const queries = [];
+    const session = {
+      run: async (query, params) => {
+        queries.push({ query, params });
+        if (query.includes('LIMIT $limit')) {
+          return params.source === 'web'
+            ? { records: [record({ s: node('handler'), t: node('db'), id: 'x1', type: 'CALLS' })] }
+            : { records: [] };
+        }
+        if (query.includes('collect({id')) {
+          return { records: [record({ source: 'web', target: 'api', components: [{ id: 'handler', name: 'handler', type: 'FUNCTION', path: null, edges: neo4j.int(3) }] })] };
+        }
+        if (query.includes('componentCount')) {
+          return { records: ['api', 'web'].map(name => record({ name, componentCount: neo4j.int(2) })) };
+        }
+        return {
+          records: [
+            record({ source: 'web', target: 'api', type: 'CALLS', count: neo4j.int(2) }),
+            record({ source: 'web', target: 'api', type: 'IMPORTS', count: neo4j.int(1) })
+          ]
+        };
+      },
+      close: async () => {}
+    };
+    const analysis = new GraphAnalysis({ driver: { session: () => session } });
+
+    const map = await analysis.getCodebaseDependencyMap();
+    assert.deepEqual(map.edges[0].byType, { CALLS: 2, IMPORTS: 1 });
+    assert.equal(map.edges[0].count, 3);
+    assert.equal(map.edges[0].topSources[0].edges, 3);
+    assert.deepEqual(map.codebases.find(codebase => codebase.name === 'api').dependedOnBy, ['web']);
+    assert.equal(map.codebases.find(codebase => codebase.name === 'web').outgoingEdges, 3);
+    assert.equal(queries[0].params.pairs, null);
+
+    const pair = await analysis.getCodebaseDependencyMap({ from: 'web', to: 'api', limit: 1 });
+    assert.deepEqual(queries.at(-3).params.pairs, [['web', 'api'], ['api', 'web']]);
+    assert.equal(pair.directions[0].truncated, true);
+    assert.equal(pair.directions[0].edges[0].target.name, 'Database');
+    assert.equal(pair.directions[1].count, 0);
+    await assert.rejects(analysis.getCodebaseDependencyMap({ from: 'web' }), /both from and to/);
+  });
+
+  test('should find orphans per type, skip ignored entry points and tag them through the bulk update', async () => {
+    const queries = [];
+    const updates = [];
+    const orphaned = {
+      FUNCTION: [
+        { id: 'main', name: 'main', type: 'FUNCTION', path: 'src/index.js', codebase: 'api' },
+        { id: 'unused', name: 'unused', type: 'FUNCTION', path: 'src/util.js', codebase: 'api' }
+      ]
+    };
+    const db = {
+      driver: {
+        session: () => ({
+          run: async (query, params) => {
+            queries.push({ query, params });
+            return { records: (orphaned[params.type] || []).map(properties => record({ c: { properties } })) };
+          },
+          close: async () => {}
+        })
+      },
+      updateComponents: async (changes, metadata) => {
+        updates.push({ changes, metadata });
+        return changes;
+      }
+    };
+    const analysis = new GraphAnalysis(db);
+
+    const result = await analysis.cleanOrphans({
+      codebase: 'api',
+      types: ['FUNCTION', 'TEST_CASE'],
+      ignore: [{ name: 'main' }],
+      action: 'tag',
+      metadata: { sessionId: 'cleanup' }
+    });
+
+    assert.deepEqual(queries.map(q => [q.params.type, q.params.incoming, q.params.outgoing]), [
+      ['FUNCTION', ['CALLS', 'IMPORTS', 'CONTAINS'], []],
+      ['TEST_CASE', [], ['VERIFIES']]
+    ]);
+    assert.deepEqual(result.orphans.map(orphan => orphan.id), ['unused']);
+    assert.equal(result.orphans[0].reason, 'nothing CALLS, IMPORTS, CONTAINS it');
+    assert.equal(result.tagged, 1);
+    assert.equal(updates[0].changes[0].updates.orphan, true);
+    assert.equal(updates[0].metadata.sessionId, 'cleanup');
+    await assert.rejects(analysis.findOrphans({ action: 'delete' }), /use clean_orphans/);
+    assert.deepEqual(getCommandGroups('find_orphans'), ['analysis']);
+    assert.deepEqual(getCommandGroups('clean_orphans').sort(), ['admin', 'write']);
+
+    assert.deepEqual(Object.keys(resolveOrphanRules({ CLASS: null, FILE: { incoming: ['IMPORTS'] } })).sort(), ['FILE', 'FUNCTION', 'REQUIREMENT', 'TEST_CASE']);
+    assert.throws(() => resolveOrphanRules({ FILE: {} }), /needs incoming or outgoing/);
+  });
+
+  test('should write metrics through their own tool and record each component before and after', async () => {
+    const writes = [];
+    const recorded = [];
+    const tx = {
+      run: async (query, params) => {
+        writes.push({ query, params });
+        return {
+          records: params.rows.map(row => record({
+            before: { ...components[row.id] },
+            c: { properties: { ...components[row.id], ...row.properties } }
+          }))
+        };
+      },
+      commit: async () => {},
+      rollback: async () => {}
+    };
+    const db = {
+      driver: {
+        session: () => ({
+          run: async query => query.includes('RETURN c')
+            ? { records: [record({ c: node('repo') }), record({ c: node('db') })] }
+            : { records: [record({ id: 'r1', type: 'DEPENDS_ON', sourceId: 'repo', targetId: 'db', probability: null })] },
+          beginTransaction: () => tx,
+          close: async () => {}
+        })
+      },
+      recordUpdatedComponents: async (changes, metadata) => recorded.push({ changes, metadata })
+    };
+    const analysis = new GraphAnalysis(db);
+
+    await assert.rejects(analysis.getComponentMetrics({ writeBack: true }), /use write_component_metrics/);
+    const result = await analysis.writeComponentMetrics({ codebase: 'api', metadata: { sessionId: 'metrics' } });
+
+    assert.equal(result.componentCount, 2);
+    assert.match(writes[0].query, /properties\(c\) AS before/);
+    const repo = recorded[0].changes.find(change => change.before.id === 'repo');
+    assert.equal(repo.before.metricFanOut, undefined);
+    assert.equal(repo.after.metricFanOut, 1);
+    assert.equal(recorded[0].metadata.sessionId, 'metrics');
+    assert.deepEqual(getCommandGroups('write_component_metrics'), ['write']);
+    assert.ok(!getCommandGroups('get_component_metrics').includes('write'));
+  });
+
+  test('should refuse centrality on graphs over the node budget unless it is turned off', async () => {
+    const analysis = new GraphAnalysis({ driver: { session: () => assert.fail('the graph is stubbed') } });
+    const ids = Array.from({ length: 5001 }, (_, i) => `c${i}`);
+    analysis.loadGraph = async () => ({
+      components: new Map(ids.map(id => [id, { id, name: id, type: 'FUNCTION' }])),
+      edges: []
+    });
+
+    await assert.rejects(analysis.getComponentMetrics(), /limited to 5000 components and the graph has 5001; pass a codebase or set centrality to false/);
+    await assert.rejects(analysis.getComponentMetrics({ codebase: 'api' }), /codebase api has 5001; set centrality to false/);
+    const result = await analysis.getComponentMetrics({ centrality: false, limit: 1 });
+    assert.equal(result.componentCount, 5001);
+  });
+});
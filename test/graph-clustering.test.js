@@ -0,0 +1,49 @@
+import { test, describe } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { detectCommunities, modularity, compareWithDeclared } from '../src/graph-clustering.js';
+
+const edge = (sourceId, targetId) => ({ sourceId, targetId, type: 'CALLS' });
+
+// Two triangles joined by a single edge
+const nodes = ['a1', 'a2', 'a3', 'b1', 'b2', 'b3'];
+const edges = [
+  edge('a1', 'a2'), edge('a2', 'a3'), edge('a3', 'a1'),
+  edge('b1', 'b2'), edge('b2', 'b3'), edge('b3', 'b1'),
+  edge('a3', 'b1')
+];
+
+describe('Graph Clustering', () => {
+  test('should find densely connected groups and beat a single-group partition', () => {
+    const communities = detectCommunities(nodes, edges);
+
+    assert.equal(communities.get('a1'), communities.get('a2'));
+    assert.equal(communities.get('a1'), communities.get('a3'));
+    assert.equal(communities.get('b1'), communities.get('b3'));
+    assert.notEqual(communities.get('a1'), communities.get('b1'));
+    assert.ok(modularity(communities, edges) > modularity(new Map(nodes.map(id => [id, 0])), edges));
+    assert.deepEqual(detectCommunities(nodes, edges), communities);
+  });
+
+  test('should suggest moves, splits and merges where declared modules disagree', () => {
+    const components = nodes.map(id => ({ id, name: id, type: 'FILE' }));
+    const core = { id: 'core', name: 'core', type: 'MODULE' };
+    const api = { id: 'api', name: 'api', type: 'MODULE' };
+    // a3 is declared in api although it belongs with a1 and a2
+    const declared = new Map([['a1', core], ['a2', core], ['a3', api], ['b1', api], ['b2', api], ['b3', api]]);
+
+    const result = compareWithDeclared(components, detectCommunities(nodes, edges), declared, edges);
+
+    assert.equal(result.communityCount, 2);
+    const move = result.suggestions.find(suggestion => suggestion.kind === 'move');
+    assert.equal(move.component.id, 'a3');
+    assert.equal(move.from, 'api');
+    assert.equal(move.to, 'core');
+    assert.ok(result.modularity.detected > result.modularity.declared);
+
+    const scattered = new Map(nodes.map(id => [id, id.endsWith('1') || id.endsWith('2') ? core : api]));
+    const kinds = compareWithDeclared(components, detectCommunities(nodes, edges), scattered, edges, { minSize: 1 })
+      .suggestions.map(suggestion => suggestion.kind);
+    assert.ok(kinds.includes('split'));
+    assert.ok(kinds.includes('merge'));
+  });
+});
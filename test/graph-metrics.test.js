@@ -0,0 +1,58 @@
+import { test, describe } from 'node:test';
+import { strict as assert } from 'node:assert';
+import {
+  computePageRank,
+  computeBetweenness,
+  computeContainment,
+  computeComponentMetrics,
+  aggregateModuleMetrics
+} from '../src/graph-metrics.js';
+
+const edge = (sourceId, targetId, type = 'DEPENDS_ON') => ({ sourceId, targetId, type });
+
+describe('Graph Metrics', () => {
+  test('should rank nodes everything points at highest and sum PageRank to 1', () => {
+    const rank = computePageRank(['a', 'b', 'c', 'hub'], [edge('a', 'hub'), edge('b', 'hub'), edge('c', 'hub'), edge('hub', 'a')]);
+
+    const total = [...rank.values()].reduce((sum, value) => sum + value, 0);
+    assert.ok(Math.abs(total - 1) < 1e-6);
+    assert.equal([...rank].sort((x, y) => y[1] - x[1])[0][0], 'hub');
+  });
+
+  test('should give betweenness only to nodes on shortest paths between others', () => {
+    const centrality = computeBetweenness(['a', 'b', 'c'], [edge('a', 'b'), edge('b', 'c')]);
+
+    assert.equal(centrality.get('a'), 0);
+    assert.equal(centrality.get('b'), 0.5);
+    assert.equal(centrality.get('c'), 0);
+  });
+
+  test('should compute coupling, instability and containment depth per component', () => {
+    const components = [
+      { id: 'm', name: 'core', type: 'MODULE' },
+      { id: 'f', name: 'core.js', type: 'FILE' },
+      { id: 'g', name: 'run', type: 'FUNCTION' },
+      { id: 'x', name: 'cli.js', type: 'FILE' }
+    ];
+    const contains = [edge('m', 'f', 'CONTAINS'), edge('f', 'g', 'CONTAINS')];
+    const dependencies = [edge('x', 'g', 'CALLS'), edge('x', 'f', 'IMPORTS'), edge('g', 'f', 'USES')];
+
+    const metrics = computeComponentMetrics(components, dependencies, contains);
+    const byName = Object.fromEntries(metrics.map(metric => [metric.name, metric]));
+
+    assert.deepEqual(computeContainment(['m', 'f', 'g'], contains).depth, new Map([['m', 0], ['f', 1], ['g', 2]]));
+    assert.equal(byName['core.js'].fanIn, 2);
+    assert.equal(byName['cli.js'].instability, 1);
+    assert.equal(byName['core.js'].instability, 0);
+    assert.equal(byName.core.instability, null);
+    assert.equal(byName.run.containsDepth, 2);
+
+    const [module] = aggregateModuleMetrics(metrics, dependencies, contains);
+    assert.equal(module.name, 'core');
+    assert.equal(module.memberCount, 3);
+    assert.equal(module.afferentCoupling, 1);
+    assert.equal(module.efferentCoupling, 0);
+    assert.equal(module.internalEdges, 1);
+    assert.equal(module.incomingEdges, 2);
+  });
+});
@@ -0,0 +1,101 @@
+import { test, describe } from 'node:test';
+import { strict as assert } from 'node:assert';
+import neo4j from 'neo4j-driver';
+import { GraphDatabase } from '../src/database.js';
+import { compilePattern } from '../src/graph-pattern.js';
+
+describe('Graph Patterns', () => {
+  test('should compile a chain of required edges with node predicates as parameters', () => {
+    const { cypher, params, limit } = compilePattern({
+      nodes: {
+        fn: { type: 'FUNCTION', codebase: 'billing' },
+        callee: {},
+        gateway: { type: 'INTERFACE', name: 'PaymentGateway' }
+      },
+      edges: [
+        { from: 'fn', to: 'callee', type: 'CALLS' },
+        { from: 'callee', to: 'gateway', type: ['IMPLEMENTS', 'EXTENDS'], direction: 'out', maxHops: 2 }
+      ],
+      return: [{ node: 'fn', fields: ['name', 'metadata.owner'] }, { count: 'gateway', as: 'gateways' }],
+      limit: 10
+    });
+
+    assert.equal(cypher, [
+      'MATCH (n_fn:Component), (n_callee:Component), (n_gateway:Component), (n_fn)-[:CALLS]->(n_callee), (n_callee)-[:IMPLEMENTS|EXTENDS*1..2]->(n_gateway)',
+      'WHERE n_fn.type IN $fn_type',
+      '  AND n_fn.codebase IN $fn_codebase',
+      '  AND n_gateway.type IN $gateway_type',
+      '  AND n_gateway.name IN $gateway_name',
+      'RETURN DISTINCT {`name`: n_fn.name, `metadata.owner`: n_fn[$fn_return0_1]} AS `fn`, count(DISTINCT n_gateway) AS `gateways`',
+      'LIMIT $limit'
+    ].join('\n'));
+    assert.deepEqual(params, {
+      fn_type: ['FUNCTION'],
+      fn_codebase: ['billing'],
+      gateway_type: ['INTERFACE'],
+      gateway_name: ['PaymentGateway'],
+      fn_return0_1: 'owner',
+      limit: 11
+    });
+    assert.equal(limit, 10);
+  });
+
+  test('should match nodes of absent edges inside NOT EXISTS unless they are returned', () => {
+    const { cypher, params } = compilePattern({
+      nodes: {
+        req: { type: 'REQUIREMENT', where: { field: 'metadata.priority', op: 'eq', value: 'high' } },
+        test: { type: 'TEST_CASE' }
+      },
+      edges: [{ from: 'test', to: 'req', type: 'VERIFIES', maxHops: 3, absent: true }],
+      return: ['req']
+    });
+
+    assert.match(cypher, /^MATCH \(n_req:Component\)\n/);
+    assert.match(cypher, /AND NOT EXISTS \{ MATCH \(n_test:Component\)-\[:VERIFIES\*1\.\.3\]->\(n_req\) WHERE n_test\.type IN \$test_type \}/);
+    assert.equal(params.req_where0, 'priority');
+    assert.deepEqual(params.test_type, ['TEST_CASE']);
+  });
+
+  test('should reject unknown keys, types and nodes, and unsafe names', () => {
+    const nodes = { a: { type: 'CLASS' }, b: {} };
+    assert.throws(() => compilePattern({ nodes: { 'a) DETACH DELETE (x': {} } }), /Invalid node key/);
+    assert.throws(() => compilePattern({ nodes: { a: { label: 'X' } } }), /Unknown node a fields: label/);
+    assert.throws(() => compilePattern({ nodes: { a: { type: 'WIDGET' } } }), /Invalid a type: WIDGET/);
+    assert.throws(() => compilePattern({ nodes, edges: [{ from: 'a', to: 'c' }] }), /Edge 0 to must name a node/);
+    assert.throws(() => compilePattern({ nodes, edges: [{ from: 'a', to: 'b', type: 'TOUCHES' }] }), /Invalid edge 0 type: TOUCHES/);
+    assert.throws(() => compilePattern({ nodes, edges: [{ from: 'a', to: 'b', maxHops: 50 }] }), /maxHops <= 10/);
+    assert.throws(() => compilePattern({ nodes, edges: [{ from: 'a', to: 'b', absent: true }] }), /needs one end matched/);
+    assert.throws(() => compilePattern({ nodes, edges: [{ from: 'a', to: 'b', absent: true }], return: ['a', 'b'].map(node => ({ node, as: 'x' })) }), /Duplicate projection name/);
+    assert.throws(() => compilePattern({ nodes, return: [{ node: 'a', fields: ['metadata.bad-key'] }] }), /Invalid metadata key/);
+  });
+
+  test('should run the compiled query read-only and return it with the rows', async () => {
+    const calls = {};
+    const session = {
+      executeRead: async work => work({
+        run: (query, params) => {
+          Object.assign(calls, { query, params });
+          return {
+            keys: async () => ['req'],
+            async *[Symbol.asyncIterator]() {
+              yield { get: () => ({ id: 'r1', name: 'Login', type: 'REQUIREMENT', codebase: null, path: null }) };
+            }
+          };
+        }
+      }),
+      close: async () => {}
+    };
+    const db = new GraphDatabase();
+    await db.driver.close();
+    db.driver = { session: () => session };
+
+    const result = await db.queryPattern({ nodes: { req: { type: 'REQUIREMENT' } } });
+
+    assert.equal(result.rowCount, 1);
+    assert.equal(result.truncated, false);
+    assert.equal(result.rows[0].req.id, 'r1');
+    assert.equal(result.cypher, calls.query);
+    assert.ok(neo4j.isInt(calls.params.limit));
+    assert.equal(result.params.limit, 101);
+  });
+});
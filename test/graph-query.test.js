@@ -0,0 +1,102 @@
+import { test, describe } from 'node:test';
+import { strict as assert } from 'node:assert';
+import neo4j from 'neo4j-driver';
+import { GraphDatabase } from '../src/database.js';
+import { assertReadOnlyQuery, toQueryParams, toPlainResult } from '../src/graph-query.js';
+import { getCommandGroups } from '../src/command-presets.js';
+
+describe('Graph Query', () => {
+  test('should accept reads and reject writes, admin clauses and write procedures', () => {
+    assert.doesNotThrow(() => assertReadOnlyQuery(`
+      MATCH (c:Component {set: 'CREATE'})-[:DEPENDS_ON*1..3]->(d)
+      WHERE c.name STARTS WITH $prefix AND d.\`delete\` IS NULL // MERGE in a comment
+      CALL { WITH d RETURN count(*) AS n }
+      CALL db.labels() YIELD label
+      RETURN c.set AS set, d, n, label;
+    `));
+
+    assert.throws(() => assertReadOnlyQuery('MATCH (c) DETACH DELETE c'), /Write clauses.*DETACH/);
+    assert.throws(() => assertReadOnlyQuery('MATCH (c) set c.name = "x"'), /Write clauses.*SET/);
+    assert.throws(() => assertReadOnlyQuery('LOAD CSV FROM "file:///x" AS row RETURN row'), /LOAD/);
+    assert.throws(() => assertReadOnlyQuery('MATCH (c) RETURN c; MATCH (d) RETURN d'), /single statement/);
+    assert.throws(() => assertReadOnlyQuery('MATCH (c) CALL { WITH c RETURN c } IN TRANSACTIONS RETURN c'), /IN TRANSACTIONS/);
+    assert.throws(() => assertReadOnlyQuery('CALL apoc.periodic.iterate("a", "b", {})'), /Procedure apoc.periodic.iterate/);
+    assert.throws(() => assertReadOnlyQuery('  '), /query is required/);
+    assert.deepEqual(getCommandGroups('run_graph_query'), ['query']);
+  });
+
+  test('should convert integers in parameters and driver values in results', () => {
+    const params = toQueryParams({ limit: 5, ratio: 0.5, ids: [1, 'a'] });
+    assert.ok(neo4j.isInt(params.limit));
+    assert.equal(params.ratio, 0.5);
+    assert.ok(neo4j.isInt(params.ids[0]));
+
+    const start = new neo4j.types.Node(neo4j.int(1), ['Component'], { name: 'A', size: neo4j.int(3) }, 'n1');
+    const end = new neo4j.types.Node(neo4j.int(2), ['Component'], { name: 'B' }, 'n2');
+    const edge = new neo4j.types.Relationship(neo4j.int(7), neo4j.int(1), neo4j.int(2), 'CALLS', {}, 'r7', 'n1', 'n2');
+    const path = new neo4j.types.Path(start, end, [new neo4j.types.PathSegment(start, edge, end)]);
+
+    assert.deepEqual(toPlainResult({
+      count: neo4j.int(42),
+      big: neo4j.int('9007199254740993'),
+      at: new neo4j.types.Date(2024, 5, 1),
+      node: start,
+      path
+    }), {
+      count: 42,
+      big: '9007199254740993',
+      at: '2024-05-01',
+      node: { elementId: 'n1', labels: ['Component'], properties: { name: 'A', size: 3 } },
+      path: {
+        nodes: [
+          { elementId: 'n1', labels: ['Component'], properties: { name: 'A', size: 3 } },
+          { elementId: 'n2', labels: ['Component'], properties: { name: 'B' } }
+        ],
+        relationships: [{ elementId: 'r7', type: 'CALLS', startElementId: 'n1', endElementId: 'n2', properties: {} }]
+      }
+    });
+  });
+
+  test('should run in a read transaction with a timeout and stop reading at the limit', async () => {
+    const calls = {};
+    let fetched = 0;
+    const session = {
+      executeRead: async (work, config) => {
+        calls.config = config;
+        return work({
+          run: (query, params) => {
+            calls.params = params;
+            return {
+              keys: async () => ['name'],
+              async *[Symbol.asyncIterator]() {
+                for (const name of ['a', 'b', 'c', 'd']) {
+                  fetched++;
+                  yield { get: () => name };
+                }
+              }
+            };
+          }
+        });
+      },
+      close: async () => {}
+    };
+    const db = new GraphDatabase();
+    await db.driver.close();
+    db.driver = {
+      session: options => {
+        calls.accessMode = options.defaultAccessMode;
+        return session;
+      }
+    };
+
+    const result = await db.runGraphQuery('MATCH (c) RETURN c.name AS name LIMIT $n', { params: { n: 10 }, limit: 2, timeout: 500 });
+
+    assert.deepEqual(result, { columns: ['name'], rows: [{ name: 'a' }, { name: 'b' }], rowCount: 2, truncated: true, limit: 2 });
+    assert.equal(fetched, 3);
+    assert.equal(calls.accessMode, neo4j.session.READ);
+    assert.equal(calls.config.timeout, 500);
+    assert.ok(neo4j.isInt(calls.params.n));
+    await assert.rejects(db.runGraphQuery('CREATE (c:Component)'), /Write clauses/);
+    await assert.rejects(db.runGraphQuery('RETURN 1', { limit: 0 }), /limit must be/);
+  });
+});
@@ -0,0 +1,336 @@
+import { test, describe } from 'node:test';
+import { strict as assert } from 'node:assert';
+import neo4j from 'neo4j-driver';
+import { ChangeHistory, isSummaryOperation, validateNamespace } from '../src/history.js';
+import { GraphDatabase } from '../src/database.js';
+
+// Minimal driver stand-in that records the Cypher each replay step runs
+function createRecordingHistory() {
+  const queries = [];
+  const db = {
+    driver: {
+      session: () => ({
+        run: async (query, params) => {
+          queries.push({ query, params });
+          return { records: [{}] };
+        },
+        close: async () => {}
+      })
+    }
+  };
+  return { history: new ChangeHistory(db), queries };
+}
+
+describe('Change History', () => {
+  test('should serialize Neo4j integers and datetimes as plain JSON', async () => {
+    const { history, queries } = createRecordingHistory();
+    const created = new neo4j.types.DateTime(2024, 1, 2, 3, 4, 5, 0, 0);
+
+    await history.recordChange('CREATE_COMPONENT', 'COMPONENT', 'c1', null, {
+      id: 'c1',
+      lines: neo4j.int(42),
+      created
+    }, { sessionId: 'session-1', userId: 'alice' });
+
+    const event = queries[0].params.changeEvent;
+    assert.deepEqual(JSON.parse(event.afterState), { id: 'c1', lines: 42, created: '2024-01-02T03:04:05Z' });
+    assert.equal(event.sessionId, 'session-1');
+    assert.equal(event.userId, 'alice');
+  });
+
+  test('should replay relationships with their recorded type and without derived keys', async () => {
+    const { history, queries } = createRecordingHistory();
+
+    await history.replayChange({
+      operation: 'CREATE_RELATIONSHIP_BULK',
+      entityType: 'RELATIONSHIP',
+      entityId: 'r1',
+      afterState: {
+        id: 'r1',
+        type: 'CALLS',
+        sourceId: 'a',
+        targetId: 'b',
+        sourceName: 'caller',
+        targetName: 'callee',
+        probability: 80
+      }
+    });
+
+    assert.match(queries[0].query, /MERGE \(source\)-\[r:CALLS \{id: \$id\}\]->\(target\)/);
+    assert.deepEqual(queries[0].params.properties, { id: 'r1', probability: 80 });
+  });
+
+  test('should restore task links and comment attachments', async () => {
+    const { history, queries } = createRecordingHistory();
+
+    await history.replayChange({
+      operation: 'CREATE_TASK',
+      entityType: 'TASK',
+      entityId: 't1',
+      afterState: { id: 't1', name: 'Refactor', status: 'TODO', relatedComponentIds: ['a', 'b'] }
+    });
+    await history.replayChange({
+      operation: 'CREATE_COMMENT',
+      entityType: 'COMMENT',
+      entityId: 'm1',
+      afterState: { id: 'm1', content: 'Looks good', nodeId: 't1' }
+    });
+
+    assert.deepEqual(queries[0].params.properties, { id: 't1', name: 'Refactor', status: 'TODO' });
+    assert.match(queries[1].query, /MERGE \(t\)-\[:RELATES_TO\]->\(c\)/);
+    assert.deepEqual(queries[1].params.componentIds, ['a', 'b']);
+    assert.deepEqual(queries[2].params.properties, { id: 'm1', content: 'Looks good' });
+    assert.match(queries[3].query, /MERGE \(n\)-\[:HAS_COMMENT\]->\(c\)/);
+  });
+
+  test('should delete entities and skip summary events', async () => {
+    const { history, queries } = createRecordingHistory();
+
+    await history.replayChange({ operation: 'DELETE_COMPONENT_BULK', entityType: 'COMPONENT', entityId: 'c1' });
+    await history.replayChange({ operation: 'SYNC_FILE_CHANGED', entityType: 'FILE', entityId: 'src/a.js' });
+
+    assert.equal(queries.length, 1);
+    assert.match(queries[0].query, /DETACH DELETE n/);
+    assert.ok(isSummaryOperation('SYNC_FILE_RENAMED'));
+    assert.ok(!isSummaryOperation('UPDATE_COMPONENT'));
+  });
+
+  test('should invert creates, updates and deletes', () => {
+    const { history } = createRecordingHistory();
+    const before = { id: 'c1', type: 'CLASS', name: 'Old' };
+    const after = { id: 'c1', type: 'CLASS', name: 'New' };
+
+    assert.deepEqual(
+      history.getInverseChange({ operation: 'CREATE_COMPONENT_BULK', entityType: 'COMPONENT', entityId: 'c1', beforeState: null, afterState: after }),
+      { operation: 'DELETE_COMPONENT', entityType: 'COMPONENT', entityId: 'c1', beforeState: after, afterState: null }
+    );
+    assert.deepEqual(
+      history.getInverseChange({ operation: 'UPDATE_COMPONENT', entityType: 'COMPONENT', entityId: 'c1', beforeState: before, afterState: after }),
+      { operation: 'UPDATE_COMPONENT', entityType: 'COMPONENT', entityId: 'c1', beforeState: after, afterState: before }
+    );
+    assert.equal(
+      history.getInverseChange({ operation: 'DELETE_RELATIONSHIP', entityType: 'RELATIONSHIP', entityId: 'r1', beforeState: { id: 'r1' }, afterState: null }).operation,
+      'CREATE_RELATIONSHIP'
+    );
+    assert.equal(history.getInverseChange({ operation: 'SYNC_FILE_ADDED', entityType: 'FILE', entityId: 'a.js' }), null);
+  });
+
+  test('should skip conflicting reverts unless forced and restore cascaded edges after their component', async () => {
+    const { history, queries } = createRecordingHistory();
+    const component = { id: 'c1', type: 'CLASS', name: 'Circle' };
+    const edge = { id: 'r1', type: 'CALLS', sourceId: 'c1', targetId: 'c2' };
+    const changes = new Map([
+      ['e1', { id: 'e1', operation: 'DELETE_COMPONENT', entityType: 'COMPONENT', entityId: 'c1', beforeState: component, afterState: null }],
+      ['e2', { id: 'e2', operation: 'UPDATE_TASK', entityType: 'TASK', entityId: 't1', beforeState: { id: 't1' }, afterState: { id: 't1' } }]
+    ]);
+    const cascades = new Map([
+      ['e1', [{ id: 'e3', operation: 'DELETE_RELATIONSHIP', entityType: 'RELATIONSHIP', entityId: 'r1', beforeState: edge, afterState: null }]]
+    ]);
+    const plan = [
+      { changeId: 'e1', status: 'ready' },
+      { changeId: 'e2', status: 'conflict', conflicts: [{ id: 'e9' }] }
+    ];
+
+    const result = await history.applyRevertPlan(plan, changes, cascades, { metadata: { sessionId: 'fixer' } });
+
+    assert.equal(result.reverted, 1);
+    assert.equal(result.conflicts, 1);
+    assert.equal(result.skipped, 1);
+    assert.match(queries[0].query, /MERGE \(n:Component \{id: \$id\}\)/);
+    assert.equal(queries[1].params.changeEvent.revertOf, 'e1');
+    assert.equal(queries[1].params.changeEvent.operation, 'CREATE_COMPONENT');
+    assert.match(queries[2].query, /MERGE \(source\)-\[r:CALLS/);
+    assert.equal(queries[3].params.changeEvent.revertOf, 'e3');
+
+    const preview = await history.applyRevertPlan(plan, changes, cascades, { dryRun: true, force: true });
+    assert.equal(preview.reverted, 0);
+    assert.equal(preview.skipped, 2);
+  });
+
+  test('should record the task links and comments a component delete removes as its cascade', async () => {
+    const rows = {
+      'RETURN t, collect': [{ t: { properties: { id: 't1', name: 'Refactor' } }, componentIds: ['c1'] }],
+      'RETURN comment,': [{ comment: { properties: { id: 'm1', content: 'Keep this' } }, nodeId: 'c1' }],
+      'RETURN before': [{ before: { id: 'c1', type: 'CLASS', name: 'Circle' } }]
+    };
+    const tx = {
+      run: async query => {
+        const key = Object.keys(rows).find(fragment => query.includes(fragment));
+        return { records: (rows[key] || []).map(row => ({ get: field => row[field] })) };
+      },
+      commit: async () => {},
+      rollback: async () => {}
+    };
+    const db = new GraphDatabase();
+    await db.driver.close();
+    db.driver = { session: () => ({ beginTransaction: () => tx, close: async () => {} }) };
+    const recorded = [];
+    db.history.recordChange = async (operation, entityType, entityId, beforeState, afterState, metadata) => {
+      recorded.push({ operation, entityId, beforeState, afterState, metadata });
+      return { id: `e${recorded.length}` };
+    };
+
+    await db.deleteComponent('c1');
+
+    assert.deepEqual(recorded.map(change => change.operation), ['DELETE_COMPONENT', 'UPDATE_TASK', 'DELETE_COMMENT']);
+    assert.deepEqual(recorded[1].beforeState.relatedComponentIds, ['c1']);
+    assert.deepEqual(recorded[1].afterState.relatedComponentIds, []);
+    assert.equal(recorded[2].beforeState.nodeId, 'c1');
+    assert.ok(recorded.slice(1).every(change => change.metadata.cascadeOf === 'e1'));
+  });
+
+  test('should diff snapshots one entity collection at a time, comments included', async () => {
+    const { history } = createRecordingHistory();
+    const snapshots = {
+      s1: { components: [{ id: 'c1', type: 'CLASS', name: 'Circle' }], comments: [{ id: 'm1', content: 'Old note', author: 'alice', nodeId: 'c1' }] },
+      s2: { components: [{ id: 'c1', type: 'CLASS', name: 'Circle' }], comments: [{ id: 'm1', content: 'New note', author: 'alice', nodeId: 'c1' }] }
+    };
+    history.getSnapshotManifest = async id => ({ id, name: id, timestamp: '2024-01-01T00:00:00Z', codebase: null, legacyData: snapshots[id] });
+    const reads = [];
+    const readSnapshotBatches = history.readSnapshotBatches.bind(history);
+    history.readSnapshotBatches = (manifest, entityType) => {
+      reads.push(`${manifest.id}:${entityType}`);
+      return readSnapshotBatches(manifest, entityType);
+    };
+
+    const result = await history.diffSnapshots('s1', 's2');
+
+    assert.deepEqual(reads.slice(0, 4), ['s1:components', 's2:components', 's1:tasks', 's2:tasks']);
+    assert.deepEqual(result.diff.counts.components, { added: 0, removed: 0, modified: 0 });
+    assert.deepEqual(result.diff.comments.modified[0].changes, [{ property: 'content', before: 'Old note', after: 'New note' }]);
+    assert.match(result.summary, /Modified comment by alice on Circle: "New note"/);
+  });
+
+  test('should replay into a shadow namespace without touching live labels', async () => {
+    const { history, queries } = createRecordingHistory();
+
+    await history.replayChange({
+      operation: 'CREATE_COMPONENT',
+      entityType: 'COMPONENT',
+      entityId: 'c1',
+      afterState: { id: 'c1', type: 'CLASS', name: 'Circle' }
+    }, 'preview');
+    await history.replayChange({
+      operation: 'CREATE_RELATIONSHIP',
+      entityType: 'RELATIONSHIP',
+      entityId: 'r1',
+      afterState: { id: 'r1', type: 'CALLS', sourceId: 'c1', targetId: 'c2' }
+    }, 'preview');
+
+    assert.match(queries[0].query, /MERGE \(n:ShadowComponent \{id: \$id, shadowNamespace: \$namespace\}\)/);
+    assert.deepEqual(queries[0].params.properties, { id: 'c1', type: 'CLASS', name: 'Circle', shadowNamespace: 'preview' });
+    assert.match(queries[1].query, /MATCH \(source:ShadowComponent \{id: \$sourceId, shadowNamespace: \$namespace\}\)/);
+    assert.ok(queries.every(({ query }) => !/:Component\b/.test(query)));
+  });
+
+  test('should carry comments through snapshot restores', async () => {
+    const { history, queries } = createRecordingHistory();
+    const tx = { run: async (query, params) => {
+      queries.push({ query, params });
+      return { records: [{ get: () => neo4j.int(1) }] };
+    } };
+
+    const restored = await history.restoreBatch(tx, 'comments', [{ id: 'm1', content: 'Keep this', nodeId: 't1' }], 'preview');
+    assert.equal(restored, 1);
+    assert.match(queries[0].query, /OPTIONAL MATCH \(t:ShadowTask \{id: row\.nodeId, shadowNamespace: \$namespace\}\)/);
+    assert.match(queries[0].query, /MERGE \(owner\)-\[:HAS_COMMENT\]->\(n\)/);
+    assert.deepEqual(queries[0].params.rows[0], { nodeId: 't1', properties: { id: 'm1', content: 'Keep this', shadowNamespace: 'preview' } });
+  });
+
+  test('should keep edges and task links to other codebases through namespace restore and promotion', async () => {
+    const { history, queries } = createRecordingHistory();
+    const restoreTx = { run: async (query, params) => {
+      queries.push({ query, params });
+      return { records: [{ get: () => neo4j.int(query.includes('ShadowEdge') ? 1 : 0) }] };
+    } };
+
+    const restored = await history.restoreBatch(restoreTx, 'relationships', [{ id: 'r1', type: 'CALLS', sourceId: 'a1', targetId: 'b1' }], 'preview');
+    assert.equal(restored, 1);
+    assert.match(queries[1].query, /MERGE \(e:ShadowEdge \{id: row\.properties\.id, shadowNamespace: \$namespace\}\)/);
+    assert.deepEqual(queries[1].params.rows[0], { sourceId: 'a1', targetId: 'b1', properties: { id: 'r1' } });
+
+    // Codebase shop calls b1 in codebase billing, and a billing task links to a shop component
+    const edge = { id: 'r1', type: 'CALLS', sourceId: 'a1', targetId: 'b1' };
+    const states = [
+      { components: [{ id: 'a1', type: 'CLASS', name: 'Cart' }], relationships: [edge] },
+      { components: [{ id: 'a1', type: 'CLASS', name: 'Basket' }], relationships: [edge] }
+    ];
+    let phase = 0;
+    const rows = (query, params) => {
+      if (query.includes('RETURN t.id AS taskId')) {
+        return [{ taskId: 'billing-task', componentId: 'a1' }];
+      }
+      if (query.includes('RETURN DISTINCT e.type')) {
+        return [{ type: 'CALLS' }];
+      }
+      if (query.includes('count(e)')) {
+        return [{ count: neo4j.int(0) }];
+      }
+      if (query.includes('MATCH (ns:ShadowNamespace {name: $name}) DELETE ns')) {
+        phase = 1;
+      }
+      const collection = ['components', 'relationships'].find(key => query.includes(key === 'components' ? 'RETURN c AS entity' : 'RETURN r AS entity'));
+      if (!collection || params.skip.toNumber() > 0) {
+        return [];
+      }
+      return states[phase][collection].map(({ type, sourceId, targetId, ...properties }) =>
+        collection === 'components' ? { entity: { properties: { ...properties, type } } } : { entity: { properties }, type, sourceId, targetId });
+    };
+    const tx = {
+      run: async (query, params = {}) => {
+        queries.push({ query, params });
+        return { records: rows(query, params).map(row => ({ keys: Object.keys(row), get: key => row[key] })) };
+      },
+      commit: async () => {},
+      rollback: async () => {}
+    };
+    history.db.driver.session = () => ({ beginTransaction: () => tx, close: async () => {} });
+    history.getNamespace = async name => ({ name, codebase: 'shop', counts: { components: 1, tasks: 0, comments: 0 } });
+    const recorded = [];
+    history.recordChange = async (operation, entityType, entityId, beforeState, afterState, metadata) => {
+      recorded.push({ operation, entityId, beforeState, afterState, metadata });
+      return { id: `e${recorded.length}` };
+    };
+    queries.length = 0;
+
+    const result = await history.promoteNamespace('preview', { metadata: { sessionId: 'promoter' } });
+
+    const indexOf = pattern => queries.findIndex(({ query }) => pattern.test(query));
+    const clear = indexOf(/DETACH DELETE n/);
+    assert.match(queries[clear].query, /OPTIONAL MATCH \(n\)-\[:HAS_COMMENT\]->\(m:Comment\)[\s\S]*DETACH DELETE m/);
+    assert.equal(queries[clear].params.codebase, 'shop');
+    assert.ok(queries.some(({ query }) => /REMOVE n:ShadowComment, n\.shadowNamespace\s+SET n:Comment/.test(query)));
+    const connect = indexOf(/MERGE \(source\)-\[r:CALLS \{id: e\.id\}\]->\(target\)/);
+    assert.ok(connect > clear);
+    assert.match(queries[connect].query, /MATCH \(target:Component \{id: e\.targetId\}\)/);
+    assert.deepEqual(queries[indexOf(/UNWIND \$links AS link/)].params.links, [{ taskId: 'billing-task', componentId: 'a1' }]);
+
+    // The cross-codebase edge is in the live graph before and after, so only the rename is recorded
+    assert.deepEqual(recorded.map(change => [change.operation, change.entityId]), [['PROMOTE_NAMESPACE', 'preview'], ['UPDATE_COMPONENT', 'a1']]);
+    assert.equal(recorded[1].beforeState.name, 'Cart');
+    assert.equal(recorded[1].metadata.promoteOf, 'e1');
+    assert.equal(recorded[1].metadata.sessionId, 'promoter');
+    assert.deepEqual(result.changes.relationships, { created: 0, updated: 0, deleted: 0 });
+    assert.equal(result.skippedRelationships, 0);
+  });
+
+  test('should reject namespace names that are not plain identifiers', () => {
+    assert.equal(validateNamespace('before-refactor_2'), 'before-refactor_2');
+    assert.throws(() => validateNamespace('x}) DETACH DELETE (n'), /Invalid namespace/);
+    assert.ok(isSummaryOperation('PROMOTE_NAMESPACE'));
+  });
+
+  test('should reject component states with an unknown type', async () => {
+    const { history } = createRecordingHistory();
+
+    await assert.rejects(
+      history.replayChange({
+        operation: 'CREATE_COMPONENT',
+        entityType: 'COMPONENT',
+        entityId: 'c1',
+        afterState: { id: 'c1', type: 'FILE) DETACH DELETE (x' }
+      }),
+      /Invalid component type/
+    );
+  });
+});
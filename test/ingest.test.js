@@ -0,0 +1,264 @@
+import { test, describe } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { GraphDatabase } from '../src/database.js';
+import { parseSource, buildCodebaseGraph, resolveImportPath, componentKey, planSync, CodebaseIngester } from '../src/ingest.js';
+
+const sources = {
+  'src/base.ts': `
+    export interface Shape { area(): number; }
+    export class Base {
+      describe() { return 'base'; }
+    }
+  `,
+  'src/circle.ts': `
+    import { Base, Shape } from './base.js';
+    import { format } from './util';
+    export class Circle extends Base implements Shape {
+      area() { return format(this.radius()); }
+      radius() { return 1; }
+    }
+  `,
+  'src/util.js': `
+    const path = require('path');
+    const PRECISION = 2;
+    function format(value) { return round(value); }
+    function round(value) { return Number(value.toFixed(PRECISION)); }
+    module.exports = { format };
+  `,
+  'src/index.js': `
+    export * from './base';
+    import { Circle } from './circle';
+    export const main = () => new Circle().area();
+  `
+};
+
+function buildGraph(fileSources = sources) {
+  const files = Object.entries(fileSources).map(([path, content]) => ({
+    path,
+    content,
+    analysis: parseSource(content, path)
+  }));
+  return buildCodebaseGraph(files, { codebase: 'demo' });
+}
+
+// Simulates what GraphDatabase.getIngestedSubgraph returns after applying a plan
+function storeGraph(graph) {
+  const plan = planSync(graph, { components: [], relationships: [] });
+  return {
+    components: plan.createComponents.map(({ metadata, ...component }) => ({ ...component, ...metadata })),
+    relationships: plan.createRelationships.map(({ details, ...relationship }, index) => ({
+      ...relationship,
+      ...details,
+      id: `rel-${index}`
+    }))
+  };
+}
+
+function findKey(graph, type, name) {
+  const component = graph.components.find(c => c.type === type && c.name === name);
+  assert.ok(component, `missing ${type} ${name}`);
+  return component.key;
+}
+
+function hasRelationship(graph, type, sourceKey, targetKey) {
+  return graph.relationships.some(r => r.type === type && r.sourceKey === sourceKey && r.targetKey === targetKey);
+}
+
+describe('Source Ingestion', () => {
+  test('should parse ES module and CommonJS constructs', () => {
+    const analysis = parseSource(sources['src/util.js'], 'src/util.js');
+
+    assert.deepEqual(analysis.imports.map(i => i.source), ['path']);
+    assert.deepEqual(analysis.declarations.map(d => `${d.type}:${d.name}`), [
+      'VARIABLE:PRECISION',
+      'FUNCTION:format',
+      'FUNCTION:round'
+    ]);
+    assert.deepEqual(analysis.exports, [{ exported: 'format', local: 'format' }]);
+    assert.ok(analysis.calls.some(c => c.caller === 'format' && c.callee === 'round'));
+  });
+
+  test('should resolve relative imports including TypeScript .js specifiers', () => {
+    const known = new Set(['src/base.ts', 'src/util.js', 'src/lib/index.ts']);
+
+    assert.equal(resolveImportPath('src/circle.ts', './base.js', known), 'src/base.ts');
+    assert.equal(resolveImportPath('src/circle.ts', './util', known), 'src/util.js');
+    assert.equal(resolveImportPath('src/circle.ts', './lib', known), 'src/lib/index.ts');
+    assert.equal(resolveImportPath('src/circle.ts', 'express', known), null);
+  });
+
+  test('should tag every component with the codebase and a natural key', () => {
+    const graph = buildGraph();
+
+    assert.ok(graph.components.every(c => c.codebase === 'demo'));
+    assert.ok(graph.components.every(c => c.key === componentKey(c)));
+    assert.ok(graph.components.some(c => c.type === 'MODULE' && c.name === 'path' && c.metadata.kind === 'external'));
+    assert.ok(graph.components.find(c => c.type === 'FILE' && c.path === 'src/util.js').metadata.contentHash);
+  });
+
+  test('should derive containment, import and export relationships', () => {
+    const graph = buildGraph();
+    const srcModule = findKey(graph, 'MODULE', 'src');
+    const circleFile = findKey(graph, 'FILE', 'circle.ts');
+    const baseFile = findKey(graph, 'FILE', 'base.ts');
+    const circleClass = findKey(graph, 'CLASS', 'Circle');
+
+    assert.ok(hasRelationship(graph, 'CONTAINS', findKey(graph, 'MODULE', '.'), srcModule));
+    assert.ok(hasRelationship(graph, 'CONTAINS', srcModule, circleFile));
+    assert.ok(hasRelationship(graph, 'CONTAINS', circleFile, circleClass));
+    assert.ok(hasRelationship(graph, 'CONTAINS', circleClass, findKey(graph, 'FUNCTION', 'Circle.area')));
+    assert.ok(hasRelationship(graph, 'IMPORTS', circleFile, baseFile));
+    assert.ok(hasRelationship(graph, 'EXPORTS', circleFile, circleClass));
+  });
+
+  test('should resolve calls and inheritance across files', () => {
+    const graph = buildGraph();
+    const area = findKey(graph, 'FUNCTION', 'Circle.area');
+    const circleClass = findKey(graph, 'CLASS', 'Circle');
+
+    assert.ok(hasRelationship(graph, 'CALLS', area, findKey(graph, 'FUNCTION', 'format')));
+    assert.ok(hasRelationship(graph, 'CALLS', area, findKey(graph, 'FUNCTION', 'Circle.radius')));
+    assert.ok(hasRelationship(graph, 'CALLS', findKey(graph, 'FUNCTION', 'format'), findKey(graph, 'FUNCTION', 'round')));
+    assert.ok(hasRelationship(graph, 'EXTENDS', circleClass, findKey(graph, 'CLASS', 'Base')));
+    assert.ok(hasRelationship(graph, 'IMPLEMENTS', circleClass, findKey(graph, 'INTERFACE', 'Shape')));
+    assert.ok(hasRelationship(graph, 'CREATES', findKey(graph, 'FUNCTION', 'main'), circleClass));
+  });
+
+  test('should plan nothing when re-syncing unchanged sources', () => {
+    const existing = storeGraph(buildGraph());
+    const plan = planSync(buildGraph(), existing);
+
+    assert.ok(plan.fileChanges.every(change => change.status === 'unchanged'));
+    assert.equal(plan.createComponents.length, 0);
+    assert.equal(plan.updateComponents.length, 0);
+    assert.equal(plan.deleteComponentIds.length, 0);
+    assert.equal(plan.createRelationships.length, 0);
+    assert.equal(plan.deleteRelationshipIds.length, 0);
+  });
+
+  test('should detect added, changed, removed and renamed files', () => {
+    const existing = storeGraph(buildGraph());
+    const { 'src/util.js': util, 'src/base.ts': base, ...rest } = sources;
+    const plan = planSync(buildGraph({
+      ...rest,
+      'src/shapes/base.ts': base,
+      'src/util.js': util.replace('return round(value);', 'return value;'),
+      'src/extra.js': 'export const extra = 1;'
+    }), existing);
+
+    const statuses = Object.fromEntries(plan.fileChanges.map(change => [change.path, change.status]));
+    assert.equal(statuses['src/shapes/base.ts'], 'renamed');
+    assert.equal(statuses['src/util.js'], 'changed');
+    assert.equal(statuses['src/extra.js'], 'added');
+    assert.equal(statuses['src/circle.ts'], 'unchanged');
+
+    // Renamed files keep their component ids and only move path
+    const previousBase = existing.components.find(c => c.type === 'CLASS' && c.name === 'Base');
+    const baseUpdate = plan.updateComponents.find(update => update.id === previousBase.id);
+    assert.deepEqual(baseUpdate.updates, { path: 'src/shapes/base.ts' });
+    assert.ok(!plan.deleteComponentIds.includes(previousBase.id));
+
+    // The removed call edge is deleted, new components are created
+    const format = existing.components.find(c => c.name === 'format');
+    const round = existing.components.find(c => c.name === 'round');
+    const callEdge = existing.relationships.find(r => r.type === 'CALLS' && r.sourceId === format.id && r.targetId === round.id);
+    assert.ok(plan.deleteRelationshipIds.includes(callEdge.id));
+    assert.ok(plan.createComponents.some(c => c.type === 'FILE' && c.path === 'src/extra.js'));
+    assert.ok(plan.createComponents.some(c => c.type === 'MODULE' && c.name === 'src/shapes'));
+  });
+
+  test('should delete the subgraph of removed files', () => {
+    const existing = storeGraph(buildGraph());
+    const { 'src/util.js': _removed, ...rest } = sources;
+    const plan = planSync(buildGraph(rest), existing);
+
+    const removedIds = existing.components.filter(c => c.path === 'src/util.js').map(c => c.id);
+    assert.equal(plan.fileChanges.find(change => change.path === 'src/util.js').status, 'removed');
+    assert.deepEqual(plan.deleteComponentIds.filter(id => removedIds.includes(id)).sort(), removedIds.sort());
+  });
+
+  test('should refuse a full ingestion of a codebase that was already ingested', async () => {
+    const writes = [];
+    const db = {
+      countIngestedComponents: async codebase => (codebase === 'shapes' ? 12 : 0),
+      createSubgraph: async components => writes.push(components)
+    };
+    const ingester = new CodebaseIngester(db);
+
+    await assert.rejects(ingester.ingest('src', { codebase: 'shapes' }), /already ingested \(12 components\); use incremental/);
+    assert.equal(writes.length, 0);
+  });
+
+  test('should apply a sync plan in one transaction and record nothing when it fails', async () => {
+    const queries = [];
+    const tx = {
+      run: async query => {
+        queries.push(query);
+        if (query.includes('CREATE (source)-[r:')) {
+          throw new Error('write failed');
+        }
+        return { records: [] };
+      },
+      commit: async () => queries.push('COMMIT'),
+      rollback: async () => queries.push('ROLLBACK')
+    };
+    let transactions = 0;
+    const db = new GraphDatabase();
+    await db.driver.close();
+    db.driver = { session: () => ({ beginTransaction: () => { transactions++; return tx; }, close: async () => {} }) };
+    db.architectureRules = { enforced: false };
+    const recorded = [];
+    db.history = { recordChange: async (...args) => recorded.push(args) };
+
+    const [a, b] = ['00000000-0000-4000-8000-00000000000a', '00000000-0000-4000-8000-00000000000b'];
+    await assert.rejects(db.applySyncPlan({
+      createComponents: [{ id: a, type: 'FILE', name: 'a.js', path: 'src/a.js', codebase: 'shapes' }],
+      updateComponents: [{ id: b, updates: { path: 'src/b.js' } }],
+      deleteRelationshipIds: ['r1'],
+      deleteComponentIds: ['f3'],
+      createRelationships: [{ type: 'IMPORTS', sourceId: a, targetId: b }]
+    }), /write failed/);
+
+    assert.equal(transactions, 1);
+    assert.equal(queries.at(-1), 'ROLLBACK');
+    assert.ok(!queries.includes('COMMIT'));
+    assert.equal(recorded.length, 0);
+  });
+  test('should ingest components and relationships in one transaction and keep neither when it fails', async () => {
+    const queries = [];
+    const tx = {
+      run: async (query, params) => {
+        queries.push(query);
+        if (query.includes('count(c)')) {
+          return { records: [{ get: () => ({ toNumber: () => 0 }) }] };
+        }
+        if (query.includes('CREATE (c:Component')) {
+          return { records: [{ get: () => ({ properties: params.properties }) }] };
+        }
+        if (query.includes('CREATE (source)-[r:')) {
+          throw new Error('write failed');
+        }
+        return { records: [] };
+      },
+      commit: async () => queries.push('COMMIT'),
+      rollback: async () => queries.push('ROLLBACK')
+    };
+    let transactions = 0;
+    const db = new GraphDatabase();
+    await db.driver.close();
+    db.driver = { session: () => ({ ...tx, beginTransaction: () => { transactions++; return tx; }, close: async () => {} }) };
+    db.architectureRules = { enforced: false };
+    const recorded = [];
+    db.history = { recordChange: async (...args) => recorded.push(args) };
+    const ingester = new CodebaseIngester(db);
+    ingester.readSources = async () => Object.entries(sources).map(([filePath, content]) => ({ path: filePath, content, analysis: parseSource(content, filePath) }));
+
+    await assert.rejects(ingester.ingest('.', { codebase: 'shapes' }), /write failed/);
+
+    assert.equal(transactions, 1);
+    assert.ok(queries.some(query => query.includes('CREATE (c:Component')));
+    assert.equal(queries.at(-1), 'ROLLBACK');
+    assert.ok(!queries.includes('COMMIT'));
+    assert.equal(recorded.length, 0);
+  });
+});
@@ -0,0 +1,89 @@
+import { test, describe } from 'node:test';
+import { strict as assert } from 'node:assert';
+import neo4j from 'neo4j-driver';
+import { GraphDatabase } from '../src/database.js';
+import { encodeCursor, decodeCursor, resolvePage, pageResult, parsePageSize } from '../src/pagination.js';
+
+const ordering = {
+  fields: { name: 'c.name', created: 'c.created' },
+  temporal: ['created'],
+  orderBy: 'name',
+  direction: 'asc',
+  tiebreaker: 'c.id'
+};
+const row = (id, orderKey) => ({ item: { id }, orderKey });
+const record = values => ({ get: key => values[key] });
+
+describe('Pagination', () => {
+  test('should resolve a first page from options and continue after its last item', () => {
+    const first = resolvePage('components', { codebase: 'api' }, { pageSize: 2, orderBy: 'created', direction: 'DESC' }, ordering);
+    assert.equal(first.orderKey, 'c.created');
+    assert.equal(first.orderClause, 'ORDER BY orderKey DESC, c.id DESC');
+    assert.equal(first.seekClause, '');
+
+    const created = new neo4j.types.DateTime(2024, 1, 2, 3, 4, 5, 0, 0);
+    const page = pageResult([row('a', created), row('b', created), row('c', created)], first, 5);
+    assert.deepEqual(page.items, [{ id: 'a' }, { id: 'b' }]);
+    assert.equal(page.hasMore, true);
+    assert.equal(page.total, 5);
+    assert.deepEqual(decodeCursor(page.nextCursor).after, { key: '2024-01-02T03:04:05Z', id: 'b' });
+
+    // Filters and ordering come from the cursor, not from the new options
+    const second = resolvePage('components', { codebase: 'web' }, { cursor: page.nextCursor, orderBy: 'name' }, ordering);
+    assert.deepEqual(second.filters, { codebase: 'api' });
+    assert.equal(second.orderBy, 'created');
+    assert.equal(second.pageSize, 2);
+    assert.equal(second.seekClause, 'WHERE orderKey < datetime($afterKey) OR (orderKey = datetime($afterKey) AND c.id < $afterId)');
+    assert.deepEqual(second.seekParams, { afterKey: '2024-01-02T03:04:05Z', afterId: 'b' });
+    assert.equal(pageResult([row('c', created)], second, 3).nextCursor, null);
+
+    const byName = resolvePage('components', {}, { cursor: encodeCursor({ scope: 'components', filters: {}, orderBy: 'name', direction: 'asc', after: { key: 'b', id: 'x' } }) }, ordering);
+    assert.equal(byName.seekClause, 'WHERE orderKey > $afterKey OR (orderKey = $afterKey AND c.id > $afterId)');
+  });
+
+  test('should reject malformed cursors, cursors of other listings and invalid options', () => {
+    assert.throws(() => decodeCursor('not-a-cursor'), /Invalid cursor/);
+    assert.throws(() => decodeCursor(encodeCursor({ offset: 10 })), /Invalid cursor/);
+    const taskCursor = encodeCursor({ scope: 'tasks', filters: {}, orderBy: 'name', direction: 'asc', after: { key: 'a', id: 't1' } });
+    assert.throws(() => resolvePage('components', {}, { cursor: taskCursor }, ordering), /belongs to tasks/);
+    assert.throws(() => resolvePage('components', {}, { orderBy: 'size' }, ordering), /Invalid orderBy/);
+    assert.throws(() => resolvePage('components', {}, { pageSize: 0 }, ordering), /pageSize/);
+    assert.equal(parsePageSize(undefined), undefined);
+    assert.equal(parsePageSize('25'), 25);
+    assert.throws(() => parsePageSize('ten'), /pageSize must be an integer/);
+    assert.throws(() => parsePageSize('2.5'), /pageSize must be an integer/);
+  });
+
+  test('should read one extra row to tell whether more tasks exist', async () => {
+    const queries = [];
+    const task = id => ({ properties: { id, name: id, status: 'TODO' } });
+    const session = {
+      run: async (query, params) => {
+        queries.push({ query, params });
+        if (query.includes('count(t)')) {
+          return { records: [record({ total: neo4j.int(3) })] };
+        }
+        return { records: ['t1', 't2', 't3'].map(id => record({ t: task(id), orderKey: `2024-01-0${id[1]}`, relatedComponents: [] })) };
+      },
+      close: async () => {}
+    };
+    const db = new GraphDatabase();
+    await db.driver.close();
+    db.driver = { session: () => session };
+
+    const page = await db.getTasksPage({ status: 'TODO' }, { pageSize: 2 });
+
+    assert.deepEqual(page.items.map(item => item.id), ['t1', 't2']);
+    assert.equal(page.hasMore, true);
+    assert.equal(queries[1].params.limit.toNumber(), 3);
+    assert.match(queries[1].query, /WITH t, t\.created AS orderKey/);
+    assert.match(queries[1].query, /ORDER BY orderKey DESC, t\.id DESC/);
+    assert.doesNotMatch(queries[1].query, /SKIP/);
+    assert.equal(decodeCursor(page.nextCursor).filters.status, 'TODO');
+    assert.deepEqual(decodeCursor(page.nextCursor).after, { key: '2024-01-02', id: 't2' });
+
+    await db.getTasksPage({}, { cursor: page.nextCursor });
+    assert.match(queries[3].query, /WHERE orderKey < datetime\(\$afterKey\) OR \(orderKey = datetime\(\$afterKey\) AND t\.id < \$afterId\)/);
+    assert.equal(queries[3].params.afterId, 't2');
+  });
+});
@@ -0,0 +1,81 @@
+import { test, describe } from 'node:test';
+import { strict as assert } from 'node:assert';
+import neo4j from 'neo4j-driver';
+import { GraphDatabase } from '../src/database.js';
+import {
+  escapeLucene,
+  queryTerms,
+  highlightSnippet,
+  matchSnippet,
+  metadataTextExpression,
+  fulltextIndexStatement,
+  FULLTEXT_INDEXES
+} from '../src/search.js';
+
+const record = values => ({ get: key => values[key] });
+
+describe('Search', () => {
+  test('should escape Lucene syntax and extract terms for highlighting', () => {
+    assert.equal(escapeLucene('auth/login: (v2) && a-b'), 'auth\\/login\\: \\(v2\\) \\&\\& a\\-b');
+    assert.deepEqual(queryTerms('Token AND refresh-handler*'), ['token', 'refresh', 'handler']);
+    assert.equal(
+      fulltextIndexStatement(FULLTEXT_INDEXES.task),
+      'CREATE FULLTEXT INDEX task_fulltext IF NOT EXISTS FOR (n:Task) ON EACH [n.name, n.description]'
+    );
+    assert.match(metadataTextExpression('n'), /toStringOrNull\(n\[key\]\)/);
+  });
+
+  test('should mark matched terms in a snippet around the first match', () => {
+    const text = `${'x'.repeat(100)} refreshes the Token cache ${'y'.repeat(100)}`;
+    const snippet = highlightSnippet(text, ['token', 'refreshes'], 60);
+
+    assert.ok(snippet.startsWith('…'));
+    assert.ok(snippet.endsWith('…'));
+    assert.match(snippet, /\*\*refreshes\*\* the \*\*Token\*\* cache/);
+    assert.equal(highlightSnippet('nothing here', ['token']), null);
+    assert.deepEqual(
+      matchSnippet({ id: 'c1', name: 'Cache', description: '', owner: 'platform-team', metricFanIn: 3 }, FULLTEXT_INDEXES.component.properties, ['platform']),
+      { field: 'metadata.owner', snippet: '**platform**-team' }
+    );
+  });
+
+  test('should merge ranked results from each index with facets and filters', async () => {
+    const queries = [];
+    const session = {
+      run: async (query, params) => {
+        queries.push({ query, params });
+        const component = query.includes('component_fulltext');
+        if (query.includes('count(*)')) {
+          return {
+            records: component
+              ? [
+                record({ codebase: 'api', type: 'CLASS', count: neo4j.int(2) }),
+                record({ codebase: 'web', type: 'FUNCTION', count: neo4j.int(1) })
+              ]
+              : [record({ codebase: 'api', type: null, count: neo4j.int(1) })]
+          };
+        }
+        return component
+          ? { records: [record({ node: { properties: { id: 'c1', name: 'TokenCache', type: 'CLASS', codebase: 'api', path: 'src/token.js' } }, score: 2.5, owner: null })] }
+          : { records: [record({ node: { properties: { id: 'm1', content: 'The token expires early', author: 'ana' } }, score: 3.1, owner: { properties: { id: 'c1', name: 'TokenCache', codebase: 'api' } } })] };
+      },
+      close: async () => {}
+    };
+    const db = new GraphDatabase();
+    await db.driver.close();
+    db.driver = { session: () => session };
+
+    const result = await db.search('token', { entities: ['component', 'comment'], types: ['CLASS'], codebase: 'api' });
+
+    assert.deepEqual(result.results.map(item => [item.entity, item.id]), [['comment', 'm1'], ['component', 'c1']]);
+    assert.equal(result.results[0].nodeName, 'TokenCache');
+    assert.equal(result.results[0].snippet, 'The **token** expires early');
+    assert.deepEqual(result.facets.entities, { component: 2, comment: 1 });
+    assert.deepEqual(result.facets.types, { CLASS: 2 });
+    assert.deepEqual(result.facets.codebases, { api: 3 });
+    assert.equal(result.total, 3);
+    assert.deepEqual(queries[1].params.codebases, ['api']);
+    await assert.rejects(db.search('  '), /query is required/);
+    await assert.rejects(db.search('token', { entities: ['file'] }), /Invalid search entities/);
+  });
+});
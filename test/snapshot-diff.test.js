@@ -0,0 +1,86 @@
+import { test, describe } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { diffSnapshotData, diffProperties, formatSnapshotDiff } from '../src/snapshot-diff.js';
+
+const before = {
+  components: [
+    { id: 'a', type: 'CLASS', name: 'Circle', path: 'src/circle.ts', description: 'A circle' },
+    { id: 'b', type: 'CLASS', name: 'Base', path: 'src/base.ts', description: '' },
+    { id: 'c', type: 'FUNCTION', name: 'legacy', path: 'src/util.js', description: '' }
+  ],
+  tasks: [
+    { id: 't1', name: 'Add shapes', status: 'IN_PROGRESS', progress: 0.5 }
+  ],
+  relationships: [
+    { id: 'r1', type: 'EXTENDS', sourceId: 'a', targetId: 'b' },
+    { id: 'r2', type: 'CALLS', sourceId: 'a', targetId: 'c', probability: 50 }
+  ],
+  comments: [
+    { id: 'm1', content: 'Needs tests', author: 'alice', nodeId: 'a' }
+  ]
+};
+
+const after = {
+  components: [
+    { id: 'a', type: 'CLASS', name: 'Circle', path: 'src/shapes/circle.ts', description: 'A circle', updated: '2024-02-01T00:00:00Z' },
+    { id: 'b', type: 'CLASS', name: 'Base', path: 'src/base.ts', description: '' },
+    { id: 'd', type: 'INTERFACE', name: 'Shape', path: 'src/shape.ts', description: '' }
+  ],
+  tasks: [
+    { id: 't1', name: 'Add shapes', status: 'DONE', progress: 1 }
+  ],
+  relationships: [
+    { id: 'r1', type: 'EXTENDS', sourceId: 'a', targetId: 'b' },
+    { id: 'r3', type: 'IMPLEMENTS', sourceId: 'a', targetId: 'd' }
+  ],
+  comments: [
+    { id: 'm2', content: 'Shape is the new base', author: 'bob', nodeId: 'd' }
+  ]
+};
+
+describe('Snapshot Diff', () => {
+  test('should report added, removed and modified entities', () => {
+    const diff = diffSnapshotData(before, after);
+
+    assert.deepEqual(diff.components.added.map(c => c.id), ['d']);
+    assert.deepEqual(diff.components.removed.map(c => c.id), ['c']);
+    assert.deepEqual(diff.components.modified.map(c => c.id), ['a']);
+    assert.deepEqual(diff.relationships.added.map(r => r.id), ['r3']);
+    assert.deepEqual(diff.relationships.removed.map(r => r.id), ['r2']);
+    assert.deepEqual(diff.counts.tasks, { added: 0, removed: 0, modified: 1 });
+    assert.deepEqual(diff.counts.comments, { added: 1, removed: 1, modified: 0 });
+    assert.equal(diff.unchanged, false);
+  });
+
+  test('should list property-level changes and ignore update timestamps', () => {
+    assert.deepEqual(diffProperties(before.components[0], after.components[0]), [
+      { property: 'path', before: 'src/circle.ts', after: 'src/shapes/circle.ts' }
+    ]);
+    assert.deepEqual(diffProperties(before.tasks[0], after.tasks[0]), [
+      { property: 'progress', before: 0.5, after: 1 },
+      { property: 'status', before: 'IN_PROGRESS', after: 'DONE' }
+    ]);
+  });
+
+  test('should render a markdown summary naming relationship endpoints', () => {
+    const diff = diffSnapshotData(before, after);
+    const summary = formatSnapshotDiff(diff, { from: 'v1', to: 'live graph' }, [...before.components, ...after.components]);
+
+    assert.match(summary, /^## Graph changes: v1 → live graph/);
+    assert.match(summary, /- Components: \+1 −1 ~1/);
+    assert.match(summary, /- Added `INTERFACE` \*\*Shape\*\* \(src\/shape\.ts\)/);
+    assert.match(summary, /- Modified `CLASS` \*\*Circle\*\* \(src\/shapes\/circle\.ts\): path: "src\/circle\.ts" → "src\/shapes\/circle\.ts"/);
+    assert.match(summary, /- Removed Circle -\[CALLS\]-> legacy/);
+    assert.match(summary, /- Added Circle -\[IMPLEMENTS\]-> Shape/);
+    assert.match(summary, /- Comments: \+1 −1 ~0/);
+    assert.match(summary, /- Added comment by bob on Shape: "Shape is the new base"/);
+  });
+
+  test('should report identical states as unchanged', () => {
+    const diff = diffSnapshotData(before, before);
+    assert.equal(diffSnapshotData(before, { ...before, comments: [] }).unchanged, false);
+
+    assert.equal(diff.unchanged, true);
+    assert.match(formatSnapshotDiff(diff), /No changes\./);
+  });
+});
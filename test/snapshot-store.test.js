@@ -0,0 +1,116 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { FileSystemSnapshotStore, createSnapshotStore } from '../src/snapshot-store.js';
+
+const snapshot = {
+  id: '7f1c2d4e-0000-4000-8000-000000000001',
+  name: 'before-refactor',
+  timestamp: '2024-03-01T10:00:00.000Z',
+  codebase: 'demo'
+};
+
+async function collect(iterator) {
+  const batches = [];
+  for await (const batch of iterator) {
+    batches.push(batch);
+  }
+  return batches;
+}
+
+describe('Snapshot Store', () => {
+  let rootDir;
+  let store;
+
+  beforeEach(async () => {
+    rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'snapshot-store-'));
+    store = new FileSystemSnapshotStore({ rootDir });
+  });
+
+  afterEach(async () => {
+    await fs.rm(rootDir, { recursive: true, force: true });
+  });
+
+  test('should write compressed chunks with a manifest and read them back in order', async () => {
+    const writer = await store.createWriter(snapshot);
+    await writer.writeChunk('components', [{ id: 'a', name: 'Circle' }, { id: 'b', name: 'Base' }]);
+    await writer.writeChunk('components', [{ id: 'c', name: 'Shape' }]);
+    await writer.writeChunk('relationships', [{ id: 'r1', type: 'EXTENDS', sourceId: 'a', targetId: 'b' }]);
+    const manifest = await writer.finish();
+
+    assert.deepEqual(manifest.counts, { components: 3, tasks: 0, relationships: 1, comments: 0 });
+    assert.deepEqual(manifest.chunks.map(chunk => chunk.file), [
+      'components-00000.ndjson.gz',
+      'components-00001.ndjson.gz',
+      'relationships-00000.ndjson.gz'
+    ]);
+    assert.ok(manifest.chunks.every(chunk => /^[0-9a-f]{64}$/.test(chunk.sha256)));
+
+    const batches = await collect(store.readChunks(snapshot.id, 'components'));
+    assert.deepEqual(batches.map(batch => batch.map(component => component.id)), [['a', 'b'], ['c']]);
+    assert.deepEqual(await collect(store.readChunks(snapshot.id, 'tasks')), []);
+  });
+
+  test('should list only complete snapshots without chunk details', async () => {
+    const complete = await store.createWriter(snapshot);
+    await complete.writeChunk('tasks', [{ id: 't1', name: 'Refactor' }]);
+    await complete.finish();
+
+    const incomplete = await store.createWriter({ ...snapshot, id: '7f1c2d4e-0000-4000-8000-000000000002' });
+    await incomplete.writeChunk('tasks', [{ id: 't2', name: 'Abandoned' }]);
+
+    const listed = await store.listSnapshots();
+    assert.equal(listed.length, 1);
+    assert.equal(listed[0].id, snapshot.id);
+    assert.equal(listed[0].codebase, 'demo');
+    assert.equal(listed[0].chunks, undefined);
+  });
+
+  test('should reject chunks whose checksum does not match', async () => {
+    const writer = await store.createWriter(snapshot);
+    await writer.writeChunk('components', [{ id: 'a', name: 'Circle' }]);
+    await writer.finish();
+
+    const chunkPath = path.join(rootDir, snapshot.id, 'components-00000.ndjson.gz');
+    const bytes = await fs.readFile(chunkPath);
+    bytes[bytes.length - 1] ^= 0xff;
+    await fs.writeFile(chunkPath, bytes);
+
+    await assert.rejects(collect(store.readChunks(snapshot.id, 'components')), /Checksum mismatch/);
+  });
+
+  test('should delete snapshots and refuse ids that escape the store directory', async () => {
+    const writer = await store.createWriter(snapshot);
+    await writer.finish();
+
+    assert.equal(await store.deleteSnapshot(snapshot.id), true);
+    assert.equal(await store.getManifest(snapshot.id), null);
+    await assert.rejects(store.getManifest('../outside'), /Invalid snapshot id/);
+  });
+
+  test('should select backends by name', () => {
+    assert.ok(createSnapshotStore({ backend: 'filesystem', rootDir }) instanceof FileSystemSnapshotStore);
+    assert.throws(() => createSnapshotStore({ backend: 's3' }), /Unknown snapshot store: s3/);
+  });
+
+  test('should resolve relative snapshot directories against the package root', () => {
+    const packageRoot = fileURLToPath(new URL('..', import.meta.url));
+    const configured = process.env.SNAPSHOT_DIR;
+    delete process.env.SNAPSHOT_DIR;
+    try {
+      assert.equal(new FileSystemSnapshotStore().rootDir, path.join(packageRoot, 'snapshots'));
+      process.env.SNAPSHOT_DIR = 'data/snapshots';
+      assert.equal(new FileSystemSnapshotStore().rootDir, path.join(packageRoot, 'data', 'snapshots'));
+      assert.equal(new FileSystemSnapshotStore({ rootDir }).rootDir, rootDir);
+    } finally {
+      if (configured === undefined) {
+        delete process.env.SNAPSHOT_DIR;
+      } else {
+        process.env.SNAPSHOT_DIR = configured;
+      }
+    }
+  });
+});
@@ -0,0 +1,78 @@
+import { test, describe } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { GraphDatabase } from '../src/database.js';
+
+describe('Upserts', () => {
+  test('should merge components on the unique natural key and leave matches unchanged', async () => {
+    const queries = [];
+    const existing = {
+      id: '7d3f2b1e-4c5a-4e6f-8a9b-0c1d2e3f4a5b',
+      type: 'FUNCTION',
+      name: 'handler',
+      description: '',
+      path: 'src/api.js',
+      codebase: 'api',
+      naturalKey: 'api\u001fFUNCTION\u001fsrc/api.js\u001fhandler'
+    };
+    const tx = {
+      run: async (query, params) => {
+        queries.push({ query, params });
+        const record = { get: key => ({ c: { properties: existing }, created: false })[key] };
+        return { records: query.includes('MERGE') ? [record] : [] };
+      },
+      commit: async () => {},
+      rollback: async () => {}
+    };
+    const db = new GraphDatabase();
+    await db.driver.close();
+    db.driver = { session: () => ({ beginTransaction: () => tx, close: async () => {} }) };
+    db.history.recordChange = async () => assert.fail('unchanged upserts record no history');
+
+    const result = await db.upsertComponent({ type: 'FUNCTION', name: 'handler', path: 'src/api.js', codebase: 'api' });
+
+    assert.equal(result.status, 'unchanged');
+    assert.equal(result.component.id, existing.id);
+    assert.equal(queries.length, 2);
+    assert.match(queries[0].query, /WHERE c\.naturalKey IS NULL/);
+    assert.match(queries[1].query, /MERGE \(c:Component:FUNCTION \{naturalKey: coalesce\(\$codebase, ''\) \+ '\\u001f' \+ coalesce\(\$type, ''\)/);
+  });
+  test('should compare list metadata element-wise so repeated upserts stay unchanged', async () => {
+    const existing = {
+      id: '7d3f2b1e-4c5a-4e6f-8a9b-0c1d2e3f4a5b',
+      type: 'FUNCTION',
+      name: 'handler',
+      description: '',
+      path: 'src/api.js',
+      codebase: 'api',
+      naturalKey: 'api\u001fFUNCTION\u001fsrc/api.js\u001fhandler',
+      tags: ['http', 'public']
+    };
+    const writes = [];
+    const tx = {
+      run: async (query, params) => {
+        if (query.includes('MERGE')) {
+          return { records: [{ get: key => ({ c: { properties: existing }, created: false })[key] }] };
+        }
+        if (query.includes('SET c +=')) {
+          writes.push(params.properties);
+          return { records: [{ get: () => ({ properties: { ...existing, ...params.properties } }) }] };
+        }
+        return { records: [] };
+      },
+      commit: async () => {},
+      rollback: async () => {}
+    };
+    const db = new GraphDatabase();
+    await db.driver.close();
+    db.driver = { session: () => ({ beginTransaction: () => tx, close: async () => {} }) };
+    db.history.recordChange = async () => ({ id: 'change' });
+    const component = { type: 'FUNCTION', name: 'handler', path: 'src/api.js', codebase: 'api' };
+
+    const same = await db.upsertComponent({ ...component, metadata: { tags: ['http', 'public'] } });
+    const reordered = await db.upsertComponent({ ...component, metadata: { tags: ['public', 'http'] } });
+
+    assert.equal(same.status, 'unchanged');
+    assert.equal(reordered.status, 'updated');
+    assert.deepEqual(writes.map(properties => properties.tags), [['public', 'http']]);
+  });
+});